@@ -5,8 +5,7 @@ module.exports = {
     collectCoverage: true,
     collectCoverageFrom: [
         'js/**/*.js',
-        '!js/background.js', // Browser-specific
-        '!js/formats/xml.js' // Example file
+        '!js/background.js' // Browser-specific
     ],
     coverageDirectory: 'coverage',
     coverageReporters: ['text', 'lcov', 'html'],
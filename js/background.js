@@ -5,17 +5,12 @@
 
 console.log('🦊 Native Multi-Format Viewer - Background script loaded');
 
-// Simple settings management
-const DEFAULT_SETTINGS = {
-    enabled: true,
-    autoDetect: true,
-    supportedFormats: ['json', 'yaml', 'xml', 'csv', 'toml'],
-    theme: 'auto' // auto, light, dark
-};
+// Simple settings management (defaults live in js/core/settings.js)
+const DEFAULT_SETTINGS = ViewerSettings.DEFAULTS;
 
 // Supported file types for download interception
 const SUPPORTED_TYPES = {
-    extensions: new Set(['json', 'yaml', 'yml', 'xml', 'csv', 'toml']),
+    extensions: new Set(['json', 'yaml', 'yml', 'xml', 'csv', 'tsv', 'toml']),
     mimeTypes: new Set([
         'application/json',
         'application/x-yaml',
@@ -23,16 +18,31 @@ const SUPPORTED_TYPES = {
         'text/yaml',
         'text/xml',
         'application/xml',
+        'application/rss+xml',
+        'application/atom+xml',
         'text/csv',
         'application/csv',
+        'text/tab-separated-values',
         'application/toml'
     ])
 };
 
+// Modules of the inline viewer (js/content.js), in load order. They are injected
+// only into pages content.js finds to be a bare file, not into every page
+const INLINE_VIEWER_SCRIPTS = [
+    '/js/formats/csv.js',
+    '/js/formats/json.js',
+    '/js/formats/toml.js',
+    '/js/core/settings.js',
+    '/js/core/theme.js',
+    '/js/core/grid.js',
+    '/js/core/code.js'
+];
+
 // Download interception patterns
 const DOWNLOAD_PATTERNS = [
-    /\.(json|yaml|yml|xml|csv|toml)(\?.*)?$/i,
-    /\/[^\/]+\.(json|yaml|yml|xml|csv|toml)(\?.*)?$/i
+    /\.(json|yaml|yml|xml|csv|tsv|toml)(\?.*)?$/i,
+    /\/[^\/]+\.(json|yaml|yml|xml|csv|tsv|toml)(\?.*)?$/i
 ];
 
 // Check if URL should be intercepted
@@ -49,6 +59,7 @@ function shouldInterceptUrl(url, responseHeaders = {}) {
                                  mimeType.includes('yaml') ? 'yaml' :
                                  mimeType.includes('xml') ? 'xml' :
                                  mimeType.includes('csv') ? 'csv' :
+                                 mimeType.includes('tab-separated') ? 'tsv' :
                                  mimeType.includes('toml') ? 'toml' : null;
                     if (format) {
                         return { format, reason: 'mime-type' };
@@ -73,7 +84,7 @@ function shouldInterceptUrl(url, responseHeaders = {}) {
         // Third priority: Check download patterns
         for (const pattern of DOWNLOAD_PATTERNS) {
             if (pattern.test(url)) {
-                const match = url.match(/\.(json|yaml|yml|xml|csv|toml)/i);
+                const match = url.match(/\.(json|yaml|yml|xml|csv|tsv|toml)/i);
                 if (match) {
                     return { format: match[1].toLowerCase(), reason: 'pattern' };
                 }
@@ -87,93 +98,149 @@ function shouldInterceptUrl(url, responseHeaders = {}) {
     }
 }
 
-// Download interception for direct file access
-browser.webRequest.onBeforeRequest.addListener(
-    async (details) => {
-        try {
-            const settings = await browser.storage.local.get('settings');
-            // Default to enabled if settings don't exist yet
-            const isEnabled = settings.settings?.enabled !== false;
+// Largest response body kept in memory while capturing
+const MAX_CAPTURE_SIZE = 64 * 1024 * 1024; // 64MB
 
-            if (!isEnabled) return;
+// Shown in the tab between the end of the response and the viewer opening
+const PLACEHOLDER_HTML = '<!DOCTYPE html><meta charset="utf-8"><title>Opening in viewer...</title>';
 
-            const detection = shouldInterceptUrl(details.url);
-            if (detection && details.type === 'main_frame') {
-                console.log('🦊 Intercepting download:', details.url, detection);
+function createViewerUrl(originalUrl, detection, extra = {}) {
+    return browser.runtime.getURL('viewer.html') +
+        '#' + encodeURIComponent(JSON.stringify(Object.assign({
+            originalUrl,
+            format: detection.format,
+            reason: detection.reason,
+            timestamp: Date.now()
+        }, extra)));
+}
 
-                // Try to fetch the content immediately during interception
-                try {
-                    console.log('🦊 Pre-fetching content during interception...');
-                    const response = await fetch(details.url, {
-                        headers: { 'Accept': '*/*' },
-                        mode: 'cors'
-                    });
+// Redirects, 204 No Content and 304 Not Modified have nothing to show
+function hasResponseBody(statusCode) {
+    return !(statusCode >= 300 && statusCode < 400) && statusCode !== 204;
+}
 
-                    if (response.ok) {
-                        const content = await response.text();
-                        const contentType = response.headers.get('content-type');
+function getCharset(contentType = '') {
+    const match = /charset\s*=\s*"?([^";\s]+)/i.exec(contentType);
+    return match ? match[1] : 'utf-8';
+}
 
-                        // Extract all response headers
-                        const responseHeaders = {};
-                        response.headers.forEach((value, name) => {
-                            responseHeaders[name.toLowerCase()] = value;
-                        });
+function createDecoder(contentType) {
+    try {
+        return new TextDecoder(getCharset(contentType));
+    } catch (error) {
+        // Unknown charset label
+        return new TextDecoder('utf-8');
+    }
+}
 
-                        console.log('🦊 Pre-fetch successful, size:', content.length);
-                        console.log('🦊 Response headers:', responseHeaders);
-
-                        // Store the fetched content temporarily
-                        const cacheKey = `content_${Date.now()}`;
-                        await browser.storage.local.set({
-                            [cacheKey]: {
-                                content,
-                                contentType,
-                                size: content.length,
-                                timestamp: Date.now(),
-                                headers: responseHeaders
-                            }
-                        });
+/**
+ * The tab shows an empty HTML page while the body is captured, instead of
+ * the original file (or a download prompt for attachments)
+ */
+function createPlaceholderHeaders(responseHeaders) {
+    const dropped = new Set(['content-type', 'content-disposition', 'content-length']);
+    return responseHeaders
+        .filter(header => !dropped.has(header.name.toLowerCase()))
+        .concat([{ name: 'Content-Type', value: 'text/html; charset=utf-8' }]);
+}
 
-                        // Create viewer URL with cached content reference
-                        const viewerUrl = browser.runtime.getURL('viewer.html') +
-                                        '#' + encodeURIComponent(JSON.stringify({
-                                            originalUrl: details.url,
-                                            format: detection.format,
-                                            reason: detection.reason,
-                                            timestamp: Date.now(),
-                                            cacheKey: cacheKey
-                                        }));
-
-                        console.log('🦊 Generated viewer URL with cached content:', viewerUrl);
-                        return { redirectUrl: viewerUrl };
-                    }
-                } catch (fetchError) {
-                    console.error('🦊 Pre-fetch failed, falling back to direct fetch:', fetchError);
-                }
+/**
+ * Read the main-frame response through a StreamFilter, store it for the
+ * viewer together with the real status and headers, then open the viewer
+ * in the same tab. Returns false when the filter can't be attached.
+ */
+function captureResponse(details, headers, detection) {
+    let filter;
+    try {
+        filter = browser.webRequest.filterResponseData(details.requestId);
+    } catch (error) {
+        console.error('🦊 Response capture unavailable:', error);
+        return false;
+    }
 
-                // Fallback to original approach if pre-fetch fails
-                const viewerUrl = browser.runtime.getURL('viewer.html') +
-                                '#' + encodeURIComponent(JSON.stringify({
-                                    originalUrl: details.url,
-                                    format: detection.format,
-                                    reason: detection.reason,
-                                    timestamp: Date.now()
-                                }));
+    const decoder = createDecoder(headers['content-type']);
+    const chunks = [];
+    let size = 0;
 
-                console.log('🦊 Generated viewer URL:', viewerUrl);
-                return { redirectUrl: viewerUrl };
-            }
+    filter.ondata = (event) => {
+        size += event.data.byteLength;
+        if (size <= MAX_CAPTURE_SIZE) {
+            chunks.push(decoder.decode(event.data, { stream: true }));
+        } else {
+            chunks.length = 0;
+        }
+    };
+
+    const openViewer = options => browser.tabs.update(details.tabId, {
+        url: createViewerUrl(details.url, detection, options),
+        loadReplace: true
+    });
+
+    // Let the viewer fetch the file itself
+    const openViewerUncached = () => {
+        openViewer({ headers }).catch(error => console.error('🦊 Opening viewer failed:', error));
+    };
+
+    // The page shows the placeholder until the viewer replaces it, so the filter is closed whatever happens
+    const closeFilter = placeholder => {
+        try {
+            if (placeholder) filter.write(new TextEncoder().encode(PLACEHOLDER_HTML));
         } catch (error) {
-            console.error('🦊 Request interception failed:', error);
+            console.error('🦊 Writing placeholder failed:', error);
         }
-    },
-    { urls: ['<all_urls>'], types: ['main_frame'] },
-    ['blocking']
-);
+        try {
+            filter.close();
+        } catch (error) {
+            // Already closed or disconnected
+        }
+    };
+
+    filter.onstop = async () => {
+        closeFilter(true);
+
+        // Too large to keep in memory and storage; the viewer fetches it again instead
+        if (size > MAX_CAPTURE_SIZE) {
+            console.log('🦊 Response too large to capture, size:', size);
+            openViewerUncached();
+            return;
+        }
+
+        try {
+            const entry = {
+                contentType: headers['content-type'] || null,
+                size,
+                headers,
+                status: details.statusCode,
+                statusText: details.statusLine.replace(/^\S+\s+\d+\s*/, '')
+            };
+            chunks.push(decoder.decode());
+            entry.content = chunks.join('');
+
+            const cacheKey = await contentCache.put(entry, `${details.requestId}_${Date.now()}`);
+            console.log('🦊 Response captured, size:', size, 'status:', details.statusCode);
+
+            await openViewer({ cacheKey });
+        } catch (error) {
+            console.error('🦊 Storing captured response failed:', error);
+            openViewerUncached();
+        }
+    };
+
+    filter.onerror = () => {
+        console.error('🦊 Response capture failed:', filter.error);
+        closeFilter(false);
+        openViewerUncached();
+    };
+
+    return true;
+}
 
 // Global settings cache to avoid async in blocking listener
 let cachedSettings = { enabled: true }; // Default to enabled
 
+// Captured responses waiting for, or kept for, the viewer page
+const contentCache = new ContentCache(browser.storage.local);
+
 // Enhanced response header checking - PRIMARY INTERCEPTION METHOD
 browser.webRequest.onHeadersReceived.addListener(
     (details) => {
@@ -197,18 +264,22 @@ browser.webRequest.onHeadersReceived.addListener(
             const detection = shouldInterceptUrl(details.url, headers);
             console.log('🦊 Detection result:', detection);
 
-            if (detection && details.type === 'main_frame') {
+            // Formats switched off in the popup are left to the browser
+            if (detection && !ViewerSettings.isFormatEnabled(ViewerSettings.normalize(cachedSettings), detection.format)) {
+                console.log('🦊 Format disabled in settings:', detection.format);
+                return;
+            }
+
+            if (detection && details.type === 'main_frame' && hasResponseBody(details.statusCode)) {
                 console.log('🦊 ✅ Intercepting:', details.url, detection);
 
-                // Create viewer URL without pre-fetching (can't do async in blocking listener)
-                const viewerUrl = browser.runtime.getURL('viewer.html') +
-                                '#' + encodeURIComponent(JSON.stringify({
-                                    originalUrl: details.url,
-                                    format: detection.format,
-                                    reason: detection.reason,
-                                    timestamp: Date.now(),
-                                    headers: headers
-                                }));
+                // Capture the body as it streams in, so the viewer never has to fetch it again
+                if (details.tabId !== browser.tabs.TAB_ID_NONE && captureResponse(details, headers, detection)) {
+                    return { responseHeaders: createPlaceholderHeaders(details.responseHeaders) };
+                }
+
+                // Create viewer URL without captured content; the viewer fetches the file itself
+                const viewerUrl = createViewerUrl(details.url, detection, { headers });
 
                 console.log('🦊 Redirecting to viewer:', viewerUrl);
                 return { redirectUrl: viewerUrl };
@@ -238,11 +309,32 @@ browser.runtime.onInstalled.addListener(async () => {
 });
 
 // Load settings on startup and keep cache updated
-browser.storage.local.get('settings').then(result => {
+browser.storage.local.get('settings').then(async result => {
     if (result.settings) {
         cachedSettings = result.settings;
         console.log('🦊 Settings loaded from storage:', cachedSettings);
     }
+    await contentCache.load();
+    await contentCache.setEnabled(cachedSettings.enableCache !== false);
+}).catch(error => console.error('🦊 Startup cache sweep failed:', error));
+
+// The popup writes settings straight to storage
+browser.storage.onChanged.addListener((changes, area) => {
+    if (area !== 'local' || !changes.settings || !changes.settings.newValue) return;
+
+    cachedSettings = changes.settings.newValue;
+    contentCache.setEnabled(cachedSettings.enableCache !== false)
+        .catch(error => console.error('🦊 Updating cache setting failed:', error));
+});
+
+// Periodic cache sweep; alarms survive the background page being idle
+browser.alarms.create(ContentCache.SWEEP_ALARM, { periodInMinutes: ContentCache.SWEEP_INTERVAL_MINUTES });
+browser.alarms.onAlarm.addListener(alarm => {
+    if (alarm.name !== ContentCache.SWEEP_ALARM) return;
+
+    contentCache.sweep()
+        .then(removed => console.log('🦊 Cache sweep removed', removed, 'expired entries'))
+        .catch(error => console.error('🦊 Cache sweep failed:', error));
 });
 
 // Handle messages from content script and viewer
@@ -255,7 +347,13 @@ browser.runtime.onMessage.addListener((request, sender, sendResponse) => {
             switch (request.action) {
                 case 'getSettings':
                     const result = await browser.storage.local.get('settings');
-                    return result.settings || DEFAULT_SETTINGS;
+                    return ViewerSettings.normalize(result.settings);
+
+                case 'injectViewerScripts':
+                    for (const file of INLINE_VIEWER_SCRIPTS) {
+                        await browser.tabs.executeScript(sender.tab.id, { file, frameId: sender.frameId, runAt: 'document_end' });
+                    }
+                    return { success: true };
 
                 case 'saveSettings':
                     await browser.storage.local.set({ settings: request.settings });
@@ -274,27 +372,26 @@ browser.runtime.onMessage.addListener((request, sender, sendResponse) => {
                 case 'getCachedContent':
                     console.log('🦊 Background: Getting cached content:', request.cacheKey);
                     try {
-                        const result = await browser.storage.local.get(request.cacheKey);
-                        const cachedData = result[request.cacheKey];
+                        const cachedData = await contentCache.get(request.cacheKey);
 
                         if (cachedData) {
                             console.log('🦊 Background: Cached content found, size:', cachedData.size);
 
-                            // Clean up old cached content (older than 5 minutes)
-                            const fiveMinutesAgo = Date.now() - (5 * 60 * 1000);
-                            if (cachedData.timestamp < fiveMinutesAgo) {
-                                browser.storage.local.remove(request.cacheKey);
-                            }
-
                             return {
                                 success: true,
                                 content: cachedData.content,
                                 contentType: cachedData.contentType,
                                 size: cachedData.size,
+                                status: cachedData.status,
+                                statusText: cachedData.statusText,
                                 headers: cachedData.headers || {}
                             };
                         } else {
-                            throw new Error('Cached content not found or expired');
+                            return {
+                                success: false,
+                                cacheMiss: true,
+                                error: 'Cached content not found or expired'
+                            };
                         }
                     } catch (error) {
                         console.error('🦊 Background: Cache retrieval failed:', error);
@@ -304,12 +401,34 @@ browser.runtime.onMessage.addListener((request, sender, sendResponse) => {
                         };
                     }
 
+                case 'getCacheUsage': {
+                    await contentCache.load();
+                    // The popup asks as soon as it has saved the setting, which can be
+                    // before storage.onChanged reaches this page
+                    const { settings } = await browser.storage.local.get('settings');
+                    await contentCache.setEnabled(!settings || settings.enableCache !== false);
+                    return Object.assign({ success: true }, contentCache.usage());
+                }
+
+                case 'clearCache': {
+                    const removed = await contentCache.clear();
+                    console.log('🦊 Background: Cache cleared, entries removed:', removed);
+                    return { success: true, removed };
+                }
+
                 case 'fetchFile':
                     console.log('🦊 Background: Fetching file:', request.url);
                     try {
+                        // Watch mode revalidates with the ETag it was last sent; no-store keeps
+                        // the HTTP cache from answering for the server
+                        const requestHeaders = { 'Accept': '*/*' };
+                        if (request.etag) {
+                            requestHeaders['If-None-Match'] = request.etag;
+                        }
                         const response = await fetch(request.url, {
-                            headers: { 'Accept': '*/*' },
-                            mode: 'cors'
+                            headers: requestHeaders,
+                            mode: 'cors',
+                            cache: request.etag || request.fresh ? 'no-store' : 'default'
                         });
 
                         console.log('🦊 Background: Fetch response status:', response.status);
@@ -321,6 +440,16 @@ browser.runtime.onMessage.addListener((request, sender, sendResponse) => {
                         });
                         console.log('🦊 Background: Response headers:', responseHeaders);
 
+                        if (response.status === 304) {
+                            return {
+                                success: true,
+                                notModified: true,
+                                status: response.status,
+                                statusText: response.statusText,
+                                headers: responseHeaders
+                            };
+                        }
+
                         if (!response.ok) {
                             // Capture headers even for error responses
                             return {
@@ -338,6 +467,8 @@ browser.runtime.onMessage.addListener((request, sender, sendResponse) => {
                             content,
                             contentType: response.headers.get('content-type'),
                             size: content.length,
+                            status: response.status,
+                            statusText: response.statusText,
                             headers: responseHeaders
                         };
 
@@ -378,6 +509,7 @@ if (typeof globalThis !== 'undefined') {
     globalThis.NativeViewerBackground = {
         DEFAULT_SETTINGS,
         SUPPORTED_TYPES,
+        INLINE_VIEWER_SCRIPTS,
         shouldInterceptUrl
     };
 }
@@ -10,16 +10,15 @@
 
     // Configuration
     const CONFIG = {
-        supportedExtensions: new Set(['json', 'yaml', 'yml', 'xml', 'csv', 'toml', 'txt', 'md']),
+        supportedExtensions: new Set(['json', 'yaml', 'yml', 'xml', 'csv', 'tsv', 'toml', 'txt', 'md']),
         supportedMimeTypes: new Set([
             'application/json',
             'application/x-yaml', 'application/yaml', 'text/yaml', 'text/x-yaml',
             'text/xml', 'application/xml',
-            'text/csv', 'application/csv',
+            'text/csv', 'application/csv', 'text/tab-separated-values',
             'application/toml', 'text/toml',
             'text/plain', 'text/markdown'
         ]),
-        maxFileSize: 10 * 1024 * 1024, // 10MB
         searchDelay: 300 // ms
     };
 
@@ -27,7 +26,7 @@
      * Format Detection and Parsing
      */
     class FormatHandler {
-        static detect(content, contentType, url) {
+        static detect(content, contentType, url, autoDetect = true) {
             // URL-based detection (most reliable)
             const urlFormat = this.detectFromUrl(url);
             if (urlFormat) return urlFormat;
@@ -36,8 +35,8 @@
             const mimeFormat = this.detectFromMimeType(contentType);
             if (mimeFormat) return mimeFormat;
 
-            // Content-based detection
-            return this.detectFromContent(content);
+            // Content-based detection, unless turned off in the settings
+            return autoDetect ? this.detectFromContent(content) : null;
         }
 
         static detectFromUrl(url) {
@@ -50,6 +49,7 @@
                     'yaml': 'yaml', 'yml': 'yaml',
                     'xml': 'xml',
                     'csv': 'csv',
+                    'tsv': 'tsv',
                     'toml': 'toml',
                     'md': 'markdown',
                     'txt': 'text'
@@ -75,6 +75,7 @@
                 'application/xml': 'xml',
                 'text/csv': 'csv',
                 'application/csv': 'csv',
+                'text/tab-separated-values': 'tsv',
                 'application/toml': 'toml',
                 'text/toml': 'toml',
                 'text/markdown': 'markdown'
@@ -106,11 +107,13 @@
                 return 'xml';
             }
 
-            // CSV detection
-            if (trimmed.includes(',') && (trimmed.match(/,/g) || []).length > 2) {
-                const lines = trimmed.split('\n');
-                if (lines.length > 1 && lines[0].includes(',')) {
-                    return 'csv';
+            // CSV/TSV detection - consistent column counts over the first records
+            if (typeof CsvParser !== 'undefined') {
+                const delimiter = CsvParser.sniffDelimiter(trimmed);
+                const records = CsvParser.parseRecords(trimmed, delimiter, 10);
+                if (records.length > 1 && records[0].length > 1 &&
+                    records.every(record => record.length === records[0].length)) {
+                    return delimiter === '\t' ? 'tsv' : 'csv';
                 }
             }
 
@@ -137,13 +140,19 @@
                         }
                         return { data: doc, success: true };
 
+                    case 'toml':
+                        if (typeof TomlParser !== 'undefined') {
+                            return { data: TomlParser.parse(content), success: true };
+                        }
+                        return { data: content, success: false, error: 'TOML parser not available' };
+
                     case 'csv':
-                        const lines = content.trim().split('\n');
-                        const headers = lines[0].split(',').map(h => h.trim());
-                        const rows = lines.slice(1).map(line =>
-                            line.split(',').map(cell => cell.trim())
-                        );
-                        return { data: { headers, rows }, success: true };
+                    case 'tsv':
+                        if (typeof CsvParser !== 'undefined') {
+                            const delimiter = format === 'tsv' ? '\t' : undefined;
+                            return { data: CsvParser.parse(content, { delimiter }), success: true };
+                        }
+                        return { data: content, success: false, error: 'CSV parser not available' };
 
                     default:
                         return { data: content, success: true };
@@ -158,9 +167,10 @@
      * Native-Style Tree View Component
      */
     class TreeView {
-        constructor(data, format) {
+        constructor(data, format, options = {}) {
             this.data = data;
             this.format = format;
+            this.sortKeys = Boolean(options.sortKeys);
             this.searchTerm = '';
         }
 
@@ -168,11 +178,11 @@
             const container = document.createElement('div');
             container.className = 'fv-tree';
 
-            if (this.format === 'json' || this.format === 'yaml') {
+            if (this.format === 'json' || this.format === 'yaml' || this.format === 'toml') {
                 container.appendChild(this.renderNode(this.data, '', true));
             } else if (this.format === 'xml') {
-                container.appendChild(this.renderXmlNode(this.data.documentElement, ''));
-            } else if (this.format === 'csv') {
+                container.appendChild(this.renderXmlDocument(this.data));
+            } else if (this.format === 'csv' || this.format === 'tsv') {
                 container.appendChild(this.renderCsvTable(this.data));
             } else {
                 container.appendChild(this.renderText(this.data));
@@ -187,7 +197,7 @@
 
             if (Array.isArray(data)) {
                 node.appendChild(this.renderArrayNode(data, key, isRoot));
-            } else if (data && typeof data === 'object') {
+            } else if (data && typeof data === 'object' && !this.isDateValue(data) && !this.isExactNumber(data)) {
                 node.appendChild(this.renderObjectNode(data, key, isRoot));
             } else {
                 node.appendChild(this.renderValueNode(data, key, isRoot));
@@ -229,8 +239,12 @@
             const children = document.createElement('div');
             children.className = 'fv-tree-children';
 
-            Object.entries(obj).forEach(([k, v]) => {
-                children.appendChild(this.renderNode(v, k));
+            const keys = Object.keys(obj);
+            if (this.sortKeys) {
+                keys.sort((a, b) => a.localeCompare(b));
+            }
+            keys.forEach(k => {
+                children.appendChild(this.renderNode(obj[k], k));
             });
 
             container.appendChild(children);
@@ -304,14 +318,55 @@
             return container;
         }
 
-        renderXmlNode(element, depth = '') {
+        // Every node in document order: the DOCTYPE, comments and processing instructions around the root too
+        renderXmlDocument(doc) {
+            const container = document.createElement('div');
+            Array.from(doc.childNodes).forEach(child => {
+                container.appendChild(this.renderXmlNode(child));
+            });
+            return container;
+        }
+
+        renderXmlNode(node, depth = '') {
+            switch (node.nodeType) {
+                case Node.ELEMENT_NODE:
+                    return this.renderXmlElement(node, depth);
+                case Node.CDATA_SECTION_NODE:
+                    return this.renderXmlLeaf('fv-xml-cdata', `<![CDATA[${node.nodeValue}]]>`);
+                case Node.COMMENT_NODE:
+                    return this.renderXmlLeaf('fv-xml-comment', `<!--${node.nodeValue}-->`);
+                case Node.PROCESSING_INSTRUCTION_NODE:
+                    return this.renderXmlLeaf('fv-xml-pi', `<?${node.target}${node.data ? ` ${node.data}` : ''}?>`);
+                case Node.DOCUMENT_TYPE_NODE:
+                    return this.renderXmlLeaf('fv-xml-pi', `<!DOCTYPE ${node.name}>`);
+                default:
+                    return this.renderXmlLeaf('fv-xml-text', node.nodeValue.trim());
+            }
+        }
+
+        renderXmlLeaf(className, text) {
+            const leaf = document.createElement('div');
+            leaf.className = className;
+            leaf.textContent = text;
+            return leaf;
+        }
+
+        renderXmlElement(element, depth = '') {
             const container = document.createElement('div');
-            container.className = 'fv-xml-element';
+            container.className = 'fv-tree-node fv-xml-element';
 
             const content = document.createElement('div');
             content.className = 'fv-tree-node-content';
 
-            if (element.children.length > 0) {
+            // Whitespace between elements is layout, not content
+            const childNodes = Array.from(element.childNodes).filter(child => {
+                return child.nodeType !== Node.TEXT_NODE || child.nodeValue.trim() !== '';
+            });
+            const inlineText = childNodes.length === 1 && childNodes[0].nodeType === Node.TEXT_NODE &&
+                !childNodes[0].nodeValue.trim().includes('\n');
+            const hasChildren = childNodes.length > 0 && !inlineText;
+
+            if (hasChildren) {
                 const toggle = document.createElement('span');
                 toggle.className = 'fv-tree-toggle expanded';
                 toggle.addEventListener('click', (e) => this.toggleNode(e));
@@ -321,72 +376,55 @@
             const tagSpan = document.createElement('span');
             tagSpan.className = 'fv-xml-tag';
             tagSpan.textContent = `<${element.tagName}`;
+            tagSpan.title = element.namespaceURI ? `Namespace: ${element.namespaceURI}` : 'No namespace';
             content.appendChild(tagSpan);
 
-            // Attributes
+            // Attributes, with namespace declarations set apart
             Array.from(element.attributes).forEach(attr => {
                 const attrSpan = document.createElement('span');
-                attrSpan.className = 'fv-xml-attribute';
+                const isDeclaration = attr.name === 'xmlns' || attr.name.startsWith('xmlns:');
+                attrSpan.className = isDeclaration ? 'fv-xml-attribute fv-xml-ns' : 'fv-xml-attribute';
                 attrSpan.textContent = ` ${attr.name}="${attr.value}"`;
                 content.appendChild(attrSpan);
             });
 
             const closeTag = document.createElement('span');
             closeTag.className = 'fv-xml-tag';
-            closeTag.textContent = '>';
+            closeTag.textContent = childNodes.length === 0 ? '/>' : '>';
             content.appendChild(closeTag);
 
+            if (inlineText) {
+                const text = document.createElement('span');
+                text.className = 'fv-xml-text';
+                text.textContent = childNodes[0].nodeValue.trim();
+                content.appendChild(text);
+
+                const endTag = document.createElement('span');
+                endTag.className = 'fv-xml-tag';
+                endTag.textContent = `</${element.tagName}>`;
+                content.appendChild(endTag);
+            }
+
             container.appendChild(content);
 
-            // Children
-            if (element.children.length > 0) {
+            // Children: elements, text, CDATA, comments and processing instructions in order
+            if (hasChildren) {
                 const children = document.createElement('div');
                 children.className = 'fv-tree-children';
 
-                Array.from(element.children).forEach(child => {
+                childNodes.forEach(child => {
                     children.appendChild(this.renderXmlNode(child, depth + '  '));
                 });
 
                 container.appendChild(children);
-            } else if (element.textContent.trim()) {
-                const textNode = document.createElement('div');
-                textNode.className = 'fv-xml-text';
-                textNode.textContent = element.textContent.trim();
-                container.appendChild(textNode);
             }
 
             return container;
         }
 
         renderCsvTable(csvData) {
-            const table = document.createElement('table');
-            table.className = 'fv-table';
-
-            // Headers
-            const thead = document.createElement('thead');
-            const headerRow = document.createElement('tr');
-            csvData.headers.forEach(header => {
-                const th = document.createElement('th');
-                th.textContent = header;
-                headerRow.appendChild(th);
-            });
-            thead.appendChild(headerRow);
-            table.appendChild(thead);
-
-            // Body
-            const tbody = document.createElement('tbody');
-            csvData.rows.forEach(row => {
-                const tr = document.createElement('tr');
-                row.forEach(cell => {
-                    const td = document.createElement('td');
-                    td.textContent = cell;
-                    tr.appendChild(td);
-                });
-                tbody.appendChild(tr);
-            });
-            table.appendChild(tbody);
-
-            return table;
+            // Sortable, filterable grid shared with the viewer page (js/core/grid.js)
+            return new CsvGrid(csvData).render();
         }
 
         renderText(content) {
@@ -409,16 +447,28 @@
             }
         }
 
+        isDateValue(value) {
+            return value instanceof Date ||
+                (typeof TomlDateTime !== 'undefined' && value instanceof TomlDateTime);
+        }
+
+        // TOML integers a double would round (JsonNumber, js/formats/json.js)
+        isExactNumber(value) {
+            return typeof JsonNumber !== 'undefined' && value instanceof JsonNumber;
+        }
+
         getValueClass(value) {
             if (value === null) return 'fv-tree-value fv-null';
+            if (this.isDateValue(value)) return 'fv-tree-value fv-date';
             if (typeof value === 'string') return 'fv-tree-value fv-string';
-            if (typeof value === 'number') return 'fv-tree-value fv-number';
+            if (typeof value === 'number' || this.isExactNumber(value)) return 'fv-tree-value fv-number';
             if (typeof value === 'boolean') return 'fv-tree-value fv-boolean';
             return 'fv-tree-value';
         }
 
         formatValue(value) {
             if (value === null) return 'null';
+            if (value instanceof Date) return value.toISOString();
             if (typeof value === 'string') return `"${value}"`;
             return String(value);
         }
@@ -440,6 +490,9 @@
             this.data = null;
             this.format = null;
             this.originalContent = '';
+            this.settings = null;
+            this.theme = null;
+            this.codeView = null;
         }
 
         shouldActivate() {
@@ -466,14 +519,28 @@
             }
 
             try {
+                await this.loadModules();
+                this.settings = await ViewerSettings.load();
+                if (!this.settings.enabled) {
+                    console.log('🦊 Viewer disabled in settings');
+                    return;
+                }
+
                 // Get content
                 this.originalContent = document.body.textContent || '';
 
+                // Larger files stay as the browser shows them; the setting is in bytes, not characters
+                if (new Blob([this.originalContent]).size > ViewerSettings.maxFileSizeBytes(this.settings)) {
+                    console.log('🦊 File exceeds the max file size setting');
+                    return;
+                }
+
                 // Detect format
                 this.format = FormatHandler.detect(
                     this.originalContent,
                     document.contentType,
-                    window.location.href
+                    window.location.href,
+                    this.settings.autoDetect
                 );
 
                 if (!this.format || this.format === 'text') {
@@ -481,14 +548,21 @@
                     return;
                 }
 
+                if (!ViewerSettings.isFormatEnabled(this.settings, this.format)) {
+                    console.log('🦊 Format disabled in settings:', this.format);
+                    return;
+                }
+
                 console.log('🦊 Detected format:', this.format);
 
                 // Parse content
                 const parseResult = FormatHandler.parse(this.originalContent, this.format);
                 this.data = parseResult.data;
 
-                // Create native interface
+                // Create native interface, in the view chosen by "Auto-format files"
+                this.currentView = this.settings.autoFormat ? 'pretty' : 'raw';
                 this.render();
+                ViewerSettings.onChange(settings => this.updateSettings(settings));
 
                 console.log('🦊 Native viewer activated successfully');
 
@@ -497,6 +571,15 @@
             }
         }
 
+        // The viewer's modules, such as the TOML parser, aren't content scripts
+        // of every page; the background script injects them into this one
+        async loadModules() {
+            const response = await browser.runtime.sendMessage({ action: 'injectViewerScripts' });
+            if (!response || !response.success) {
+                throw new Error(`Loading the viewer failed: ${response ? response.error : 'no response'}`);
+            }
+        }
+
         render() {
             // Inject CSS
             this.injectCSS();
@@ -518,11 +601,11 @@
             const content = document.createElement('div');
             content.className = 'fv-content';
             content.id = 'fv-content';
-
-            this.renderContent(content);
             container.appendChild(content);
 
             document.body.appendChild(container);
+            this.applySettings();
+            this.renderContent(content);
 
             // Set up event listeners
             this.setupEventListeners();
@@ -567,13 +650,15 @@
             toggleGroup.className = 'fv-toggle-group';
 
             const prettyBtn = document.createElement('button');
-            prettyBtn.className = 'fv-toggle-btn active';
+            prettyBtn.className = 'fv-toggle-btn';
+            prettyBtn.classList.toggle('active', this.currentView === 'pretty');
             prettyBtn.textContent = 'Pretty';
             prettyBtn.dataset.view = 'pretty';
             toggleGroup.appendChild(prettyBtn);
 
             const rawBtn = document.createElement('button');
             rawBtn.className = 'fv-toggle-btn';
+            rawBtn.classList.toggle('active', this.currentView === 'raw');
             rawBtn.textContent = 'Raw';
             rawBtn.dataset.view = 'raw';
             toggleGroup.appendChild(rawBtn);
@@ -585,18 +670,49 @@
 
         renderContent(container) {
             if (this.currentView === 'raw') {
-                const pre = document.createElement('pre');
-                pre.className = 'fv-raw';
-                pre.textContent = this.originalContent;
+                // Same windowed raw view as the viewer page (js/core/code.js), without highlighting
+                this.codeView = new VirtualCodeView(this.originalContent, this.format, {
+                    showLineNumbers: this.settings.showLineNumbers
+                });
                 container.innerHTML = '';
-                container.appendChild(pre);
+                container.appendChild(this.codeView.render());
+                this.codeView.mount();
             } else {
-                const treeView = new TreeView(this.data, this.format);
+                const treeView = new TreeView(this.data, this.format, { sortKeys: this.settings.sortKeys });
                 container.innerHTML = '';
                 container.appendChild(treeView.render());
             }
         }
 
+        // Settings that only need styles updated
+        applySettings() {
+            if (!this.theme) {
+                this.theme = new ThemeManager();
+            }
+            this.theme.apply(this.settings);
+
+            const container = document.querySelector('.fv-container');
+            if (container) {
+                container.style.setProperty('--fv-tree-indent', `${this.settings.indentSize * 10}px`);
+            }
+            if (this.codeView) {
+                this.codeView.setShowLineNumbers(this.settings.showLineNumbers);
+            }
+        }
+
+        /**
+         * Settings changed in the popup while this page is open
+         */
+        updateSettings(settings) {
+            const previous = this.settings;
+            this.settings = settings;
+            this.applySettings();
+
+            if (settings.sortKeys !== previous.sortKeys && this.currentView === 'pretty') {
+                this.renderContent(document.getElementById('fv-content'));
+            }
+        }
+
         setupEventListeners() {
             // Search functionality
             const searchBox = document.getElementById('fv-search');
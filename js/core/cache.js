@@ -0,0 +1,215 @@
+/**
+ * 🦊 Native Multi-Format Viewer - Content Cache
+ * Keeps captured responses for the viewer page within a size budget
+ *
+ * Entries live in browser.storage.local under "content_*" keys. An index
+ * of their sizes and last access times is kept in memory and stored under
+ * INDEX_KEY, so eviction never has to load the cached content itself. The
+ * least recently used entries are evicted once the budget is exceeded, and
+ * entries older than MAX_AGE_MS are removed by sweeps.
+ *
+ * With caching disabled, or for entries larger than the whole budget,
+ * content is only held in memory until the viewer has read it.
+ */
+
+class ContentCache {
+    constructor(storage, options = {}) {
+        this.storage = storage;
+        this.maxBytes = options.maxBytes || ContentCache.MAX_BYTES;
+        this.maxAge = options.maxAge || ContentCache.MAX_AGE_MS;
+        this.enabled = options.enabled !== false;
+
+        this.index = {}; // key -> { size, lastAccess }
+        this.transient = new Map(); // key -> entry, never written to storage
+        this.ready = null;
+    }
+
+    static isCacheKey(key) {
+        return typeof key === 'string' && key.startsWith(ContentCache.KEY_PREFIX);
+    }
+
+    // Approximate storage footprint; content dominates, headers are small
+    static sizeOf(entry) {
+        return (entry.content ? entry.content.length : 0) + JSON.stringify(entry.headers || {}).length;
+    }
+
+    /**
+     * Load the index and sweep. Safe to call more than once; every public
+     * method waits for it.
+     */
+    load() {
+        if (!this.ready) {
+            this.ready = this.loadIndex().then(() => this.sweep());
+        }
+        return this.ready;
+    }
+
+    async loadIndex() {
+        const result = await this.storage.get(ContentCache.INDEX_KEY);
+        if (result[ContentCache.INDEX_KEY]) {
+            this.index = result[ContentCache.INDEX_KEY];
+            return;
+        }
+
+        // Entries written before the index existed were never cleaned up
+        const legacyKeys = await this.listStoredKeys();
+        if (legacyKeys.length > 0) {
+            await this.storage.remove(legacyKeys);
+            console.log('🦊 Removed', legacyKeys.length, 'unindexed cache entries');
+        }
+        await this.saveIndex();
+    }
+
+    async listStoredKeys() {
+        const keys = typeof this.storage.getKeys === 'function'
+            ? await this.storage.getKeys()
+            : Object.keys(await this.storage.get(null));
+        return keys.filter(ContentCache.isCacheKey);
+    }
+
+    saveIndex() {
+        return this.storage.set({ [ContentCache.INDEX_KEY]: this.index });
+    }
+
+    /**
+     * Store an entry ({ content, headers, ... }) and return its key
+     */
+    async put(entry, id = Date.now()) {
+        await this.load();
+
+        const key = `${ContentCache.KEY_PREFIX}${id}`;
+        const size = ContentCache.sizeOf(entry);
+        const stored = Object.assign({}, entry, { timestamp: Date.now() });
+
+        if (!this.enabled || size > this.maxBytes) {
+            this.transient.set(key, stored);
+            return key;
+        }
+
+        await this.storage.set({ [key]: stored });
+        this.index[key] = { size, lastAccess: Date.now() };
+        await this.evict(key);
+        await this.saveIndex();
+        return key;
+    }
+
+    /**
+     * The entry for a key, or null when it expired or was evicted
+     */
+    async get(key) {
+        await this.load();
+
+        if (this.transient.has(key)) {
+            // Handed over once; the viewer falls back to fetching on reload
+            const entry = this.transient.get(key);
+            this.transient.delete(key);
+            return entry;
+        }
+
+        if (!this.index[key]) return null;
+
+        const result = await this.storage.get(key);
+        const entry = result[key];
+        if (!entry) {
+            delete this.index[key];
+            await this.saveIndex();
+            return null;
+        }
+
+        this.index[key].lastAccess = Date.now();
+        await this.saveIndex();
+        return entry;
+    }
+
+    // Drop least recently used entries until the budget is met, keeping `keep`
+    async evict(keep = null) {
+        const keys = Object.keys(this.index)
+            .filter(key => key !== keep)
+            .sort((a, b) => this.index[a].lastAccess - this.index[b].lastAccess);
+
+        const evicted = [];
+        let total = this.usage().bytes;
+        while (total > this.maxBytes && keys.length > 0) {
+            const key = keys.shift();
+            total -= this.index[key].size;
+            delete this.index[key];
+            evicted.push(key);
+        }
+
+        if (evicted.length > 0) {
+            await this.storage.remove(evicted);
+            console.log('🦊 Evicted', evicted.length, 'cache entries');
+        }
+    }
+
+    /**
+     * Remove expired entries, index records whose content is gone, and
+     * content nobody read in time
+     */
+    async sweep() {
+        const now = Date.now();
+        const expired = Object.keys(this.index).filter(key => now - this.index[key].lastAccess > this.maxAge);
+        expired.forEach(key => delete this.index[key]);
+
+        this.transient.forEach((entry, key) => {
+            if (now - entry.timestamp > ContentCache.TRANSIENT_TTL_MS) {
+                this.transient.delete(key);
+            }
+        });
+
+        if (expired.length > 0) {
+            await this.storage.remove(expired);
+        }
+        await this.evict();
+        await this.saveIndex();
+        return expired.length;
+    }
+
+    async clear() {
+        await this.load();
+
+        const keys = Object.keys(this.index);
+        this.index = {};
+        this.transient.clear();
+
+        if (keys.length > 0) {
+            await this.storage.remove(keys);
+        }
+        await this.saveIndex();
+        return keys.length;
+    }
+
+    /**
+     * Turning caching off also empties the cache
+     */
+    async setEnabled(enabled) {
+        if (enabled === this.enabled) return;
+        this.enabled = enabled;
+        if (!enabled) {
+            await this.clear();
+        }
+    }
+
+    usage() {
+        const keys = Object.keys(this.index);
+        return {
+            enabled: this.enabled,
+            entries: keys.length,
+            bytes: keys.reduce((total, key) => total + this.index[key].size, 0),
+            maxBytes: this.maxBytes
+        };
+    }
+}
+
+ContentCache.KEY_PREFIX = 'content_';
+ContentCache.INDEX_KEY = 'contentCacheIndex';
+ContentCache.MAX_BYTES = 100 * 1024 * 1024; // 100MB
+ContentCache.MAX_AGE_MS = 24 * 60 * 60 * 1000; // 1 day since last view
+ContentCache.TRANSIENT_TTL_MS = 5 * 60 * 1000; // 5 minutes to be picked up
+ContentCache.SWEEP_ALARM = 'contentCacheSweep';
+ContentCache.SWEEP_INTERVAL_MINUTES = 30;
+
+// Export for debugging
+if (typeof globalThis !== 'undefined') {
+    globalThis.ContentCache = ContentCache;
+}
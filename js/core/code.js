@@ -0,0 +1,647 @@
+/**
+ * 🦊 Native Multi-Format Viewer - Virtual Code View
+ * Windowed, incrementally highlighted raw source view
+ *
+ * Only the lines inside (or near) the scroll area exist in the DOM. Source is
+ * highlighted with Prism in chunks of lines, starting from the top of the
+ * file and only as far down as has been shown. Chunks end where no token is
+ * open, so comments, strings and block scalars that span several lines are
+ * highlighted the same as when Prism sees the whole file.
+ */
+
+class VirtualCodeView {
+    constructor(content, format, options = {}) {
+        this.lines = content.split('\n');
+        this.lineHeight = options.lineHeight || 20;
+        this.overscan = options.overscan || 30;
+        this.showLineNumbers = options.showLineNumbers !== false;
+
+        const language = VirtualCodeView.LANGUAGES[format.toLowerCase()];
+        this.grammar = typeof Prism !== 'undefined' && language ? Prism.languages[language] || null : null;
+
+        // First line of each highlighted chunk; tokenizing can safely start at any of them
+        this.checkpoints = [0];
+        // Highlighted lines of recently shown chunks, oldest first
+        this.chunks = new Map();
+        this.highlightTimer = null;
+
+        this.searchTerm = '';
+        this.matches = [];
+        this.matchIndex = -1;
+        this.errors = new Map(); // line number -> { line, column, message }
+        this.hoverLine = null;
+        this.range = null;
+        this.frame = null;
+
+        this.onScroll = () => this.scheduleUpdate();
+    }
+
+    render() {
+        this.container = document.createElement('div');
+        this.container.className = 'fv-code-container fv-virtual-code';
+        this.container.classList.toggle('fv-hide-line-numbers', !this.showLineNumbers);
+
+        this.sizer = document.createElement('div');
+        this.sizer.className = 'fv-code-sizer';
+        this.container.appendChild(this.sizer);
+
+        this.window = document.createElement('div');
+        this.window.className = 'fv-code-window';
+        this.sizer.appendChild(this.window);
+
+        this.lineNumbers = document.createElement('div');
+        this.lineNumbers.className = 'fv-code-line-numbers';
+        this.window.appendChild(this.lineNumbers);
+
+        this.content = document.createElement('div');
+        this.content.className = 'fv-code-content';
+        this.window.appendChild(this.content);
+        this.sizeColumns();
+
+        this.container.addEventListener('scroll', this.onScroll, { passive: true });
+        this.container.addEventListener('mouseover', (e) => this.handleHover(e));
+        this.container.addEventListener('mouseleave', () => this.setHoverLine(null));
+        window.addEventListener('resize', this.onScroll);
+
+        return this.container;
+    }
+
+    /**
+     * Call once the container is in the document, so lines can be measured
+     */
+    mount() {
+        this.update(true);
+
+        const firstLine = this.content.firstChild;
+        const measured = firstLine ? firstLine.getBoundingClientRect().height : 0;
+        if (measured > 0 && Math.abs(measured - this.lineHeight) > 0.5) {
+            this.lineHeight = measured;
+            this.update(true);
+        }
+    }
+
+    sizeColumns() {
+        this.lineNumbers.style.minWidth = `${String(this.lines.length).length + 2}ch`;
+        // Reserve the widest line so the horizontal scrollbar doesn't change while scrolling
+        const longest = this.lines.reduce((max, line) => Math.max(max, line.length), 0);
+        this.content.style.minWidth = `${longest + 2}ch`;
+    }
+
+    /**
+     * Replace the text. Highlighting is kept for the chunks before the one
+     * holding the first changed line.
+     */
+    setContent(content) {
+        const lines = content.split('\n');
+        let changed = 0;
+        while (changed < lines.length && changed < this.lines.length && lines[changed] === this.lines[changed]) {
+            changed++;
+        }
+        this.lines = lines;
+
+        let chunk = 0;
+        while (chunk + 1 < this.checkpoints.length && this.checkpoints[chunk + 1] <= changed) {
+            chunk++;
+        }
+        this.checkpoints = this.checkpoints.slice(0, chunk + 1);
+        this.chunks.forEach((cached, index) => {
+            if (index >= chunk) this.chunks.delete(index);
+        });
+
+        if (this.searchTerm) {
+            this.matches = this.findMatches(this.searchTerm);
+            this.matchIndex = Math.min(this.matchIndex, this.matches.length - 1);
+        }
+
+        this.sizeColumns();
+        this.update(true);
+    }
+
+    setShowLineNumbers(show) {
+        this.showLineNumbers = show;
+        if (this.container) {
+            this.container.classList.toggle('fv-hide-line-numbers', !show);
+        }
+    }
+
+    isMounted() {
+        return Boolean(this.container && this.container.isConnected);
+    }
+
+    destroy() {
+        window.removeEventListener('resize', this.onScroll);
+        if (this.frame) {
+            cancelAnimationFrame(this.frame);
+            this.frame = null;
+        }
+        if (this.highlightTimer) {
+            clearTimeout(this.highlightTimer);
+            this.highlightTimer = null;
+        }
+    }
+
+    scheduleUpdate() {
+        if (this.frame) return;
+        this.frame = requestAnimationFrame(() => {
+            this.frame = null;
+            this.update();
+        });
+    }
+
+    visibleRange() {
+        const top = this.container.scrollTop;
+        const height = this.container.clientHeight || window.innerHeight || 600;
+        const first = Math.floor(top / this.lineHeight) - this.overscan;
+        const last = Math.ceil((top + height) / this.lineHeight) + this.overscan;
+
+        return {
+            start: Math.max(0, Math.min(first, this.lines.length)),
+            end: Math.max(0, Math.min(last, this.lines.length))
+        };
+    }
+
+    update(force = false) {
+        // The viewer replaces its content without telling us
+        if (!this.isMounted()) {
+            this.destroy();
+            return;
+        }
+
+        const range = this.visibleRange();
+        if (!force && this.range && this.range.start === range.start && this.range.end === range.end) {
+            return;
+        }
+        this.range = range;
+        this.highlightThrough(range.end);
+
+        this.sizer.style.height = `${this.lines.length * this.lineHeight}px`;
+        this.window.style.transform = `translateY(${range.start * this.lineHeight}px)`;
+
+        const numbers = document.createDocumentFragment();
+        const lines = document.createDocumentFragment();
+        for (let i = range.start; i < range.end; i++) {
+            numbers.appendChild(this.renderLineNumber(i));
+            lines.appendChild(this.renderLine(i));
+        }
+        this.lineNumbers.textContent = '';
+        this.lineNumbers.appendChild(numbers);
+        this.content.textContent = '';
+        this.content.appendChild(lines);
+    }
+
+    renderLineNumber(index) {
+        const number = document.createElement('div');
+        number.className = 'fv-code-line-number';
+        number.dataset.line = index + 1;
+        number.textContent = String(index + 1);
+        if (index + 1 === this.hoverLine) {
+            number.classList.add('hover-highlight');
+        }
+
+        const error = this.errors.get(index + 1);
+        if (error) {
+            number.classList.add('fv-code-error');
+            number.classList.toggle('fv-code-warning', Boolean(error.warning));
+            number.title = error.message;
+        }
+        return number;
+    }
+
+    renderLine(index) {
+        const line = document.createElement('div');
+        line.className = 'fv-code-line';
+        line.dataset.line = index + 1;
+        if (index + 1 === this.hoverLine) {
+            line.classList.add('hover-highlight');
+        }
+        if (this.matchIndex !== -1 && this.matches[this.matchIndex] === index) {
+            line.classList.add('fv-current-match');
+        }
+
+        const parts = this.getHighlightedLine(index);
+        if (parts) {
+            this.appendParts(line, parts);
+        } else {
+            this.appendText(line, this.lines[index]);
+        }
+
+        const error = this.errors.get(index + 1);
+        if (error) {
+            this.appendError(line, error);
+        }
+        return line;
+    }
+
+    appendError(line, error) {
+        line.classList.add('fv-code-error');
+        line.classList.toggle('fv-code-warning', Boolean(error.warning));
+        if (error.column) {
+            const marker = document.createElement('span');
+            marker.className = 'fv-code-error-column';
+            marker.style.left = `calc(var(--fv-spacing-xs) + ${error.column - 1}ch)`;
+            line.appendChild(marker);
+        }
+        const message = document.createElement('span');
+        message.className = 'fv-code-error-message';
+        message.textContent = error.message;
+        line.appendChild(message);
+    }
+
+    /**
+     * Mark errors, given as { line, column, message } with a 1-based line
+     * and column; the first error on a line is shown. With `warning` set,
+     * the line is marked as a warning instead.
+     */
+    setErrors(errors) {
+        this.errors = new Map();
+        errors.forEach(error => {
+            if (error.line && !this.errors.has(error.line)) {
+                this.errors.set(error.line, error);
+            }
+        });
+        if (this.isMounted()) {
+            this.update(true);
+        }
+    }
+
+    appendParts(parent, parts) {
+        parts.forEach(part => {
+            if (typeof part === 'string') {
+                this.appendText(parent, part);
+            } else {
+                const span = document.createElement('span');
+                span.className = part.className;
+                this.appendParts(span, part.children);
+                parent.appendChild(span);
+            }
+        });
+    }
+
+    // Appends text, wrapping occurrences of the search term in highlights
+    appendText(parent, text) {
+        if (!this.searchTerm) {
+            parent.appendChild(document.createTextNode(text));
+            return;
+        }
+
+        const lower = text.toLowerCase();
+        let last = 0;
+        let index;
+        while ((index = lower.indexOf(this.searchTerm, last)) !== -1) {
+            if (index > last) {
+                parent.appendChild(document.createTextNode(text.slice(last, index)));
+            }
+            const highlight = document.createElement('span');
+            highlight.className = 'fv-search-highlight';
+            highlight.textContent = text.slice(index, index + this.searchTerm.length);
+            parent.appendChild(highlight);
+            last = index + this.searchTerm.length;
+        }
+        if (last < text.length) {
+            parent.appendChild(document.createTextNode(text.slice(last)));
+        }
+    }
+
+    /**
+     * Highlight chunks until every line before `end` is covered. Work is
+     * split into short slices; lines show as plain text until reached.
+     */
+    highlightThrough(end) {
+        if (!this.grammar || this.highlightTimer) return;
+
+        const deadline = Date.now() + VirtualCodeView.SLICE_MS;
+        while (this.highlightedLines() < end && Date.now() < deadline) {
+            this.highlightNextChunk();
+        }
+
+        if (this.highlightedLines() < end) {
+            this.highlightTimer = setTimeout(() => {
+                this.highlightTimer = null;
+                if (!this.isMounted()) return;
+
+                // Redraw once the lines in view are reached, not after every slice
+                this.highlightThrough(this.range.end);
+                if (!this.highlightTimer) {
+                    this.update(true);
+                }
+            }, 0);
+        }
+    }
+
+    highlightedLines() {
+        return this.checkpoints[this.checkpoints.length - 1];
+    }
+
+    highlightNextChunk() {
+        const start = this.highlightedLines();
+        const total = this.lines.length;
+        let size = VirtualCodeView.CHUNK_LINES;
+        let result;
+        let next;
+
+        for (;;) {
+            // Look past the chunk so tokens that start inside it can finish
+            const end = Math.min(total, start + size + VirtualCodeView.LOOKAHEAD_LINES);
+            result = this.tokenizeLines(start, end);
+
+            if (end === total) {
+                next = total;
+                break;
+            }
+            const boundary = result.safe.filter(line => line <= size).pop();
+            if (boundary) {
+                next = start + boundary;
+                break;
+            }
+            if (size >= VirtualCodeView.MAX_CHUNK_LINES) {
+                next = start + size;
+                break;
+            }
+            size *= 4;
+        }
+
+        this.cacheChunk(this.checkpoints.length - 1, result.lines.slice(0, next - start));
+        this.checkpoints.push(next);
+    }
+
+    /**
+     * Prism tokens for lines [start, end) turned into per-line parts. Tokens
+     * spanning a line break are split into one span per line. `safe` lists
+     * the (relative) lines that begin outside of any token.
+     */
+    tokenizeLines(start, end) {
+        const text = this.lines.slice(start, end).join('\n');
+        if (text.length > VirtualCodeView.MAX_CHUNK_CHARS) {
+            // Too long to highlight without stalling the page, e.g. minified JSON
+            const lines = this.lines.slice(start, end).map(line => [line]);
+            return { lines, safe: lines.map((line, index) => index).slice(1) };
+        }
+
+        const lines = [];
+        const safe = [];
+        const stack = [];
+        let containers;
+
+        const startLine = () => {
+            const parts = [];
+            containers = [parts];
+            stack.forEach(className => {
+                const node = { className, children: [] };
+                containers[containers.length - 1].push(node);
+                containers.push(node.children);
+            });
+            lines.push(parts);
+        };
+
+        const visit = token => {
+            if (typeof token === 'string') {
+                token.split('\n').forEach((piece, index) => {
+                    if (index > 0) {
+                        if (stack.length === 0) safe.push(lines.length);
+                        startLine();
+                    }
+                    if (piece) containers[containers.length - 1].push(piece);
+                });
+            } else if (Array.isArray(token)) {
+                token.forEach(visit);
+            } else {
+                const aliases = [].concat(token.alias || []);
+                const className = ['token', token.type].concat(aliases).join(' ');
+                const node = { className, children: [] };
+                containers[containers.length - 1].push(node);
+                containers.push(node.children);
+                stack.push(className);
+                visit(token.content);
+                stack.pop();
+                containers.pop();
+            }
+        };
+
+        startLine();
+        visit(Prism.tokenize(text, this.grammar));
+        return { lines, safe };
+    }
+
+    getHighlightedLine(index) {
+        if (!this.grammar || index >= this.highlightedLines()) return null;
+
+        // Last checkpoint at or before the line
+        let low = 0;
+        let high = this.checkpoints.length - 2;
+        while (low < high) {
+            const mid = Math.ceil((low + high) / 2);
+            if (this.checkpoints[mid] <= index) low = mid;
+            else high = mid - 1;
+        }
+
+        let chunk = this.chunks.get(low);
+        if (chunk) {
+            // Keep recently used chunks at the end of the map
+            this.chunks.delete(low);
+        } else {
+            const start = this.checkpoints[low];
+            const end = this.checkpoints[low + 1];
+            const lookahead = Math.min(this.lines.length, end + VirtualCodeView.LOOKAHEAD_LINES);
+            chunk = this.tokenizeLines(start, lookahead).lines.slice(0, end - start);
+        }
+        this.cacheChunk(low, chunk);
+
+        return chunk[index - this.checkpoints[low]];
+    }
+
+    cacheChunk(index, lines) {
+        this.chunks.set(index, lines);
+        if (this.chunks.size > VirtualCodeView.CACHED_CHUNKS) {
+            this.chunks.delete(this.chunks.keys().next().value);
+        }
+    }
+
+    // One delegated listener keeps a line and its number highlighted together
+    handleHover(event) {
+        const target = event.target.closest('[data-line]');
+        this.setHoverLine(target ? Number(target.dataset.line) : null);
+    }
+
+    setHoverLine(line) {
+        if (line === this.hoverLine) return;
+        this.hoverLine = line;
+
+        this.window.querySelectorAll('.hover-highlight').forEach(el => el.classList.remove('hover-highlight'));
+        if (line !== null) {
+            this.window.querySelectorAll(`[data-line="${line}"]`).forEach(el => el.classList.add('hover-highlight'));
+        }
+    }
+
+    /**
+     * Scroll so a line (0-based) is inside the scroll area, centering it if
+     * it was out of view
+     */
+    scrollToLine(index) {
+        const top = index * this.lineHeight;
+        const height = this.container.clientHeight || window.innerHeight || 600;
+        if (top < this.container.scrollTop || top + this.lineHeight > this.container.scrollTop + height) {
+            this.container.scrollTop = Math.max(0, top - (height - this.lineHeight) / 2);
+        }
+        this.update(true);
+    }
+
+    /**
+     * Highlight a search term and jump to the first line containing it
+     */
+    setSearch(term) {
+        const searchTerm = (term || '').toLowerCase();
+        if (searchTerm === this.searchTerm) return this.matches.length;
+
+        this.searchTerm = searchTerm;
+        this.matches = searchTerm ? this.findMatches(searchTerm) : [];
+        this.matchIndex = -1;
+
+        if (this.matches.length > 0) {
+            this.goToMatch(0);
+        } else {
+            this.update(true);
+        }
+        return this.matches.length;
+    }
+
+    nextMatch(step = 1) {
+        if (this.matches.length === 0) return;
+        const count = this.matches.length;
+        this.goToMatch((this.matchIndex + step + count) % count);
+    }
+
+    goToMatch(index) {
+        this.matchIndex = index;
+        this.scrollToLine(this.matches[index]);
+    }
+
+    // Indexes of lines containing the term
+    findMatches(term, limit = 10000) {
+        const matches = [];
+        for (let i = 0; i < this.lines.length && matches.length < limit; i++) {
+            if (this.lines[i].toLowerCase().includes(term)) {
+                matches.push(i);
+            }
+        }
+        return matches;
+    }
+}
+
+// Our format names mapped to Prism grammars
+VirtualCodeView.LANGUAGES = {
+    json: 'json',
+    yaml: 'yaml',
+    yml: 'yaml',
+    xml: 'markup',
+    csv: 'csv',
+    tsv: 'csv',
+    toml: 'toml'
+};
+VirtualCodeView.CHUNK_LINES = 500;
+VirtualCodeView.LOOKAHEAD_LINES = 200;
+VirtualCodeView.MAX_CHUNK_LINES = 8000;
+VirtualCodeView.MAX_CHUNK_CHARS = 2 * 1024 * 1024;
+VirtualCodeView.CACHED_CHUNKS = 40;
+VirtualCodeView.SLICE_MS = 12;
+
+/**
+ * Raw view that can be typed into. A transparent textarea over the lines
+ * takes the input while the lines underneath keep the highlighting, redone
+ * from the first changed line.
+ */
+class EditableCodeView extends VirtualCodeView {
+    /**
+     * options.onChange(content) is called after the text changes, at most
+     * once per frame; options.indentSize is the number of spaces Tab inserts
+     */
+    constructor(content, format, options = {}) {
+        super(content, format, options);
+        this.onChange = options.onChange || (() => {});
+        this.indent = ' '.repeat(options.indentSize || 2);
+        this.inputFrame = null;
+    }
+
+    render() {
+        const container = super.render();
+        container.classList.add('fv-editable-code');
+
+        this.input = document.createElement('textarea');
+        this.input.className = 'fv-code-input';
+        this.input.value = this.lines.join('\n');
+        this.input.spellcheck = false;
+        this.input.wrap = 'off';
+        this.input.setAttribute('autocapitalize', 'off');
+        this.input.setAttribute('aria-label', 'File content');
+        this.input.addEventListener('input', () => this.scheduleInput());
+        this.input.addEventListener('keydown', (e) => this.handleKeydown(e));
+        this.sizer.appendChild(this.input);
+
+        return container;
+    }
+
+    update(force = false) {
+        super.update(force);
+        if (!this.isMounted()) return;
+
+        // The text box covers the content column, which starts after the line numbers
+        this.input.style.left = `${this.content.offsetLeft}px`;
+        this.input.style.minWidth = this.content.style.minWidth;
+        this.input.style.height = `${this.lines.length * this.lineHeight}px`;
+        this.input.style.lineHeight = `${this.lineHeight}px`;
+    }
+
+    destroy() {
+        super.destroy();
+        if (this.inputFrame) {
+            cancelAnimationFrame(this.inputFrame);
+            this.inputFrame = null;
+        }
+    }
+
+    // A burst of keystrokes is applied once per frame
+    scheduleInput() {
+        if (this.inputFrame) return;
+        this.inputFrame = requestAnimationFrame(() => {
+            this.inputFrame = null;
+            const content = this.input.value;
+            this.setContent(content);
+            this.onChange(content);
+        });
+    }
+
+    handleKeydown(event) {
+        if (event.key === 'Tab' && !event.shiftKey && !event.ctrlKey && !event.altKey && !event.metaKey) {
+            event.preventDefault();
+            // insertText keeps the change on the textarea's own undo stack
+            if (!document.execCommand('insertText', false, this.indent)) {
+                this.input.setRangeText(this.indent, this.input.selectionStart, this.input.selectionEnd, 'end');
+                this.scheduleInput();
+            }
+        } else if (event.key === 'Escape') {
+            // Tab indents, so Escape is the way out of the text box
+            this.input.blur();
+        }
+    }
+
+    /**
+     * Put the cursor at a 1-based line and column and scroll it into view
+     */
+    goToPosition(line, column = 1) {
+        const index = Math.max(0, Math.min(line, this.lines.length) - 1);
+        let offset = 0;
+        for (let i = 0; i < index; i++) {
+            offset += this.lines[i].length + 1;
+        }
+        offset += Math.max(0, Math.min(column - 1, this.lines[index].length));
+
+        this.input.focus({ preventScroll: true });
+        this.input.setSelectionRange(offset, offset);
+        this.scrollToLine(index);
+    }
+}
+
+// Export for debugging
+if (typeof globalThis !== 'undefined') {
+    globalThis.VirtualCodeView = VirtualCodeView;
+    globalThis.EditableCodeView = EditableCodeView;
+}
@@ -0,0 +1,531 @@
+/**
+ * 🦊 Native Multi-Format Viewer - Structural Diff
+ * Semantic comparison of two parsed documents, shown as a virtual tree
+ *
+ * Objects are compared key by key, so key order never counts as a change.
+ * Array items are paired by a key field when one is given (e.g. "id"),
+ * otherwise by a longest common subsequence of equal items, with the
+ * remaining items in each gap compared position by position.
+ *
+ * The result is a tree of diff nodes:
+ *   { status, key, label, left, right, kind, children }
+ * where status is 'unchanged', 'changed' (a different value), 'added',
+ * 'removed' or 'modified' (a container with changes inside), and children
+ * is null for values that aren't compared item by item. Compared array
+ * items also carry leftIndex and rightIndex, their index in each document.
+ */
+
+class StructuralDiff {
+    /**
+     * Diff `left` (this document) against `right` (the other one)
+     */
+    static compare(left, right, options = {}) {
+        const differ = new StructuralDiff(options);
+        return differ.diff(left, right, null, null);
+    }
+
+    constructor(options = {}) {
+        this.matchKey = options.matchKey || '';
+        this.hashes = new Map();
+    }
+
+    static isContainer(value) {
+        return VirtualTree.isContainer(value);
+    }
+
+    static kindOf(value) {
+        if (!StructuralDiff.isContainer(value)) return null;
+        return Array.isArray(value) ? 'array' : 'object';
+    }
+
+    diff(left, right, key, label) {
+        const kind = StructuralDiff.kindOf(left);
+
+        if (kind && kind === StructuralDiff.kindOf(right)) {
+            const children = kind === 'array' ? this.diffArrays(left, right) : this.diffObjects(left, right);
+            const changed = children.some(child => child.status !== 'unchanged');
+            return { status: changed ? 'modified' : 'unchanged', key, label, left, right, kind, children };
+        }
+
+        const status = this.hash(left) === this.hash(right) ? 'unchanged' : 'changed';
+        return { status, key, label, left, right, kind: null, children: null };
+    }
+
+    // Keys in this document's order, then keys only the other one has
+    diffObjects(left, right) {
+        const children = Object.keys(left).map(key => {
+            return Object.prototype.hasOwnProperty.call(right, key)
+                ? this.diff(left[key], right[key], key, key)
+                : StructuralDiff.subtree(left[key], 'removed', key, key);
+        });
+
+        Object.keys(right).forEach(key => {
+            if (!Object.prototype.hasOwnProperty.call(left, key)) {
+                children.push(StructuralDiff.subtree(right[key], 'added', key, key));
+            }
+        });
+        return children;
+    }
+
+    diffArrays(left, right) {
+        const pairs = this.matchKey && this.isKeyed(left) && this.isKeyed(right)
+            ? this.pairByKey(left, right)
+            : this.pairBySequence(left, right);
+
+        return pairs.map((pair, position) => {
+            const label = this.itemLabel(pair);
+            let node;
+            if (pair.left === undefined) {
+                node = StructuralDiff.subtree(right[pair.right], 'added', position, label);
+            } else if (pair.right === undefined) {
+                node = StructuralDiff.subtree(left[pair.left], 'removed', position, label);
+            } else {
+                node = this.diff(left[pair.left], right[pair.right], position, label);
+            }
+            node.leftIndex = pair.left;
+            node.rightIndex = pair.right;
+            return node;
+        });
+    }
+
+    isKeyed(items) {
+        return items.every(item => StructuralDiff.kindOf(item) === 'object' &&
+            Object.prototype.hasOwnProperty.call(item, this.matchKey));
+    }
+
+    itemLabel(pair) {
+        if (pair.id !== undefined) return `${this.matchKey}=${pair.id}`;
+        if (pair.left === undefined) return pair.right;
+        if (pair.right === undefined || pair.left === pair.right) return pair.left;
+        return `${pair.left} → ${pair.right}`;
+    }
+
+    /**
+     * Pairs of indexes ({ left, right, id }) matched by the key field, in the
+     * other document's order with removed items kept near their old place
+     */
+    pairByKey(left, right) {
+        const leftIndexes = new Map();
+        left.forEach((item, index) => {
+            const id = this.hash(item[this.matchKey]);
+            if (!leftIndexes.has(id)) leftIndexes.set(id, index);
+        });
+
+        const matched = new Set();
+        const rightMatches = right.map(item => {
+            const index = leftIndexes.get(this.hash(item[this.matchKey]));
+            if (index === undefined || matched.has(index)) return undefined;
+            matched.add(index);
+            return index;
+        });
+
+        const pairs = [];
+        let nextLeft = 0;
+        const flushRemoved = (until) => {
+            for (; nextLeft < until; nextLeft++) {
+                if (!matched.has(nextLeft)) {
+                    pairs.push({ left: nextLeft, id: StructuralDiff.idText(left[nextLeft][this.matchKey]) });
+                }
+            }
+        };
+
+        right.forEach((item, index) => {
+            const leftIndex = rightMatches[index];
+            if (leftIndex !== undefined && leftIndex >= nextLeft) {
+                flushRemoved(leftIndex);
+                nextLeft = leftIndex + 1;
+            }
+            pairs.push({ left: leftIndex, right: index, id: StructuralDiff.idText(item[this.matchKey]) });
+        });
+        flushRemoved(left.length);
+
+        return pairs;
+    }
+
+    static idText(value) {
+        return StructuralDiff.isContainer(value) ? JSON.stringify(value) : VirtualTree.formatValue(value);
+    }
+
+    /**
+     * Pairs of indexes ({ left, right }) keeping equal items aligned. Items
+     * between two aligned ones are compared position by position.
+     */
+    pairBySequence(left, right) {
+        const leftHashes = left.map(item => this.hash(item));
+        const rightHashes = right.map(item => this.hash(item));
+
+        // Common ends first, so the usual small edit stays cheap
+        let start = 0;
+        while (start < left.length && start < right.length && leftHashes[start] === rightHashes[start]) {
+            start++;
+        }
+        let leftEnd = left.length;
+        let rightEnd = right.length;
+        while (leftEnd > start && rightEnd > start && leftHashes[leftEnd - 1] === rightHashes[rightEnd - 1]) {
+            leftEnd--;
+            rightEnd--;
+        }
+
+        const anchors = StructuralDiff.commonSubsequence(
+            leftHashes.slice(start, leftEnd), rightHashes.slice(start, rightEnd)
+        ).map(([l, r]) => [l + start, r + start]);
+
+        const pairs = [];
+        for (let i = 0; i < start; i++) {
+            pairs.push({ left: i, right: i });
+        }
+
+        let l = start;
+        let r = start;
+        anchors.concat([[leftEnd, rightEnd]]).forEach(([anchorLeft, anchorRight]) => {
+            // The gap before this anchor
+            while (l < anchorLeft && r < anchorRight) {
+                pairs.push({ left: l++, right: r++ });
+            }
+            while (l < anchorLeft) {
+                pairs.push({ left: l++ });
+            }
+            while (r < anchorRight) {
+                pairs.push({ right: r++ });
+            }
+            if (anchorLeft < leftEnd) {
+                pairs.push({ left: l++, right: r++ });
+            }
+        });
+
+        for (let i = 0; leftEnd + i < left.length; i++) {
+            pairs.push({ left: leftEnd + i, right: rightEnd + i });
+        }
+        return pairs;
+    }
+
+    /**
+     * Index pairs of a longest common subsequence of two hash lists. Lists
+     * too long for the table are aligned without anchors.
+     */
+    static commonSubsequence(a, b) {
+        if (a.length === 0 || b.length === 0 || (a.length + 1) * (b.length + 1) > StructuralDiff.MAX_LCS_CELLS) {
+            return [];
+        }
+
+        const width = b.length + 1;
+        const table = new Uint32Array((a.length + 1) * width);
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                table[i * width + j] = a[i] === b[j]
+                    ? table[(i + 1) * width + j + 1] + 1
+                    : Math.max(table[(i + 1) * width + j], table[i * width + j + 1]);
+            }
+        }
+
+        const pairs = [];
+        let i = 0;
+        let j = 0;
+        while (i < a.length && j < b.length) {
+            if (a[i] === b[j]) {
+                pairs.push([i++, j++]);
+            } else if (table[(i + 1) * width + j] >= table[i * width + j + 1]) {
+                i++;
+            } else {
+                j++;
+            }
+        }
+        return pairs;
+    }
+
+    /**
+     * A string equal for equal values, ignoring object key order
+     */
+    hash(value) {
+        if (!StructuralDiff.isContainer(value)) {
+            if (value === undefined || value === null) return 'null';
+            if (value instanceof Date) return `date:${value.toISOString()}`;
+            if (VirtualTree.isDateValue(value)) return `date:${value.text}`;
+            if (VirtualTree.isExactNumber(value)) return `number:${value.text}`;
+            return `${typeof value}:${String(value)}`;
+        }
+
+        if (this.hashes.has(value)) return this.hashes.get(value);
+
+        const hash = Array.isArray(value)
+            ? `[${value.map(item => this.hash(item)).join(',')}]`
+            : `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${this.hash(value[key])}`).join(',')}}`;
+        this.hashes.set(value, hash);
+        return hash;
+    }
+
+    /**
+     * A value that exists on one side only, with its children marked the same
+     */
+    static subtree(value, status, key, label) {
+        const kind = StructuralDiff.kindOf(value);
+        const side = status === 'added' ? 'right' : 'left';
+        const node = { status, key, label, left: undefined, right: undefined, kind, children: null };
+        node[side] = value;
+
+        if (kind === 'array') {
+            node.children = value.map((item, index) => StructuralDiff.subtree(item, status, index, index));
+        } else if (kind === 'object') {
+            node.children = Object.keys(value).map(name => StructuralDiff.subtree(value[name], status, name, name));
+        }
+        return node;
+    }
+
+    /**
+     * Counts of added, removed and changed values. Values inside an added or
+     * removed container are not counted again.
+     */
+    static summarize(root) {
+        const counts = { added: 0, removed: 0, changed: 0 };
+        const visit = (node) => {
+            if (node.status === 'modified') {
+                node.children.forEach(visit);
+            } else if (node.status !== 'unchanged') {
+                counts[node.status]++;
+            }
+        };
+        visit(root);
+        return counts;
+    }
+
+    /**
+     * Added, removed and changed values as a flat list of
+     * { status, path, rightPath, left, right }. path leads to the value in
+     * the right document, or in the left one for removed values; rightPath
+     * is the row that shows the change in the right document, which for a
+     * removed value is the container it was removed from.
+     */
+    static changes(root) {
+        const changes = [];
+        const visit = (node, leftPath, rightPath, parentPath) => {
+            if (node.status === 'modified') {
+                const isArray = node.kind === 'array';
+                node.children.forEach(child => visit(
+                    child,
+                    leftPath.concat([isArray ? child.leftIndex : child.key]),
+                    rightPath.concat([isArray ? child.rightIndex : child.key]),
+                    rightPath
+                ));
+            } else if (node.status !== 'unchanged') {
+                const removed = node.status === 'removed';
+                changes.push({
+                    status: node.status,
+                    path: removed ? leftPath : rightPath,
+                    rightPath: removed ? parentPath : rightPath,
+                    left: node.left,
+                    right: node.right
+                });
+            }
+        };
+        visit(root, [], [], []);
+        return changes;
+    }
+
+    /**
+     * A path as jq would write it, e.g. .items[2].name
+     */
+    static pathText(path) {
+        const text = path.map(key => {
+            if (typeof key === 'number') return `[${key}]`;
+            return /^[A-Za-z_$][\w$]*$/.test(key) ? `.${key}` : `[${JSON.stringify(key)}]`;
+        }).join('');
+        return text.startsWith('.') ? text : `.${text}`;
+    }
+}
+
+StructuralDiff.MAX_LCS_CELLS = 4000000; // 16MB of table
+
+/**
+ * Virtual tree of a StructuralDiff result. Rows are marked as added,
+ * removed or changed, and containers with changes inside start expanded.
+ */
+class DiffTree extends VirtualTree {
+    constructor(diff, options = {}) {
+        super(diff, options);
+        this.changes = this.findChanges();
+        this.changeIndex = -1;
+    }
+
+    createNode(diff, key, parent) {
+        const count = diff.children ? diff.children.length : 0;
+        return {
+            value: diff,
+            key,
+            parent,
+            level: parent ? parent.level + 1 : -1,
+            container: diff.children !== null,
+            count,
+            expandable: count > 0,
+            expanded: false,
+            children: null
+        };
+    }
+
+    getChildren(node) {
+        if (!node.children) {
+            node.children = this.childrenOf(node.value).map(child => this.createNode(child, child.key, node));
+        }
+        return node.children;
+    }
+
+    // Diff children in display order
+    childrenOf(diff) {
+        const children = diff.children || [];
+        if (!this.sortKeys || diff.kind !== 'object') return children;
+        return children.slice().sort((a, b) => String(a.key).localeCompare(String(b.key)));
+    }
+
+    // Open the path to every change; an identical document opens as usual
+    expandInitial() {
+        if (!this.root.expandable || this.root.value.status === 'unchanged') {
+            super.expandInitial();
+            return;
+        }
+
+        const expand = (node) => {
+            node.expanded = true;
+            this.getChildren(node).forEach(child => {
+                if (child.value.status === 'modified') expand(child);
+            });
+        };
+        expand(this.root);
+
+        this.rows = [];
+        this.collectVisible(this.root, this.rows);
+    }
+
+    keyText(node) {
+        const label = node.value.label;
+        return typeof label === 'number' || (node.parent && node.parent.value.kind === 'array')
+            ? String(label)
+            : `"${label}"`;
+    }
+
+    isArrayNode(node) {
+        return node.value.kind === 'array';
+    }
+
+    renderLeaf(node) {
+        const diff = node.value;
+        if (diff.status !== 'changed') {
+            return this.renderSide(diff.status === 'added' ? diff.right : diff.left);
+        }
+
+        const span = document.createElement('span');
+        span.className = 'fv-diff-values';
+
+        const before = this.renderSide(diff.left);
+        before.classList.add('fv-diff-old');
+        span.appendChild(before);
+        span.appendChild(this.createSpan('fv-diff-arrow', '→'));
+        span.appendChild(this.renderSide(diff.right));
+        return span;
+    }
+
+    // A value, with containers that aren't compared item by item summarized
+    renderSide(value) {
+        const kind = StructuralDiff.kindOf(value);
+        if (!kind) return this.renderValue(value);
+
+        const count = kind === 'array' ? value.length : Object.keys(value).length;
+        return this.createSpan('fv-tree-value', kind === 'array' ? `[${count} items]` : `{${count} items}`);
+    }
+
+    renderRow(node, index) {
+        const line = super.renderRow(node, index);
+        const status = node.value.status;
+
+        line.classList.add(`fv-diff-${status}`);
+        const marker = this.createSpan('fv-diff-marker', DiffTree.MARKERS[status]);
+        line.insertBefore(marker, line.firstChild);
+
+        if (status === 'modified' && node.expandable) {
+            // Counted once per container; rows are rendered again on every scroll
+            const counts = node.value.counts || (node.value.counts = StructuralDiff.summarize(node.value));
+            const total = counts.added + counts.removed + counts.changed;
+            line.lastChild.appendChild(this.createSpan('fv-diff-count', `${total} ${total === 1 ? 'change' : 'changes'}`));
+        }
+        return line;
+    }
+
+    // Search keys and both sides of every value
+    findMatches(term, limit = 10000) {
+        const matches = [];
+        const visit = (node, diff, path) => {
+            this.childrenOf(diff).forEach(child => {
+                if (matches.length >= limit) return;
+                const childNode = { value: child, key: child.key, parent: node };
+                const childPath = path.concat([child.key]);
+                const values = child.children ? [] : [child.left, child.right].filter(value => value !== undefined);
+
+                if (this.keyText(childNode).toLowerCase().includes(term) ||
+                    values.some(value => VirtualTree.formatValue(value).toLowerCase().includes(term))) {
+                    matches.push(childPath);
+                }
+                if (child.children) {
+                    visit(childNode, child, childPath);
+                }
+            });
+        };
+
+        visit(this.root, this.data, []);
+        return matches;
+    }
+
+    // Paths to every added, removed or changed value, in display order
+    findChanges() {
+        const changes = [];
+        const visit = (diff, path) => {
+            this.childrenOf(diff).forEach(child => {
+                const childPath = path.concat([child.key]);
+                if (child.status === 'modified') {
+                    visit(child, childPath);
+                } else if (child.status !== 'unchanged') {
+                    changes.push(childPath);
+                }
+            });
+        };
+
+        if (this.data.status === 'changed') {
+            changes.push([]);
+        } else {
+            visit(this.data, []);
+        }
+        return changes;
+    }
+
+    /**
+     * Focus the next (or previous) change; returns its position and the total
+     */
+    nextChange(step = 1) {
+        const count = this.changes.length;
+        if (count === 0) return { index: -1, count };
+
+        this.changeIndex = this.changeIndex === -1 && step < 0
+            ? count - 1
+            : (this.changeIndex + step + count) % count;
+
+        const node = this.revealPath(this.changes[this.changeIndex]);
+        this.focusIndex = this.rows.indexOf(node);
+        this.update(true);
+        this.scrollToRow(this.focusIndex);
+        this.update(true);
+        this.container.focus({ preventScroll: true });
+
+        return { index: this.changeIndex, count };
+    }
+}
+
+DiffTree.MARKERS = {
+    unchanged: '',
+    modified: '~',
+    changed: '~',
+    added: '+',
+    removed: '−'
+};
+
+// Export for debugging
+if (typeof globalThis !== 'undefined') {
+    globalThis.StructuralDiff = StructuralDiff;
+    globalThis.DiffTree = DiffTree;
+}
@@ -0,0 +1,524 @@
+/**
+ * 🦊 Native Multi-Format Viewer - Tree Editing
+ * Edits to a parsed document with undo/redo, and the tree that makes them
+ *
+ * TreeEditor changes the document in place through operations, each of
+ * which is undone by another operation:
+ *   { type: 'set', path, value }               replace the value at path
+ *   { type: 'rename', path, key }              give the property at path a new name
+ *   { type: 'insert', path, key, value, position }  add to the container at path
+ *   { type: 'remove', path }
+ *   { type: 'move', path, index }              move an array item to index
+ * Paths are lists of keys, as in VirtualTree. Object keys keep their order
+ * through renames, and removed keys come back in their old place.
+ */
+
+class TreeEditor {
+    constructor(data) {
+        this.data = data;
+        this.undoStack = []; // { operation, inverse }
+        this.redoStack = [];
+    }
+
+    /**
+     * Apply an operation and return the path of the value it left in place
+     * (the parent's for removals). Throws when the operation doesn't fit the
+     * document, or when `check` (called after the change) throws; either
+     * way the document is left unchanged.
+     */
+    apply(operation, check = () => {}) {
+        const inverse = this.run(operation);
+        try {
+            check(this.data);
+        } catch (error) {
+            this.run(inverse);
+            throw error;
+        }
+
+        this.undoStack.push({ operation, inverse });
+        if (this.undoStack.length > TreeEditor.HISTORY_LIMIT) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+        return TreeEditor.target(operation);
+    }
+
+    undo() {
+        const entry = this.undoStack.pop();
+        if (!entry) return null;
+        this.run(entry.inverse);
+        this.redoStack.push(entry);
+        return TreeEditor.target(entry.inverse);
+    }
+
+    redo() {
+        const entry = this.redoStack.pop();
+        if (!entry) return null;
+        entry.inverse = this.run(entry.operation);
+        this.undoStack.push(entry);
+        return TreeEditor.target(entry.operation);
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    // Runs an operation and returns its inverse
+    run(operation) {
+        const { type, path } = operation;
+
+        if (type === 'set' && path.length === 0) {
+            const previous = this.data;
+            this.data = operation.value;
+            return { type: 'set', path, value: previous };
+        }
+
+        if (type === 'insert') {
+            return this.insert(this.containerAt(path), operation);
+        }
+
+        if (path.length === 0) {
+            throw new Error('The document itself can only be replaced');
+        }
+
+        const parentPath = path.slice(0, -1);
+        const parent = this.containerAt(parentPath);
+        const key = path[path.length - 1];
+        if (!Object.prototype.hasOwnProperty.call(parent, key)) {
+            throw new Error(`Nothing at ${StructuralDiff.pathText(path)}`);
+        }
+
+        switch (type) {
+            case 'set': {
+                const previous = parent[key];
+                TreeEditor.setOwn(parent, key, operation.value);
+                return { type: 'set', path, value: previous };
+            }
+
+            case 'rename': {
+                if (Array.isArray(parent)) {
+                    throw new Error('Array items have no name');
+                }
+                if (Object.prototype.hasOwnProperty.call(parent, operation.key)) {
+                    throw new Error(`"${operation.key}" already exists`);
+                }
+                TreeEditor.rebuild(parent, Object.keys(parent).map(name => [name === key ? operation.key : name, parent[name]]));
+                return { type: 'rename', path: parentPath.concat([operation.key]), key };
+            }
+
+            case 'remove': {
+                const value = parent[key];
+                if (Array.isArray(parent)) {
+                    parent.splice(key, 1);
+                    return { type: 'insert', path: parentPath, key, value };
+                }
+                const position = Object.keys(parent).indexOf(key);
+                delete parent[key];
+                return { type: 'insert', path: parentPath, key, value, position };
+            }
+
+            case 'move': {
+                if (!Array.isArray(parent) || operation.index < 0 || operation.index >= parent.length) {
+                    throw new Error('Only array items can be moved, within their array');
+                }
+                const [item] = parent.splice(key, 1);
+                parent.splice(operation.index, 0, item);
+                return { type: 'move', path: parentPath.concat([operation.index]), index: key };
+            }
+
+            default:
+                throw new Error(`Unknown edit: ${type}`);
+        }
+    }
+
+    insert(container, { path, key, value, position }) {
+        if (Array.isArray(container)) {
+            if (typeof key !== 'number' || key < 0 || key > container.length) {
+                throw new Error(`No index ${key} in this array`);
+            }
+            container.splice(key, 0, value);
+        } else {
+            if (Object.prototype.hasOwnProperty.call(container, key)) {
+                throw new Error(`"${key}" already exists`);
+            }
+            const entries = Object.keys(container).map(name => [name, container[name]]);
+            entries.splice(position === undefined ? entries.length : position, 0, [key, value]);
+            TreeEditor.rebuild(container, entries);
+        }
+        return { type: 'remove', path: path.concat([key]) };
+    }
+
+    containerAt(path) {
+        let value = this.data;
+        for (const key of path) {
+            if (!StructuralDiff.isContainer(value) || !Object.prototype.hasOwnProperty.call(value, key)) {
+                throw new Error(`Nothing at ${StructuralDiff.pathText(path)}`);
+            }
+            value = value[key];
+        }
+        if (!StructuralDiff.isContainer(value)) {
+            throw new Error(`${StructuralDiff.pathText(path)} is not an object or array`);
+        }
+        return value;
+    }
+
+    // Path of the value an operation leaves in place
+    static target(operation) {
+        const { type, path } = operation;
+        switch (type) {
+            case 'rename':
+                return path.slice(0, -1).concat([operation.key]);
+            case 'insert':
+                return path.concat([operation.key]);
+            case 'remove':
+                return path.slice(0, -1);
+            case 'move':
+                return path.slice(0, -1).concat([operation.index]);
+            default:
+                return path;
+        }
+    }
+
+    // Refill an object in a new key order, keeping the object itself
+    static rebuild(object, entries) {
+        Object.keys(object).forEach(key => delete object[key]);
+        entries.forEach(([key, value]) => TreeEditor.setOwn(object, key, value));
+    }
+
+    // Keys such as "__proto__" must not touch the prototype
+    static setOwn(object, key, value) {
+        Object.defineProperty(object, key, { value, writable: true, enumerable: true, configurable: true });
+    }
+}
+
+TreeEditor.HISTORY_LIMIT = 500;
+
+/**
+ * Virtual tree with controls to edit the document. Keys and values are
+ * edited in place (double-click or F2); edits go to options.onEdit, which
+ * returns an error message to show, or null once the edit is made.
+ */
+class EditableTree extends VirtualTree {
+    constructor(data, options = {}) {
+        super(data, options);
+        this.onEdit = options.onEdit;
+        this.editing = null; // { path, field: 'key' or 'value', draft, error, input }
+    }
+
+    render() {
+        const container = super.render();
+        container.classList.add('fv-editable-tree');
+        container.addEventListener('dblclick', (e) => this.handleDoubleClick(e));
+        return container;
+    }
+
+    update(force = false) {
+        super.update(force);
+        // Rows are rebuilt on scroll; the input of the row being edited comes back focused
+        if (this.editing && this.editing.input && this.editing.input.isConnected &&
+            document.activeElement !== this.editing.input) {
+            this.editing.input.focus({ preventScroll: true });
+        }
+    }
+
+    renderRow(node, index) {
+        const line = super.renderRow(node, index);
+
+        if (this.isEditing(node)) {
+            const field = this.editing.field === 'key' ? '.fv-tree-key' : '.fv-tree-value';
+            const target = line.querySelector(field);
+            if (target) {
+                target.replaceWith(this.renderInput());
+            }
+        }
+
+        line.appendChild(this.renderActions(node));
+        return line;
+    }
+
+    renderInput() {
+        const editing = this.editing;
+        const wrapper = document.createElement('span');
+        wrapper.className = 'fv-edit-field';
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'fv-edit-input';
+        input.spellcheck = false;
+        input.value = editing.draft;
+        input.classList.toggle('invalid', Boolean(editing.error));
+        input.setAttribute('aria-label', editing.field === 'key' ? 'Key' : 'Value');
+        input.addEventListener('input', () => {
+            editing.draft = input.value;
+        });
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.commitEdit();
+            } else if (e.key === 'Escape') {
+                e.preventDefault();
+                this.cancelEdit();
+            }
+        });
+        input.addEventListener('blur', () => {
+            // Blur also fires when the row is rebuilt; only a real blur commits
+            if (this.editing === editing && editing.input === input && input.isConnected) {
+                this.commitEdit();
+            }
+        });
+        editing.input = input;
+        wrapper.appendChild(input);
+
+        if (editing.error) {
+            wrapper.appendChild(this.createSpan('fv-edit-error', editing.error));
+        }
+        return wrapper;
+    }
+
+    renderActions(node) {
+        const actions = document.createElement('span');
+        actions.className = 'fv-edit-actions';
+
+        const inArray = node.parent && Array.isArray(node.parent.value);
+        if (node.container) {
+            actions.appendChild(this.createButton('add', '+', Array.isArray(node.value) ? 'Add item' : 'Add key'));
+        }
+        if (inArray) {
+            actions.appendChild(this.createButton('up', '↑', 'Move up (Alt+↑)', node.key === 0));
+            actions.appendChild(this.createButton('down', '↓', 'Move down (Alt+↓)', node.key === node.parent.value.length - 1));
+        }
+        if (node.key !== null) {
+            actions.appendChild(this.createButton('remove', '×', 'Delete (Del)'));
+        }
+        return actions;
+    }
+
+    createButton(action, text, title, disabled = false) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'fv-edit-btn';
+        button.dataset.edit = action;
+        button.textContent = text;
+        button.title = title;
+        button.disabled = disabled;
+        return button;
+    }
+
+    isEditing(node) {
+        return this.editing !== null && node === this.nodeAt(this.editing.path);
+    }
+
+    handleClick(event) {
+        if (event.target.closest('.fv-edit-field')) return;
+
+        const button = event.target.closest('[data-edit]');
+        if (button) {
+            const line = button.closest('.fv-tree-line');
+            this.runAction(button.dataset.edit, this.rows[Number(line.dataset.index)]);
+            return;
+        }
+        super.handleClick(event);
+    }
+
+    handleDoubleClick(event) {
+        const line = event.target.closest('.fv-tree-line');
+        if (!line || event.target.closest('.fv-edit-field, [data-edit]')) return;
+
+        const node = this.rows[Number(line.dataset.index)];
+        const onKey = event.target.closest('.fv-tree-key');
+        this.startEdit(this.pathOf(node), onKey ? 'key' : 'value');
+    }
+
+    /**
+     * F2 edits, Delete removes, Insert adds to a container and Alt+Up/Down
+     * move array items; everything else navigates as usual
+     */
+    handleKeydown(event) {
+        if (event.target.closest('.fv-edit-field')) return;
+
+        const node = this.rows[this.focusIndex];
+        const actions = {
+            F2: 'edit',
+            Delete: 'remove',
+            Insert: 'add',
+            ArrowUp: event.altKey ? 'up' : null,
+            ArrowDown: event.altKey ? 'down' : null
+        };
+        const action = actions[event.key];
+        if (node && action) {
+            event.preventDefault();
+            this.runAction(action, node);
+            return;
+        }
+        super.handleKeydown(event);
+    }
+
+    runAction(action, node) {
+        const path = this.pathOf(node);
+        const inArray = node.parent && Array.isArray(node.parent.value);
+
+        switch (action) {
+            case 'edit':
+                this.startEdit(path, node.expandable ? 'key' : 'value');
+                break;
+            case 'add':
+                if (node.container) {
+                    this.onEdit(EditableTree.newChild(node.value, path));
+                }
+                break;
+            case 'remove':
+                if (node.key !== null) {
+                    this.onEdit({ type: 'remove', path });
+                }
+                break;
+            case 'up':
+            case 'down': {
+                const index = node.key + (action === 'up' ? -1 : 1);
+                if (inArray && index >= 0 && index < node.parent.value.length) {
+                    this.onEdit({ type: 'move', path, index });
+                }
+                break;
+            }
+        }
+    }
+
+    /**
+     * Open the key or value at path for editing. Keys of array items and
+     * values of non-empty containers can't be edited.
+     */
+    startEdit(path, field) {
+        const node = this.revealPath(path);
+        if (!node) return;
+
+        const inArray = node.parent && Array.isArray(node.parent.value);
+        if (field === 'key' && (node.key === null || inArray)) {
+            field = 'value';
+        }
+        if (field === 'value' && node.expandable) return;
+
+        this.editing = {
+            path,
+            field,
+            draft: field === 'key' ? String(node.key) : EditableTree.inputText(node.value),
+            error: null,
+            input: null
+        };
+        this.focusIndex = this.rows.indexOf(node);
+        this.scrollToRow(this.focusIndex);
+        this.update(true);
+
+        if (this.editing.input) {
+            this.editing.input.select();
+        }
+    }
+
+    commitEdit() {
+        const editing = this.editing;
+        const node = this.nodeAt(editing.path);
+        let operation;
+
+        try {
+            if (editing.field === 'key') {
+                if (editing.draft === String(node.key)) {
+                    this.cancelEdit();
+                    return;
+                }
+                operation = { type: 'rename', path: editing.path, key: editing.draft };
+            } else {
+                if (editing.draft === EditableTree.inputText(node.value)) {
+                    this.cancelEdit();
+                    return;
+                }
+                operation = { type: 'set', path: editing.path, value: EditableTree.parseInput(editing.draft, node.value) };
+            }
+        } catch (error) {
+            this.showEditError(error.message);
+            return;
+        }
+
+        // On success the viewer replaces this tree
+        const error = this.onEdit(operation);
+        if (error) {
+            this.showEditError(error);
+        }
+    }
+
+    cancelEdit() {
+        this.editing = null;
+        this.update(true);
+        this.container.focus({ preventScroll: true });
+    }
+
+    showEditError(message) {
+        this.editing.error = message;
+        this.update(true);
+    }
+
+    /**
+     * The operation that adds an empty entry to a container: an item at the
+     * end of an array, or a key named "key", "key2", ... in an object
+     */
+    static newChild(container, path) {
+        if (Array.isArray(container)) {
+            return { type: 'insert', path, key: container.length, value: '' };
+        }
+        let key = 'key';
+        for (let i = 2; Object.prototype.hasOwnProperty.call(container, key); i++) {
+            key = `key${i}`;
+        }
+        return { type: 'insert', path, key, value: '' };
+    }
+
+    // Text shown in the input: strings in quotes, everything else as JSON would write it
+    static inputText(value) {
+        if (value instanceof Date) return value.toISOString();
+        if (VirtualTree.isDateValue(value) || VirtualTree.isExactNumber(value)) return value.text;
+        if (value === undefined) return 'null';
+        return JSON.stringify(value);
+    }
+
+    /**
+     * Read a typed value: JSON literals (42, true, null, "text", [], {})
+     * keep their type and anything else is a string. Dates stay dates while
+     * the text still reads as one, and numbers a double would round are kept
+     * as written.
+     */
+    static parseInput(text, previous) {
+        const trimmed = text.trim();
+
+        if (previous instanceof Date && EditableTree.DATE_PATTERNS['offset-datetime'].test(trimmed)) {
+            const date = new Date(trimmed);
+            if (!Number.isNaN(date.getTime())) return date;
+        }
+        if (typeof TomlDateTime !== 'undefined' && previous instanceof TomlDateTime &&
+            EditableTree.DATE_PATTERNS[previous.kind].test(trimmed)) {
+            return new TomlDateTime(previous.kind, trimmed);
+        }
+
+        try {
+            return JsonParser.parse(trimmed, { lossless: true });
+        } catch (error) {
+            if (/^["[{]/.test(trimmed)) {
+                throw new Error(`Invalid value: ${error.message}`);
+            }
+            return text;
+        }
+    }
+}
+
+EditableTree.DATE_PATTERNS = {
+    'offset-datetime': /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/i,
+    'local-datetime': /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}:\d{2}(\.\d+)?$/i,
+    'local-date': /^\d{4}-\d{2}-\d{2}$/,
+    'local-time': /^\d{2}:\d{2}:\d{2}(\.\d+)?$/
+};
+
+// Export for debugging
+if (typeof globalThis !== 'undefined') {
+    globalThis.TreeEditor = TreeEditor;
+    globalThis.EditableTree = EditableTree;
+}
@@ -0,0 +1,280 @@
+/**
+ * 🦊 Native Multi-Format Viewer - Feed Reader
+ * Entries and metadata of RSS 2.0 and Atom feeds
+ *
+ * Reads XmlParser's node tree, so names are matched by namespace: Atom
+ * elements in the Atom namespace, RSS ones in none, plus the content and
+ * Dublin Core modules RSS feeds use for full text, authors and dates.
+ * Summaries are HTML from the feed's publisher. They are parsed by
+ * DOMParser, which runs nothing and loads nothing, and rebuilt from an
+ * allowlist of elements with links as the only attributes, so no script,
+ * style, frame, form or image reaches the page.
+ */
+
+class FeedReader {
+    /**
+     * The feed a parsed XML document is, or null when it isn't one:
+     * { format, title, link, description, updated, author, language,
+     * generator, entries }. Entries are { title, link, date, dateText,
+     * author, summary, line }, newest first, with undated ones last in
+     * document order; summary is { html } or { text }.
+     */
+    static read(document) {
+        const root = document.children.find(child => child.type === 'element');
+        if (!root) return null;
+
+        if (FeedReader.is(root, null, 'rss')) {
+            const channel = FeedReader.child(root, null, 'channel');
+            return channel ? FeedReader.readRss(root, channel) : null;
+        }
+        if (FeedReader.is(root, FeedReader.ATOM_NAMESPACE, 'feed')) {
+            return FeedReader.readAtom(root);
+        }
+        return null;
+    }
+
+    static readRss(root, channel) {
+        const text = (namespace, name) => FeedReader.text(FeedReader.child(channel, namespace, name));
+        const entries = FeedReader.children(channel, null, 'item').map(item => {
+            const itemText = (namespace, name) => FeedReader.text(FeedReader.child(item, namespace, name));
+            const guid = FeedReader.child(item, null, 'guid');
+            const permalink = guid && FeedReader.attribute(guid, 'isPermaLink') !== 'false' ? FeedReader.text(guid) : '';
+            const description = itemText(null, 'description') || itemText(FeedReader.CONTENT_NAMESPACE, 'encoded');
+
+            return FeedReader.entry({
+                title: itemText(null, 'title'),
+                link: itemText(null, 'link') || permalink,
+                dateText: itemText(null, 'pubDate') || itemText(FeedReader.DC_NAMESPACE, 'date'),
+                author: itemText(null, 'author') || itemText(FeedReader.DC_NAMESPACE, 'creator'),
+                summary: description ? { html: description } : null,
+                line: item.line
+            });
+        });
+
+        return {
+            format: `RSS ${FeedReader.attribute(root, 'version') || '2.0'}`,
+            title: text(null, 'title'),
+            link: text(null, 'link'),
+            description: text(null, 'description'),
+            updated: FeedReader.parseDate(text(null, 'lastBuildDate') || text(null, 'pubDate') || text(FeedReader.DC_NAMESPACE, 'date')),
+            author: text(null, 'managingEditor') || text(FeedReader.DC_NAMESPACE, 'creator'),
+            language: text(null, 'language'),
+            generator: text(null, 'generator'),
+            entries: FeedReader.sortByDate(entries)
+        };
+    }
+
+    static readAtom(root) {
+        const atom = name => FeedReader.child(root, FeedReader.ATOM_NAMESPACE, name);
+        const feedAuthor = FeedReader.atomAuthor(root);
+        const entries = FeedReader.children(root, FeedReader.ATOM_NAMESPACE, 'entry').map(entry => {
+            const child = name => FeedReader.child(entry, FeedReader.ATOM_NAMESPACE, name);
+            const summary = child('summary') || child('content');
+
+            return FeedReader.entry({
+                title: FeedReader.atomText(child('title')),
+                link: FeedReader.atomLink(entry),
+                dateText: FeedReader.text(child('published')) || FeedReader.text(child('updated')),
+                // An entry without authors has the feed's
+                author: FeedReader.atomAuthor(entry) || feedAuthor,
+                summary: FeedReader.atomContent(summary),
+                line: entry.line
+            });
+        });
+
+        const generator = atom('generator');
+        return {
+            format: 'Atom',
+            title: FeedReader.atomText(atom('title')),
+            link: FeedReader.atomLink(root),
+            description: FeedReader.atomText(atom('subtitle')),
+            updated: FeedReader.parseDate(FeedReader.text(atom('updated'))),
+            author: feedAuthor,
+            language: FeedReader.attribute(root, 'xml:lang') || '',
+            generator: generator ? FeedReader.text(generator) : '',
+            entries: FeedReader.sortByDate(entries)
+        };
+    }
+
+    static entry(fields) {
+        return Object.assign(fields, { title: fields.title.trim(), date: FeedReader.parseDate(fields.dateText) });
+    }
+
+    // Authors' names, or their emails when they have none
+    static atomAuthor(node) {
+        return FeedReader.children(node, FeedReader.ATOM_NAMESPACE, 'author')
+            .map(author => FeedReader.text(FeedReader.child(author, FeedReader.ATOM_NAMESPACE, 'name')) ||
+                FeedReader.text(FeedReader.child(author, FeedReader.ATOM_NAMESPACE, 'email')))
+            .filter(Boolean)
+            .join(', ');
+    }
+
+    // The alternate link, which is what a link without rel is
+    static atomLink(node) {
+        const links = FeedReader.children(node, FeedReader.ATOM_NAMESPACE, 'link');
+        const link = links.find(candidate => (FeedReader.attribute(candidate, 'rel') || 'alternate') === 'alternate') || links[0];
+        return link ? FeedReader.attribute(link, 'href') || '' : '';
+    }
+
+    // Title-like Atom text constructs as plain text
+    static atomText(node) {
+        const content = FeedReader.atomContent(node);
+        if (!content) return '';
+        if (content.text !== undefined) return content.text;
+        return new DOMParser().parseFromString(content.html, 'text/html').body.textContent;
+    }
+
+    // An Atom text construct or content: type="text" is text, "html" escaped HTML and "xhtml" a div of markup
+    static atomContent(node) {
+        if (!node) return null;
+        const type = FeedReader.attribute(node, 'type') || 'text';
+        if (type === 'html') return { html: FeedReader.text(node) };
+        if (type === 'xhtml') {
+            const div = node.children.find(child => child.type === 'element');
+            return { html: div ? div.children.map(child => FeedReader.markup(child)).join('') : '' };
+        }
+        // Other media types, such as out-of-line content with src, have no text to show
+        return type === 'text' || type.startsWith('text/') ? { text: FeedReader.text(node) } : null;
+    }
+
+    static markup(node) {
+        switch (node.type) {
+            case 'text':
+            case 'cdata':
+                return XmlParser.escape(node.value);
+            case 'element': {
+                const name = FeedReader.localName(node.name);
+                const attributes = node.attributes
+                    .filter(attribute => !attribute.name.startsWith('xmlns'))
+                    .map(attribute => ` ${attribute.name}="${XmlParser.escape(attribute.value, true)}"`)
+                    .join('');
+                return `<${name}${attributes}>${node.children.map(child => FeedReader.markup(child)).join('')}</${name}>`;
+            }
+            default:
+                return '';
+        }
+    }
+
+    // RFC 822 dates of RSS and RFC 3339 ones of Atom; null when there is none or it can't be read
+    static parseDate(text) {
+        if (!text) return null;
+        const date = new Date(text.trim());
+        return Number.isNaN(date.getTime()) ? null : date;
+    }
+
+    static sortByDate(entries) {
+        const dated = entries.filter(entry => entry.date);
+        const undated = entries.filter(entry => !entry.date);
+        return dated.sort((a, b) => b.date - a.date).concat(undated);
+    }
+
+    /**
+     * A fragment of ownerDocument with the allowed parts of an HTML summary.
+     * Links are resolved against baseUrl and kept only for http(s) and mailto.
+     */
+    static sanitize(html, ownerDocument, baseUrl) {
+        const source = new DOMParser().parseFromString(html, 'text/html');
+        const fragment = ownerDocument.createDocumentFragment();
+        FeedReader.copyAllowed(source.body, fragment, ownerDocument, baseUrl);
+        return fragment;
+    }
+
+    static copyAllowed(from, to, ownerDocument, baseUrl) {
+        Array.from(from.childNodes).forEach(node => {
+            if (node.nodeType === FeedReader.DOM_TEXT) {
+                to.appendChild(ownerDocument.createTextNode(node.nodeValue));
+                return;
+            }
+            if (node.nodeType !== FeedReader.DOM_ELEMENT) return;
+
+            const name = node.localName;
+            if (FeedReader.DROPPED_ELEMENTS.includes(name)) return;
+            if (name === 'img') {
+                // Images aren't loaded, but what they stand for is kept
+                const alt = (node.getAttribute('alt') || '').trim();
+                if (alt) to.appendChild(ownerDocument.createTextNode(`[${alt}]`));
+                return;
+            }
+            if (!FeedReader.ALLOWED_ELEMENTS.includes(name)) {
+                FeedReader.copyAllowed(node, to, ownerDocument, baseUrl);
+                return;
+            }
+
+            const copy = ownerDocument.createElement(name);
+            if (name === 'a') {
+                const href = FeedReader.safeUrl(node.getAttribute('href'), baseUrl);
+                if (href) {
+                    copy.setAttribute('href', href);
+                    copy.setAttribute('target', '_blank');
+                    copy.setAttribute('rel', 'noopener noreferrer');
+                }
+            }
+            FeedReader.copyAllowed(node, copy, ownerDocument, baseUrl);
+            to.appendChild(copy);
+        });
+    }
+
+    // An absolute http(s) or mailto URL, or null
+    static safeUrl(href, baseUrl) {
+        if (!href) return null;
+        try {
+            const url = new URL(href.trim(), baseUrl);
+            return FeedReader.LINK_PROTOCOLS.includes(url.protocol) ? url.href : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    static localName(name) {
+        return name.slice(name.indexOf(':') + 1);
+    }
+
+    static is(node, namespace, local) {
+        return FeedReader.localName(node.name) === local && (node.namespace || null) === namespace;
+    }
+
+    static children(node, namespace, local) {
+        return node.children.filter(child => child.type === 'element' && FeedReader.is(child, namespace, local));
+    }
+
+    static child(node, namespace, local) {
+        return FeedReader.children(node, namespace, local)[0] || null;
+    }
+
+    static attribute(node, name) {
+        const attribute = node.attributes.find(candidate => candidate.name === name);
+        return attribute ? attribute.value : null;
+    }
+
+    // Text of a node and its descendants, trimmed; '' for no node
+    static text(node) {
+        if (!node) return '';
+        const collect = current => current.children.map(child => {
+            if (child.type === 'text' || child.type === 'cdata') return child.value;
+            return child.type === 'element' ? collect(child) : '';
+        }).join('');
+        return collect(node).trim();
+    }
+}
+
+FeedReader.ATOM_NAMESPACE = 'http://www.w3.org/2005/Atom';
+FeedReader.CONTENT_NAMESPACE = 'http://purl.org/rss/1.0/modules/content/';
+FeedReader.DC_NAMESPACE = 'http://purl.org/dc/elements/1.1/';
+FeedReader.DOM_ELEMENT = 1;
+FeedReader.DOM_TEXT = 3;
+FeedReader.LINK_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+FeedReader.ALLOWED_ELEMENTS = [
+    'a', 'abbr', 'b', 'blockquote', 'br', 'code', 'dd', 'del', 'dl', 'dt', 'em', 'figcaption', 'figure',
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'i', 'ins', 'kbd', 'li', 'mark', 'ol', 'p', 'pre', 'q', 's',
+    'small', 'strong', 'sub', 'sup', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr', 'u', 'ul'
+];
+// Left out with their content; other elements are replaced by theirs
+FeedReader.DROPPED_ELEMENTS = [
+    'script', 'style', 'template', 'noscript', 'iframe', 'frame', 'object', 'embed', 'applet', 'form',
+    'input', 'button', 'select', 'textarea', 'svg', 'math', 'audio', 'video', 'picture', 'source', 'head', 'title', 'link', 'meta'
+];
+
+// Export for debugging
+if (typeof globalThis !== 'undefined') {
+    globalThis.FeedReader = FeedReader;
+}
@@ -0,0 +1,340 @@
+/**
+ * 🦊 Native Multi-Format Viewer - CSV Grid
+ * Interactive table for { headers, rows } data: sorting, per-column filters,
+ * inferred column types, resizable columns and a sticky header
+ */
+
+class CsvGrid {
+    constructor(data, options = {}) {
+        this.headers = data.headers || [];
+        this.rows = data.rows || [];
+        this.pageSize = options.pageSize || 1000;
+
+        this.columnTypes = this.headers.map(header => CsvGrid.inferType(this.rows.map(row => row[header])));
+        this.filters = this.headers.map(() => '');
+        this.sort = { column: -1, direction: 0 }; // 1 ascending, -1 descending
+        this.visibleRows = this.rows;
+        this.renderedCount = 0;
+        this.filterTimeout = null;
+    }
+
+    /**
+     * Infer a column type from its non-empty values
+     */
+    static inferType(values) {
+        const present = values.filter(value => value !== undefined && value !== null && String(value).trim() !== '');
+        if (present.length === 0) return 'string';
+
+        if (present.every(value => CsvGrid.parseNumber(value) !== null)) return 'number';
+        if (present.every(value => /^(true|false)$/i.test(String(value).trim()))) return 'bool';
+        if (present.every(value => CsvGrid.parseDate(value) !== null)) return 'date';
+        return 'string';
+    }
+
+    static parseNumber(value) {
+        const text = String(value).trim();
+        if (!/^[-+]?(\d+(,\d{3})*|\d*)(\.\d+)?([eE][-+]?\d+)?$/.test(text) || !/\d/.test(text)) {
+            return null;
+        }
+        return Number(text.replace(/,/g, ''));
+    }
+
+    static parseDate(value) {
+        const text = String(value).trim();
+        // Require a date-like shape so plain words and numbers are not taken for dates
+        if (!/^\d{4}-\d{1,2}-\d{1,2}([T ][\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/.test(text) &&
+            !/^\d{1,2}\/\d{1,2}\/\d{4}( [\d:]+)?$/.test(text)) {
+            return null;
+        }
+        const time = Date.parse(text);
+        return isNaN(time) ? null : time;
+    }
+
+    // Query results may hold nested values alongside plain CSV strings
+    static formatCell(value) {
+        if (value === undefined || value === null) return '';
+        if (typeof JsonNumber !== 'undefined' && value instanceof JsonNumber) return value.text;
+        if (typeof TomlDateTime !== 'undefined' && value instanceof TomlDateTime) return value.text;
+        if (typeof value === 'object' && !(value instanceof Date)) return JSON.stringify(value);
+        return String(value);
+    }
+
+    // Comparable key for a cell, according to its column type
+    sortKey(value, type) {
+        if (value === undefined || value === null || String(value).trim() === '') return null;
+        switch (type) {
+            case 'number': return CsvGrid.parseNumber(value);
+            case 'date': return CsvGrid.parseDate(value);
+            case 'bool': return /^true$/i.test(String(value).trim()) ? 1 : 0;
+            default: return String(value).toLowerCase();
+        }
+    }
+
+    render() {
+        this.container = document.createElement('div');
+        this.container.className = 'fv-grid';
+
+        this.status = document.createElement('div');
+        this.status.className = 'fv-grid-status';
+        this.container.appendChild(this.status);
+
+        const scroller = document.createElement('div');
+        scroller.className = 'fv-grid-scroll';
+
+        this.table = document.createElement('table');
+        this.table.className = 'fv-table fv-grid-table';
+
+        this.colgroup = document.createElement('colgroup');
+        this.headers.forEach(() => this.colgroup.appendChild(document.createElement('col')));
+        this.table.appendChild(this.colgroup);
+
+        this.table.appendChild(this.createHead());
+
+        this.tbody = document.createElement('tbody');
+        this.table.appendChild(this.tbody);
+
+        scroller.appendChild(this.table);
+        this.container.appendChild(scroller);
+
+        this.moreButton = document.createElement('button');
+        this.moreButton.className = 'fv-grid-more';
+        this.moreButton.addEventListener('click', () => this.renderMoreRows());
+        this.container.appendChild(this.moreButton);
+
+        this.refresh();
+        return this.container;
+    }
+
+    createHead() {
+        const thead = document.createElement('thead');
+        const headerRow = document.createElement('tr');
+        const filterRow = document.createElement('tr');
+        filterRow.className = 'fv-grid-filters';
+
+        this.headerCells = this.headers.map((header, index) => {
+            const type = this.columnTypes[index];
+
+            const th = document.createElement('th');
+            th.className = `fv-grid-header fv-grid-${type}`;
+            th.tabIndex = 0;
+            th.setAttribute('aria-sort', 'none');
+            th.title = `${header} (${type}) - click to sort`;
+
+            const name = document.createElement('span');
+            name.className = 'fv-grid-header-name';
+            name.textContent = header;
+
+            const typeBadge = document.createElement('span');
+            typeBadge.className = 'fv-grid-type';
+            typeBadge.textContent = type;
+
+            const indicator = document.createElement('span');
+            indicator.className = 'fv-grid-sort-indicator';
+
+            const resizer = document.createElement('span');
+            resizer.className = 'fv-grid-resizer';
+            resizer.addEventListener('mousedown', (e) => this.startResize(e, index));
+            resizer.addEventListener('click', (e) => e.stopPropagation());
+
+            th.appendChild(name);
+            th.appendChild(typeBadge);
+            th.appendChild(indicator);
+            th.appendChild(resizer);
+
+            th.addEventListener('click', () => this.toggleSort(index));
+            th.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    this.toggleSort(index);
+                }
+            });
+            headerRow.appendChild(th);
+
+            const filterCell = document.createElement('th');
+            const filter = document.createElement('input');
+            filter.type = 'text';
+            filter.className = 'fv-grid-filter';
+            filter.placeholder = type === 'number' || type === 'date' ? 'Filter (e.g. >10)' : 'Filter...';
+            filter.setAttribute('aria-label', `Filter ${header}`);
+            filter.addEventListener('input', (e) => {
+                this.filters[index] = e.target.value;
+                clearTimeout(this.filterTimeout);
+                this.filterTimeout = setTimeout(() => this.refresh(), 150);
+            });
+            filterCell.appendChild(filter);
+            filterRow.appendChild(filterCell);
+
+            return th;
+        });
+
+        thead.appendChild(headerRow);
+        thead.appendChild(filterRow);
+        return thead;
+    }
+
+    // Cycles ascending -> descending -> original order
+    toggleSort(column) {
+        if (this.sort.column !== column) {
+            this.sort = { column, direction: 1 };
+        } else if (this.sort.direction === 1) {
+            this.sort.direction = -1;
+        } else {
+            this.sort = { column: -1, direction: 0 };
+        }
+
+        this.headerCells.forEach((th, index) => {
+            const active = index === this.sort.column;
+            const direction = active ? (this.sort.direction === 1 ? 'ascending' : 'descending') : 'none';
+            th.setAttribute('aria-sort', direction);
+            th.querySelector('.fv-grid-sort-indicator').textContent = active ? (this.sort.direction === 1 ? '▲' : '▼') : '';
+        });
+
+        this.refresh();
+    }
+
+    /**
+     * Build a predicate for one column filter. Number and date columns accept
+     * comparison operators (>, >=, <, <=, =, !=); text filters match substrings.
+     */
+    createFilter(text, type) {
+        const trimmed = text.trim();
+        if (!trimmed) return null;
+
+        const comparison = /^(>=|<=|!=|>|<|=)\s*(.+)$/.exec(trimmed);
+        if (comparison && (type === 'number' || type === 'date')) {
+            const target = type === 'number' ? CsvGrid.parseNumber(comparison[2]) : CsvGrid.parseDate(comparison[2]);
+            if (target !== null) {
+                return value => {
+                    const key = this.sortKey(value, type);
+                    if (key === null) return false;
+                    switch (comparison[1]) {
+                        case '>': return key > target;
+                        case '>=': return key >= target;
+                        case '<': return key < target;
+                        case '<=': return key <= target;
+                        case '=': return key === target;
+                        case '!=': return key !== target;
+                    }
+                    return true;
+                };
+            }
+        }
+
+        if (comparison && comparison[1] === '=') {
+            const exact = comparison[2].toLowerCase();
+            return value => String(value === undefined ? '' : value).toLowerCase() === exact;
+        }
+
+        const needle = trimmed.toLowerCase();
+        return value => String(value === undefined ? '' : value).toLowerCase().includes(needle);
+    }
+
+    refresh() {
+        const filters = this.filters
+            .map((text, index) => ({ index, test: this.createFilter(text, this.columnTypes[index]) }))
+            .filter(filter => filter.test);
+
+        let rows = filters.length === 0 ? this.rows : this.rows.filter(row =>
+            filters.every(filter => filter.test(row[this.headers[filter.index]])));
+
+        if (this.sort.column !== -1) {
+            const header = this.headers[this.sort.column];
+            const type = this.columnTypes[this.sort.column];
+            const direction = this.sort.direction;
+            rows = rows
+                .map((row, position) => ({ row, position, key: this.sortKey(row[header], type) }))
+                .sort((a, b) => {
+                    // Empty cells always sort last
+                    if (a.key === null || b.key === null) {
+                        return (a.key === null) - (b.key === null) || a.position - b.position;
+                    }
+                    if (a.key < b.key) return -direction;
+                    if (a.key > b.key) return direction;
+                    return a.position - b.position;
+                })
+                .map(entry => entry.row);
+        }
+
+        this.visibleRows = rows;
+        this.tbody.textContent = '';
+        this.renderedCount = 0;
+        this.renderMoreRows();
+    }
+
+    renderMoreRows() {
+        const fragment = document.createDocumentFragment();
+        const end = Math.min(this.renderedCount + this.pageSize, this.visibleRows.length);
+
+        for (let i = this.renderedCount; i < end; i++) {
+            const row = this.visibleRows[i];
+            const tr = document.createElement('tr');
+            this.headers.forEach((header, index) => {
+                const td = document.createElement('td');
+                td.className = `fv-grid-${this.columnTypes[index]}`;
+                td.textContent = CsvGrid.formatCell(row[header]);
+                tr.appendChild(td);
+            });
+            fragment.appendChild(tr);
+        }
+
+        this.tbody.appendChild(fragment);
+        this.renderedCount = end;
+        this.updateStatus();
+    }
+
+    updateStatus() {
+        const total = this.rows.length;
+        const visible = this.visibleRows.length;
+        const filtered = visible !== total;
+        const count = (number, noun) => `${number.toLocaleString()} ${noun}${number === 1 ? '' : 's'}`;
+
+        this.status.textContent = filtered
+            ? `Showing ${visible.toLocaleString()} of ${count(total, 'row')}`
+            : count(total, 'row');
+        this.status.textContent += ` • ${count(this.headers.length, 'column')}`;
+
+        const remaining = visible - this.renderedCount;
+        this.moreButton.style.display = remaining > 0 ? '' : 'none';
+        this.moreButton.textContent = `Show ${count(Math.min(remaining, this.pageSize), 'more row')} (${remaining.toLocaleString()} remaining)`;
+    }
+
+    startResize(event, column) {
+        event.preventDefault();
+        event.stopPropagation();
+
+        // Freeze the current layout so only the dragged column changes width
+        const cols = Array.from(this.colgroup.children);
+        if (this.table.style.tableLayout !== 'fixed') {
+            this.headerCells.forEach((th, index) => {
+                cols[index].style.width = `${th.getBoundingClientRect().width}px`;
+            });
+            this.table.style.width = `${this.table.getBoundingClientRect().width}px`;
+            this.table.style.tableLayout = 'fixed';
+        }
+
+        const startX = event.clientX;
+        const startWidth = parseFloat(cols[column].style.width) || 0;
+        const startTableWidth = parseFloat(this.table.style.width) || 0;
+
+        const onMove = (e) => {
+            const width = Math.max(40, startWidth + e.clientX - startX);
+            cols[column].style.width = `${width}px`;
+            this.table.style.width = `${startTableWidth + width - startWidth}px`;
+        };
+
+        const onUp = () => {
+            document.removeEventListener('mousemove', onMove);
+            document.removeEventListener('mouseup', onUp);
+            this.container.classList.remove('resizing');
+        };
+
+        this.container.classList.add('resizing');
+        document.addEventListener('mousemove', onMove);
+        document.addEventListener('mouseup', onUp);
+    }
+}
+
+// Export for debugging
+if (typeof globalThis !== 'undefined') {
+    globalThis.CsvGrid = CsvGrid;
+}
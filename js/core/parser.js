@@ -0,0 +1,430 @@
+/**
+ * 🦊 Native Multi-Format Viewer - Content Parser
+ * Validates and parses file content into the viewer's data model
+ *
+ * Used by the parse worker (js/workers/parse-worker.js) and, where workers
+ * are unavailable, directly by the viewer page.
+ */
+
+class ContentParser {
+    /**
+     * Parse content of the given format. onProgress is called with a phase
+     * ('validating', 'parsing', 'building') and the fraction done, or null
+     * when the parser cannot tell. options.maxFileSize (bytes) overrides
+     * MAX_FILE_SIZE. With options.recover, a parse error carries the part
+     * of the document read before it as `partial` (see recover()). With
+     * options.losslessNumbers, JSON numbers a double can't hold exactly are
+     * kept as JsonNumber values. Given an options.duplicates array, keys
+     * repeated in a JSON or YAML mapping are added to it as { path, key,
+     * lines } and the last value is kept; a TOML duplicate is an error that
+     * carries one as `duplicate` (see TomlParser). With options.xmlNodes,
+     * XML gives XmlParser's node tree instead of the object model, and so
+     * does its `partial`.
+     */
+    static parse(content, format, onProgress = () => {}, options = {}) {
+        onProgress('validating', null);
+        ContentParser.validate(content, format, options);
+
+        const parseProgress = fraction => onProgress('parsing', fraction);
+        onProgress('parsing', null);
+
+        try {
+            return ContentParser.parseFormat(content, format, onProgress, parseProgress, options);
+        } catch (error) {
+            ContentParser.locateError(error, content);
+            if (options.recover) {
+                error.partial = ContentParser.recover(content, format, error, options);
+            }
+            throw error;
+        }
+    }
+
+    static parseFormat(content, format, onProgress, parseProgress, options = {}) {
+        switch (format.toLowerCase()) {
+            case 'json': {
+                // JSON.parse is much faster, so the exact parser only runs where it sees something JSON.parse can't
+                const lossless = Boolean(options.losslessNumbers) && JsonParser.mayLosePrecision(content);
+                const checkKeys = Boolean(options.duplicates) && content.length <= ContentParser.KEY_CHECK_LIMIT;
+                if (!lossless && !checkKeys) {
+                    return JSON.parse(content);
+                }
+
+                const found = checkKeys ? [] : null;
+                const data = JsonParser.parse(content, { lossless, duplicates: found });
+                ContentParser.reportDuplicates(found, data, options.duplicates);
+                return data;
+            }
+
+            case 'yaml':
+            case 'yml': {
+                if (typeof jsyaml === 'undefined') {
+                    throw new Error('YAML parser not available');
+                }
+                if (!options.duplicates) {
+                    return jsyaml.load(content);
+                }
+
+                const found = [];
+                const data = ContentParser.loadYaml(content, found);
+                ContentParser.reportDuplicates(found, data, options.duplicates);
+                return data;
+            }
+
+            case 'xml': {
+                const document = XmlParser.parse(content, { onProgress: parseProgress });
+                if (options.xmlNodes) {
+                    return document;
+                }
+                onProgress('building', null);
+                return XmlParser.toObject(document);
+            }
+
+            case 'csv':
+                return CsvParser.parse(content, { onProgress: parseProgress });
+
+            case 'tsv':
+                return CsvParser.parse(content, { delimiter: '\t', onProgress: parseProgress });
+
+            case 'toml':
+                return TomlParser.parse(content);
+
+            default:
+                throw new Error(`Unsupported format: ${format}`);
+        }
+    }
+
+    static validate(content, format, options = {}) {
+        // Constants for security limits
+        const MAX_FILE_SIZE = options.maxFileSize || ContentParser.MAX_FILE_SIZE;
+        const MAX_NESTING_DEPTH = 1000;
+
+        // Basic input validation
+        if (typeof content !== 'string') {
+            throw new Error('Invalid input: content must be a string');
+        }
+
+        if (content.length === 0) {
+            throw new Error('Invalid input: content is empty');
+        }
+
+        if (content.length > MAX_FILE_SIZE) {
+            throw new Error(`File too large: ${(content.length / 1024 / 1024).toFixed(1)}MB exceeds limit of ${MAX_FILE_SIZE / 1024 / 1024}MB`);
+        }
+
+        // Format-specific validation
+        switch (format.toLowerCase()) {
+            case 'json': {
+                // Check for excessive nesting that could cause stack overflow while rendering
+                const depth = ContentParser.nestingDepth(content);
+                if (depth > MAX_NESTING_DEPTH) {
+                    throw new Error(`JSON structure too complex: ${depth} nesting levels exceed limit of ${MAX_NESTING_DEPTH}`);
+                }
+                break;
+            }
+
+            case 'xml':
+                // Basic XML bomb detection
+                if (content.includes('<!ENTITY') && content.includes('&')) {
+                    throw new Error('XML contains entity references which are not supported for security reasons');
+                }
+                break;
+        }
+    }
+
+    /**
+     * Give a parse error 1-based line and column properties where it can be
+     * located. The TOML and XML parsers set them already; js-yaml reports a
+     * mark, and JSON.parse only says where in its message, as "line 3
+     * column 5" in Firefox or "position 42" elsewhere.
+     */
+    static locateError(error, content) {
+        if (typeof error.line === 'number') return error;
+
+        if (error.mark && typeof error.mark.line === 'number') {
+            error.line = error.mark.line + 1;
+            error.column = error.mark.column + 1;
+            return error;
+        }
+
+        const message = String(error.message);
+        const lineColumn = message.match(/line (\d+) column (\d+)/);
+        const position = message.match(/position (\d+)/);
+        if (lineColumn) {
+            error.line = Number(lineColumn[1]);
+            error.column = Number(lineColumn[2]);
+        } else if (position) {
+            const before = content.slice(0, Number(position[1])).split('\n');
+            error.line = before.length;
+            error.column = before[before.length - 1].length + 1;
+        }
+        return error;
+    }
+
+    /**
+     * The first line of an error's message without the place it names, for
+     * showing next to a line and column given separately
+     */
+    static errorReason(error) {
+        const message = String(error.message).split('\n')[0];
+        if (typeof error.line !== 'number') return message;
+        return ContentParser.LOCATION_PATTERNS.reduce((reason, pattern) => reason.replace(pattern, ''), message);
+    }
+
+    /**
+     * The part of a document that parsed before an error, or undefined.
+     * Objects, arrays and elements left open at the error are closed, so a
+     * truncated file shows everything up to where it was cut.
+     */
+    static recover(content, format, error, options = {}) {
+        try {
+            switch (format.toLowerCase()) {
+                case 'json': {
+                    const result = JsonParser.parsePartial(content, { lossless: options.losslessNumbers });
+                    // JSON.parse messages give a line and column or an offset depending on the browser
+                    if (result.error) {
+                        error.message = result.error.message;
+                        error.line = result.error.line;
+                        error.column = result.error.column;
+                    }
+                    return result.data;
+                }
+
+                case 'yaml':
+                case 'yml':
+                    return typeof error.line === 'number' ? ContentParser.recoverYaml(content, error.line) : undefined;
+
+                case 'xml': {
+                    const { document } = XmlParser.parsePartial(content);
+                    if (!document.children.some(child => child.type === 'element')) return undefined;
+                    return options.xmlNodes ? document : XmlParser.toObject(document);
+                }
+
+                case 'toml':
+                    return TomlParser.parsePartial(content).data;
+
+                default:
+                    return undefined;
+            }
+        } catch (recoverError) {
+            return undefined;
+        }
+    }
+
+    /**
+     * js-yaml has no partial result, so parse the lines before the error
+     * line, dropping a line at a time while those don't parse either (the
+     * cut may fall inside a block scalar or flow collection)
+     */
+    static recoverYaml(content, line) {
+        const lines = content.split('\n');
+        const last = Math.min(line - 1, lines.length);
+        for (let end = last; end > 0 && last - end < ContentParser.RECOVER_ATTEMPTS; end--) {
+            try {
+                const data = jsyaml.load(lines.slice(0, end).join('\n'));
+                if (data !== undefined) return data;
+            } catch (error) {
+                // Try with one line less
+            }
+        }
+        return undefined;
+    }
+
+    /**
+     * Load YAML keeping the last of duplicate keys, as JSON.parse does (the
+     * json option), instead of failing. js-yaml's listener reports each node
+     * as it opens and closes; the children of a mapping alternate between
+     * keys and values, except that a key without a value (as in `{a, b: 1}`)
+     * isn't followed by ":". Each mapping that repeats a key is added to
+     * `found` as { object, key, lines }.
+     */
+    static loadYaml(content, found) {
+        const stack = [];
+        const listener = (event, state) => {
+            if (event === 'open') {
+                stack.push({ line: state.line + 1, children: [] });
+                return;
+            }
+
+            const frame = stack.pop();
+            const node = { line: frame.line, end: state.position, result: state.result };
+            if (stack.length > 0) stack[stack.length - 1].children.push(node);
+            if (state.kind === 'mapping') {
+                ContentParser.findYamlDuplicates(content, state.result, frame.children, found);
+            }
+        };
+        return jsyaml.load(content, { json: true, listener });
+    }
+
+    static findYamlDuplicates(content, object, children, found) {
+        const keys = new Map();
+        let expectKey = true;
+
+        children.forEach(node => {
+            if (!expectKey) {
+                expectKey = true;
+                return;
+            }
+
+            ContentParser.WHITESPACE.lastIndex = node.end;
+            ContentParser.WHITESPACE.test(content);
+            expectKey = content[ContentParser.WHITESPACE.lastIndex] !== ':';
+
+            // Merge keys copy another mapping in rather than repeat a key
+            const key = String(node.result);
+            if (key === '<<') return;
+
+            const seen = keys.get(key);
+            if (seen === undefined) {
+                keys.set(key, node.line);
+            } else if (typeof seen === 'number') {
+                const duplicate = { object, key, lines: [seen, node.line] };
+                found.push(duplicate);
+                keys.set(key, duplicate);
+            } else {
+                seen.lines.push(node.line);
+            }
+        });
+    }
+
+    /**
+     * Add the duplicates a parser found, as { object, key, lines }, to
+     * `duplicates` with the path of each object in place of the object
+     */
+    static reportDuplicates(found, data, duplicates) {
+        if (!found || found.length === 0) return;
+
+        const paths = ContentParser.pathsOf(data, new Set(found.map(duplicate => duplicate.object)));
+        found.forEach(({ object, key, lines }) => {
+            duplicates.push({ path: paths.get(object) || [], key, lines });
+        });
+    }
+
+    // Path to the first place each wanted object appears (YAML aliases can repeat one)
+    static pathsOf(data, wanted) {
+        const paths = new Map();
+        const seen = new Set();
+
+        const visit = (value, path) => {
+            if (value === null || typeof value !== 'object' || seen.has(value) || paths.size === wanted.size) return;
+            seen.add(value);
+            if (wanted.has(value)) paths.set(value, path);
+
+            const isArray = Array.isArray(value);
+            Object.keys(value).forEach(key => visit(value[key], path.concat([isArray ? Number(key) : key])));
+        };
+
+        visit(data, []);
+        return paths;
+    }
+
+    // Deepest level of {} / [] nesting, ignoring brackets inside strings
+    static nestingDepth(content) {
+        let depth = 0;
+        let max = 0;
+        let inString = false;
+
+        for (let i = 0; i < content.length; i++) {
+            const code = content.charCodeAt(i);
+            if (inString) {
+                if (code === 92) i++; // backslash escapes the next character
+                else if (code === 34) inString = false;
+            } else if (code === 34) {
+                inString = true;
+            } else if (code === 123 || code === 91) {
+                depth++;
+                if (depth > max) max = depth;
+            } else if (code === 125 || code === 93) {
+                depth--;
+            }
+        }
+
+        return max;
+    }
+
+    /**
+     * Whether parsing the content with these options may give class
+     * instances (TomlDateTime, JsonNumber), so the result has to go through
+     * encode() and decode() to leave the worker. Other results skip the walk.
+     */
+    static hasClassValues(content, format, options = {}) {
+        switch (format.toLowerCase()) {
+            case 'toml':
+                return true;
+            case 'json':
+                return Boolean(options.losslessNumbers) && JsonParser.mayLosePrecision(content);
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Class instances lose their prototype when posted from the worker, so
+     * they travel as tagged objects and are revived on the other side. An
+     * object of the document's own that has the tag key is wrapped in an
+     * 'Object' tag, so decode() gives it back as it was.
+     */
+    static encode(data) {
+        const transform = value => {
+            if (value instanceof TomlDateTime) {
+                return { [ContentParser.TYPE_KEY]: 'TomlDateTime', kind: value.kind, text: value.text };
+            }
+            if (value instanceof JsonNumber) {
+                return { [ContentParser.TYPE_KEY]: 'JsonNumber', text: value.text };
+            }
+            if (ContentParser.hasTypeKey(value)) {
+                return { [ContentParser.TYPE_KEY]: 'Object', value: ContentParser.mapChildren(value, transform) };
+            }
+            return value;
+        };
+        return ContentParser.mapValues(data, transform);
+    }
+
+    static decode(data) {
+        const transform = value => {
+            const type = ContentParser.hasTypeKey(value) ? value[ContentParser.TYPE_KEY] : undefined;
+            if (type === 'TomlDateTime') return new TomlDateTime(value.kind, value.text);
+            if (type === 'JsonNumber') return new JsonNumber(value.text);
+            if (type === 'Object') return ContentParser.mapChildren(value.value, transform);
+            return value;
+        };
+        return ContentParser.mapValues(data, transform);
+    }
+
+    static hasTypeKey(value) {
+        return value !== null && typeof value === 'object' && Object.prototype.hasOwnProperty.call(value, ContentParser.TYPE_KEY);
+    }
+
+    // Replaces values in place, depth first
+    static mapValues(value, transform) {
+        const mapped = transform(value);
+        if (mapped !== value || mapped === null || typeof mapped !== 'object' || mapped instanceof Date) {
+            return mapped;
+        }
+        return ContentParser.mapChildren(value, transform);
+    }
+
+    static mapChildren(value, transform) {
+        Object.keys(value).forEach(key => {
+            value[key] = ContentParser.mapValues(value[key], transform);
+        });
+        return value;
+    }
+}
+
+ContentParser.TYPE_KEY = '__fvType';
+ContentParser.KEY_CHECK_LIMIT = 5 * 1024 * 1024; // Larger JSON goes to JSON.parse, unchecked for duplicate keys
+ContentParser.WHITESPACE = /\s*/y;
+ContentParser.RECOVER_ATTEMPTS = 20; // Shorter prefixes tried when recovering YAML
+ContentParser.MAX_FILE_SIZE = 50 * 1024 * 1024; // 50MB
+// Where parse error messages say the error is: this extension's parsers, js-yaml, and JSON.parse in Firefox and V8
+ContentParser.LOCATION_PATTERNS = [
+    / at line \d+, column \d+/,
+    / \(\d+:\d+\)$/,
+    / at line \d+ column \d+ of the JSON data$/,
+    /( in JSON)? at position \d+( \(line \d+ column \d+\))?$/
+];
+
+// Export for debugging
+if (typeof globalThis !== 'undefined') {
+    globalThis.ContentParser = ContentParser;
+}
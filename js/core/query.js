@@ -0,0 +1,1124 @@
+/**
+ * 🦊 Native Multi-Format Viewer - Query Engine
+ * jq-style expressions evaluated against parsed JSON/YAML/TOML data
+ *
+ * Supported syntax: ., .., .key, ."key", .[n], .[n:m], .[], ?, |, ",",
+ * literals, [...], {...}, arithmetic, comparisons, and/or, //,
+ * if/then/elif/else/end, `expr as $name | body` and a set of builtins.
+ */
+
+class JsonQuery {
+    /**
+     * Run a query and return the list of outputs it produced
+     */
+    static run(expression, data) {
+        const ast = JsonQuery.compile(expression);
+        return JsonQuery.evaluate(ast, data, {});
+    }
+
+    static compile(expression) {
+        const parser = new JsonQueryParser(JsonQuery.tokenize(expression));
+        return parser.parseProgram();
+    }
+
+    static tokenize(source) {
+        const tokens = [];
+        const punctuation = ['..', '//', '==', '!=', '<=', '>=',
+            '|', ',', '.', '[', ']', '(', ')', '{', '}', ':', ';', '?',
+            '+', '-', '*', '/', '%', '<', '>', '$'];
+        let i = 0;
+
+        while (i < source.length) {
+            const char = source[i];
+
+            if (/\s/.test(char)) {
+                i++;
+                continue;
+            }
+
+            // Comments run to end of line, as in jq
+            if (char === '#') {
+                while (i < source.length && source[i] !== '\n') i++;
+                continue;
+            }
+
+            if (char === '"') {
+                let value = '';
+                let j = i + 1;
+                while (j < source.length && source[j] !== '"') {
+                    if (source[j] === '\\') {
+                        const escaped = source[j + 1];
+                        const escapes = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f', '"': '"', '\\': '\\', '/': '/' };
+                        if (escaped === 'u') {
+                            value += String.fromCharCode(parseInt(source.substr(j + 2, 4), 16));
+                            j += 6;
+                            continue;
+                        }
+                        if (!(escaped in escapes)) {
+                            throw new Error(`Invalid escape "\\${escaped}" at position ${j}`);
+                        }
+                        value += escapes[escaped];
+                        j += 2;
+                    } else {
+                        value += source[j++];
+                    }
+                }
+                if (j >= source.length) {
+                    throw new Error(`Unterminated string at position ${i}`);
+                }
+                tokens.push({ type: 'string', value, pos: i });
+                i = j + 1;
+                continue;
+            }
+
+            const numberMatch = /^(\d+\.?\d*(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?)/.exec(source.slice(i));
+            if (numberMatch && !(char === '.' && tokens.length && JsonQuery.endsValue(tokens[tokens.length - 1]))) {
+                // Literals a double would round are kept exact, to match big numbers in the data
+                const number = Number(numberMatch[1]);
+                const value = JsonNumber.isExact(numberMatch[1], number) ? number : new JsonNumber(numberMatch[1]);
+                tokens.push({ type: 'number', value, pos: i });
+                i += numberMatch[1].length;
+                continue;
+            }
+
+            const identMatch = /^[a-zA-Z_][a-zA-Z0-9_]*/.exec(source.slice(i));
+            if (identMatch) {
+                tokens.push({ type: 'ident', value: identMatch[0], pos: i });
+                i += identMatch[0].length;
+                continue;
+            }
+
+            const op = punctuation.find(p => source.startsWith(p, i));
+            if (op) {
+                tokens.push({ type: 'op', value: op, pos: i });
+                i += op.length;
+                continue;
+            }
+
+            throw new Error(`Unexpected character "${char}" at position ${i}`);
+        }
+
+        tokens.push({ type: 'eof', pos: source.length });
+        return tokens;
+    }
+
+    // A leading ".5" after a value is field access, not a number
+    static endsValue(token) {
+        return token.type === 'ident' || token.type === 'string' || token.type === 'number' ||
+            (token.type === 'op' && [']', ')', '}', '.', '?'].includes(token.value));
+    }
+
+    static evaluate(node, input, env) {
+        switch (node.type) {
+            case 'identity':
+                return [input];
+
+            case 'recurse':
+                return JsonQuery.recurse(input);
+
+            case 'literal':
+                return [node.value];
+
+            case 'variable':
+                if (!(node.name in env)) {
+                    throw new Error(`$${node.name} is not defined`);
+                }
+                return [env[node.name]];
+
+            case 'field':
+                return JsonQuery.evaluate(node.target, input, env)
+                    .map(value => JsonQuery.indexValue(value, node.name));
+
+            case 'index':
+                return JsonQuery.flatMap(JsonQuery.evaluate(node.target, input, env), value =>
+                    JsonQuery.evaluate(node.index, input, env).map(key => JsonQuery.indexValue(value, key)));
+
+            case 'slice':
+                return JsonQuery.flatMap(JsonQuery.evaluate(node.target, input, env), value => {
+                    const froms = node.from ? JsonQuery.evaluate(node.from, input, env) : [null];
+                    const tos = node.to ? JsonQuery.evaluate(node.to, input, env) : [null];
+                    const results = [];
+                    froms.forEach(from => tos.forEach(to => results.push(JsonQuery.sliceValue(value, from, to))));
+                    return results;
+                });
+
+            case 'iterate':
+                return JsonQuery.flatMap(JsonQuery.evaluate(node.target, input, env), JsonQuery.iterateValue);
+
+            case 'optional':
+                try {
+                    return JsonQuery.evaluate(node.body, input, env);
+                } catch (error) {
+                    return [];
+                }
+
+            case 'pipe':
+                return JsonQuery.flatMap(JsonQuery.evaluate(node.left, input, env),
+                    value => JsonQuery.evaluate(node.right, value, env));
+
+            case 'bind':
+                return JsonQuery.flatMap(JsonQuery.evaluate(node.source, input, env),
+                    value => JsonQuery.evaluate(node.body, input, Object.assign({}, env, { [node.name]: value })));
+
+            case 'comma':
+                return JsonQuery.evaluate(node.left, input, env).concat(JsonQuery.evaluate(node.right, input, env));
+
+            case 'negate':
+                return JsonQuery.evaluate(node.operand, input, env).map(value => {
+                    if (value instanceof JsonNumber) return value.negate();
+                    const number = JsonQuery.toDouble(value);
+                    if (typeof number !== 'number') {
+                        throw new Error(`${JsonQuery.typeOf(value)} cannot be negated`);
+                    }
+                    return -number;
+                });
+
+            case 'and':
+            case 'or':
+                return JsonQuery.flatMap(JsonQuery.evaluate(node.left, input, env), left => {
+                    const leftTruthy = JsonQuery.isTruthy(left);
+                    if (node.type === 'and' && !leftTruthy) return [false];
+                    if (node.type === 'or' && leftTruthy) return [true];
+                    return JsonQuery.evaluate(node.right, input, env).map(JsonQuery.isTruthy);
+                });
+
+            case 'alternative': {
+                let left;
+                try {
+                    left = JsonQuery.evaluate(node.left, input, env).filter(JsonQuery.isTruthy);
+                } catch (error) {
+                    left = [];
+                }
+                return left.length > 0 ? left : JsonQuery.evaluate(node.right, input, env);
+            }
+
+            case 'binary':
+                return JsonQuery.flatMap(JsonQuery.evaluate(node.right, input, env), right =>
+                    JsonQuery.evaluate(node.left, input, env).map(left => JsonQuery.binary(node.op, left, right)));
+
+            case 'array':
+                return [node.body ? JsonQuery.evaluate(node.body, input, env) : []];
+
+            case 'object':
+                return JsonQuery.buildObjects(node.entries, input, env);
+
+            case 'if':
+                return JsonQuery.flatMap(JsonQuery.evaluate(node.condition, input, env), condition => {
+                    if (JsonQuery.isTruthy(condition)) {
+                        return JsonQuery.evaluate(node.then, input, env);
+                    }
+                    return node.else ? JsonQuery.evaluate(node.else, input, env) : [input];
+                });
+
+            case 'call':
+                return JsonQueryBuiltins.call(node.name, node.args, input, env);
+
+            default:
+                throw new Error(`Unknown query node: ${node.type}`);
+        }
+    }
+
+    static buildObjects(entries, input, env) {
+        let partials = [{}];
+
+        entries.forEach(entry => {
+            const keys = JsonQuery.evaluate(entry.key, input, env);
+            const values = entry.value ? JsonQuery.evaluate(entry.value, input, env) : null;
+            const next = [];
+
+            partials.forEach(partial => {
+                keys.forEach(key => {
+                    if (typeof key !== 'string') {
+                        throw new Error(`Object keys must be strings, got ${JsonQuery.typeOf(key)}`);
+                    }
+                    const entryValues = values || [JsonQuery.indexValue(input, key)];
+                    entryValues.forEach(value => next.push(Object.assign({}, partial, { [key]: value })));
+                });
+            });
+
+            partials = next;
+        });
+
+        return partials;
+    }
+
+    static indexValue(value, key) {
+        if (value === null || value === undefined) return null;
+
+        if (typeof key === 'string') {
+            if (typeof value !== 'object' || Array.isArray(value)) {
+                throw new Error(`Cannot index ${JsonQuery.typeOf(value)} with "${key}"`);
+            }
+            return Object.prototype.hasOwnProperty.call(value, key) ? value[key] : null;
+        }
+
+        if (typeof key === 'number') {
+            if (!Array.isArray(value)) {
+                throw new Error(`Cannot index ${JsonQuery.typeOf(value)} with number`);
+            }
+            const index = Math.floor(key) < 0 ? value.length + Math.floor(key) : Math.floor(key);
+            return index >= 0 && index < value.length ? value[index] : null;
+        }
+
+        throw new Error(`Cannot index ${JsonQuery.typeOf(value)} with ${JsonQuery.typeOf(key)}`);
+    }
+
+    static sliceValue(value, from, to) {
+        if (value === null) return null;
+        if (typeof value !== 'string' && !Array.isArray(value)) {
+            throw new Error(`Cannot slice ${JsonQuery.typeOf(value)}`);
+        }
+        const start = from === null ? 0 : from;
+        const end = to === null ? value.length : to;
+        return value.slice(start, end);
+    }
+
+    static iterateValue(value) {
+        if (Array.isArray(value)) return value.slice();
+        if (JsonQuery.typeOf(value) === 'object') return Object.values(value);
+        throw new Error(`Cannot iterate over ${JsonQuery.typeOf(value)}`);
+    }
+
+    static recurse(value) {
+        const results = [value];
+        if (Array.isArray(value)) {
+            value.forEach(item => results.push(...JsonQuery.recurse(item)));
+        } else if (JsonQuery.typeOf(value) === 'object') {
+            Object.values(value).forEach(item => results.push(...JsonQuery.recurse(item)));
+        }
+        return results;
+    }
+
+    static binary(op, left, right) {
+        switch (op) {
+            case '==': return JsonQuery.compare(left, right) === 0;
+            case '!=': return JsonQuery.compare(left, right) !== 0;
+            case '<': return JsonQuery.compare(left, right) < 0;
+            case '<=': return JsonQuery.compare(left, right) <= 0;
+            case '>': return JsonQuery.compare(left, right) > 0;
+            case '>=': return JsonQuery.compare(left, right) >= 0;
+        }
+
+        const exact = JsonNumber.integerArithmetic(op, left, right);
+        if (exact !== undefined) return exact;
+        return JsonQuery.arithmetic(op, JsonQuery.toDouble(left), JsonQuery.toDouble(right));
+    }
+
+    static arithmetic(op, left, right) {
+        switch (op) {
+            case '+': return JsonQuery.add(left, right);
+            case '-':
+                if (typeof left === 'number' && typeof right === 'number') return left - right;
+                if (Array.isArray(left) && Array.isArray(right)) {
+                    return left.filter(item => !right.some(other => JsonQuery.compare(item, other) === 0));
+                }
+                break;
+            case '*':
+                if (typeof left === 'number' && typeof right === 'number') return left * right;
+                if (JsonQuery.typeOf(left) === 'object' && JsonQuery.typeOf(right) === 'object') {
+                    return JsonQuery.deepMerge(left, right);
+                }
+                break;
+            case '/':
+                if (typeof left === 'number' && typeof right === 'number') {
+                    if (right === 0) throw new Error('Division by zero');
+                    return left / right;
+                }
+                if (typeof left === 'string' && typeof right === 'string') return left.split(right);
+                break;
+            case '%':
+                if (typeof left === 'number' && typeof right === 'number') {
+                    if (Math.trunc(right) === 0) throw new Error('Modulo by zero');
+                    return Math.trunc(left) % Math.trunc(right);
+                }
+                break;
+        }
+        throw new Error(`${JsonQuery.typeOf(left)} and ${JsonQuery.typeOf(right)} cannot be combined with "${op}"`);
+    }
+
+    static add(left, right) {
+        if (left === null) return right;
+        if (right === null) return left;
+        if (typeof left === 'number' && typeof right === 'number') return left + right;
+        if (typeof left === 'string' && typeof right === 'string') return left + right;
+        if (Array.isArray(left) && Array.isArray(right)) return left.concat(right);
+        if (JsonQuery.typeOf(left) === 'object' && JsonQuery.typeOf(right) === 'object') {
+            return Object.assign({}, left, right);
+        }
+        throw new Error(`${JsonQuery.typeOf(left)} and ${JsonQuery.typeOf(right)} cannot be added`);
+    }
+
+    static deepMerge(left, right) {
+        const result = Object.assign({}, left);
+        Object.keys(right).forEach(key => {
+            result[key] = JsonQuery.typeOf(result[key]) === 'object' && JsonQuery.typeOf(right[key]) === 'object'
+                ? JsonQuery.deepMerge(result[key], right[key])
+                : right[key];
+        });
+        return result;
+    }
+
+    /**
+     * Total ordering used by jq: null < false < true < numbers < strings < arrays < objects
+     */
+    static compare(left, right) {
+        const rank = value => {
+            if (value === null || value === undefined) return 0;
+            if (value === false) return 1;
+            if (value === true) return 2;
+            if (typeof value === 'number' || value instanceof JsonNumber) return 3;
+            if (typeof value === 'string') return 4;
+            if (Array.isArray(value)) return 5;
+            return 6;
+        };
+
+        const leftRank = rank(left);
+        const rightRank = rank(right);
+        if (leftRank !== rightRank) return leftRank - rightRank;
+
+        if (leftRank === 3) {
+            if (left instanceof JsonNumber || right instanceof JsonNumber) return JsonNumber.compare(left, right);
+            return left === right ? 0 : (left < right ? -1 : 1);
+        }
+        if (leftRank === 4) return left === right ? 0 : (left < right ? -1 : 1);
+
+        if (leftRank === 5) {
+            for (let i = 0; i < Math.min(left.length, right.length); i++) {
+                const result = JsonQuery.compare(left[i], right[i]);
+                if (result !== 0) return result;
+            }
+            return left.length - right.length;
+        }
+
+        if (leftRank === 6) {
+            const leftKeys = Object.keys(left).sort();
+            const rightKeys = Object.keys(right).sort();
+            const keyOrder = JsonQuery.compare(leftKeys, rightKeys);
+            if (keyOrder !== 0) return keyOrder;
+            for (const key of leftKeys) {
+                const result = JsonQuery.compare(left[key], right[key]);
+                if (result !== 0) return result;
+            }
+        }
+
+        return 0;
+    }
+
+    static isTruthy(value) {
+        return value !== false && value !== null && value !== undefined;
+    }
+
+    static typeOf(value) {
+        if (value === null || value === undefined) return 'null';
+        if (Array.isArray(value)) return 'array';
+        if (value instanceof JsonNumber) return 'number';
+        // Dates (including TOML local date/times) serialize to strings
+        if (value instanceof Date || typeof value.toJSON === 'function') return 'string';
+        return typeof value;
+    }
+
+    /**
+     * Exact JSON numbers as doubles. They keep their digits while passed
+     * through unchanged, negated or in integer +, -, * and %; other
+     * arithmetic on them rounds.
+     */
+    static toDouble(value) {
+        return value instanceof JsonNumber ? Number(value.text) : value;
+    }
+
+    static flatMap(values, mapper) {
+        const results = [];
+        values.forEach(value => {
+            results.push(...mapper(value));
+        });
+        return results;
+    }
+}
+
+/**
+ * Recursive-descent parser producing the AST consumed by JsonQuery.evaluate()
+ */
+class JsonQueryParser {
+    constructor(tokens) {
+        this.tokens = tokens;
+        this.position = 0;
+    }
+
+    peek() {
+        return this.tokens[this.position];
+    }
+
+    next() {
+        return this.tokens[this.position++];
+    }
+
+    isOp(value) {
+        const token = this.peek();
+        return token.type === 'op' && token.value === value;
+    }
+
+    isKeyword(value) {
+        const token = this.peek();
+        return token.type === 'ident' && token.value === value;
+    }
+
+    expectOp(value) {
+        const token = this.next();
+        if (token.type !== 'op' || token.value !== value) {
+            throw new Error(`Expected "${value}" at position ${token.pos}`);
+        }
+        return token;
+    }
+
+    expectKeyword(value) {
+        const token = this.next();
+        if (token.type !== 'ident' || token.value !== value) {
+            throw new Error(`Expected "${value}" at position ${token.pos}`);
+        }
+    }
+
+    parseProgram() {
+        if (this.peek().type === 'eof') {
+            return { type: 'identity' };
+        }
+        const ast = this.parsePipe();
+        const token = this.peek();
+        if (token.type !== 'eof') {
+            throw new Error(`Unexpected "${token.value}" at position ${token.pos}`);
+        }
+        return ast;
+    }
+
+    parsePipe() {
+        const left = this.parseComma();
+
+        if (this.isKeyword('as')) {
+            this.next();
+            this.expectOp('$');
+            const name = this.next();
+            if (name.type !== 'ident') {
+                throw new Error(`Expected variable name at position ${name.pos}`);
+            }
+            this.expectOp('|');
+            return { type: 'bind', source: left, name: name.value, body: this.parsePipe() };
+        }
+
+        if (this.isOp('|')) {
+            this.next();
+            return { type: 'pipe', left, right: this.parsePipe() };
+        }
+        return left;
+    }
+
+    parseComma() {
+        let left = this.parseAlternative();
+        while (this.isOp(',')) {
+            this.next();
+            left = { type: 'comma', left, right: this.parseAlternative() };
+        }
+        return left;
+    }
+
+    parseAlternative() {
+        const left = this.parseOr();
+        if (this.isOp('//')) {
+            this.next();
+            return { type: 'alternative', left, right: this.parseAlternative() };
+        }
+        return left;
+    }
+
+    parseOr() {
+        let left = this.parseAnd();
+        while (this.isKeyword('or')) {
+            this.next();
+            left = { type: 'or', left, right: this.parseAnd() };
+        }
+        return left;
+    }
+
+    parseAnd() {
+        let left = this.parseComparison();
+        while (this.isKeyword('and')) {
+            this.next();
+            left = { type: 'and', left, right: this.parseComparison() };
+        }
+        return left;
+    }
+
+    parseComparison() {
+        const left = this.parseAdditive();
+        const token = this.peek();
+        if (token.type === 'op' && ['==', '!=', '<', '<=', '>', '>='].includes(token.value)) {
+            this.next();
+            return { type: 'binary', op: token.value, left, right: this.parseAdditive() };
+        }
+        return left;
+    }
+
+    parseAdditive() {
+        let left = this.parseMultiplicative();
+        while (this.isOp('+') || this.isOp('-')) {
+            const op = this.next().value;
+            left = { type: 'binary', op, left, right: this.parseMultiplicative() };
+        }
+        return left;
+    }
+
+    parseMultiplicative() {
+        let left = this.parseUnary();
+        while (this.isOp('*') || this.isOp('/') || this.isOp('%')) {
+            const op = this.next().value;
+            left = { type: 'binary', op, left, right: this.parseUnary() };
+        }
+        return left;
+    }
+
+    parseUnary() {
+        if (this.isOp('-')) {
+            this.next();
+            return { type: 'negate', operand: this.parsePostfix() };
+        }
+        return this.parsePostfix();
+    }
+
+    parsePostfix() {
+        let node = this.parsePrimary();
+
+        for (;;) {
+            if (this.isOp('.') && this.isFieldStart(this.tokens[this.position + 1])) {
+                this.next();
+                node = this.parseFieldAccess(node);
+            } else if (this.isOp('.') && this.tokens[this.position + 1].type === 'op' &&
+                       this.tokens[this.position + 1].value === '[') {
+                this.next();
+            } else if (this.isOp('[')) {
+                node = this.parseBracketSuffix(node);
+            } else if (this.isOp('?')) {
+                this.next();
+                node = { type: 'optional', body: node };
+            } else {
+                return node;
+            }
+        }
+    }
+
+    isFieldStart(token) {
+        return token && (token.type === 'ident' || token.type === 'string');
+    }
+
+    parseFieldAccess(target) {
+        const token = this.next();
+        return { type: 'field', target, name: token.value };
+    }
+
+    parseBracketSuffix(target) {
+        this.expectOp('[');
+
+        if (this.isOp(']')) {
+            this.next();
+            return { type: 'iterate', target };
+        }
+
+        if (this.isOp(':')) {
+            this.next();
+            const to = this.parsePipe();
+            this.expectOp(']');
+            return { type: 'slice', target, from: null, to };
+        }
+
+        const index = this.parsePipe();
+        if (this.isOp(':')) {
+            this.next();
+            const to = this.isOp(']') ? null : this.parsePipe();
+            this.expectOp(']');
+            return { type: 'slice', target, from: index, to };
+        }
+
+        this.expectOp(']');
+        return { type: 'index', target, index };
+    }
+
+    parsePrimary() {
+        const token = this.peek();
+
+        if (token.type === 'number' || token.type === 'string') {
+            this.next();
+            return { type: 'literal', value: token.value };
+        }
+
+        if (token.type === 'op') {
+            switch (token.value) {
+                case '.': {
+                    this.next();
+                    if (this.isFieldStart(this.peek())) {
+                        return this.parseFieldAccess({ type: 'identity' });
+                    }
+                    return { type: 'identity' };
+                }
+                case '..':
+                    this.next();
+                    return { type: 'recurse' };
+                case '(': {
+                    this.next();
+                    const body = this.parsePipe();
+                    this.expectOp(')');
+                    return body;
+                }
+                case '[': {
+                    this.next();
+                    if (this.isOp(']')) {
+                        this.next();
+                        return { type: 'array', body: null };
+                    }
+                    const body = this.parsePipe();
+                    this.expectOp(']');
+                    return { type: 'array', body };
+                }
+                case '{':
+                    return this.parseObject();
+                case '$': {
+                    this.next();
+                    const name = this.next();
+                    if (name.type !== 'ident') {
+                        throw new Error(`Expected variable name at position ${name.pos}`);
+                    }
+                    return { type: 'variable', name: name.value };
+                }
+            }
+        }
+
+        if (token.type === 'ident') {
+            switch (token.value) {
+                case 'true':
+                    this.next();
+                    return { type: 'literal', value: true };
+                case 'false':
+                    this.next();
+                    return { type: 'literal', value: false };
+                case 'null':
+                    this.next();
+                    return { type: 'literal', value: null };
+                case 'if':
+                    return this.parseIf();
+                default:
+                    return this.parseCall();
+            }
+        }
+
+        if (token.type === 'eof') {
+            throw new Error('Unexpected end of query');
+        }
+        throw new Error(`Unexpected "${token.value}" at position ${token.pos}`);
+    }
+
+    parseIf() {
+        this.expectKeyword('if');
+        const condition = this.parsePipe();
+        this.expectKeyword('then');
+        const thenBranch = this.parsePipe();
+        let elseBranch = null;
+
+        if (this.isKeyword('elif')) {
+            // Rewrite "elif" as a nested if so evaluation stays simple
+            this.tokens[this.position] = Object.assign({}, this.peek(), { value: 'if' });
+            elseBranch = this.parseIf();
+            return { type: 'if', condition, then: thenBranch, else: elseBranch };
+        }
+
+        if (this.isKeyword('else')) {
+            this.next();
+            elseBranch = this.parsePipe();
+        }
+        this.expectKeyword('end');
+        return { type: 'if', condition, then: thenBranch, else: elseBranch };
+    }
+
+    parseCall() {
+        const name = this.next().value;
+        const args = [];
+
+        if (this.isOp('(')) {
+            this.next();
+            args.push(this.parsePipe());
+            while (this.isOp(';')) {
+                this.next();
+                args.push(this.parsePipe());
+            }
+            this.expectOp(')');
+        }
+
+        return { type: 'call', name, args };
+    }
+
+    parseObject() {
+        this.expectOp('{');
+        const entries = [];
+
+        while (!this.isOp('}')) {
+            const token = this.next();
+            let key;
+
+            if (token.type === 'ident' || token.type === 'string') {
+                key = { type: 'literal', value: token.value };
+            } else if (token.type === 'op' && token.value === '(') {
+                key = this.parsePipe();
+                this.expectOp(')');
+            } else if (token.type === 'op' && token.value === '$') {
+                const name = this.next();
+                entries.push({
+                    key: { type: 'literal', value: name.value },
+                    value: { type: 'variable', name: name.value }
+                });
+                if (!this.isOp('}')) this.expectOp(',');
+                continue;
+            } else {
+                throw new Error(`Invalid object key at position ${token.pos}`);
+            }
+
+            let value = null;
+            if (this.isOp(':')) {
+                this.next();
+                value = this.parseAlternative();
+            }
+            entries.push({ key, value });
+
+            if (!this.isOp('}')) this.expectOp(',');
+        }
+
+        this.expectOp('}');
+        return { type: 'object', entries };
+    }
+}
+
+/**
+ * Builtin functions; arguments are unevaluated AST nodes (jq closures)
+ */
+const JsonQueryBuiltins = {
+    call(name, args, input, env) {
+        const key = `${name}/${args.length}`;
+        const builtin = this.definitions[key];
+        if (!builtin) {
+            throw new Error(`${key} is not defined`);
+        }
+        return builtin(input, args, env);
+    },
+
+    // Evaluate a closure argument and return its outputs
+    arg(node, input, env) {
+        return JsonQuery.evaluate(node, input, env);
+    },
+
+    requireType(value, type, name) {
+        if (JsonQuery.typeOf(value) !== type) {
+            throw new Error(`${name} requires ${type} input, got ${JsonQuery.typeOf(value)}`);
+        }
+    },
+
+    sortBy(input, node, env) {
+        JsonQueryBuiltins.requireType(input, 'array', 'sort_by');
+        return input
+            .map((item, index) => ({ item, index, key: JsonQuery.evaluate(node, item, env) }))
+            .sort((a, b) => JsonQuery.compare(a.key, b.key) || a.index - b.index);
+    },
+
+    definitions: {
+        'empty/0': () => [],
+        'error/0': input => { throw new Error(typeof input === 'string' ? input : JSON.stringify(input)); },
+        'error/1': (input, [message], env) => JsonQueryBuiltins.arg(message, input, env).map(value => {
+            throw new Error(typeof value === 'string' ? value : JSON.stringify(value));
+        }),
+        'not/0': input => [!JsonQuery.isTruthy(input)],
+        'length/0': input => {
+            if (input === null) return [0];
+            if (typeof input === 'string' || Array.isArray(input)) return [input.length];
+            if (JsonQuery.typeOf(input) === 'object') return [Object.keys(input).length];
+            if (JsonQuery.typeOf(input) === 'number') return [Math.abs(JsonQuery.toDouble(input))];
+            throw new Error(`${JsonQuery.typeOf(input)} has no length`);
+        },
+        'keys/0': input => {
+            if (Array.isArray(input)) return [input.map((item, index) => index)];
+            JsonQueryBuiltins.requireType(input, 'object', 'keys');
+            return [Object.keys(input).sort()];
+        },
+        'keys_unsorted/0': input => {
+            JsonQueryBuiltins.requireType(input, 'object', 'keys_unsorted');
+            return [Object.keys(input)];
+        },
+        'values/0': input => (input === null ? [] : [input]),
+        'has/1': (input, [key], env) => JsonQueryBuiltins.arg(key, input, env).map(k => {
+            if (Array.isArray(input)) return typeof k === 'number' && k >= 0 && k < input.length;
+            JsonQueryBuiltins.requireType(input, 'object', 'has');
+            return Object.prototype.hasOwnProperty.call(input, k);
+        }),
+        'in/1': (input, [target], env) => JsonQueryBuiltins.arg(target, input, env).map(container => {
+            if (Array.isArray(container)) return typeof input === 'number' && input >= 0 && input < container.length;
+            return Object.prototype.hasOwnProperty.call(container || {}, input);
+        }),
+        'type/0': input => [JsonQuery.typeOf(input)],
+        'select/1': (input, [condition], env) =>
+            JsonQueryBuiltins.arg(condition, input, env).filter(JsonQuery.isTruthy).map(() => input),
+        'map/1': (input, [body], env) => [JsonQuery.flatMap(JsonQuery.iterateValue(input),
+            item => JsonQuery.evaluate(body, item, env))],
+        'map_values/1': (input, [body], env) => {
+            if (Array.isArray(input)) {
+                return [input.map(item => JsonQuery.evaluate(body, item, env)[0])];
+            }
+            JsonQueryBuiltins.requireType(input, 'object', 'map_values');
+            const result = {};
+            Object.keys(input).forEach(key => {
+                const outputs = JsonQuery.evaluate(body, input[key], env);
+                if (outputs.length > 0) result[key] = outputs[0];
+            });
+            return [result];
+        },
+        'recurse/0': input => JsonQuery.recurse(input),
+        'to_entries/0': input => {
+            JsonQueryBuiltins.requireType(input, 'object', 'to_entries');
+            return [Object.keys(input).map(key => ({ key, value: input[key] }))];
+        },
+        'from_entries/0': input => {
+            JsonQueryBuiltins.requireType(input, 'array', 'from_entries');
+            const result = {};
+            input.forEach(entry => {
+                const key = entry.key !== undefined ? entry.key : (entry.name !== undefined ? entry.name : entry.k);
+                result[String(key)] = entry.value !== undefined ? entry.value : entry.v;
+            });
+            return [result];
+        },
+        'with_entries/1': (input, [body], env) => {
+            const entries = JsonQueryBuiltins.definitions['to_entries/0'](input)[0];
+            const mapped = JsonQuery.flatMap(entries, entry => JsonQuery.evaluate(body, entry, env));
+            return JsonQueryBuiltins.definitions['from_entries/0'](mapped);
+        },
+        'add/0': input => [JsonQuery.iterateValue(input).reduce((sum, item) => JsonQuery.add(sum, JsonQuery.toDouble(item)), null)],
+        'any/0': input => [JsonQuery.iterateValue(input).some(JsonQuery.isTruthy)],
+        'all/0': input => [JsonQuery.iterateValue(input).every(JsonQuery.isTruthy)],
+        'any/1': (input, [body], env) => [JsonQuery.iterateValue(input)
+            .some(item => JsonQuery.evaluate(body, item, env).some(JsonQuery.isTruthy))],
+        'all/1': (input, [body], env) => [JsonQuery.iterateValue(input)
+            .every(item => JsonQuery.evaluate(body, item, env).every(JsonQuery.isTruthy))],
+        'flatten/0': input => {
+            JsonQueryBuiltins.requireType(input, 'array', 'flatten');
+            return [input.flat(Infinity)];
+        },
+        'flatten/1': (input, [depth], env) => JsonQueryBuiltins.arg(depth, input, env).map(d => {
+            JsonQueryBuiltins.requireType(input, 'array', 'flatten');
+            return input.flat(d);
+        }),
+        'range/1': (input, [limit], env) => JsonQuery.flatMap(JsonQueryBuiltins.arg(limit, input, env), n => {
+            const results = [];
+            for (let i = 0; i < n; i++) results.push(i);
+            return results;
+        }),
+        'range/2': (input, [from, to], env) => JsonQuery.flatMap(JsonQueryBuiltins.arg(from, input, env), start =>
+            JsonQuery.flatMap(JsonQueryBuiltins.arg(to, input, env), end => {
+                const results = [];
+                for (let i = start; i < end; i++) results.push(i);
+                return results;
+            })),
+        'floor/0': input => [Math.floor(input)],
+        'ceil/0': input => [Math.ceil(input)],
+        'round/0': input => [Math.round(input)],
+        'sqrt/0': input => [Math.sqrt(input)],
+        'fabs/0': input => [Math.abs(input)],
+        'tostring/0': input => [typeof input === 'string' ? input : ContentSerializer.stringifyJson(input)],
+        'tonumber/0': input => {
+            if (JsonQuery.typeOf(input) === 'number') return [input];
+            const number = Number(input);
+            if (typeof input !== 'string' || input.trim() === '' || isNaN(number)) {
+                throw new Error(`Cannot parse ${JSON.stringify(input)} as a number`);
+            }
+            return [number];
+        },
+        'ascii_downcase/0': input => {
+            JsonQueryBuiltins.requireType(input, 'string', 'ascii_downcase');
+            return [input.toLowerCase()];
+        },
+        'ascii_upcase/0': input => {
+            JsonQueryBuiltins.requireType(input, 'string', 'ascii_upcase');
+            return [input.toUpperCase()];
+        },
+        'ltrimstr/1': (input, [prefix], env) => JsonQueryBuiltins.arg(prefix, input, env).map(p =>
+            (typeof input === 'string' && typeof p === 'string' && input.startsWith(p) ? input.slice(p.length) : input)),
+        'rtrimstr/1': (input, [suffix], env) => JsonQueryBuiltins.arg(suffix, input, env).map(s =>
+            (typeof input === 'string' && typeof s === 'string' && s && input.endsWith(s) ? input.slice(0, -s.length) : input)),
+        'startswith/1': (input, [prefix], env) => JsonQueryBuiltins.arg(prefix, input, env).map(p => {
+            JsonQueryBuiltins.requireType(input, 'string', 'startswith');
+            return input.startsWith(p);
+        }),
+        'endswith/1': (input, [suffix], env) => JsonQueryBuiltins.arg(suffix, input, env).map(s => {
+            JsonQueryBuiltins.requireType(input, 'string', 'endswith');
+            return input.endsWith(s);
+        }),
+        'contains/1': (input, [element], env) => JsonQueryBuiltins.arg(element, input, env)
+            .map(value => JsonQueryBuiltins.contains(input, value)),
+        'inside/1': (input, [container], env) => JsonQueryBuiltins.arg(container, input, env)
+            .map(value => JsonQueryBuiltins.contains(value, input)),
+        'test/1': (input, [pattern], env) => JsonQueryBuiltins.arg(pattern, input, env)
+            .map(regex => JsonQueryBuiltins.regex(input, regex, '').test(input)),
+        'test/2': (input, [pattern, flags], env) => JsonQuery.flatMap(JsonQueryBuiltins.arg(pattern, input, env),
+            regex => JsonQueryBuiltins.arg(flags, input, env)
+                .map(f => JsonQueryBuiltins.regex(input, regex, f).test(input))),
+        'split/1': (input, [separator], env) => JsonQueryBuiltins.arg(separator, input, env).map(s => {
+            JsonQueryBuiltins.requireType(input, 'string', 'split');
+            return input.split(s);
+        }),
+        'join/1': (input, [separator], env) => JsonQueryBuiltins.arg(separator, input, env).map(s => {
+            JsonQueryBuiltins.requireType(input, 'array', 'join');
+            return input.map(item => (item === null ? '' : String(item))).join(s);
+        }),
+        'sort/0': input => {
+            JsonQueryBuiltins.requireType(input, 'array', 'sort');
+            return [input.slice().sort(JsonQuery.compare)];
+        },
+        'sort_by/1': (input, [body], env) => [JsonQueryBuiltins.sortBy(input, body, env).map(entry => entry.item)],
+        'group_by/1': (input, [body], env) => {
+            const groups = [];
+            JsonQueryBuiltins.sortBy(input, body, env).forEach(entry => {
+                const last = groups[groups.length - 1];
+                if (last && JsonQuery.compare(last.key, entry.key) === 0) {
+                    last.items.push(entry.item);
+                } else {
+                    groups.push({ key: entry.key, items: [entry.item] });
+                }
+            });
+            return [groups.map(group => group.items)];
+        },
+        'unique/0': input => {
+            JsonQueryBuiltins.requireType(input, 'array', 'unique');
+            return [input.slice().sort(JsonQuery.compare)
+                .filter((item, index, sorted) => index === 0 || JsonQuery.compare(item, sorted[index - 1]) !== 0)];
+        },
+        'unique_by/1': (input, [body], env) => [JsonQueryBuiltins.sortBy(input, body, env)
+            .filter((entry, index, sorted) => index === 0 || JsonQuery.compare(entry.key, sorted[index - 1].key) !== 0)
+            .map(entry => entry.item)],
+        'min/0': input => {
+            JsonQueryBuiltins.requireType(input, 'array', 'min');
+            return [input.length ? input.reduce((min, item) => (JsonQuery.compare(item, min) < 0 ? item : min)) : null];
+        },
+        'max/0': input => {
+            JsonQueryBuiltins.requireType(input, 'array', 'max');
+            return [input.length ? input.reduce((max, item) => (JsonQuery.compare(item, max) >= 0 ? item : max)) : null];
+        },
+        'min_by/1': (input, [body], env) => {
+            const sorted = JsonQueryBuiltins.sortBy(input, body, env);
+            return [sorted.length ? sorted[0].item : null];
+        },
+        'max_by/1': (input, [body], env) => {
+            const sorted = JsonQueryBuiltins.sortBy(input, body, env);
+            return [sorted.length ? sorted[sorted.length - 1].item : null];
+        },
+        'reverse/0': input => {
+            if (typeof input === 'string') return [input.split('').reverse().join('')];
+            if (input === null) return [[]];
+            JsonQueryBuiltins.requireType(input, 'array', 'reverse');
+            return [input.slice().reverse()];
+        },
+        'first/0': input => [JsonQuery.indexValue(input, 0)],
+        'last/0': input => [JsonQuery.indexValue(input, -1)],
+        'first/1': (input, [body], env) => JsonQueryBuiltins.arg(body, input, env).slice(0, 1),
+        'last/1': (input, [body], env) => JsonQueryBuiltins.arg(body, input, env).slice(-1),
+        'limit/2': (input, [count, body], env) => JsonQuery.flatMap(JsonQueryBuiltins.arg(count, input, env),
+            n => (n > 0 ? JsonQueryBuiltins.arg(body, input, env).slice(0, n) : [])),
+        'indices/1': (input, [target], env) => JsonQueryBuiltins.arg(target, input, env).map(value => {
+            const results = [];
+            if (typeof input === 'string' && typeof value === 'string' && value) {
+                let index = input.indexOf(value);
+                while (index !== -1) {
+                    results.push(index);
+                    index = input.indexOf(value, index + 1);
+                }
+            } else if (Array.isArray(input)) {
+                input.forEach((item, index) => {
+                    if (JsonQuery.compare(item, value) === 0) results.push(index);
+                });
+            }
+            return results;
+        }),
+        'paths/0': input => JsonQueryBuiltins.paths(input, []).slice(1),
+        'getpath/1': (input, [path], env) => JsonQueryBuiltins.arg(path, input, env)
+            .map(keys => keys.reduce((value, key) => JsonQuery.indexValue(value, key), input)),
+        'del/1': (input, [path], env) => [JsonQueryBuiltins.deletePaths(input, path, env)],
+        'tojson/0': input => [ContentSerializer.stringifyJson(input)],
+        'fromjson/0': input => {
+            JsonQueryBuiltins.requireType(input, 'string', 'fromjson');
+            return [JSON.parse(input)];
+        },
+        'arrays/0': input => (Array.isArray(input) ? [input] : []),
+        'objects/0': input => (JsonQuery.typeOf(input) === 'object' ? [input] : []),
+        'strings/0': input => (typeof input === 'string' ? [input] : []),
+        'numbers/0': input => (JsonQuery.typeOf(input) === 'number' ? [input] : []),
+        'booleans/0': input => (typeof input === 'boolean' ? [input] : []),
+        'nulls/0': input => (input === null ? [input] : []),
+        'scalars/0': input => (['array', 'object'].includes(JsonQuery.typeOf(input)) ? [] : [input]),
+        'iterables/0': input => (['array', 'object'].includes(JsonQuery.typeOf(input)) ? [input] : []),
+        'env/0': () => [{}],
+        'now/0': () => [Date.now() / 1000]
+    },
+
+    contains(container, value) {
+        if (typeof container === 'string' && typeof value === 'string') return container.includes(value);
+        if (Array.isArray(container) && Array.isArray(value)) {
+            return value.every(item => container.some(candidate => JsonQueryBuiltins.contains(candidate, item)));
+        }
+        if (JsonQuery.typeOf(container) === 'object' && JsonQuery.typeOf(value) === 'object') {
+            return Object.keys(value).every(key =>
+                Object.prototype.hasOwnProperty.call(container, key) &&
+                JsonQueryBuiltins.contains(container[key], value[key]));
+        }
+        if (JsonQuery.typeOf(container) !== JsonQuery.typeOf(value)) {
+            throw new Error(`${JsonQuery.typeOf(container)} and ${JsonQuery.typeOf(value)} cannot have their containment checked`);
+        }
+        return JsonQuery.compare(container, value) === 0;
+    },
+
+    regex(input, pattern, flags) {
+        JsonQueryBuiltins.requireType(input, 'string', 'test');
+        const jsFlags = (flags || '').replace(/[^gimsuy]/g, '').replace('g', '');
+        return new RegExp(pattern, jsFlags);
+    },
+
+    paths(value, prefix) {
+        const results = [prefix];
+        if (Array.isArray(value)) {
+            value.forEach((item, index) => results.push(...JsonQueryBuiltins.paths(item, prefix.concat(index))));
+        } else if (JsonQuery.typeOf(value) === 'object') {
+            Object.keys(value).forEach(key => results.push(...JsonQueryBuiltins.paths(value[key], prefix.concat(key))));
+        }
+        return results;
+    },
+
+    deletePaths(input, node, env) {
+        // Only simple paths (.a.b, .[0], .a[]) are supported, which covers typical use
+        const path = [];
+        let current = node;
+        while (current && current.type !== 'identity') {
+            if (current.type === 'field') {
+                path.unshift({ key: current.name });
+            } else if (current.type === 'index' && current.index.type === 'literal') {
+                path.unshift({ key: current.index.value });
+            } else {
+                throw new Error('del/1 only supports simple paths');
+            }
+            current = current.target;
+        }
+        if (path.length === 0) return null;
+
+        // Copies objects and arrays only, so dates and exact numbers stay as they are
+        const clone = ContentSerializer.mapLeaves(input, [], leaf => leaf);
+        const parent = path.slice(0, -1).reduce((value, step) => JsonQuery.indexValue(value, step.key), clone);
+        const last = path[path.length - 1].key;
+        if (Array.isArray(parent) && typeof last === 'number') {
+            parent.splice(last < 0 ? parent.length + last : last, 1);
+        } else if (parent && typeof parent === 'object') {
+            delete parent[last];
+        }
+        return clone;
+    }
+};
+
+// Export for debugging
+if (typeof globalThis !== 'undefined') {
+    globalThis.JsonQuery = JsonQuery;
+}
@@ -0,0 +1,421 @@
+/**
+ * 🦊 Native Multi-Format Viewer - Content Serializer
+ * Writes the viewer's data model back out as text of a format
+ *
+ * The counterpart of ContentParser for documents edited in the tree or
+ * exported as another format. Comments and the original layout are not
+ * kept: JSON and YAML are written with the indent size from the settings,
+ * TOML, XML and CSV by their parsers' stringify(). Exact JSON numbers
+ * (JsonNumber) are written as the text they were read from.
+ */
+
+class ContentSerializer {
+    /**
+     * Write data as the given format. options.indent is the indent width in
+     * spaces. Throws when the format has no way to hold the data, e.g. null
+     * in TOML or a key that isn't a valid XML name.
+     */
+    static serialize(data, format, options = {}) {
+        const indent = options.indent || 2;
+
+        switch (format.toLowerCase()) {
+            case 'json':
+                return ContentSerializer.stringifyJson(data, indent);
+
+            case 'yaml':
+            case 'yml':
+                if (typeof jsyaml === 'undefined') {
+                    throw new Error('YAML writer not available');
+                }
+                return jsyaml.dump(data, { indent, lineWidth: -1, noRefs: true, schema: ContentSerializer.yamlSchema() });
+
+            case 'toml':
+                return TomlParser.stringify(data);
+
+            case 'xml':
+                return XmlParser.stringify(data, { indent });
+
+            default:
+                throw new Error(`Writing ${format.toUpperCase()} is not supported`);
+        }
+    }
+
+    /**
+     * JSON.stringify, except that exact numbers are written as their text.
+     * They go through JSON.stringify as placeholder strings, which are then
+     * swapped for the text, as JSON.stringify can't write raw output.
+     * Strings of the data that look like a placeholder are swapped back the
+     * same way, so they can't be taken for one.
+     */
+    static stringifyJson(data, indent) {
+        const texts = [];
+        const placeholder = text => {
+            texts.push(text);
+            return `${ContentSerializer.PLACEHOLDER}${texts.length - 1}`;
+        };
+        const json = JSON.stringify(data, function (key, value) {
+            // `value` has been through toJSON() already, so look at the original
+            if (this[key] instanceof JsonNumber) return placeholder(this[key].text);
+            if (typeof value === 'string' && value.startsWith(ContentSerializer.PLACEHOLDER)) {
+                return placeholder(JSON.stringify(value));
+            }
+            return value;
+        }, indent);
+
+        if (texts.length === 0) return json;
+        return json.replace(ContentSerializer.PLACEHOLDER_PATTERN, (match, index) => texts[index]);
+    }
+
+    // js-yaml's default schema, plus exact numbers and TOML offset date-times written as plain scalars
+    static yamlSchema() {
+        if (!ContentSerializer.yamlSchemaCache) {
+            ContentSerializer.yamlSchemaCache = jsyaml.DEFAULT_SCHEMA.extend({
+                implicit: [new jsyaml.Type('tag:fv:exact-number', {
+                    kind: 'scalar',
+                    instanceOf: JsonNumber,
+                    resolve: () => false, // only used for writing
+                    represent: number => number.text
+                }), new jsyaml.Type('tag:fv:offset-datetime', {
+                    kind: 'scalar',
+                    instanceOf: TomlDateTime,
+                    predicate: date => date.kind === 'offset-datetime',
+                    resolve: () => false,
+                    // A YAML timestamp, with its offset and precision as written; YAML only takes an upper-case Z
+                    represent: date => date.text.replace(/z$/, 'Z')
+                })]
+            });
+        }
+        return ContentSerializer.yamlSchemaCache;
+    }
+
+    static canSerialize(format) {
+        return ['json', 'yaml', 'yml', 'toml', 'xml'].includes((format || '').toLowerCase());
+    }
+
+    /**
+     * Convert a parsed document to another format. Where the target can't
+     * hold the data as it is, the data is adapted instead of rejected, e.g.
+     * nulls are left out of TOML and nested objects are flattened for CSV.
+     * Returns { content, warnings } with one warning per kind of loss,
+     * naming the first place it happened.
+     */
+    static convert(data, sourceFormat, targetFormat, options = {}) {
+        const found = new Map(); // message -> { path, count }
+        const warn = (message, path) => {
+            const entry = found.get(message);
+            if (entry) {
+                entry.count++;
+            } else {
+                found.set(message, { path, count: 1 });
+            }
+        };
+
+        // A CSV document converts as its list of rows
+        const value = ['csv', 'tsv'].includes(sourceFormat.toLowerCase()) ? data.rows : data;
+        let content;
+
+        switch (targetFormat.toLowerCase()) {
+            case 'json':
+                content = ContentSerializer.serialize(ContentSerializer.mapLeaves(value, [], (leaf, path) => {
+                    if (typeof leaf === 'number' && !Number.isFinite(leaf)) {
+                        warn('JSON has no NaN or Infinity, so they become null', path);
+                        return null;
+                    }
+                    return ContentSerializer.dateText(leaf, path, warn) || leaf;
+                }), 'json', options);
+                break;
+
+            case 'yaml':
+            case 'yml':
+                content = ContentSerializer.serialize(ContentSerializer.mapLeaves(value, [], (leaf, path) => {
+                    // YAML timestamps carry an offset, so local TOML dates and times stay text
+                    if (leaf instanceof TomlDateTime && leaf.kind !== 'offset-datetime') {
+                        warn('Local dates and times become strings', path);
+                        return leaf.text;
+                    }
+                    return leaf;
+                }), targetFormat, options);
+                break;
+
+            case 'toml':
+                content = TomlParser.stringify(ContentSerializer.toTomlDocument(value, warn));
+                break;
+
+            case 'xml':
+                content = XmlParser.stringify(ContentSerializer.toXmlDocument(value, warn), options);
+                break;
+
+            case 'csv':
+                content = CsvParser.stringify(ContentSerializer.toRecords(value, warn));
+                break;
+
+            default:
+                throw new Error(`Converting to ${targetFormat.toUpperCase()} is not supported`);
+        }
+
+        const warnings = [];
+        found.forEach(({ path, count }, message) => {
+            // Warnings about the document as a whole have no path to show
+            const more = count > 1 ? ` and ${count - 1} more` : '';
+            warnings.push(path.length > 0 ? `${message}: ${StructuralDiff.pathText(path)}${more}` : message);
+        });
+        return { content, warnings };
+    }
+
+    static isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+            !(value instanceof Date) && !(value instanceof TomlDateTime) && !(value instanceof JsonNumber);
+    }
+
+    /**
+     * Copy of value with every leaf replaced by leaf(value, path). Returning
+     * ContentSerializer.OMIT drops the leaf from its object or array.
+     */
+    static mapLeaves(value, path, leaf) {
+        if (Array.isArray(value)) {
+            return value
+                .map((item, index) => ContentSerializer.mapLeaves(item, path.concat([index]), leaf))
+                .filter(item => item !== ContentSerializer.OMIT);
+        }
+        if (ContentSerializer.isPlainObject(value)) {
+            // fromEntries defines keys such as "__proto__" as plain properties
+            return Object.fromEntries(Object.keys(value)
+                .map(key => [key, ContentSerializer.mapLeaves(value[key], path.concat([key]), leaf)])
+                .filter(([, item]) => item !== ContentSerializer.OMIT));
+        }
+        return leaf(value, path);
+    }
+
+    // Text of a date or TOML date/time, or null for other values
+    static dateText(value, path, warn) {
+        if (value instanceof Date) {
+            warn('Dates become strings', path);
+            return value.toISOString();
+        }
+        if (value instanceof TomlDateTime) {
+            warn('Dates become strings', path);
+            return value.text;
+        }
+        return null;
+    }
+
+    static toTomlDocument(value, warn) {
+        const table = ContentSerializer.mapLeaves(value, [], (leaf, path) => {
+            if (leaf === null || leaf === undefined) {
+                warn('TOML has no null, so null values are left out', path);
+                return ContentSerializer.OMIT;
+            }
+            // TOML integers are 64-bit, while any decimal text is a valid TOML float
+            if (leaf instanceof JsonNumber && /^-?\d+$/.test(leaf.text) &&
+                BigInt.asIntN(64, BigInt(leaf.text)) !== BigInt(leaf.text)) {
+                warn('Integers beyond 64 bits become strings', path);
+                return leaf.text;
+            }
+            return leaf;
+        });
+
+        if (ContentSerializer.isPlainObject(table)) return table;
+        // The document itself must be a table of keys
+        const key = Array.isArray(table) ? 'items' : 'value';
+        warn(`The document isn't a table, so it is written under the key "${key}"`, []);
+        return table === ContentSerializer.OMIT ? {} : { [key]: table };
+    }
+
+    static toXmlDocument(value, warn) {
+        const names = ContentSerializer.isPlainObject(value) ? Object.keys(value) : [];
+        const single = names.length === 1 && names[0] !== '@attributes' && !Array.isArray(value[names[0]]);
+        if (single) {
+            return ContentSerializer.toXmlValue(value, [], warn);
+        }
+
+        warn('The document has no single root element, so it is wrapped in <root>', []);
+        return { root: ContentSerializer.toXmlValue(Array.isArray(value) ? { item: value } : value, [], warn) };
+    }
+
+    /**
+     * The document in the object model of XmlParser.toObject(): keys that
+     * aren't element names are renamed and every value becomes text
+     */
+    static toXmlValue(value, path, warn) {
+        if (Array.isArray(value)) {
+            return value.map((item, index) => {
+                const itemPath = path.concat([index]);
+                if (Array.isArray(item)) {
+                    // Repeated elements can't nest directly, so inner lists get elements of their own
+                    warn('Lists of lists are written as nested <item> elements', itemPath);
+                    return ContentSerializer.toXmlValue({ item }, itemPath, warn);
+                }
+                return ContentSerializer.toXmlValue(item, itemPath, warn);
+            });
+        }
+
+        if (ContentSerializer.isPlainObject(value)) {
+            const element = {};
+            Object.keys(value).forEach(key => {
+                const child = value[key];
+                const childPath = path.concat([key]);
+
+                if (key === '@attributes' && ContentSerializer.isPlainObject(child)) {
+                    element['@attributes'] = ContentSerializer.toXmlAttributes(child, childPath, warn);
+                    return;
+                }
+                if (Array.isArray(child) && child.length === 0) {
+                    warn('XML has no empty list, so empty lists are left out', childPath);
+                    return;
+                }
+
+                const name = ContentSerializer.uniqueName(ContentSerializer.xmlName(key), element);
+                if (name !== key) {
+                    warn('Keys that aren\'t XML names are renamed', childPath);
+                }
+                XmlParser.setOwn(element, name, ContentSerializer.toXmlValue(child, childPath, warn));
+            });
+            return element;
+        }
+
+        return ContentSerializer.toXmlText(value, path, warn);
+    }
+
+    static toXmlAttributes(attributes, path, warn) {
+        const converted = {};
+        Object.keys(attributes).forEach(key => {
+            const attributePath = path.concat([key]);
+            const name = ContentSerializer.uniqueName(ContentSerializer.xmlName(key), converted);
+            if (name !== key) {
+                warn('Keys that aren\'t XML names are renamed', attributePath);
+            }
+
+            let text = attributes[key];
+            if (ContentSerializer.isPlainObject(text) || Array.isArray(text)) {
+                warn('Attribute values that are lists or objects become JSON text', attributePath);
+                text = JSON.stringify(text);
+            }
+            XmlParser.setOwn(converted, name, ContentSerializer.toXmlText(text, attributePath, warn));
+        });
+        return converted;
+    }
+
+    static toXmlText(value, path, warn) {
+        if (value === null || value === undefined) {
+            warn('XML has no null, so null values become empty elements', path);
+            return '';
+        }
+        if (typeof value === 'number' || typeof value === 'boolean' || value instanceof JsonNumber) {
+            warn('Numbers and booleans become text', path);
+            return String(value);
+        }
+        return ContentSerializer.dateText(value, path, warn) || value;
+    }
+
+    // The key with characters XML names can't contain replaced by "_"
+    static xmlName(key) {
+        if (XmlParser.isName(key)) return key;
+        const name = key.replace(/[^\w.:\-\u00B7\u00C0-\uFFFF]/g, '_');
+        return /^[A-Za-z_:\u00C0-\uFFFF]/.test(name) ? name : `_${name}`;
+    }
+
+    static uniqueName(name, taken) {
+        let unique = name;
+        for (let suffix = 2; Object.prototype.hasOwnProperty.call(taken, unique); suffix++) {
+            unique = `${name}_${suffix}`;
+        }
+        return unique;
+    }
+
+    /**
+     * Rows for CSV: the document if it is a list, otherwise its first list
+     * of objects, or the document as a single row. Nested objects become
+     * dotted columns (address.city) and lists become JSON text.
+     */
+    static toRecords(value, warn) {
+        let rows = Array.isArray(value) ? value : null;
+        let base = [];
+        if (!rows) {
+            const found = ContentSerializer.findRows(value);
+            if (found) {
+                rows = found.rows;
+                base = found.path;
+                warn('Only the first list of objects is written as rows', base);
+            } else {
+                rows = [value];
+            }
+        }
+
+        const headers = [];
+        const columns = new Map(); // header -> index
+        const records = rows.map((row, index) => {
+            const record = [];
+            const add = (name, cell) => {
+                if (!columns.has(name)) {
+                    columns.set(name, headers.length);
+                    headers.push(name);
+                }
+                record[columns.get(name)] = cell;
+            };
+
+            const rowPath = base.concat(Array.isArray(value) || base.length > 0 ? [index] : []);
+            if (ContentSerializer.isPlainObject(row)) {
+                ContentSerializer.flattenRow(row, '', rowPath, add, warn);
+            } else {
+                add('value', ContentSerializer.toCell(row, rowPath, warn));
+            }
+            return record;
+        });
+
+        return [headers].concat(records.map(record => headers.map((name, index) => record[index] || '')));
+    }
+
+    static flattenRow(object, prefix, path, add, warn) {
+        Object.keys(object).forEach(key => {
+            const value = object[key];
+            const childPath = path.concat([key]);
+            if (ContentSerializer.isPlainObject(value) && Object.keys(value).length > 0) {
+                warn('Nested objects are flattened into dotted columns', childPath);
+                ContentSerializer.flattenRow(value, `${prefix}${key}.`, childPath, add, warn);
+            } else {
+                add(`${prefix}${key}`, ContentSerializer.toCell(value, childPath, warn));
+            }
+        });
+    }
+
+    static toCell(value, path, warn) {
+        if (value === null || value === undefined) {
+            warn('CSV has no null, so null values become empty cells', path);
+            return '';
+        }
+        if (value instanceof Date) return value.toISOString();
+        if (value instanceof TomlDateTime || value instanceof JsonNumber) return value.text;
+        if (typeof value === 'object') {
+            warn('Lists and empty objects are written as JSON text', path);
+            return ContentSerializer.stringifyJson(value);
+        }
+        return String(value);
+    }
+
+    // Breadth-first, so the shallowest list of objects wins
+    static findRows(root) {
+        const queue = [{ value: root, path: [] }];
+        while (queue.length > 0) {
+            const { value, path } = queue.shift();
+            if (Array.isArray(value)) {
+                if (value.some(ContentSerializer.isPlainObject)) {
+                    return { rows: value, path };
+                }
+            } else if (ContentSerializer.isPlainObject(value)) {
+                Object.keys(value).forEach(key => queue.push({ value: value[key], path: path.concat([key]) }));
+            }
+        }
+        return null;
+    }
+}
+
+ContentSerializer.OMIT = Symbol('omit');
+// Marks exact numbers inside stringifyJson(); JSON.stringify escapes the NUL
+ContentSerializer.PLACEHOLDER = '\u0000JsonNumber:';
+ContentSerializer.PLACEHOLDER_PATTERN = /"\\u0000JsonNumber:(\d+)"/g;
+ContentSerializer.yamlSchemaCache = null;
+
+// Export for debugging
+if (typeof globalThis !== 'undefined') {
+    globalThis.ContentSerializer = ContentSerializer;
+}
@@ -0,0 +1,128 @@
+/**
+ * 🦊 Native Multi-Format Viewer - Settings
+ * Defaults and helpers for the settings edited in the popup
+ *
+ * Settings are stored under "settings" in browser.storage.local. Viewers
+ * read them through the background script's getSettings message and follow
+ * later changes through storage.onChanged, so open tabs update live.
+ */
+
+class ViewerSettings {
+    /**
+     * Stored settings merged over the defaults, with out-of-range values
+     * replaced by their default. Formats added since supportedFormats was
+     * saved are switched on, as they are for new installs; knownFormats
+     * records which formats a saved list has already had the choice of.
+     */
+    static normalize(settings) {
+        const defaults = ViewerSettings.DEFAULTS;
+        const merged = Object.assign({}, defaults, settings || {});
+
+        const indentSize = Number(merged.indentSize);
+        merged.indentSize = [2, 4, 8].includes(indentSize) ? indentSize : defaults.indentSize;
+
+        const maxFileSize = Number(merged.maxFileSize);
+        merged.maxFileSize = maxFileSize >= 1 && maxFileSize <= 100 ? maxFileSize : defaults.maxFileSize;
+
+        if (!Array.isArray(merged.supportedFormats)) {
+            merged.supportedFormats = defaults.supportedFormats.slice();
+        } else {
+            const known = settings && Array.isArray(settings.knownFormats) ? settings.knownFormats : ViewerSettings.LEGACY_FORMATS;
+            const added = defaults.supportedFormats.filter(format => !known.includes(format) && !merged.supportedFormats.includes(format));
+            merged.supportedFormats = merged.supportedFormats.concat(added);
+        }
+        merged.knownFormats = defaults.supportedFormats.slice();
+
+        merged.customThemes = ViewerSettings.normalizeCustomThemes(merged.customThemes);
+        const themes = ViewerSettings.THEMES.concat(merged.customThemes.map(theme => theme.id));
+        if (!themes.includes(merged.theme)) {
+            merged.theme = defaults.theme;
+        }
+        return merged;
+    }
+
+    /**
+     * Custom themes ({ id, name, base, colors }) with malformed entries and
+     * colors dropped; js/core/theme.js fills in missing colors from the base
+     */
+    static normalizeCustomThemes(themes) {
+        if (!Array.isArray(themes)) return [];
+
+        return themes
+            .filter(theme => theme && typeof theme.id === 'string' && theme.id.startsWith('custom-'))
+            .map(theme => {
+                const colors = {};
+                Object.entries(theme.colors || {}).forEach(([name, value]) => {
+                    if (typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value)) {
+                        colors[name] = value;
+                    }
+                });
+                return {
+                    id: theme.id,
+                    name: String(theme.name || 'Custom theme'),
+                    base: ViewerSettings.THEMES.includes(theme.base) && theme.base !== 'auto' ? theme.base : 'light',
+                    colors
+                };
+            });
+    }
+
+    static isFormatEnabled(settings, format) {
+        const name = (format || '').toLowerCase();
+        return settings.supportedFormats.includes(name === 'yml' ? 'yaml' : name);
+    }
+
+    static maxFileSizeBytes(settings) {
+        return settings.maxFileSize * 1024 * 1024;
+    }
+
+    /**
+     * Current settings from the background script, or the defaults if it
+     * doesn't answer
+     */
+    static async load() {
+        try {
+            const settings = await browser.runtime.sendMessage({ action: 'getSettings' });
+            return ViewerSettings.normalize(settings);
+        } catch (error) {
+            console.error('🦊 Loading settings failed, using defaults:', error);
+            return ViewerSettings.normalize(null);
+        }
+    }
+
+    /**
+     * Call `callback(settings, previous)` whenever the popup saves settings
+     */
+    static onChange(callback) {
+        browser.storage.onChanged.addListener((changes, area) => {
+            if (area !== 'local' || !changes.settings) return;
+            callback(
+                ViewerSettings.normalize(changes.settings.newValue),
+                ViewerSettings.normalize(changes.settings.oldValue)
+            );
+        });
+    }
+}
+
+ViewerSettings.DEFAULTS = {
+    enabled: true,
+    autoDetect: true,
+    supportedFormats: ['json', 'yaml', 'xml', 'csv', 'tsv', 'toml'],
+    theme: 'auto', // one of THEMES or a custom theme id
+    customThemes: [],
+    showLineNumbers: true,
+    sortKeys: false,
+    losslessNumbers: true, // keep JSON numbers a double would round exactly as written
+    autoFormat: true, // open files in Pretty view
+    indentSize: 2, // spaces per tree level
+    maxFileSize: 10, // MB, larger files are only shown as text
+    enableCache: true
+};
+
+ViewerSettings.THEMES = ['auto', 'light', 'dark', 'high-contrast'];
+// Formats there were before saved settings recorded knownFormats
+ViewerSettings.LEGACY_FORMATS = ['json', 'yaml', 'xml', 'csv', 'toml'];
+
+// Export for debugging
+if (typeof globalThis !== 'undefined') {
+    globalThis.ViewerSettings = ViewerSettings;
+}
@@ -0,0 +1,1122 @@
+/**
+ * 🦊 Native Multi-Format Viewer - SQL Engine
+ * Read-only SQL over CSV tables ({ headers, rows }) and arrays of objects
+ *
+ * Supported syntax: SELECT [DISTINCT] ... [FROM path] [WHERE ...]
+ * [GROUP BY ...] [HAVING ...] [ORDER BY ... ASC|DESC] [LIMIT n [OFFSET m]],
+ * aggregates COUNT/SUM/AVG/MIN/MAX, CASE, LIKE, IN, BETWEEN, IS NULL
+ * and a few scalar functions.
+ */
+
+class SqlQuery {
+    /**
+     * Whether an expression typed in the query bar is SQL rather than jq
+     */
+    static isSql(expression) {
+        return /^\s*select\s/i.test(expression);
+    }
+
+    /**
+     * Run a statement and return the result as { headers, rows }
+     *
+     * options.tableName is the name a CSV table also answers to in FROM,
+     * usually the file name without its extension.
+     */
+    static run(sql, data, options = {}) {
+        const statement = SqlQuery.compile(sql);
+        return new SqlQuery(data, options).execute(statement);
+    }
+
+    static compile(sql) {
+        const parser = new SqlQueryParser(SqlQuery.tokenize(sql), sql);
+        return parser.parseStatement();
+    }
+
+    static tokenize(source) {
+        const tokens = [];
+        const operators = ['<=', '>=', '<>', '!=', '||', '=', '<', '>', '+', '-', '*', '/', '%', '(', ')', ',', '.'];
+        const closers = { '"': '"', '`': '`', '[': ']' };
+        let i = 0;
+
+        while (i < source.length) {
+            const char = source[i];
+
+            if (/\s/.test(char) || char === ';') {
+                i++;
+                continue;
+            }
+
+            if (source.startsWith('--', i)) {
+                while (i < source.length && source[i] !== '\n') i++;
+                continue;
+            }
+
+            // 'string' with '' as an escaped quote
+            if (char === '\'') {
+                let value = '';
+                let j = i + 1;
+                while (j < source.length) {
+                    if (source[j] === '\'') {
+                        if (source[j + 1] !== '\'') break;
+                        j++;
+                    }
+                    value += source[j++];
+                }
+                if (j >= source.length) {
+                    throw new Error(`Unterminated string at position ${i}`);
+                }
+                tokens.push({ type: 'string', value, pos: i, end: j + 1 });
+                i = j + 1;
+                continue;
+            }
+
+            // "quoted", `quoted` or [quoted] identifiers, for column names with spaces
+            if (closers[char]) {
+                const end = source.indexOf(closers[char], i + 1);
+                if (end === -1) {
+                    throw new Error(`Unterminated identifier at position ${i}`);
+                }
+                tokens.push({ type: 'identifier', value: source.slice(i + 1, end), quoted: true, pos: i, end: end + 1 });
+                i = end + 1;
+                continue;
+            }
+
+            const numberMatch = /^(\d+\.?\d*(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?)/.exec(source.slice(i));
+            if (numberMatch) {
+                // Literals a double would round are kept exact, to match big numbers in the data
+                const number = Number(numberMatch[1]);
+                const value = JsonNumber.isExact(numberMatch[1], number) ? number : new JsonNumber(numberMatch[1]);
+                tokens.push({ type: 'number', value, pos: i, end: i + numberMatch[1].length });
+                i += numberMatch[1].length;
+                continue;
+            }
+
+            const identMatch = /^[A-Za-z_$][\w$]*/.exec(source.slice(i));
+            if (identMatch) {
+                tokens.push({ type: 'identifier', value: identMatch[0], pos: i, end: i + identMatch[0].length });
+                i += identMatch[0].length;
+                continue;
+            }
+
+            const operator = operators.find(op => source.startsWith(op, i));
+            if (operator) {
+                tokens.push({ type: 'operator', value: operator, pos: i, end: i + operator.length });
+                i += operator.length;
+                continue;
+            }
+
+            throw new Error(`Unexpected character "${char}" at position ${i}`);
+        }
+
+        tokens.push({ type: 'eof', pos: source.length, end: source.length });
+        return tokens;
+    }
+
+    constructor(data, options = {}) {
+        this.data = data;
+        // CSV cells are always strings, so an empty cell is the closest thing to NULL
+        this.table = SqlQuery.isTable(data);
+        this.tableName = options.tableName || null;
+    }
+
+    static isTable(data) {
+        return Boolean(data) && Array.isArray(data.headers) && Array.isArray(data.rows);
+    }
+
+    execute(statement) {
+        const source = this.resolveFrom(statement.from);
+
+        // HAVING and ORDER BY may name a SELECT alias in place of its expression
+        const aliases = new Map();
+        statement.columns.forEach(column => {
+            if (column.alias && !aliases.has(column.alias)) {
+                aliases.set(column.alias, column.expr);
+            }
+        });
+        const having = statement.having && this.resolveAliases(statement.having, aliases);
+        // A bare name is left to orderValue, so an alias of a number literal isn't read as a position
+        const orderBy = statement.orderBy.map(order => (order.expr.type === 'column'
+            ? order
+            : { ...order, expr: this.resolveAliases(order.expr, aliases) }));
+
+        const aggregate = statement.groupBy.length > 0 ||
+            statement.columns.some(column => column.expr && this.hasAggregate(column.expr)) ||
+            (having && this.hasAggregate(having)) ||
+            orderBy.some(order => this.hasAggregate(order.expr));
+
+        if (statement.where && this.hasAggregate(statement.where)) {
+            throw new Error('Aggregate functions are not allowed in WHERE, use HAVING');
+        }
+        if (having && !aggregate) {
+            throw new Error('HAVING requires GROUP BY or an aggregate');
+        }
+
+        let rows = source.rows;
+        if (statement.where) {
+            rows = rows.filter(row => this.isTruthy(this.evaluate(statement.where, { row, group: null })));
+        }
+
+        let contexts;
+        if (aggregate) {
+            contexts = this.groupRows(rows, statement.groupBy);
+            if (having) {
+                contexts = contexts.filter(context => this.isTruthy(this.evaluate(having, context)));
+            }
+        } else {
+            contexts = rows.map(row => ({ row, group: null }));
+        }
+
+        // Expand SELECT * and name every output column
+        const outputs = [];
+        statement.columns.forEach(column => {
+            if (column.star) {
+                source.headers.forEach(header => outputs.push({ name: header, expr: { type: 'column', path: [header] } }));
+            } else {
+                outputs.push({ name: column.alias || column.text, expr: column.expr });
+            }
+        });
+        const headers = SqlQuery.uniqueNames(outputs.map(output => output.name));
+
+        // Rows without a key read as NULL, so a misspelt column would otherwise go unnoticed.
+        // An empty array of objects has no columns to check against
+        if (this.table || source.rows.length > 0) {
+            const columns = new Set(source.headers.map(header => header.toLowerCase()));
+            [...outputs.map(output => output.expr), statement.where, ...statement.groupBy, having]
+                .forEach(expr => this.checkColumns(expr, columns));
+            // ORDER BY can also name an output column, e.g. one SELECT * expanded
+            outputs.forEach(output => columns.add(output.name.toLowerCase()));
+            orderBy.forEach(order => this.checkColumns(order.expr, columns));
+        }
+
+        let results = contexts.map(context => ({
+            context,
+            values: outputs.map(output => this.evaluate(output.expr, context))
+        }));
+
+        if (statement.distinct) {
+            const seen = new Set();
+            results = results.filter(result => {
+                const key = JSON.stringify(result.values);
+                if (seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            });
+        }
+
+        if (orderBy.length > 0) {
+            results = this.sortResults(results, orderBy, outputs);
+        }
+
+        const offset = statement.offset || 0;
+        results = results.slice(offset, statement.limit === null ? undefined : offset + statement.limit);
+
+        return {
+            headers,
+            rows: results.map(result => {
+                const row = {};
+                headers.forEach((header, index) => {
+                    row[header] = result.values[index];
+                });
+                return row;
+            })
+        };
+    }
+
+    /**
+     * Find the rows a FROM clause refers to.
+     *
+     * Without FROM (or with FROM $) the root is used: the CSV table, a root
+     * array, or the first array of objects found in the document. A CSV table
+     * is also named data, or after its file (options.tableName); otherwise
+     * FROM is a dotted path into the document, e.g. FROM store.books.
+     */
+    resolveFrom(path) {
+        if (this.table) {
+            const names = ['$', 'data', this.tableName].filter(Boolean).map(name => name.toLowerCase());
+            if (path && !(path.length === 1 && names.includes(path[0].toLowerCase()))) {
+                throw new Error(`Unknown table "${path.join('.')}"`);
+            }
+            return { rows: this.data.rows, headers: this.data.headers };
+        }
+
+        let value = this.data;
+        if (!path || (path.length === 1 && path[0] === '$')) {
+            value = Array.isArray(value) ? value : this.findArray(value);
+            if (!value) {
+                throw new Error('No array of objects found, use FROM <path> to choose one');
+            }
+        } else {
+            const segments = path[0] === '$' ? path.slice(1) : path;
+            segments.forEach((segment, index) => {
+                if (value === null || typeof value !== 'object' || !(segment in value)) {
+                    throw new Error(`FROM path "${segments.slice(0, index + 1).join('.')}" does not exist`);
+                }
+                value = value[segment];
+            });
+            if (!Array.isArray(value)) {
+                throw new Error(`FROM path "${segments.join('.')}" is not an array`);
+            }
+        }
+
+        // Arrays of scalars are exposed as a single "value" column
+        const rows = value.map(item => (item !== null && typeof item === 'object' && !Array.isArray(item) ? item : { value: item }));
+        const headers = [];
+        const seen = new Set();
+        rows.forEach(row => Object.keys(row).forEach(key => {
+            if (!seen.has(key)) {
+                seen.add(key);
+                headers.push(key);
+            }
+        }));
+
+        return { rows, headers };
+    }
+
+    // Breadth-first, so the shallowest array of objects wins
+    findArray(root) {
+        const queue = [root];
+        while (queue.length > 0) {
+            const value = queue.shift();
+            if (Array.isArray(value)) {
+                if (value.some(item => item !== null && typeof item === 'object' && !Array.isArray(item))) {
+                    return value;
+                }
+            } else if (value !== null && typeof value === 'object') {
+                Object.values(value).forEach(child => queue.push(child));
+            }
+        }
+        return null;
+    }
+
+    groupRows(rows, groupBy) {
+        if (groupBy.length === 0) {
+            // An aggregate without GROUP BY always yields one row, even over no input
+            return [{ row: rows[0] || {}, group: rows }];
+        }
+
+        const groups = new Map();
+        rows.forEach(row => {
+            const key = JSON.stringify(groupBy.map(expr => this.normalizeKey(this.evaluate(expr, { row, group: null }))));
+            if (!groups.has(key)) {
+                groups.set(key, []);
+            }
+            groups.get(key).push(row);
+        });
+
+        return Array.from(groups.values()).map(group => ({ row: group[0], group }));
+    }
+
+    sortResults(results, orderBy, outputs) {
+        const keys = results.map((result, position) => ({
+            result,
+            position,
+            values: orderBy.map(order => this.orderValue(order.expr, result, outputs))
+        }));
+
+        keys.sort((a, b) => {
+            for (let i = 0; i < orderBy.length; i++) {
+                const comparison = this.compareForSort(a.values[i], b.values[i]);
+                if (comparison !== 0) {
+                    return orderBy[i].descending ? -comparison : comparison;
+                }
+            }
+            return a.position - b.position;
+        });
+
+        return keys.map(key => key.result);
+    }
+
+    // ORDER BY accepts output aliases and 1-based column positions as well as expressions
+    orderValue(expr, result, outputs) {
+        if (expr.type === 'literal' && typeof expr.value === 'number') {
+            const index = expr.value - 1;
+            if (!Number.isInteger(index) || index < 0 || index >= outputs.length) {
+                throw new Error(`ORDER BY position ${expr.value} is out of range`);
+            }
+            return result.values[index];
+        }
+
+        if (expr.type === 'column' && expr.path.length === 1) {
+            const index = outputs.findIndex(output => output.name === expr.path[0]);
+            if (index !== -1) {
+                return result.values[index];
+            }
+        }
+
+        return this.evaluate(expr, result.context);
+    }
+
+    evaluate(node, context) {
+        switch (node.type) {
+            case 'literal':
+                return node.value;
+
+            case 'column':
+                return this.columnValue(context.row, node.path);
+
+            case 'unary': {
+                const value = this.evaluate(node.expr, context);
+                if (node.op === 'NOT') {
+                    return this.isNull(value) ? null : !this.isTruthy(value);
+                }
+                const number = SqlQuery.toExactNumber(value);
+                if (number instanceof JsonNumber) return number.negate();
+                return number === null ? null : -number;
+            }
+
+            case 'binary':
+                return this.binary(node, context);
+
+            case 'in': {
+                const value = this.evaluate(node.expr, context);
+                if (this.isNull(value)) return null;
+                const found = node.list.some(item => this.equals(value, this.evaluate(item, context)));
+                return node.negate ? !found : found;
+            }
+
+            case 'between': {
+                const value = this.evaluate(node.expr, context);
+                const low = this.evaluate(node.low, context);
+                const high = this.evaluate(node.high, context);
+                if (this.isNull(value) || this.isNull(low) || this.isNull(high)) return null;
+                const inside = this.compare(value, low) >= 0 && this.compare(value, high) <= 0;
+                return node.negate ? !inside : inside;
+            }
+
+            case 'like': {
+                const value = this.evaluate(node.expr, context);
+                const pattern = this.evaluate(node.pattern, context);
+                if (this.isNull(value) || this.isNull(pattern)) return null;
+                const matches = SqlQuery.likeToRegExp(String(pattern)).test(String(value));
+                return node.negate ? !matches : matches;
+            }
+
+            case 'isnull': {
+                const isNull = this.isNull(this.evaluate(node.expr, context));
+                return node.negate ? !isNull : isNull;
+            }
+
+            case 'case': {
+                const subject = node.subject ? this.evaluate(node.subject, context) : undefined;
+                for (const branch of node.branches) {
+                    const condition = this.evaluate(branch.when, context);
+                    const matched = node.subject ? this.equals(subject, condition) : this.isTruthy(condition);
+                    if (matched) {
+                        return this.evaluate(branch.then, context);
+                    }
+                }
+                return node.otherwise ? this.evaluate(node.otherwise, context) : null;
+            }
+
+            case 'call':
+                return SqlQuery.AGGREGATES.includes(node.name)
+                    ? this.aggregate(node, context)
+                    : this.scalarFunction(node, context);
+
+            default:
+                throw new Error(`Unknown SQL node: ${node.type}`);
+        }
+    }
+
+    binary(node, context) {
+        if (node.op === 'AND' || node.op === 'OR') {
+            const left = this.evaluate(node.left, context);
+            // Short-circuit where the result is already decided
+            if (node.op === 'AND' && !this.isNull(left) && !this.isTruthy(left)) return false;
+            if (node.op === 'OR' && this.isTruthy(left)) return true;
+
+            const right = this.evaluate(node.right, context);
+            if (node.op === 'AND') {
+                if (!this.isNull(right) && !this.isTruthy(right)) return false;
+                return this.isNull(left) || this.isNull(right) ? null : true;
+            }
+            if (this.isTruthy(right)) return true;
+            return this.isNull(left) || this.isNull(right) ? null : false;
+        }
+
+        const left = this.evaluate(node.left, context);
+        const right = this.evaluate(node.right, context);
+        if (this.isNull(left) || this.isNull(right)) {
+            return null;
+        }
+
+        switch (node.op) {
+            case '=': return this.equals(left, right);
+            case '!=':
+            case '<>': return !this.equals(left, right);
+            case '<': return this.compare(left, right) < 0;
+            case '<=': return this.compare(left, right) <= 0;
+            case '>': return this.compare(left, right) > 0;
+            case '>=': return this.compare(left, right) >= 0;
+            case '||': return SqlQuery.toText(left) + SqlQuery.toText(right);
+        }
+
+        const exactA = SqlQuery.toExactNumber(left);
+        const exactB = SqlQuery.toExactNumber(right);
+        if (exactA === null || exactB === null) {
+            return null;
+        }
+
+        const exact = JsonNumber.integerArithmetic(node.op, exactA, exactB);
+        if (exact !== undefined) {
+            return exact;
+        }
+
+        const a = Number(exactA);
+        const b = Number(exactB);
+        switch (node.op) {
+            case '+': return a + b;
+            case '-': return a - b;
+            case '*': return a * b;
+            case '/': return b === 0 ? null : a / b;
+            case '%': return b === 0 ? null : a % b;
+        }
+
+        throw new Error(`Unknown operator ${node.op}`);
+    }
+
+    aggregate(node, context) {
+        if (!context.group) {
+            throw new Error(`${node.name}() is only allowed in SELECT, HAVING and ORDER BY`);
+        }
+
+        if (node.star) {
+            if (node.name !== 'COUNT') {
+                throw new Error(`${node.name}(*) is not supported`);
+            }
+            return context.group.length;
+        }
+
+        if (node.args.length !== 1) {
+            throw new Error(`${node.name}() takes exactly one argument`);
+        }
+
+        let values = context.group
+            .map(row => this.evaluate(node.args[0], { row, group: null }))
+            .filter(value => !this.isNull(value));
+
+        if (node.distinct) {
+            const seen = new Set();
+            values = values.filter(value => {
+                const key = JSON.stringify(this.normalizeKey(value));
+                if (seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            });
+        }
+
+        switch (node.name) {
+            case 'COUNT':
+                return values.length;
+            case 'SUM':
+            case 'AVG': {
+                const numbers = values.map(SqlQuery.toNumber).filter(number => number !== null);
+                if (numbers.length === 0) return null;
+                const sum = numbers.reduce((total, number) => total + number, 0);
+                return node.name === 'SUM' ? sum : sum / numbers.length;
+            }
+            case 'MIN':
+            case 'MAX': {
+                if (values.length === 0) return null;
+                const sign = node.name === 'MIN' ? -1 : 1;
+                return values.reduce((best, value) => (this.compare(value, best) * sign > 0 ? value : best));
+            }
+        }
+
+        throw new Error(`Unknown aggregate ${node.name}`);
+    }
+
+    scalarFunction(node, context) {
+        const args = node.args.map(arg => this.evaluate(arg, context));
+        const expect = (min, max = min) => {
+            if (args.length < min || args.length > max) {
+                throw new Error(`${node.name}() takes ${min === max ? min : `${min} to ${max}`} argument${max === 1 ? '' : 's'}`);
+            }
+        };
+
+        switch (node.name) {
+            case 'COALESCE':
+            case 'IFNULL': {
+                const value = args.find(arg => !this.isNull(arg));
+                return value === undefined ? null : value;
+            }
+            case 'NULLIF':
+                expect(2);
+                return this.equals(args[0], args[1]) ? null : args[0];
+        }
+
+        // The remaining functions return NULL for NULL input
+        if (args.some(arg => this.isNull(arg))) {
+            return null;
+        }
+
+        switch (node.name) {
+            case 'UPPER':
+                expect(1);
+                return SqlQuery.toText(args[0]).toUpperCase();
+            case 'LOWER':
+                expect(1);
+                return SqlQuery.toText(args[0]).toLowerCase();
+            case 'TRIM':
+                expect(1);
+                return SqlQuery.toText(args[0]).trim();
+            case 'LENGTH':
+                expect(1);
+                return SqlQuery.toText(args[0]).length;
+            case 'SUBSTR':
+            case 'SUBSTRING': {
+                expect(2, 3);
+                const text = SqlQuery.toText(args[0]);
+                const start = Math.max(0, (SqlQuery.toNumber(args[1]) || 1) - 1);
+                return args.length === 3 ? text.substr(start, SqlQuery.toNumber(args[2]) || 0) : text.slice(start);
+            }
+            case 'ABS':
+            case 'FLOOR':
+            case 'CEIL':
+            case 'ROUND': {
+                expect(1, node.name === 'ROUND' ? 2 : 1);
+                const number = SqlQuery.toNumber(args[0]);
+                if (number === null) return null;
+                if (node.name === 'ROUND') {
+                    const factor = Math.pow(10, args.length === 2 ? SqlQuery.toNumber(args[1]) || 0 : 0);
+                    return Math.round(number * factor) / factor;
+                }
+                return node.name === 'ABS' ? Math.abs(number) : Math[node.name.toLowerCase()](number);
+            }
+        }
+
+        throw new Error(`Unknown function ${node.name}()`);
+    }
+
+    // Nested values are reachable with dotted paths; names fall back to a case-insensitive match
+    columnValue(row, path) {
+        let value = row;
+        for (const segment of path) {
+            if (value === null || typeof value !== 'object') {
+                return null;
+            }
+            if (Object.prototype.hasOwnProperty.call(value, segment)) {
+                value = value[segment];
+                continue;
+            }
+            const lower = segment.toLowerCase();
+            const key = Object.keys(value).find(name => name.toLowerCase() === lower);
+            value = key === undefined ? null : value[key];
+        }
+        return value === undefined ? null : value;
+    }
+
+    // Swap columns named like a SELECT alias for the aliased expression
+    resolveAliases(node, aliases) {
+        if (Array.isArray(node)) {
+            return node.map(item => this.resolveAliases(item, aliases));
+        }
+        if (!node || typeof node !== 'object' || node.type === 'literal') {
+            return node;
+        }
+        if (node.type === 'column' && node.path.length === 1 && aliases.has(node.path[0])) {
+            return aliases.get(node.path[0]);
+        }
+        const resolved = {};
+        Object.keys(node).forEach(key => {
+            resolved[key] = this.resolveAliases(node[key], aliases);
+        });
+        return resolved;
+    }
+
+    checkColumns(node, columns) {
+        if (!node || typeof node !== 'object' || node.type === 'literal') return;
+        if (node.type === 'column') {
+            if (!columns.has(node.path[0].toLowerCase())) {
+                throw new Error(`Unknown column "${node.path[0]}"`);
+            }
+            return;
+        }
+        Object.values(node).forEach(child => (Array.isArray(child)
+            ? child.forEach(item => this.checkColumns(item, columns))
+            : this.checkColumns(child, columns)));
+    }
+
+    hasAggregate(node) {
+        if (!node || typeof node !== 'object') return false;
+        if (node.type === 'call' && SqlQuery.AGGREGATES.includes(node.name)) return true;
+        return Object.values(node).some(child => (Array.isArray(child)
+            ? child.some(item => this.hasAggregate(item))
+            : child && typeof child === 'object' && this.hasAggregate(child)));
+    }
+
+    isNull(value) {
+        return value === null || value === undefined || (this.table && value === '');
+    }
+
+    isTruthy(value) {
+        if (this.isNull(value)) return false;
+        if (typeof value === 'string') {
+            const number = SqlQuery.toNumber(value);
+            if (number !== null) return number !== 0;
+            return !/^false$/i.test(value.trim());
+        }
+        return Boolean(value);
+    }
+
+    equals(a, b) {
+        return this.compare(a, b) === 0;
+    }
+
+    /**
+     * Compare numerically when both sides look like numbers, as booleans when
+     * one side is a boolean, and as text otherwise
+     */
+    compare(a, b) {
+        const x = SqlQuery.toExactNumber(a);
+        const y = SqlQuery.toExactNumber(b);
+        if (x !== null && y !== null) {
+            // Exact numbers may differ only past what a double holds
+            if (x instanceof JsonNumber || y instanceof JsonNumber) {
+                return JsonNumber.compare(x, y);
+            }
+            return x < y ? -1 : x > y ? 1 : 0;
+        }
+
+        if (typeof a === 'boolean' || typeof b === 'boolean') {
+            const p = SqlQuery.toBoolean(a);
+            const q = SqlQuery.toBoolean(b);
+            if (p !== null && q !== null) {
+                return Number(p) - Number(q);
+            }
+        }
+
+        const s = SqlQuery.toText(a);
+        const t = SqlQuery.toText(b);
+        return s < t ? -1 : s > t ? 1 : 0;
+    }
+
+    // NULLs sort first, as in SQLite
+    compareForSort(a, b) {
+        const aNull = this.isNull(a);
+        const bNull = this.isNull(b);
+        if (aNull || bNull) {
+            return aNull === bNull ? 0 : aNull ? -1 : 1;
+        }
+        return this.compare(a, b);
+    }
+
+    // "10" and 10 should land in the same group
+    normalizeKey(value) {
+        if (this.isNull(value)) return null;
+        const number = SqlQuery.toExactNumber(value);
+        if (number instanceof JsonNumber) return number.text;
+        return number !== null ? number : value;
+    }
+
+    static toNumber(value) {
+        if (typeof value === 'number') return isNaN(value) ? null : value;
+        if (value instanceof JsonNumber) return Number(value.text);
+        if (typeof value === 'string' && /^\s*[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?\s*$/.test(value)) {
+            return Number(value);
+        }
+        return null;
+    }
+
+    // Like toNumber, but JsonNumbers and numeric text a double would round are a JsonNumber
+    static toExactNumber(value) {
+        if (value instanceof JsonNumber) return value;
+        const number = SqlQuery.toNumber(value);
+        if (number !== null && typeof value === 'string') {
+            const text = value.trim().replace(/^\+/, '');
+            if (!JsonNumber.isExact(text, number)) return new JsonNumber(text);
+        }
+        return number;
+    }
+
+    static toBoolean(value) {
+        if (typeof value === 'boolean') return value;
+        if (typeof value === 'string' && /^(true|false)$/i.test(value.trim())) {
+            return value.trim().toLowerCase() === 'true';
+        }
+        return null;
+    }
+
+    static toText(value) {
+        if (value instanceof Date) return value.toISOString();
+        if (value instanceof JsonNumber) return value.text;
+        if (typeof TomlDateTime !== 'undefined' && value instanceof TomlDateTime) return value.text;
+        if (value !== null && typeof value === 'object') return JSON.stringify(value);
+        return String(value);
+    }
+
+    // LIKE is case-insensitive, with % for any run of characters and _ for one
+    static likeToRegExp(pattern) {
+        const source = pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/%/g, '.*').replace(/_/g, '.');
+        return new RegExp(`^${source}$`, 'is');
+    }
+
+    static uniqueNames(names) {
+        const seen = new Set();
+        return names.map(base => {
+            let name = base;
+            let suffix = 2;
+            while (seen.has(name)) {
+                name = `${base}_${suffix++}`;
+            }
+            seen.add(name);
+            return name;
+        });
+    }
+}
+
+SqlQuery.AGGREGATES = ['COUNT', 'SUM', 'AVG', 'MIN', 'MAX'];
+
+class SqlQueryParser {
+    constructor(tokens, source) {
+        this.tokens = tokens;
+        this.source = source;
+        this.position = 0;
+    }
+
+    static get RESERVED() {
+        return ['SELECT', 'DISTINCT', 'FROM', 'WHERE', 'GROUP', 'BY', 'HAVING', 'ORDER', 'ASC', 'DESC',
+            'LIMIT', 'OFFSET', 'AS', 'AND', 'OR', 'NOT', 'IN', 'IS', 'NULL', 'LIKE', 'BETWEEN',
+            'CASE', 'WHEN', 'THEN', 'ELSE', 'END', 'TRUE', 'FALSE'];
+    }
+
+    peek(offset = 0) {
+        return this.tokens[Math.min(this.position + offset, this.tokens.length - 1)];
+    }
+
+    next() {
+        return this.tokens[this.position++];
+    }
+
+    isKeyword(keyword, offset = 0) {
+        const token = this.peek(offset);
+        return token.type === 'identifier' && !token.quoted && token.value.toUpperCase() === keyword;
+    }
+
+    acceptKeyword(keyword) {
+        if (this.isKeyword(keyword)) {
+            this.position++;
+            return true;
+        }
+        return false;
+    }
+
+    expectKeyword(keyword) {
+        if (!this.acceptKeyword(keyword)) {
+            this.fail(`Expected ${keyword}`);
+        }
+    }
+
+    isOperator(value) {
+        const token = this.peek();
+        return token.type === 'operator' && token.value === value;
+    }
+
+    acceptOperator(value) {
+        if (this.isOperator(value)) {
+            this.position++;
+            return true;
+        }
+        return false;
+    }
+
+    expectOperator(value) {
+        if (!this.acceptOperator(value)) {
+            this.fail(`Expected "${value}"`);
+        }
+    }
+
+    fail(message) {
+        const token = this.peek();
+        const near = token.type === 'eof' ? 'end of query' : `"${this.source.slice(token.pos, token.end)}"`;
+        throw new Error(`${message} near ${near} at position ${token.pos}`);
+    }
+
+    parseStatement() {
+        this.expectKeyword('SELECT');
+        const statement = {
+            distinct: this.acceptKeyword('DISTINCT'),
+            columns: this.parseSelectList(),
+            from: null,
+            where: null,
+            groupBy: [],
+            having: null,
+            orderBy: [],
+            limit: null,
+            offset: null
+        };
+
+        if (this.acceptKeyword('FROM')) {
+            statement.from = this.parsePath();
+        }
+        if (this.acceptKeyword('WHERE')) {
+            statement.where = this.parseExpression();
+        }
+        if (this.acceptKeyword('GROUP')) {
+            this.expectKeyword('BY');
+            statement.groupBy = this.parseList(() => this.parseExpression());
+        }
+        if (this.acceptKeyword('HAVING')) {
+            statement.having = this.parseExpression();
+        }
+        if (this.acceptKeyword('ORDER')) {
+            this.expectKeyword('BY');
+            statement.orderBy = this.parseList(() => {
+                const expr = this.parseExpression();
+                const descending = this.acceptKeyword('DESC');
+                if (!descending) this.acceptKeyword('ASC');
+                return { expr, descending };
+            });
+        }
+        if (this.acceptKeyword('LIMIT')) {
+            statement.limit = this.parseCount('LIMIT');
+            if (this.acceptKeyword('OFFSET')) {
+                statement.offset = this.parseCount('OFFSET');
+            }
+        }
+
+        if (this.peek().type !== 'eof') {
+            this.fail('Unexpected token');
+        }
+        return statement;
+    }
+
+    parseSelectList() {
+        return this.parseList(() => {
+            if (this.acceptOperator('*')) {
+                return { star: true };
+            }
+
+            const start = this.peek().pos;
+            const expr = this.parseExpression();
+            const text = this.source.slice(start, this.tokens[this.position - 1].end);
+
+            let alias = null;
+            if (this.acceptKeyword('AS')) {
+                alias = this.parseName();
+            } else if (this.peek().type === 'identifier' && (this.peek().quoted || !this.isReserved(this.peek()))) {
+                alias = this.parseName();
+            }
+
+            // Plain columns are named after their last path segment
+            return { expr, alias: alias || (expr.type === 'column' ? expr.path[expr.path.length - 1] : null), text };
+        });
+    }
+
+    parseList(parseItem) {
+        const items = [parseItem()];
+        while (this.acceptOperator(',')) {
+            items.push(parseItem());
+        }
+        return items;
+    }
+
+    parseCount(clause) {
+        const token = this.next();
+        if (token.type !== 'number' || !Number.isInteger(token.value) || token.value < 0) {
+            this.position--;
+            this.fail(`${clause} expects a non-negative integer`);
+        }
+        return token.value;
+    }
+
+    parseName() {
+        const token = this.peek();
+        if (token.type !== 'identifier') {
+            this.fail('Expected a name');
+        }
+        this.position++;
+        return token.value;
+    }
+
+    isReserved(token) {
+        return SqlQueryParser.RESERVED.includes(token.value.toUpperCase());
+    }
+
+    parsePath() {
+        const path = [this.parseName()];
+        while (this.acceptOperator('.')) {
+            path.push(this.parseName());
+        }
+        return path;
+    }
+
+    // Precedence, loosest first: OR, AND, NOT, comparison, ||, + -, * / %, unary
+    parseExpression() {
+        return this.parseOr();
+    }
+
+    parseOr() {
+        let left = this.parseAnd();
+        while (this.acceptKeyword('OR')) {
+            left = { type: 'binary', op: 'OR', left, right: this.parseAnd() };
+        }
+        return left;
+    }
+
+    parseAnd() {
+        let left = this.parseNot();
+        while (this.acceptKeyword('AND')) {
+            left = { type: 'binary', op: 'AND', left, right: this.parseNot() };
+        }
+        return left;
+    }
+
+    parseNot() {
+        if (this.acceptKeyword('NOT')) {
+            return { type: 'unary', op: 'NOT', expr: this.parseNot() };
+        }
+        return this.parseComparison();
+    }
+
+    parseComparison() {
+        const left = this.parseConcat();
+
+        const token = this.peek();
+        if (token.type === 'operator' && ['=', '!=', '<>', '<', '<=', '>', '>='].includes(token.value)) {
+            this.position++;
+            return { type: 'binary', op: token.value, left, right: this.parseConcat() };
+        }
+
+        if (this.acceptKeyword('IS')) {
+            const negate = this.acceptKeyword('NOT');
+            this.expectKeyword('NULL');
+            return { type: 'isnull', expr: left, negate };
+        }
+
+        const negate = this.isKeyword('NOT') && ['IN', 'LIKE', 'BETWEEN'].some(keyword => this.isKeyword(keyword, 1));
+        if (negate) this.position++;
+
+        if (this.acceptKeyword('IN')) {
+            this.expectOperator('(');
+            const list = this.parseList(() => this.parseExpression());
+            this.expectOperator(')');
+            return { type: 'in', expr: left, list, negate };
+        }
+        if (this.acceptKeyword('LIKE')) {
+            return { type: 'like', expr: left, pattern: this.parseConcat(), negate };
+        }
+        if (this.acceptKeyword('BETWEEN')) {
+            const low = this.parseConcat();
+            this.expectKeyword('AND');
+            return { type: 'between', expr: left, low, high: this.parseConcat(), negate };
+        }
+
+        return left;
+    }
+
+    parseConcat() {
+        let left = this.parseAdditive();
+        while (this.acceptOperator('||')) {
+            left = { type: 'binary', op: '||', left, right: this.parseAdditive() };
+        }
+        return left;
+    }
+
+    parseAdditive() {
+        let left = this.parseMultiplicative();
+        while (this.isOperator('+') || this.isOperator('-')) {
+            const op = this.next().value;
+            left = { type: 'binary', op, left, right: this.parseMultiplicative() };
+        }
+        return left;
+    }
+
+    parseMultiplicative() {
+        let left = this.parseUnary();
+        while (this.isOperator('*') || this.isOperator('/') || this.isOperator('%')) {
+            const op = this.next().value;
+            left = { type: 'binary', op, left, right: this.parseUnary() };
+        }
+        return left;
+    }
+
+    parseUnary() {
+        if (this.acceptOperator('-')) {
+            return { type: 'unary', op: '-', expr: this.parseUnary() };
+        }
+        this.acceptOperator('+');
+        return this.parsePrimary();
+    }
+
+    parsePrimary() {
+        const token = this.peek();
+
+        if (token.type === 'number' || token.type === 'string') {
+            this.position++;
+            return { type: 'literal', value: token.value };
+        }
+
+        if (this.acceptOperator('(')) {
+            const expr = this.parseExpression();
+            this.expectOperator(')');
+            return expr;
+        }
+
+        if (token.type !== 'identifier') {
+            this.fail('Expected an expression');
+        }
+
+        if (!token.quoted) {
+            const keyword = token.value.toUpperCase();
+            if (keyword === 'NULL' || keyword === 'TRUE' || keyword === 'FALSE') {
+                this.position++;
+                return { type: 'literal', value: keyword === 'NULL' ? null : keyword === 'TRUE' };
+            }
+            if (keyword === 'CASE') {
+                return this.parseCase();
+            }
+            if (this.peek(1).type === 'operator' && this.peek(1).value === '(') {
+                return this.parseCall();
+            }
+            if (this.isReserved(token)) {
+                this.fail('Expected an expression');
+            }
+        }
+
+        return { type: 'column', path: this.parsePath() };
+    }
+
+    parseCall() {
+        const name = this.next().value.toUpperCase();
+        this.expectOperator('(');
+
+        const call = { type: 'call', name, args: [], distinct: false, star: false };
+        if (this.acceptOperator('*')) {
+            call.star = true;
+        } else if (!this.isOperator(')')) {
+            call.distinct = this.acceptKeyword('DISTINCT');
+            call.args = this.parseList(() => this.parseExpression());
+        }
+
+        this.expectOperator(')');
+        return call;
+    }
+
+    parseCase() {
+        this.expectKeyword('CASE');
+        const node = { type: 'case', subject: null, branches: [], otherwise: null };
+
+        if (!this.isKeyword('WHEN')) {
+            node.subject = this.parseExpression();
+        }
+        while (this.acceptKeyword('WHEN')) {
+            const when = this.parseExpression();
+            this.expectKeyword('THEN');
+            node.branches.push({ when, then: this.parseExpression() });
+        }
+        if (node.branches.length === 0) {
+            this.fail('Expected WHEN');
+        }
+        if (this.acceptKeyword('ELSE')) {
+            node.otherwise = this.parseExpression();
+        }
+        this.expectKeyword('END');
+        return node;
+    }
+}
+
+// Export for debugging
+if (typeof globalThis !== 'undefined') {
+    globalThis.SqlQuery = SqlQuery;
+}
@@ -0,0 +1,283 @@
+/**
+ * 🦊 Native Multi-Format Viewer - Themes
+ * Resolves the theme setting to a palette and applies it as --fv-* variables
+ *
+ * A palette maps the color names in ThemeManager.COLORS to "#rrggbb"
+ * values. Each name sets one or more CSS variables, because the viewer page
+ * (viewer.html) and the shared stylesheet (css/viewer.css) grew separate
+ * variable names for the same colors. Custom themes are stored in the
+ * settings as { id, name, base, colors } and only override the colors they
+ * list on top of their base theme.
+ */
+
+class ThemeManager {
+    constructor(root = document.documentElement) {
+        this.root = root;
+        this.settings = null;
+        this.mediaQueries = [];
+        this.onSystemChange = () => this.apply(this.settings);
+    }
+
+    /**
+     * Apply the theme chosen in the settings. With "auto" the page follows
+     * the system light/dark and contrast preferences until destroy().
+     */
+    apply(settings) {
+        this.settings = settings;
+        const theme = ThemeManager.resolve(settings, ThemeManager.systemPreference());
+
+        ThemeManager.applyPalette(this.root, theme.colors);
+        this.root.dataset.fvTheme = theme.id;
+        this.root.style.colorScheme = ThemeManager.isDark(theme) ? 'dark' : 'light';
+
+        if (settings.theme === 'auto') {
+            this.watchSystem();
+        } else {
+            this.unwatchSystem();
+        }
+        return theme;
+    }
+
+    watchSystem() {
+        if (this.mediaQueries.length > 0 || typeof window.matchMedia !== 'function') return;
+
+        this.mediaQueries = [
+            window.matchMedia('(prefers-color-scheme: dark)'),
+            window.matchMedia('(prefers-contrast: more)')
+        ];
+        this.mediaQueries.forEach(query => query.addEventListener('change', this.onSystemChange));
+    }
+
+    unwatchSystem() {
+        this.mediaQueries.forEach(query => query.removeEventListener('change', this.onSystemChange));
+        this.mediaQueries = [];
+    }
+
+    destroy() {
+        this.unwatchSystem();
+    }
+
+    static systemPreference() {
+        if (typeof window === 'undefined' || typeof window.matchMedia !== 'function') {
+            return { dark: false, contrast: false };
+        }
+        return {
+            dark: window.matchMedia('(prefers-color-scheme: dark)').matches,
+            contrast: window.matchMedia('(prefers-contrast: more)').matches
+        };
+    }
+
+    /**
+     * The theme to show for the settings: { id, name, base, colors } with
+     * every color filled in
+     */
+    static resolve(settings, system = { dark: false, contrast: false }) {
+        let id = settings.theme;
+        if (id === 'auto') {
+            id = system.contrast ? 'high-contrast' : (system.dark ? 'dark' : 'light');
+        }
+
+        const custom = (settings.customThemes || []).find(theme => theme.id === id);
+        if (custom) {
+            return {
+                id: custom.id,
+                name: custom.name,
+                base: custom.base,
+                colors: ThemeManager.palette(custom.base, custom.colors)
+            };
+        }
+
+        const builtIn = ThemeManager.THEMES[id] ? id : 'light';
+        return {
+            id: builtIn,
+            name: ThemeManager.THEMES[builtIn].name,
+            base: builtIn,
+            colors: ThemeManager.palette(builtIn)
+        };
+    }
+
+    /**
+     * A built-in palette with valid overrides applied
+     */
+    static palette(base, overrides = {}) {
+        const colors = Object.assign({}, (ThemeManager.THEMES[base] || ThemeManager.THEMES.light).colors);
+        Object.keys(ThemeManager.COLORS).forEach(name => {
+            if (ThemeManager.isColor(overrides[name])) {
+                colors[name] = overrides[name];
+            }
+        });
+        return colors;
+    }
+
+    static applyPalette(element, colors) {
+        Object.entries(ThemeManager.COLORS).forEach(([name, { variables }]) => {
+            variables.forEach(variable => element.style.setProperty(variable, colors[name]));
+        });
+    }
+
+    static isColor(value) {
+        return typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value);
+    }
+
+    static isDark(theme) {
+        return theme.base === 'dark' || theme.base === 'high-contrast';
+    }
+
+    /**
+     * A new custom theme starting from the colors of `from`
+     */
+    static createCustomTheme(name, from) {
+        return {
+            id: `custom-${Date.now()}`,
+            name,
+            base: from.base,
+            colors: Object.assign({}, from.colors)
+        };
+    }
+
+    /**
+     * JSON for sharing a custom theme, without the local id
+     */
+    static exportTheme(theme) {
+        const colors = {};
+        Object.keys(ThemeManager.COLORS).forEach(name => {
+            colors[name] = theme.colors[name];
+        });
+        return JSON.stringify({ name: theme.name, base: theme.base, colors }, null, 2);
+    }
+}
+
+/**
+ * Palette color names, their label in the popup's theme editor, and the
+ * CSS variables they set
+ */
+ThemeManager.COLORS = {
+    background: { label: 'Background', variables: ['--fv-color-background'] },
+    backgroundAlt: { label: 'Header and panels', variables: ['--fv-color-background-alt', '--fv-color-header-bg'] },
+    text: { label: 'Text', variables: ['--fv-color-text'] },
+    textSecondary: { label: 'Secondary text', variables: ['--fv-color-text-secondary', '--fv-color-muted'] },
+    textMuted: { label: 'Muted text', variables: ['--fv-color-text-muted'] },
+    border: { label: 'Borders', variables: ['--fv-color-border'] },
+    accent: { label: 'Accent', variables: ['--fv-color-accent'] },
+    accentHover: { label: 'Accent hover', variables: ['--fv-color-accent-hover'] },
+    accentText: { label: 'Text on accent', variables: ['--fv-color-accent-text'] },
+    success: { label: 'Success', variables: ['--fv-color-success'] },
+    error: { label: 'Errors', variables: ['--fv-color-error'] },
+    searchHighlight: { label: 'Search match', variables: ['--fv-color-search'] },
+    currentMatch: { label: 'Current match', variables: ['--fv-color-current-match'] },
+    diffAdded: { label: 'Compare: added', variables: ['--fv-color-diff-added'] },
+    diffRemoved: { label: 'Compare: removed', variables: ['--fv-color-diff-removed'] },
+    diffChanged: { label: 'Compare: changed', variables: ['--fv-color-diff-changed'] },
+    key: { label: 'Keys', variables: ['--fv-syntax-key', '--fv-color-key'] },
+    string: { label: 'Strings', variables: ['--fv-syntax-string', '--fv-color-string'] },
+    number: { label: 'Numbers', variables: ['--fv-syntax-number', '--fv-color-number'] },
+    boolean: { label: 'Booleans', variables: ['--fv-syntax-boolean', '--fv-color-boolean'] },
+    null: { label: 'Null', variables: ['--fv-syntax-null', '--fv-color-null'] },
+    punctuation: { label: 'Punctuation', variables: ['--fv-syntax-operator'] },
+    comment: { label: 'Comments', variables: ['--fv-syntax-comment'] },
+    tag: { label: 'Tags', variables: ['--fv-syntax-tag'] },
+    attribute: { label: 'Attributes', variables: ['--fv-syntax-attribute'] },
+    keyword: { label: 'Keywords and tables', variables: ['--fv-syntax-keyword'] }
+};
+
+// Light and dark match the defaults in css/viewer.css and viewer.html
+ThemeManager.THEMES = {
+    light: {
+        name: 'Light',
+        colors: {
+            background: '#ffffff',
+            backgroundAlt: '#f9f9fa',
+            text: '#0c0c0d',
+            textSecondary: '#737373',
+            textMuted: '#a0a0a4',
+            border: '#d7d7db',
+            accent: '#0060df',
+            accentHover: '#003eaa',
+            accentText: '#ffffff',
+            success: '#30e60b',
+            error: '#d70022',
+            searchHighlight: '#ffeb3b',
+            currentMatch: '#ff9632',
+            diffAdded: '#1a7f37',
+            diffRemoved: '#cf222e',
+            diffChanged: '#9a6700',
+            key: '#0c0c0d',
+            string: '#d73502',
+            number: '#0066cc',
+            boolean: '#8b008b',
+            null: '#999999',
+            punctuation: '#737373',
+            comment: '#6a737d',
+            tag: '#22863a',
+            attribute: '#6f42c1',
+            keyword: '#af00db'
+        }
+    },
+    dark: {
+        name: 'Dark',
+        colors: {
+            background: '#2a2a2e',
+            backgroundAlt: '#38383d',
+            text: '#f9f9fa',
+            textSecondary: '#b1b1b3',
+            textMuted: '#8f8f9d',
+            border: '#4a4a4f',
+            accent: '#00ddff',
+            accentHover: '#80ebff',
+            accentText: '#0c0c0d',
+            success: '#30e60b',
+            error: '#ff9400',
+            searchHighlight: '#ff9800',
+            currentMatch: '#ff9632',
+            diffAdded: '#3fb950',
+            diffRemoved: '#f85149',
+            diffChanged: '#d29922',
+            key: '#f9f9fa',
+            string: '#ff7de9',
+            number: '#6aa7f8',
+            boolean: '#ff7de9',
+            null: '#b1b1b3',
+            punctuation: '#b1b1b3',
+            comment: '#8b949e',
+            tag: '#7ee787',
+            attribute: '#d2a8ff',
+            keyword: '#c586c0'
+        }
+    },
+    'high-contrast': {
+        name: 'High contrast',
+        colors: {
+            background: '#000000',
+            backgroundAlt: '#000000',
+            text: '#ffffff',
+            textSecondary: '#ffffff',
+            textMuted: '#d0d0d0',
+            border: '#ffffff',
+            accent: '#ffff00',
+            accentHover: '#00ffff',
+            accentText: '#000000',
+            success: '#00ff00',
+            error: '#ff6060',
+            searchHighlight: '#00ffff',
+            currentMatch: '#ff80ff',
+            diffAdded: '#00ff00',
+            diffRemoved: '#ff6060',
+            diffChanged: '#ffff00',
+            key: '#ffffff',
+            string: '#00ff00',
+            number: '#00ffff',
+            boolean: '#ffff00',
+            null: '#d0d0d0',
+            punctuation: '#ffffff',
+            comment: '#d0d0d0',
+            tag: '#00ffff',
+            attribute: '#ffff00',
+            keyword: '#ff80ff'
+        }
+    }
+};
+
+// Export for debugging
+if (typeof globalThis !== 'undefined') {
+    globalThis.ThemeManager = ThemeManager;
+}
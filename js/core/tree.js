@@ -0,0 +1,712 @@
+/**
+ * 🦊 Native Multi-Format Viewer - Virtual Tree
+ * Windowed tree view for parsed documents
+ *
+ * Only rows inside (or near) the viewport exist in the DOM. Child nodes are
+ * created the first time their parent is expanded, and the visible rows are
+ * kept as a flat list so scrolling, expanding and searching stay fast for
+ * documents with hundreds of thousands of nodes.
+ */
+
+class VirtualTree {
+    constructor(data, options = {}) {
+        this.data = data;
+        this.rowHeight = options.rowHeight || 22;
+        this.overscan = options.overscan || 20;
+        // Rows expanded up front; larger documents open with deeper levels collapsed
+        this.initialRows = options.initialRows || 5000;
+        this.stickyOffset = options.stickyOffset || (() => 0);
+        this.sortKeys = Boolean(options.sortKeys);
+        // Map of object to Map of repeated key to the lines it is on (see ContentParser duplicates)
+        this.duplicates = options.duplicates || null;
+
+        this.searchTerm = '';
+        this.matches = [];
+        this.matchIndex = -1;
+        this.focusIndex = 0;
+        this.range = null;
+        this.frame = null;
+        this.flashed = null; // Map of node to change status while rows flash
+        this.flashTimer = null;
+
+        this.root = this.createNode(data, null, null);
+        this.rows = [];
+        this.expandInitial();
+        if (options.viewState) {
+            this.restoreViewState(options.viewState);
+        }
+
+        this.onScroll = () => this.scheduleUpdate();
+    }
+
+    static isDateValue(value) {
+        return value instanceof Date ||
+            (typeof TomlDateTime !== 'undefined' && value instanceof TomlDateTime);
+    }
+
+    // JSON numbers kept as written because a double would round them (js/formats/json.js)
+    static isExactNumber(value) {
+        return typeof JsonNumber !== 'undefined' && value instanceof JsonNumber;
+    }
+
+    // Objects and arrays, as opposed to values shown on a single row
+    static isContainer(value) {
+        return value !== null && typeof value === 'object' &&
+            !VirtualTree.isDateValue(value) && !VirtualTree.isExactNumber(value);
+    }
+
+    createNode(value, key, parent) {
+        const container = VirtualTree.isContainer(value);
+        const count = !container ? 0 : Array.isArray(value) ? value.length : Object.keys(value).length;
+
+        return {
+            value,
+            key,
+            parent,
+            level: parent ? parent.level + 1 : -1,
+            container,
+            count,
+            expandable: count > 0,
+            expanded: false,
+            children: null
+        };
+    }
+
+    getChildren(node) {
+        if (!node.children) {
+            const value = node.value;
+            node.children = Array.isArray(value)
+                ? value.map((item, index) => this.createNode(item, index, node))
+                : this.keysOf(value).map(key => this.createNode(value[key], key, node));
+        }
+        return node.children;
+    }
+
+    // Object keys in display order
+    keysOf(value) {
+        const keys = Object.keys(value);
+        return this.sortKeys ? keys.sort((a, b) => a.localeCompare(b)) : keys;
+    }
+
+    // Breadth-first, so every node on a level opens before any on the next
+    expandInitial() {
+        if (!this.root.expandable) {
+            // A scalar or empty document is shown as a single row
+            this.root.level = 0;
+            this.rows = [this.root];
+            return;
+        }
+
+        this.root.expanded = true;
+        let visible = this.root.count;
+        const queue = [this.root];
+
+        for (let i = 0; i < queue.length; i++) {
+            this.getChildren(queue[i]).forEach(child => {
+                if (child.expandable && visible + child.count <= this.initialRows) {
+                    child.expanded = true;
+                    visible += child.count;
+                    queue.push(child);
+                }
+            });
+        }
+
+        this.rows = [];
+        this.collectVisible(this.root, this.rows);
+    }
+
+    collectVisible(node, out) {
+        this.getChildren(node).forEach(child => {
+            out.push(child);
+            if (child.expanded) {
+                this.collectVisible(child, out);
+            }
+        });
+        return out;
+    }
+
+    expandAt(index) {
+        const node = this.rows[index];
+        if (!node || !node.expandable || node.expanded) return;
+
+        node.expanded = true;
+        const added = this.collectVisible(node, []);
+        // concat rather than splice(...added), which overflows the stack for large arrays
+        this.rows = this.rows.slice(0, index + 1).concat(added, this.rows.slice(index + 1));
+    }
+
+    collapseAt(index) {
+        const node = this.rows[index];
+        if (!node || !node.expanded) return;
+
+        node.expanded = false;
+        let end = index + 1;
+        while (end < this.rows.length && this.rows[end].level > node.level) {
+            end++;
+        }
+        this.rows.splice(index + 1, end - index - 1);
+    }
+
+    toggleAt(index) {
+        const node = this.rows[index];
+        if (!node || !node.expandable) return;
+
+        if (node.expanded) {
+            this.collapseAt(index);
+        } else {
+            this.expandAt(index);
+        }
+        this.focusIndex = index;
+        this.update(true);
+    }
+
+    render() {
+        this.container = document.createElement('div');
+        this.container.className = 'fv-tree fv-virtual-tree';
+        this.container.tabIndex = 0;
+        this.container.setAttribute('role', 'tree');
+
+        this.window = document.createElement('div');
+        this.window.className = 'fv-tree-window';
+        this.container.appendChild(this.window);
+
+        this.container.addEventListener('click', (e) => this.handleClick(e));
+        this.container.addEventListener('keydown', (e) => this.handleKeydown(e));
+        window.addEventListener('scroll', this.onScroll, { passive: true });
+        window.addEventListener('resize', this.onScroll);
+
+        return this.container;
+    }
+
+    /**
+     * Call once the container is in the document, so rows can be measured
+     */
+    mount() {
+        this.update(true);
+
+        const firstRow = this.window.firstChild;
+        const measured = firstRow ? firstRow.getBoundingClientRect().height : 0;
+        if (measured > 0 && Math.abs(measured - this.rowHeight) > 0.5) {
+            this.rowHeight = measured;
+            this.update(true);
+        }
+    }
+
+    isMounted() {
+        return Boolean(this.container && this.container.isConnected);
+    }
+
+    destroy() {
+        window.removeEventListener('scroll', this.onScroll);
+        window.removeEventListener('resize', this.onScroll);
+        if (this.frame) {
+            cancelAnimationFrame(this.frame);
+            this.frame = null;
+        }
+        clearTimeout(this.flashTimer);
+    }
+
+    scheduleUpdate() {
+        if (this.frame) return;
+        this.frame = requestAnimationFrame(() => {
+            this.frame = null;
+            this.update();
+        });
+    }
+
+    visibleRange() {
+        const rect = this.container.getBoundingClientRect();
+        const viewportHeight = window.innerHeight || document.documentElement.clientHeight;
+        const top = Math.max(0, -rect.top);
+        const first = Math.floor(top / this.rowHeight) - this.overscan;
+        const last = Math.ceil((top + viewportHeight) / this.rowHeight) + this.overscan;
+
+        return {
+            start: Math.max(0, Math.min(first, this.rows.length)),
+            end: Math.max(0, Math.min(last, this.rows.length))
+        };
+    }
+
+    update(force = false) {
+        // The viewer replaces its content without telling us
+        if (!this.isMounted()) {
+            this.destroy();
+            return;
+        }
+
+        const range = this.visibleRange();
+        if (!force && this.range && this.range.start === range.start && this.range.end === range.end) {
+            return;
+        }
+        this.range = range;
+
+        this.container.style.height = `${this.rows.length * this.rowHeight}px`;
+        this.window.style.transform = `translateY(${range.start * this.rowHeight}px)`;
+
+        const fragment = document.createDocumentFragment();
+        for (let i = range.start; i < range.end; i++) {
+            fragment.appendChild(this.renderRow(this.rows[i], i));
+        }
+        this.window.textContent = '';
+        this.window.appendChild(fragment);
+    }
+
+    renderRow(node, index) {
+        const line = document.createElement('div');
+        line.className = 'fv-tree-line';
+        line.dataset.index = index;
+        line.setAttribute('role', 'treeitem');
+        line.setAttribute('aria-level', node.level + 1);
+        if (node.expandable) {
+            line.setAttribute('aria-expanded', String(node.expanded));
+        }
+        if (index === this.focusIndex) {
+            line.classList.add('focused');
+        }
+        if (this.isCurrentMatch(node)) {
+            line.classList.add('fv-current-match');
+        }
+        if (this.flashed && this.flashed.has(node)) {
+            line.classList.add('fv-flash', `fv-flash-${this.flashed.get(node)}`);
+        }
+
+        for (let i = 0; i < node.level; i++) {
+            const indent = document.createElement('span');
+            indent.className = 'fv-tree-indent';
+            line.appendChild(indent);
+        }
+
+        if (node.expandable) {
+            const icon = document.createElement('span');
+            icon.className = 'fv-tree-icon';
+            icon.dataset.action = 'toggle';
+            icon.textContent = node.expanded ? '▼' : '▶';
+            line.appendChild(icon);
+        }
+
+        const content = document.createElement('span');
+        content.className = 'fv-tree-content';
+        this.renderContent(node, content);
+
+        if (this.duplicates) {
+            this.appendDuplicateBadges(content, node);
+        }
+
+        line.appendChild(content);
+        return line;
+    }
+
+    // Key, then brackets and a count for a container or the value for a leaf
+    renderContent(node, content) {
+        if (node.key !== null) {
+            const key = document.createElement('span');
+            key.className = 'fv-tree-key';
+            this.appendText(key, this.keyText(node));
+            content.appendChild(key);
+
+            const colon = document.createElement('span');
+            colon.className = 'fv-tree-colon';
+            colon.textContent = ':';
+            content.appendChild(colon);
+        }
+
+        if (node.expandable) {
+            const isArray = this.isArrayNode(node);
+            content.appendChild(this.createSpan('fv-tree-bracket', isArray ? '[' : '{'));
+            content.appendChild(this.createSpan('fv-tree-summary', `${node.count} items`));
+            content.appendChild(this.createSpan('fv-tree-bracket', isArray ? ']' : '}'));
+        } else {
+            content.appendChild(this.renderLeaf(node));
+        }
+    }
+
+    // An object that repeats keys is badged, and so is the row of each repeated key
+    appendDuplicateBadges(content, node) {
+        const siblings = node.parent ? this.duplicates.get(node.parent.value) : undefined;
+        const lines = siblings && typeof node.key === 'string' ? siblings.get(node.key) : undefined;
+        if (lines) {
+            const badge = this.createSpan('fv-tree-badge', `⚠ defined ${lines.length} times`);
+            badge.title = `"${node.key}" is on lines ${[...new Set(lines)].join(', ')}`;
+            content.appendChild(badge);
+        }
+
+        const own = node.container ? this.duplicates.get(node.value) : undefined;
+        if (own) {
+            const keys = [...own.keys()];
+            const badge = this.createSpan('fv-tree-badge', keys.length === 1 ? `⚠ duplicate key "${keys[0]}"` : `⚠ ${keys.length} duplicate keys`);
+            badge.title = keys.map(key => `"${key}" on lines ${[...new Set(own.get(key))].join(', ')}`).join('\n');
+            content.appendChild(badge);
+        }
+    }
+
+    // Row parts that subclasses (js/core/diff.js) show differently
+    keyText(node) {
+        return typeof node.key === 'number' ? String(node.key) : `"${node.key}"`;
+    }
+
+    isArrayNode(node) {
+        return Array.isArray(node.value);
+    }
+
+    renderLeaf(node) {
+        return this.renderValue(node.value);
+    }
+
+    renderValue(value) {
+        const span = document.createElement('span');
+        const text = VirtualTree.formatValue(value);
+
+        if (value === null || value === undefined) {
+            span.className = 'fv-tree-value null';
+        } else if (VirtualTree.isDateValue(value)) {
+            span.className = 'fv-tree-value date';
+            span.title = value instanceof Date ? 'Offset date-time' : value.kind;
+        } else if (VirtualTree.isExactNumber(value)) {
+            span.className = 'fv-tree-value number exact';
+            span.title = 'Kept exactly as written; a JavaScript number would round it';
+        } else if (Array.isArray(value) || typeof value === 'object') {
+            span.className = 'fv-tree-value';
+        } else {
+            span.className = `fv-tree-value ${typeof value}`;
+        }
+
+        // Rows have a fixed height, so long values are cut off; the full text stays available on hover
+        if (text.length > 200) {
+            span.title = text;
+        }
+
+        this.appendText(span, text);
+        return span;
+    }
+
+    static formatValue(value) {
+        if (value === null || value === undefined) return 'null';
+        if (value instanceof Date) return value.toISOString();
+        if (VirtualTree.isDateValue(value) || VirtualTree.isExactNumber(value)) return value.text;
+        if (Array.isArray(value)) return '[]';
+        if (typeof value === 'object') return '{}';
+        if (typeof value === 'string') return `"${value}"`;
+        return String(value);
+    }
+
+    createSpan(className, text) {
+        const span = document.createElement('span');
+        span.className = className;
+        span.textContent = text;
+        return span;
+    }
+
+    // Appends text, wrapping occurrences of the search term in highlights
+    appendText(parent, text) {
+        if (!this.searchTerm) {
+            parent.appendChild(document.createTextNode(text));
+            return;
+        }
+
+        const lower = text.toLowerCase();
+        let last = 0;
+        let index;
+        while ((index = lower.indexOf(this.searchTerm, last)) !== -1) {
+            if (index > last) {
+                parent.appendChild(document.createTextNode(text.slice(last, index)));
+            }
+            parent.appendChild(this.createSpan('fv-highlight', text.slice(index, index + this.searchTerm.length)));
+            last = index + this.searchTerm.length;
+        }
+        if (last < text.length) {
+            parent.appendChild(document.createTextNode(text.slice(last)));
+        }
+    }
+
+    handleClick(event) {
+        const line = event.target.closest('.fv-tree-line');
+        if (!line) return;
+
+        const index = Number(line.dataset.index);
+        if (event.target.dataset.action === 'toggle') {
+            this.toggleAt(index);
+        } else {
+            this.focusIndex = index;
+            this.update(true);
+        }
+        this.container.focus({ preventScroll: true });
+    }
+
+    /**
+     * Arrow keys move and expand/collapse as in a file tree; Enter or Space toggles
+     */
+    handleKeydown(event) {
+        const node = this.rows[this.focusIndex];
+        if (!node) return;
+
+        const pageRows = Math.max(1, Math.floor((window.innerHeight || 600) / this.rowHeight) - 1);
+        let target = this.focusIndex;
+
+        switch (event.key) {
+            case 'ArrowDown':
+                target++;
+                break;
+            case 'ArrowUp':
+                target--;
+                break;
+            case 'PageDown':
+                target += pageRows;
+                break;
+            case 'PageUp':
+                target -= pageRows;
+                break;
+            case 'Home':
+                target = 0;
+                break;
+            case 'End':
+                target = this.rows.length - 1;
+                break;
+            case 'ArrowRight':
+                if (node.expandable && !node.expanded) {
+                    this.expandAt(this.focusIndex);
+                } else if (node.expanded) {
+                    target++;
+                }
+                break;
+            case 'ArrowLeft':
+                if (node.expanded) {
+                    this.collapseAt(this.focusIndex);
+                } else if (node.parent && node.parent !== this.root) {
+                    target = this.rows.lastIndexOf(node.parent, this.focusIndex);
+                }
+                break;
+            case 'Enter':
+            case ' ':
+                this.toggleAt(this.focusIndex);
+                break;
+            default:
+                return;
+        }
+
+        event.preventDefault();
+        this.focusIndex = Math.max(0, Math.min(target, this.rows.length - 1));
+        this.scrollToRow(this.focusIndex);
+        this.update(true);
+    }
+
+    scrollToRow(index) {
+        const rect = this.container.getBoundingClientRect();
+        const rowTop = rect.top + index * this.rowHeight;
+        const rowBottom = rowTop + this.rowHeight;
+        const top = this.stickyOffset() || 0;
+        const bottom = window.innerHeight || document.documentElement.clientHeight;
+
+        if (rowTop < top) {
+            window.scrollBy(0, rowTop - top);
+        } else if (rowBottom > bottom) {
+            window.scrollBy(0, rowBottom - bottom);
+        }
+    }
+
+    /**
+     * Highlight a search term and jump to its first match. Matches are found
+     * in the whole document, including collapsed and not yet rendered nodes.
+     */
+    setSearch(term) {
+        const searchTerm = (term || '').toLowerCase();
+        if (searchTerm === this.searchTerm) return this.matches.length;
+
+        this.searchTerm = searchTerm;
+        this.matches = searchTerm ? this.findMatches(searchTerm) : [];
+        this.matchIndex = -1;
+
+        if (this.matches.length > 0) {
+            this.goToMatch(0);
+        } else {
+            this.update(true);
+        }
+        return this.matches.length;
+    }
+
+    nextMatch(step = 1) {
+        if (this.matches.length === 0) return;
+        const count = this.matches.length;
+        this.goToMatch((this.matchIndex + step + count) % count);
+    }
+
+    goToMatch(index) {
+        this.matchIndex = index;
+        const node = this.revealPath(this.matches[index]);
+        this.focusIndex = this.rows.indexOf(node);
+        this.update(true);
+        this.scrollToRow(this.focusIndex);
+        this.update(true);
+    }
+
+    isCurrentMatch(node) {
+        if (this.matchIndex === -1) return false;
+        const path = this.matches[this.matchIndex];
+        let current = node;
+        for (let i = path.length - 1; i >= 0; i--) {
+            if (!current || current.key !== path[i]) return false;
+            current = current.parent;
+        }
+        return current === this.root;
+    }
+
+    // Paths (lists of keys) to nodes whose key or value contains the term, in display order
+    findMatches(term, limit = 10000) {
+        const matches = [];
+        const visit = (value, path) => {
+            if (matches.length >= limit) return;
+            const container = VirtualTree.isContainer(value);
+
+            if (container) {
+                const isArray = Array.isArray(value);
+                const keys = isArray ? value.map((item, index) => index) : this.keysOf(value);
+                keys.forEach(key => {
+                    const childPath = path.concat([key]);
+                    const keyText = isArray ? String(key) : `"${key}"`;
+                    const child = value[key];
+                    const childIsContainer = VirtualTree.isContainer(child);
+
+                    if (keyText.toLowerCase().includes(term) ||
+                        (!childIsContainer && VirtualTree.formatValue(child).toLowerCase().includes(term))) {
+                        matches.push(childPath);
+                    }
+                    if (childIsContainer) {
+                        visit(child, childPath);
+                    }
+                });
+            }
+        };
+
+        if (this.root.expandable) {
+            visit(this.data, []);
+        } else if (VirtualTree.formatValue(this.data).toLowerCase().includes(term)) {
+            matches.push([]);
+        }
+        return matches;
+    }
+
+    // Expand every ancestor of the node at path and return that node
+    revealPath(path) {
+        let node = this.root;
+        for (const key of path) {
+            if (!node.expanded) {
+                this.expandAt(this.rows.indexOf(node));
+            }
+            const children = this.getChildren(node);
+            node = typeof key === 'number' ? children[key] : children.find(child => child.key === key);
+        }
+        return node;
+    }
+
+    // The node at path, or null when the document has no such value
+    nodeAt(path) {
+        let node = this.root;
+        for (const key of path) {
+            if (!node.expandable) return null;
+            const children = this.getChildren(node);
+            node = typeof key === 'number' ? children[key] : children.find(child => child.key === key);
+            if (!node) return null;
+        }
+        return node;
+    }
+
+    pathOf(node) {
+        const path = [];
+        for (let current = node; current && current !== this.root; current = current.parent) {
+            path.unshift(current.key);
+        }
+        return path;
+    }
+
+    /**
+     * Expanded rows, focus and search, by path, so a tree of an updated
+     * document can open the same way
+     */
+    viewState() {
+        const expanded = [];
+        const visit = (node, path) => {
+            (node.children || []).forEach(child => {
+                if (child.expanded) {
+                    const childPath = path.concat([child.key]);
+                    expanded.push(childPath);
+                    visit(child, childPath);
+                }
+            });
+        };
+        visit(this.root, []);
+
+        return {
+            expanded,
+            focused: this.rows[this.focusIndex] ? this.pathOf(this.rows[this.focusIndex]) : null,
+            searchTerm: this.searchTerm,
+            match: this.matchIndex === -1 ? null : this.matches[this.matchIndex]
+        };
+    }
+
+    // Paths that no longer exist are skipped; the search is restored without jumping to a match
+    restoreViewState(state) {
+        if (!this.root.expandable) return;
+
+        const collapse = (node) => {
+            (node.children || []).forEach(child => {
+                child.expanded = false;
+                collapse(child);
+            });
+        };
+        collapse(this.root);
+
+        state.expanded.forEach(path => {
+            const node = this.nodeAt(path);
+            if (node && node.expandable) {
+                node.expanded = true;
+            }
+        });
+        this.rows = [];
+        this.collectVisible(this.root, this.rows);
+
+        const focused = state.focused ? this.nodeAt(state.focused) : null;
+        this.focusIndex = Math.max(0, this.rows.indexOf(focused));
+
+        if (state.searchTerm) {
+            const match = JSON.stringify(state.match);
+            this.searchTerm = state.searchTerm;
+            this.matches = this.findMatches(state.searchTerm);
+            this.matchIndex = this.matches.findIndex(path => JSON.stringify(path) === match);
+        }
+    }
+
+    /**
+     * Briefly highlight changed values, given as { path, status } with
+     * status 'added' or 'changed'. A value inside a collapsed node lights up
+     * the collapsed row that hides it.
+     */
+    flash(changes, duration = VirtualTree.FLASH_DURATION) {
+        this.flashed = new Map();
+        changes.forEach(({ path, status }) => {
+            let node = this.nodeAt(path);
+            if (!node) return;
+            for (let parent = node.parent; parent && parent !== this.root; parent = parent.parent) {
+                if (!parent.expanded) {
+                    node = parent;
+                    status = 'changed';
+                }
+            }
+            if (this.flashed.get(node) !== 'changed') {
+                this.flashed.set(node, status);
+            }
+        });
+
+        clearTimeout(this.flashTimer);
+        // Rows rendered after this (e.g. on scroll) no longer flash
+        this.flashTimer = setTimeout(() => {
+            this.flashed = null;
+        }, duration);
+        this.update(true);
+    }
+}
+
+VirtualTree.FLASH_DURATION = 2000;
+
+// Export for debugging
+if (typeof globalThis !== 'undefined') {
+    globalThis.VirtualTree = VirtualTree;
+}
@@ -0,0 +1,110 @@
+/**
+ * 🦊 Native Multi-Format Viewer - Watch Mode
+ * Polls the viewed URL for a new version of the file
+ *
+ * Requests go through the background script's fetchFile action. Once the
+ * server has sent an ETag, every poll revalidates with If-None-Match, so an
+ * unchanged file costs a 304 without a body; files served without one are
+ * fetched in full and compared with the last content seen.
+ */
+
+class FileWatcher {
+    /**
+     * options.fetch(etag) returns a fetchFile response, options.onResult
+     * receives { changed, notModified, response, checkedAt } and
+     * options.onError receives (error, checkedAt)
+     */
+    constructor(options) {
+        this.fetch = options.fetch;
+        this.onResult = options.onResult;
+        this.onError = options.onError;
+        this.etag = options.etag || null;
+        this.content = options.content;
+        this.interval = 0;
+        this.running = false;
+        this.timer = null;
+        this.pending = null;
+    }
+
+    /**
+     * Poll every `interval` ms; 0 only checks when check() is called
+     */
+    start(interval) {
+        this.running = true;
+        this.setInterval(interval);
+    }
+
+    setInterval(interval) {
+        this.interval = interval;
+        this.schedule();
+    }
+
+    stop() {
+        this.running = false;
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    // The next poll is timed from the end of the last one, so slow responses never overlap
+    schedule() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (this.running && this.interval > 0 && !this.pending) {
+            this.timer = setTimeout(() => this.check(), this.interval);
+        }
+    }
+
+    /**
+     * Poll now; a check while one is in flight waits for that one
+     */
+    check() {
+        if (this.pending) return this.pending;
+
+        clearTimeout(this.timer);
+        this.pending = this.poll().finally(() => {
+            this.pending = null;
+            this.schedule();
+        });
+        return this.pending;
+    }
+
+    async poll() {
+        const checkedAt = new Date();
+        let result;
+        try {
+            const response = await this.fetch(this.etag);
+            if (!response || !response.success) {
+                throw new Error(response?.error || 'Unknown error occurred');
+            }
+
+            if (response.headers && response.headers['etag']) {
+                this.etag = response.headers['etag'];
+            }
+
+            const notModified = Boolean(response.notModified);
+            const changed = !notModified && response.content !== this.content;
+            if (changed) {
+                this.content = response.content;
+            }
+            result = { changed, notModified, response, checkedAt };
+        } catch (error) {
+            if (this.running) {
+                this.onError(error, checkedAt);
+            }
+            return;
+        }
+
+        // Stopped while the request was out
+        if (this.running) {
+            await this.onResult(result);
+        }
+    }
+}
+
+FileWatcher.LOG_LIMIT = 100; // Entries kept in the change log
+FileWatcher.CHANGES_SHOWN = 50; // Changes listed per entry
+
+// Export for debugging
+if (typeof globalThis !== 'undefined') {
+    globalThis.FileWatcher = FileWatcher;
+}
@@ -0,0 +1,282 @@
+/**
+ * 🦊 Native Multi-Format Viewer - XML Tree
+ * Virtual tree of an XML document as it is written
+ *
+ * Queries, export, edits and comparisons work on the object model of
+ * XmlParser.toObject(), which merges repeated elements into arrays and
+ * leaves out comments, CDATA, processing instructions, namespaces and the
+ * text of mixed content. This tree shows XmlParser's node tree instead:
+ * every node in document order, and elements with their attributes and
+ * namespace declarations. Whitespace-only text between elements is left
+ * out. Rows are keyed by child index, so paths are lists of numbers.
+ */
+
+class XmlTree extends VirtualTree {
+    createNode(xmlNode, key, parent) {
+        const items = XmlTree.childrenOf(xmlNode);
+        const count = XmlTree.isInline(xmlNode, items) ? 0 : items.length;
+
+        return {
+            value: xmlNode,
+            key,
+            parent,
+            level: parent ? parent.level + 1 : -1,
+            container: Boolean(xmlNode.children),
+            count,
+            expandable: count > 0,
+            expanded: false,
+            children: null,
+            items
+        };
+    }
+
+    getChildren(node) {
+        if (!node.children) {
+            node.children = node.items.map((item, index) => this.createNode(item, index, node));
+        }
+        return node.children;
+    }
+
+    // Child nodes shown as rows; the XML declaration is the document's first
+    static childrenOf(xmlNode) {
+        if (!xmlNode.children) return [];
+
+        const children = xmlNode.children.filter(child => child.type !== 'text' || child.value.trim() !== '');
+        if (xmlNode.type === 'document' && xmlNode.declaration) {
+            children.unshift({ type: 'declaration', value: xmlNode.declaration });
+        }
+        return children;
+    }
+
+    // An element holding one line of text is shown on one row, as <name>text</name>
+    static isInline(xmlNode, items) {
+        return xmlNode.type === 'element' && items.length === 1 &&
+            (items[0].type === 'text' || items[0].type === 'cdata') && !items[0].value.trim().includes('\n');
+    }
+
+    render() {
+        const container = super.render();
+        container.classList.add('fv-xml-tree');
+        return container;
+    }
+
+    renderContent(node, content) {
+        const xmlNode = node.value;
+
+        switch (xmlNode.type) {
+            case 'element':
+                this.renderElement(node, content);
+                break;
+            case 'text':
+                content.appendChild(this.renderText('fv-xml-text', XmlTree.displayText(xmlNode.value).trim(), xmlNode.value));
+                break;
+            case 'cdata':
+                content.appendChild(this.renderText('fv-xml-cdata', `<![CDATA[${XmlTree.displayText(xmlNode.value)}]]>`, xmlNode.value));
+                break;
+            case 'comment':
+                content.appendChild(this.renderText('fv-xml-comment', `<!--${XmlTree.displayText(xmlNode.value)}-->`, xmlNode.value));
+                break;
+            case 'pi':
+                content.appendChild(this.renderText('fv-xml-pi', `<?${xmlNode.target}${xmlNode.data ? ` ${xmlNode.data}` : ''}?>`));
+                break;
+            case 'declaration':
+                content.appendChild(this.renderText('fv-xml-pi', `<?xml ${xmlNode.value}?>`));
+                break;
+            case 'doctype':
+                content.appendChild(this.renderText('fv-xml-doctype', `<!DOCTYPE ${XmlTree.displayText(xmlNode.value)}>`, xmlNode.value));
+                break;
+        }
+    }
+
+    renderElement(node, content) {
+        const element = node.value;
+        content.appendChild(this.renderTag(`<${element.name}`, element));
+
+        element.attributes.forEach(attribute => {
+            const isDeclaration = attribute.name === 'xmlns' || attribute.name.startsWith('xmlns:');
+            const name = this.renderText(isDeclaration ? 'fv-xml-attr fv-xml-ns' : 'fv-xml-attr', ` ${attribute.name}`);
+            if (isDeclaration) {
+                name.title = 'Namespace declaration';
+            } else if (attribute.namespace) {
+                name.title = `Namespace: ${attribute.namespace}`;
+            }
+            content.appendChild(name);
+            content.appendChild(this.createSpan('fv-xml-tag', '='));
+            content.appendChild(this.renderText('fv-xml-value', `"${attribute.value}"`));
+        });
+
+        if (node.items.length === 0) {
+            content.appendChild(this.createSpan('fv-xml-tag', '/>'));
+            return;
+        }
+
+        content.appendChild(this.createSpan('fv-xml-tag', '>'));
+        if (node.expanded) return;
+
+        if (node.expandable) {
+            content.appendChild(this.createSpan('fv-tree-summary', `${node.count} ${node.count === 1 ? 'node' : 'nodes'}`));
+        } else {
+            const text = node.items[0];
+            content.appendChild(text.type === 'cdata'
+                ? this.renderText('fv-xml-cdata', `<![CDATA[${text.value}]]>`)
+                : this.renderText('fv-xml-text', XmlTree.displayText(text.value).trim(), text.value));
+        }
+        content.appendChild(this.renderTag(`</${element.name}>`, element));
+    }
+
+    // The element's name, with its line and namespace on hover
+    renderTag(text, element) {
+        const span = this.createSpan('fv-xml-tag', '');
+        this.appendText(span, text);
+
+        const prefix = XmlParser.prefixOf(element.name);
+        const namespace = element.namespace
+            ? `Namespace: ${element.namespace}`
+            : (prefix ? `Prefix "${prefix}" is not declared` : 'No namespace');
+        span.title = `Line ${element.line}\n${namespace}`;
+        return span;
+    }
+
+    // Text with search highlights; the whole of `full` is shown on hover when the row shows less
+    renderText(className, text, full = text) {
+        const span = this.createSpan(className, '');
+        this.appendText(span, text);
+        if (full !== text || text.length > 200) {
+            span.title = full;
+        }
+        return span;
+    }
+
+    // Rows are one line high, so runs of whitespace, line breaks included, show as one space
+    static displayText(text) {
+        return text.replace(/\s+/g, ' ');
+    }
+
+    // What a row shows, for search
+    static rowText(xmlNode, items) {
+        switch (xmlNode.type) {
+            case 'element': {
+                const attributes = xmlNode.attributes.map(attribute => ` ${attribute.name}="${attribute.value}"`).join('');
+                const text = XmlTree.isInline(xmlNode, items) ? items[0].value : '';
+                return `<${xmlNode.name}${attributes}>${text}`;
+            }
+            case 'pi':
+                return `<?${xmlNode.target} ${xmlNode.data}?>`;
+            default:
+                return xmlNode.value;
+        }
+    }
+
+    // Paths (lists of child indices) to rows whose text contains the term, in display order
+    findMatches(term, limit = 10000) {
+        const matches = [];
+        const visit = (items, path) => {
+            items.forEach((item, index) => {
+                if (matches.length >= limit) return;
+                const childPath = path.concat([index]);
+                const childItems = XmlTree.childrenOf(item);
+
+                if (XmlTree.rowText(item, childItems).toLowerCase().includes(term)) {
+                    matches.push(childPath);
+                }
+                if (!XmlTree.isInline(item, childItems)) {
+                    visit(childItems, childPath);
+                }
+            });
+        };
+
+        visit(this.root.items, []);
+        return matches;
+    }
+
+    /**
+     * Path to the row showing a node of the same document as parsed by
+     * DOMParser: an attribute shows on its element's row and the text of a
+     * one-line element on the element's. Null for whitespace between
+     * elements, which has no row, and when the trees disagree.
+     * `positions` caches the row index of DOM children by parent.
+     */
+    pathOfDomNode(domNode, positions = new Map()) {
+        const shown = domNode.nodeType === XmlTree.DOM_ATTRIBUTE ? domNode.ownerElement : domNode;
+        const chain = [];
+        for (let current = shown; current && current.parentNode; current = current.parentNode) {
+            chain.unshift(current);
+        }
+
+        const path = [];
+        let node = this.root;
+        for (const domChild of chain) {
+            if (!node.expandable) break;
+
+            let indexes = positions.get(domChild.parentNode);
+            if (!indexes) {
+                indexes = new Map();
+                Array.from(domChild.parentNode.childNodes)
+                    .filter(child => child.nodeType !== XmlTree.DOM_TEXT || child.nodeValue.trim() !== '')
+                    .forEach((child, index) => indexes.set(child, index));
+                positions.set(domChild.parentNode, indexes);
+            }
+            let index = indexes.get(domChild);
+            if (index === undefined) return null;
+            if (node === this.root && node.value.declaration) index++;
+
+            const child = this.getChildren(node)[index];
+            if (!child || child.value.type !== XmlTree.DOM_TYPES[domChild.nodeType]) return null;
+            path.push(index);
+            node = child;
+        }
+        return path;
+    }
+
+    /**
+     * Mark the rows showing DOM nodes, such as those an XPath expression
+     * selects, expanding what hides them and jumping to the first
+     */
+    markDomNodes(domNodes, limit = 10000) {
+        const positions = new Map();
+        const paths = domNodes.slice(0, limit).map(domNode => this.pathOfDomNode(domNode, positions));
+        this.mark(paths.filter(path => path && path.length > 0));
+    }
+
+    mark(paths) {
+        // Attributes of one element share its row
+        this.marks = Array.from(new Set(paths.map(path => this.revealPath(path))));
+        this.marked = new Set(this.marks);
+        this.markIndex = -1;
+        if (this.marks.length > 0) {
+            this.nextMark();
+        } else {
+            this.update(true);
+        }
+    }
+
+    nextMark(step = 1) {
+        if (!this.marks || this.marks.length === 0) return;
+        const count = this.marks.length;
+        this.markIndex = (this.markIndex + step + count) % count;
+        // Opened again if it was collapsed since
+        const node = this.revealPath(this.pathOf(this.marks[this.markIndex]));
+        this.focusIndex = this.rows.indexOf(node);
+        this.update(true);
+        this.scrollToRow(this.focusIndex);
+        this.update(true);
+    }
+
+    renderRow(node, index) {
+        const line = super.renderRow(node, index);
+        if (this.marked && this.marked.has(node)) {
+            line.classList.add('fv-tree-marked');
+        }
+        return line;
+    }
+}
+
+XmlTree.DOM_ATTRIBUTE = 2;
+XmlTree.DOM_TEXT = 3;
+// DOM nodeType to XmlParser node type
+XmlTree.DOM_TYPES = { 1: 'element', 3: 'text', 4: 'cdata', 7: 'pi', 8: 'comment', 10: 'doctype' };
+
+// Export for debugging
+if (typeof globalThis !== 'undefined') {
+    globalThis.XmlTree = XmlTree;
+}
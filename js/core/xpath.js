@@ -0,0 +1,126 @@
+/**
+ * 🦊 Native Multi-Format Viewer - XPath Engine
+ * XPath 1.0 over the DOM that DOMParser builds for an XML document
+ *
+ * Expressions are evaluated by the browser with document.evaluate. Prefixes
+ * resolve to the namespaces given as prefix=URI mappings, then to the first
+ * xmlns:prefix declaration in the document. XPath 1.0 has no default
+ * namespace, so elements in one are only reachable through a mapped prefix.
+ */
+
+class XPathQuery {
+    /**
+     * Parse XML with DOMParser, throwing when it reports an error
+     */
+    static parse(content) {
+        const document = new DOMParser().parseFromString(content, 'text/xml');
+        const error = document.getElementsByTagName('parsererror')[0];
+        if (error) {
+            throw new Error(`Invalid XML: ${error.textContent.trim().split('\n')[0]}`);
+        }
+        return document;
+    }
+
+    /**
+     * Evaluate an expression against a parsed document. Returns
+     * { type: 'nodes', nodes } with the nodes in document order, or
+     * { type, value } for a 'number', 'string' or 'boolean' result.
+     */
+    static run(expression, document, namespaces = {}) {
+        const missing = [];
+        const resolver = (prefix) => {
+            const uri = XPathQuery.lookupNamespace(prefix, document, namespaces);
+            if (uri === null) missing.push(prefix);
+            return uri;
+        };
+
+        try {
+            const result = document.evaluate(expression, document, resolver, XPathResult.ANY_TYPE, null);
+            // Some engines match nothing for an unknown prefix rather than throwing
+            if (missing.length > 0) {
+                throw new Error(`Unknown prefix "${missing[0]}"`);
+            }
+            switch (result.resultType) {
+                case XPathResult.NUMBER_TYPE:
+                    return { type: 'number', value: result.numberValue };
+                case XPathResult.STRING_TYPE:
+                    return { type: 'string', value: result.stringValue };
+                case XPathResult.BOOLEAN_TYPE:
+                    return { type: 'boolean', value: result.booleanValue };
+            }
+
+            // Node-sets come back unordered from ANY_TYPE
+            const snapshot = document.evaluate(expression, document, resolver, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null);
+            const nodes = [];
+            for (let i = 0; i < snapshot.snapshotLength; i++) {
+                nodes.push(snapshot.snapshotItem(i));
+            }
+            return { type: 'nodes', nodes };
+        } catch (error) {
+            if (missing.length > 0) {
+                throw new Error(`Namespace prefix "${missing[0]}" is not declared; map it in Namespaces as ${missing[0]}=URI`);
+            }
+            throw new Error(`Invalid XPath expression: ${error.message}`);
+        }
+    }
+
+    static lookupNamespace(prefix, document, namespaces) {
+        if (Object.prototype.hasOwnProperty.call(namespaces, prefix)) {
+            return namespaces[prefix];
+        }
+        if (prefix === 'xml') {
+            return XPathQuery.XML_NAMESPACE;
+        }
+        return XPathQuery.declaredNamespaces(document)[prefix] || null;
+    }
+
+    // Prefix to URI for every xmlns:prefix attribute, the first declaration of a prefix winning
+    static declaredNamespaces(document) {
+        let declared = XPathQuery.declarations.get(document);
+        if (!declared) {
+            declared = Object.create(null);
+            const elements = document.getElementsByTagName('*');
+            for (let i = 0; i < elements.length; i++) {
+                const attributes = elements[i].attributes;
+                for (let j = 0; j < attributes.length; j++) {
+                    const { prefix, localName, value } = attributes[j];
+                    if (prefix === 'xmlns' && !(localName in declared)) {
+                        declared[localName] = value;
+                    }
+                }
+            }
+            XPathQuery.declarations.set(document, declared);
+        }
+        return declared;
+    }
+
+    /**
+     * Read namespace mappings written as `prefix=URI`, separated by spaces or
+     * commas. Declarations copied from a document (`xmlns:a="URI"`) work too.
+     */
+    static parseNamespaces(text) {
+        const namespaces = Object.create(null);
+        text.split(/[\s,]+/).filter(Boolean).forEach(mapping => {
+            const match = /^(?:xmlns:)?([A-Za-z_][\w.-]*)=(["']?)(.+)\2$/.exec(mapping);
+            if (!match) {
+                throw new Error(`Namespace mappings are written prefix=URI, not "${mapping}"`);
+            }
+            namespaces[match[1]] = match[3];
+        });
+        return namespaces;
+    }
+
+    // A number, string or boolean result as shown; strings are quoted so empty ones show
+    static formatValue(result) {
+        if (result.type === 'string') return JSON.stringify(result.value);
+        return String(result.value);
+    }
+}
+
+XPathQuery.XML_NAMESPACE = 'http://www.w3.org/XML/1998/namespace';
+XPathQuery.declarations = new WeakMap(); // Document to its declared prefixes
+
+// Export for debugging
+if (typeof globalThis !== 'undefined') {
+    globalThis.XPathQuery = XPathQuery;
+}
@@ -0,0 +1,1078 @@
+/**
+ * 🦊 Native Multi-Format Viewer - XSD Validation
+ * Checks an XML document against W3C XML Schema 1.0 files
+ *
+ * Browsers have no schema validator, so this one works on XmlParser's node
+ * tree, which has the line of every element and the namespace of every
+ * name. It covers global and local element and attribute declarations,
+ * named and anonymous types, sequence/choice/all groups with occurrence
+ * counts, wildcards, attribute groups, simple and complex content derived
+ * by extension or restriction, and the built-in simple types with their
+ * facets. Identity constraints (key, keyref, unique), substitution groups
+ * and xsi:type are not checked.
+ *
+ * Declarations are compiled when validation first reaches them, so a
+ * reference to something no schema file defines is reported then.
+ */
+
+class XsdSchema {
+    constructor() {
+        // Global components by expanded name, as { node, context }
+        this.elements = new Map();
+        this.attributes = new Map();
+        this.types = new Map();
+        this.groups = new Map();
+        this.attributeGroups = new Map();
+        this.scopes = new WeakMap(); // Schema element to its namespace bindings
+        this.compiled = new WeakMap(); // Declaration node to its compiled form
+        this.references = []; // include and import instructions, as { kind, location, namespace, from }
+        this.namespaces = new Set(); // Target namespaces of the loaded files
+        this.names = [];
+        this.missing = [];
+    }
+
+    /**
+     * Load schema files, given as { name, content }. include and import
+     * are resolved among them by file name or namespace, not fetched; the
+     * ones not given are listed in `missing`.
+     */
+    static load(sources) {
+        const schema = new XsdSchema();
+        sources.forEach(source => schema.add(source));
+        schema.missing = schema.findMissing();
+        if (schema.elements.size === 0) {
+            throw new Error('The schema declares no global elements to validate against');
+        }
+        return schema;
+    }
+
+    /**
+     * The schemas a document names in xsi:schemaLocation and
+     * xsi:noNamespaceSchemaLocation on its root, as { namespace, location }
+     */
+    static schemaLocations(document) {
+        const root = document.children.find(child => child.type === 'element');
+        const locations = [];
+        if (!root) return locations;
+
+        root.attributes.forEach(attribute => {
+            if (attribute.namespace !== XsdSchema.XSI_NAMESPACE) return;
+            const local = XsdSchema.localName(attribute.name);
+            const parts = attribute.value.trim().split(/\s+/).filter(Boolean);
+            if (local === 'schemaLocation') {
+                for (let i = 0; i + 1 < parts.length; i += 2) {
+                    locations.push({ namespace: parts[i], location: parts[i + 1] });
+                }
+            } else if (local === 'noNamespaceSchemaLocation' && parts.length > 0) {
+                locations.push({ namespace: null, location: parts[0] });
+            }
+        });
+        return locations;
+    }
+
+    // "orders.xsd" for "https://example.com/schemas/orders.xsd?v=2"
+    static fileName(location) {
+        return location.split(/[?#]/)[0].split(/[\\/]/).pop();
+    }
+
+    static localName(name) {
+        return name.slice(name.indexOf(':') + 1);
+    }
+
+    // Expanded name of a component: "{namespace}local", or "local" in no namespace
+    static expanded(namespace, local) {
+        return namespace ? `{${namespace}}${local}` : local;
+    }
+
+    /**
+     * Validate a document from XmlParser. Returns { errors, truncated },
+     * errors being { path, line, message } in document order, at most limit.
+     */
+    validate(document, limit = XsdSchema.ERROR_LIMIT) {
+        return new XsdValidator(this, limit).validate(document);
+    }
+
+    add(source) {
+        let document;
+        try {
+            document = XmlParser.parse(source.content);
+        } catch (error) {
+            throw new Error(`${source.name}: ${error.message}`);
+        }
+
+        const root = document.children.find(child => child.type === 'element');
+        if (root.namespace !== XsdSchema.XSD_NAMESPACE || XsdSchema.localName(root.name) !== 'schema') {
+            throw new Error(`${source.name} is not an XML Schema: its root is <${root.name}>`);
+        }
+        this.recordScopes(root, XmlParser.rootScope());
+
+        const targetNamespace = XsdSchema.attribute(root, 'targetNamespace') || null;
+        const context = {
+            file: source.name,
+            targetNamespace,
+            elementQualified: XsdSchema.attribute(root, 'elementFormDefault') === 'qualified',
+            attributeQualified: XsdSchema.attribute(root, 'attributeFormDefault') === 'qualified'
+        };
+        this.names.push(source.name);
+        this.namespaces.add(targetNamespace);
+
+        const register = (node) => {
+            const kind = XsdSchema.localName(node.name);
+            const name = XsdSchema.attribute(node, 'name');
+            const key = XsdSchema.expanded(targetNamespace, name);
+            switch (kind) {
+                case 'element':
+                    this.elements.set(key, { node, context });
+                    break;
+                case 'attribute':
+                    this.attributes.set(key, { node, context });
+                    break;
+                case 'complexType':
+                case 'simpleType':
+                    this.types.set(key, { node, context });
+                    break;
+                case 'group':
+                    this.groups.set(key, { node, context });
+                    break;
+                case 'attributeGroup':
+                    this.attributeGroups.set(key, { node, context });
+                    break;
+                case 'include':
+                case 'import':
+                    this.references.push({
+                        kind,
+                        location: XsdSchema.attribute(node, 'schemaLocation'),
+                        namespace: kind === 'import' ? XsdSchema.attribute(node, 'namespace') : targetNamespace,
+                        from: source.name
+                    });
+                    break;
+                case 'redefine':
+                    // The redefined components replace the included ones, which is all a validator needs
+                    this.references.push({ kind: 'include', location: XsdSchema.attribute(node, 'schemaLocation'), namespace: targetNamespace, from: source.name });
+                    XsdSchema.children(node).forEach(register);
+                    break;
+            }
+        };
+        XsdSchema.children(root).forEach(register);
+    }
+
+    recordScopes(element, parentScope) {
+        const scope = XmlParser.resolveNamespaces(element, parentScope);
+        this.scopes.set(element, scope);
+        element.children.forEach(child => {
+            if (child.type === 'element') this.recordScopes(child, scope);
+        });
+    }
+
+    // include and import instructions whose file wasn't given, as "common.xsd (imported by orders.xsd)"
+    findMissing() {
+        const files = new Set(this.names.map(name => XsdSchema.fileName(name)));
+        const missing = [];
+        this.references.forEach(({ kind, location, namespace, from }) => {
+            if (location && files.has(XsdSchema.fileName(location))) return;
+            if (kind === 'import' && (this.namespaces.has(namespace || null) || namespace === XmlParser.XML_NAMESPACE)) return;
+            const what = location ? XsdSchema.fileName(location) : `the schema for ${namespace}`;
+            const entry = `${what} (${kind === 'import' ? 'imported' : 'included'} by ${from})`;
+            if (!missing.includes(entry)) missing.push(entry);
+        });
+        return missing;
+    }
+
+    // Child elements in the XSD namespace, without annotations
+    static children(node) {
+        return node.children.filter(child => child.type === 'element' && child.namespace === XsdSchema.XSD_NAMESPACE &&
+            XsdSchema.localName(child.name) !== 'annotation');
+    }
+
+    static child(node, kind) {
+        return XsdSchema.children(node).find(child => XsdSchema.localName(child.name) === kind) || null;
+    }
+
+    // An unprefixed attribute's value, or null
+    static attribute(node, name) {
+        const attribute = node.attributes.find(candidate => candidate.name === name);
+        return attribute ? attribute.value : null;
+    }
+
+    // Expanded name of a QName written in the schema, such as type="tns:Order"
+    resolveName(node, qname) {
+        const prefix = XmlParser.prefixOf(qname);
+        const namespace = this.scopes.get(node)[prefix];
+        if (prefix && namespace === undefined) {
+            throw new Error(`Prefix "${prefix}" of "${qname}" is not declared in the schema`);
+        }
+        return { namespace: namespace || null, local: XsdSchema.localName(qname) };
+    }
+
+    lookup(map, node, qname, what) {
+        const { namespace, local } = this.resolveName(node, qname);
+        const entry = map.get(XsdSchema.expanded(namespace, local));
+        if (!entry) {
+            throw new Error(`The schema refers to ${what} "${qname}", which none of its files define`);
+        }
+        return entry;
+    }
+
+    // Compiled once; the result is stored before it is filled in, so recursive types terminate
+    memo(node, create, fill) {
+        let compiled = this.compiled.get(node);
+        if (!compiled) {
+            compiled = create();
+            this.compiled.set(node, compiled);
+            fill(compiled);
+        }
+        return compiled;
+    }
+
+    globalElement(key) {
+        const entry = this.elements.get(key);
+        return entry ? this.elementDeclaration(entry.node, entry.context, true) : null;
+    }
+
+    elementDeclaration(node, context, global = false) {
+        const ref = XsdSchema.attribute(node, 'ref');
+        if (ref) {
+            const entry = this.lookup(this.elements, node, ref, 'element');
+            return this.elementDeclaration(entry.node, entry.context, true);
+        }
+
+        return this.memo(node, () => {
+            const form = XsdSchema.attribute(node, 'form');
+            const qualified = global || (form ? form === 'qualified' : context.elementQualified);
+            return {
+                name: XsdSchema.attribute(node, 'name'),
+                namespace: qualified ? context.targetNamespace : null,
+                nillable: XsdSchema.attribute(node, 'nillable') === 'true',
+                fixed: XsdSchema.attribute(node, 'fixed'),
+                type: null
+            };
+        }, (declaration) => {
+            const typeName = XsdSchema.attribute(node, 'type');
+            const inline = XsdSchema.child(node, 'complexType') || XsdSchema.child(node, 'simpleType');
+            if (typeName) {
+                declaration.type = this.typeByName(node, typeName);
+            } else if (inline) {
+                declaration.type = this.compileType(inline, context);
+            } else {
+                declaration.type = XsdSchema.ANY_TYPE;
+            }
+        });
+    }
+
+    typeByName(node, qname) {
+        const { namespace, local } = this.resolveName(node, qname);
+        if (namespace === XsdSchema.XSD_NAMESPACE) {
+            return XsdSchema.builtinType(local);
+        }
+        const entry = this.lookup(this.types, node, qname, 'type');
+        return this.compileType(entry.node, entry.context);
+    }
+
+    compileType(node, context) {
+        return XsdSchema.localName(node.name) === 'simpleType'
+            ? this.compileSimpleType(node, context)
+            : this.compileComplexType(node, context);
+    }
+
+    compileComplexType(node, context) {
+        return this.memo(node, () => ({
+            kind: 'complex',
+            name: XsdSchema.attribute(node, 'name') || 'anonymous type',
+            mixed: XsdSchema.attribute(node, 'mixed') === 'true',
+            content: null,
+            simple: null,
+            attributes: new Map(),
+            anyAttribute: false
+        }), (type) => {
+            XsdSchema.children(node).forEach(child => {
+                const kind = XsdSchema.localName(child.name);
+                if (kind === 'simpleContent') {
+                    this.deriveSimpleContent(type, child, context);
+                } else if (kind === 'complexContent') {
+                    this.deriveComplexContent(type, child, context);
+                } else if (XsdSchema.MODEL_GROUPS.includes(kind)) {
+                    type.content = this.particle(child, context);
+                } else {
+                    this.addAttributes(type, [child], context);
+                }
+            });
+        });
+    }
+
+    deriveSimpleContent(type, content, context) {
+        const derivation = XsdSchema.children(content)[0];
+        const baseName = XsdSchema.attribute(derivation, 'base');
+        const base = baseName ? this.typeByName(derivation, baseName) : XsdSchema.builtinType('anySimpleType');
+        if (base.kind === 'complex') {
+            base.attributes.forEach((use, key) => type.attributes.set(key, use));
+            type.anyAttribute = base.anyAttribute;
+            type.simple = base.simple || XsdSchema.builtinType('anySimpleType');
+        } else {
+            type.simple = base;
+        }
+
+        if (XsdSchema.localName(derivation.name) === 'restriction') {
+            const inline = XsdSchema.child(derivation, 'simpleType');
+            const restricted = inline ? this.compileSimpleType(inline, context) : type.simple;
+            type.simple = this.restrict(restricted, derivation, restricted.name);
+        }
+        this.addAttributes(type, XsdSchema.children(derivation), context);
+    }
+
+    deriveComplexContent(type, content, context) {
+        const derivation = XsdSchema.children(content)[0];
+        const base = this.typeByName(derivation, XsdSchema.attribute(derivation, 'base'));
+        if (XsdSchema.attribute(content, 'mixed') === 'true') type.mixed = true;
+
+        const group = XsdSchema.children(derivation).find(child => XsdSchema.MODEL_GROUPS.includes(XsdSchema.localName(child.name)));
+        const own = group ? this.particle(group, context) : null;
+
+        if (base.kind === 'complex' && !base.any) {
+            base.attributes.forEach((use, key) => type.attributes.set(key, use));
+            type.anyAttribute = base.anyAttribute;
+        }
+        if (XsdSchema.localName(derivation.name) === 'extension' && base.kind === 'complex' && !base.any && base.content) {
+            // An extension's content follows its base type's
+            type.content = own
+                ? { term: { kind: 'sequence', items: [base.content, own] }, min: 1, max: 1 }
+                : base.content;
+            type.mixed = type.mixed || base.mixed;
+        } else {
+            type.content = own;
+        }
+        this.addAttributes(type, XsdSchema.children(derivation), context);
+    }
+
+    addAttributes(type, nodes, context) {
+        nodes.forEach(node => {
+            const kind = XsdSchema.localName(node.name);
+            if (kind === 'anyAttribute') {
+                type.anyAttribute = true;
+            } else if (kind === 'attributeGroup') {
+                const entry = this.lookup(this.attributeGroups, node, XsdSchema.attribute(node, 'ref'), 'attribute group');
+                this.addAttributes(type, XsdSchema.children(entry.node), entry.context);
+            } else if (kind === 'attribute') {
+                const use = this.attributeUse(node, context);
+                const key = XsdSchema.expanded(use.namespace, use.name);
+                if (use.prohibited) {
+                    type.attributes.delete(key);
+                } else {
+                    type.attributes.set(key, use);
+                }
+            }
+        });
+    }
+
+    attributeUse(node, context) {
+        const use = XsdSchema.attribute(node, 'use') || 'optional';
+        const ref = XsdSchema.attribute(node, 'ref');
+        let declaration = node;
+        let declarationContext = context;
+        let qualified;
+        if (ref) {
+            // xml:lang and the like are allowed without the schema for the xml namespace
+            const { namespace, local } = this.resolveName(node, ref);
+            if (namespace === XmlParser.XML_NAMESPACE && !this.attributes.has(XsdSchema.expanded(namespace, local))) {
+                return { name: local, namespace, type: XsdSchema.builtinType('string'), required: use === 'required', prohibited: use === 'prohibited', fixed: null };
+            }
+            const entry = this.lookup(this.attributes, node, ref, 'attribute');
+            declaration = entry.node;
+            declarationContext = entry.context;
+            qualified = true;
+        } else {
+            const form = XsdSchema.attribute(node, 'form');
+            qualified = form ? form === 'qualified' : context.attributeQualified;
+        }
+
+        const typeName = XsdSchema.attribute(declaration, 'type');
+        const inline = XsdSchema.child(declaration, 'simpleType');
+        return {
+            name: XsdSchema.attribute(declaration, 'name'),
+            namespace: qualified ? declarationContext.targetNamespace : null,
+            type: typeName
+                ? this.typeByName(declaration, typeName)
+                : (inline ? this.compileSimpleType(inline, declarationContext) : XsdSchema.builtinType('anySimpleType')),
+            required: use === 'required',
+            prohibited: use === 'prohibited',
+            fixed: XsdSchema.attribute(node, 'fixed') || XsdSchema.attribute(declaration, 'fixed')
+        };
+    }
+
+    // { term, min, max } for an element, wildcard, model group or group reference
+    particle(node, context) {
+        const kind = XsdSchema.localName(node.name);
+        const minOccurs = XsdSchema.attribute(node, 'minOccurs');
+        const maxOccurs = XsdSchema.attribute(node, 'maxOccurs');
+        const min = minOccurs === null ? 1 : parseInt(minOccurs, 10);
+        const max = maxOccurs === null ? 1 : (maxOccurs === 'unbounded' ? Infinity : parseInt(maxOccurs, 10));
+
+        let term;
+        if (kind === 'element') {
+            term = { kind: 'element', declaration: this.elementDeclaration(node, context) };
+        } else if (kind === 'any') {
+            term = {
+                kind: 'any',
+                namespaces: (XsdSchema.attribute(node, 'namespace') || '##any').trim().split(/\s+/),
+                targetNamespace: context.targetNamespace,
+                process: XsdSchema.attribute(node, 'processContents') || 'strict'
+            };
+        } else if (kind === 'group') {
+            const entry = this.lookup(this.groups, node, XsdSchema.attribute(node, 'ref'), 'group');
+            const group = XsdSchema.children(entry.node)[0];
+            term = this.particle(group, entry.context).term;
+        } else {
+            term = this.memo(node, () => ({ kind, items: [] }), (group) => {
+                XsdSchema.children(node).forEach(child => {
+                    if (XsdSchema.PARTICLES.includes(XsdSchema.localName(child.name))) {
+                        group.items.push(this.particle(child, context));
+                    }
+                });
+            });
+        }
+        return { term, min, max };
+    }
+
+    compileSimpleType(node, context) {
+        return this.memo(node, () => ({ kind: 'simple', name: XsdSchema.attribute(node, 'name') || 'anonymous type' }), (type) => {
+            const derivation = XsdSchema.children(node)[0];
+            const kind = XsdSchema.localName(derivation.name);
+            const inline = XsdSchema.child(derivation, 'simpleType');
+
+            if (kind === 'restriction') {
+                const baseName = XsdSchema.attribute(derivation, 'base');
+                const base = baseName ? this.typeByName(derivation, baseName) : this.compileSimpleType(inline, context);
+                if (base.kind !== 'simple') {
+                    throw new Error(`Simple type "${type.name}" can't restrict the complex type "${base.name}"`);
+                }
+                Object.assign(type, this.restrict(base, derivation, type.name));
+            } else if (kind === 'list') {
+                const itemName = XsdSchema.attribute(derivation, 'itemType');
+                Object.assign(type, {
+                    variety: 'list',
+                    itemType: itemName ? this.typeByName(derivation, itemName) : this.compileSimpleType(inline, context),
+                    whiteSpace: 'collapse',
+                    steps: []
+                });
+            } else if (kind === 'union') {
+                const names = (XsdSchema.attribute(derivation, 'memberTypes') || '').trim().split(/\s+/).filter(Boolean);
+                const members = names.map(name => this.typeByName(derivation, name));
+                XsdSchema.children(derivation).forEach(child => members.push(this.compileSimpleType(child, context)));
+                Object.assign(type, { variety: 'union', members, whiteSpace: 'collapse', steps: [] });
+            }
+        });
+    }
+
+    // A simple type narrowed by the facets of a restriction element
+    restrict(base, derivation, name) {
+        const step = { enumeration: [], patterns: [] };
+        let whiteSpace = base.whiteSpace;
+
+        XsdSchema.children(derivation).forEach(facet => {
+            const kind = XsdSchema.localName(facet.name);
+            const value = XsdSchema.attribute(facet, 'value');
+            if (kind === 'enumeration') {
+                step.enumeration.push(value);
+            } else if (kind === 'pattern') {
+                const pattern = XsdSchema.compilePattern(value);
+                if (pattern) step.patterns.push(pattern);
+            } else if (kind === 'whiteSpace') {
+                whiteSpace = value;
+            } else if (XsdSchema.FACETS.includes(kind)) {
+                step[kind] = value;
+            }
+        });
+
+        return Object.assign({}, base, { name, whiteSpace, steps: base.steps.concat([step]) });
+    }
+
+    /**
+     * An XSD pattern as an anchored RegExp. The \i and \c name classes are
+     * approximated with ASCII; patterns JavaScript can't read are left out.
+     */
+    static compilePattern(source) {
+        const converted = source
+            .replace(/\\i/g, '[A-Za-z_:]').replace(/\\I/g, '[^A-Za-z_:]')
+            .replace(/\\c/g, '[\\w.:-]').replace(/\\C/g, '[^\\w.:-]');
+        for (const flags of ['u', '']) {
+            try {
+                const pattern = new RegExp(`^(?:${converted})$`, flags);
+                return { test: value => pattern.test(value), source };
+            } catch (error) {
+                // Try without Unicode mode, then give up on the facet
+            }
+        }
+        return null;
+    }
+
+    static builtinType(local) {
+        if (local === 'anyType') return XsdSchema.ANY_TYPE;
+
+        let type = XsdSchema.builtins.get(local);
+        if (!type) {
+            if (XsdSchema.LIST_TYPES[local]) {
+                type = {
+                    kind: 'simple',
+                    name: `xs:${local}`,
+                    variety: 'list',
+                    itemType: XsdSchema.builtinType(XsdSchema.LIST_TYPES[local]),
+                    whiteSpace: 'collapse',
+                    steps: []
+                };
+            } else if (XsdSchema.BUILTINS[local]) {
+                type = {
+                    kind: 'simple',
+                    name: `xs:${local}`,
+                    variety: 'atomic',
+                    builtin: local,
+                    whiteSpace: local === 'string' ? 'preserve' : (local === 'normalizedString' ? 'replace' : 'collapse'),
+                    steps: []
+                };
+            } else {
+                throw new Error(`xs:${local} is not a built-in XML Schema type`);
+            }
+            XsdSchema.builtins.set(local, type);
+        }
+        return type;
+    }
+
+    /**
+     * Why a value isn't valid for a simple type: a message for each problem,
+     * none when it is valid
+     */
+    static checkValue(type, raw) {
+        const value = XsdSchema.normalizeSpace(raw, type.whiteSpace);
+
+        if (type.variety === 'union') {
+            if (!type.members.some(member => XsdSchema.checkValue(member, raw).length === 0)) {
+                return [`"${value}" is not a valid ${type.name}`];
+            }
+            return XsdSchema.checkFacets(type, value, null);
+        }
+
+        if (type.variety === 'list') {
+            const items = value === '' ? [] : value.split(' ');
+            const messages = [];
+            items.forEach(item => messages.push(...XsdSchema.checkValue(type.itemType, item)));
+            return messages.concat(XsdSchema.checkFacets(type, value, items.length));
+        }
+
+        if (!XsdSchema.BUILTINS[type.builtin](value)) {
+            return [`"${value}" is not a valid xs:${type.builtin}`];
+        }
+        return XsdSchema.checkFacets(type, value, null);
+    }
+
+    static normalizeSpace(value, whiteSpace) {
+        if (whiteSpace === 'preserve') return value;
+        const replaced = value.replace(/[\t\n\r]/g, ' ');
+        return whiteSpace === 'replace' ? replaced : replaced.replace(/ +/g, ' ').trim();
+    }
+
+    // Messages for the facets of each restriction step the value fails; itemCount is set for list types, whose length is in items
+    static checkFacets(type, value, itemCount) {
+        const length = itemCount === null ? [...value].length : itemCount;
+        const unit = itemCount === null ? 'characters' : 'items';
+        const numeric = XsdSchema.NUMERIC.includes(type.builtin);
+        const compare = (bound) => (numeric ? Number(value) - Number(bound) : (value < bound ? -1 : (value > bound ? 1 : 0)));
+
+        const messages = [];
+        for (const step of type.steps) {
+            if (step.enumeration.length > 0 && !step.enumeration.includes(value)) {
+                messages.push(`"${value}" is not one of ${step.enumeration.map(option => `"${option}"`).join(', ')}`);
+            }
+            if (step.patterns.length > 0 && !step.patterns.some(pattern => pattern.test(value))) {
+                messages.push(`"${value}" doesn't match the pattern ${step.patterns.map(pattern => pattern.source).join(' | ')}`);
+            }
+            if (step.length !== undefined && length !== Number(step.length)) {
+                messages.push(`"${value}" must be exactly ${step.length} ${unit} long`);
+            }
+            if (step.minLength !== undefined && length < Number(step.minLength)) {
+                messages.push(`"${value}" is shorter than ${step.minLength} ${unit}`);
+            }
+            if (step.maxLength !== undefined && length > Number(step.maxLength)) {
+                messages.push(`"${value}" is longer than ${step.maxLength} ${unit}`);
+            }
+            if (step.minInclusive !== undefined && compare(step.minInclusive) < 0) {
+                messages.push(`${value} is less than the minimum of ${step.minInclusive}`);
+            }
+            if (step.maxInclusive !== undefined && compare(step.maxInclusive) > 0) {
+                messages.push(`${value} is more than the maximum of ${step.maxInclusive}`);
+            }
+            if (step.minExclusive !== undefined && compare(step.minExclusive) <= 0) {
+                messages.push(`${value} must be more than ${step.minExclusive}`);
+            }
+            if (step.maxExclusive !== undefined && compare(step.maxExclusive) >= 0) {
+                messages.push(`${value} must be less than ${step.maxExclusive}`);
+            }
+            if (step.totalDigits !== undefined || step.fractionDigits !== undefined) {
+                const [whole, fraction = ''] = value.replace(/^[+-]/, '').split('.');
+                const fractionDigits = fraction.replace(/0+$/, '').length;
+                const totalDigits = whole.replace(/^0+/, '').length + fractionDigits;
+                if (step.totalDigits !== undefined && totalDigits > Number(step.totalDigits)) {
+                    messages.push(`${value} has more than ${step.totalDigits} digits`);
+                }
+                if (step.fractionDigits !== undefined && fractionDigits > Number(step.fractionDigits)) {
+                    messages.push(`${value} has more than ${step.fractionDigits} decimal places`);
+                }
+            }
+        }
+        return messages;
+    }
+}
+
+/**
+ * Walks a document against a loaded schema, collecting errors
+ */
+class XsdValidator {
+    constructor(schema, limit) {
+        this.schema = schema;
+        this.limit = limit;
+        this.errors = [];
+        this.truncated = false;
+    }
+
+    validate(document) {
+        const root = document.children.find(child => child.type === 'element');
+        const path = `/${root.name}`;
+        const local = XsdSchema.localName(root.name);
+        const declaration = this.schema.globalElement(XsdSchema.expanded(root.namespace, local));
+
+        if (declaration) {
+            this.element(root, declaration, path);
+        } else {
+            const elsewhere = [...this.schema.elements.values()].find(entry => XsdSchema.attribute(entry.node, 'name') === local);
+            const hint = elsewhere
+                ? ` (it is declared ${XsdValidator.namespaceText(elsewhere.context.targetNamespace)}, but the document's is ${XsdValidator.namespaceText(root.namespace)})`
+                : '';
+            this.report(root, path, `<${root.name}> is not declared as a global element in the schema${hint}`);
+        }
+        // Content errors are found before those inside the children
+        this.errors.sort((a, b) => a.line - b.line);
+        return { errors: this.errors, truncated: this.truncated };
+    }
+
+    static namespaceText(namespace) {
+        return namespace ? `in namespace "${namespace}"` : 'in no namespace';
+    }
+
+    report(node, path, message) {
+        if (this.errors.length >= this.limit) {
+            this.truncated = true;
+            return;
+        }
+        this.errors.push({ path, line: node.line, message });
+    }
+
+    element(node, declaration, path) {
+        if (this.truncated) return;
+        const type = declaration.type;
+        const children = node.children.filter(child => child.type === 'element');
+        const nil = node.attributes.find(attribute => attribute.namespace === XsdSchema.XSI_NAMESPACE &&
+            XsdSchema.localName(attribute.name) === 'nil');
+
+        if (nil && nil.value.trim() === 'true') {
+            if (!declaration.nillable) {
+                this.report(node, path, `<${node.name}> is not nillable, so it can't have xsi:nil="true"`);
+            } else if (children.length > 0 || XsdValidator.textOf(node).trim() !== '') {
+                this.report(node, path, `<${node.name}> has xsi:nil="true", so it must be empty`);
+            }
+            this.checkAttributes(node, type.kind === 'complex' ? type : null, path);
+            return;
+        }
+
+        // xs:anyType, or an element declared without a type, takes anything
+        if (type.any) return;
+
+        if (type.kind === 'simple' || type.simple) {
+            this.checkAttributes(node, type.kind === 'complex' ? type : null, path);
+            if (children.length > 0) {
+                this.report(children[0], path, `<${node.name}> has a simple type (${(type.simple || type).name}), so it can't contain <${children[0].name}>`);
+                return;
+            }
+            this.checkText(node, type.simple || type, declaration.fixed, path);
+            return;
+        }
+
+        this.checkAttributes(node, type, path);
+
+        if (!type.mixed) {
+            const text = node.children.find(child => (child.type === 'text' || child.type === 'cdata') && child.value.trim() !== '');
+            if (text) {
+                this.report(node, path, `<${node.name}> can only contain elements, not text such as "${XsdValidator.excerpt(text.value)}"`);
+            }
+        }
+
+        if (!type.content) {
+            if (children.length > 0) {
+                this.report(children[0], path, `<${node.name}> must be empty, but contains <${children[0].name}>`);
+            }
+            return;
+        }
+        this.content(node, type.content, children, path);
+    }
+
+    checkText(node, type, fixed, path) {
+        const text = XsdValidator.textOf(node);
+        const messages = XsdSchema.checkValue(type, text);
+        if (messages.length > 0) {
+            messages.forEach(message => this.report(node, path, `<${node.name}>: ${message}`));
+        } else if (fixed !== null && XsdSchema.normalizeSpace(text, type.whiteSpace) !== fixed) {
+            this.report(node, path, `<${node.name}> must be "${fixed}"`);
+        }
+    }
+
+    checkAttributes(node, type, path) {
+        const present = new Set();
+        node.attributes.forEach(attribute => {
+            if (attribute.name === 'xmlns' || attribute.name.startsWith('xmlns:') ||
+                attribute.namespace === XsdSchema.XSI_NAMESPACE) return;
+
+            const key = XsdSchema.expanded(attribute.namespace, XsdSchema.localName(attribute.name));
+            present.add(key);
+            const use = type ? type.attributes.get(key) : null;
+            const attributePath = `${path}/@${attribute.name}`;
+            if (!use) {
+                if (!type || !type.anyAttribute) {
+                    this.report(node, attributePath, `Attribute "${attribute.name}" is not allowed on <${node.name}>`);
+                }
+                return;
+            }
+
+            const messages = XsdSchema.checkValue(use.type, attribute.value);
+            if (messages.length > 0) {
+                messages.forEach(message => this.report(node, attributePath, `Attribute "${attribute.name}": ${message}`));
+            } else if (use.fixed !== null && XsdSchema.normalizeSpace(attribute.value, use.type.whiteSpace) !== use.fixed) {
+                this.report(node, attributePath, `Attribute "${attribute.name}" must be "${use.fixed}"`);
+            }
+        });
+
+        if (!type) return;
+        type.attributes.forEach((use, key) => {
+            if (use.required && !present.has(key)) {
+                this.report(node, path, `<${node.name}> is missing the required attribute "${use.name}"`);
+            }
+        });
+    }
+
+    // Match the child elements against the content model, then validate the ones it placed
+    content(node, particle, children, path) {
+        const state = { children, matches: [], failure: null, overflow: null };
+        let index = this.matchParticle(particle, state, 0);
+
+        if (index === -1) {
+            index = state.failure.index;
+            const expected = XsdValidator.describe(state.failure.expected);
+            const child = children[index];
+            if (child) {
+                this.report(child, path, `Unexpected <${child.name}> in <${node.name}>; expected ${expected}${this.namespaceHint(state.failure.expected, child)}`);
+            } else {
+                this.report(node, path, `<${node.name}> is missing ${expected}`);
+            }
+        } else if (index < children.length) {
+            const child = children[index];
+            if (state.overflow && state.overflow.index === index) {
+                this.report(child, path, `Too many <${child.name}> in <${node.name}>: at most ${state.overflow.max} allowed`);
+            } else if (this.mentions(particle.term, child)) {
+                this.report(child, path, `<${child.name}> is out of order in <${node.name}>`);
+            } else {
+                this.report(child, path, `<${child.name}> is not allowed in <${node.name}>`);
+            }
+        }
+
+        const counts = new Map();
+        children.forEach(child => counts.set(child.name, (counts.get(child.name) || 0) + 1));
+        const seen = new Map();
+        const childPath = (child) => {
+            const position = (seen.get(child.name) || 0) + 1;
+            seen.set(child.name, position);
+            return counts.get(child.name) > 1 ? `${path}/${child.name}[${position}]` : `${path}/${child.name}`;
+        };
+
+        children.forEach((child, position) => {
+            const location = childPath(child);
+            const match = state.matches[position];
+            if (!match) return;
+            if (match.declaration) {
+                this.element(child, match.declaration, location);
+            } else if (match.wildcard.process !== 'skip') {
+                const declaration = this.schema.globalElement(XsdSchema.expanded(child.namespace, XsdSchema.localName(child.name)));
+                if (declaration) {
+                    this.element(child, declaration, location);
+                } else if (match.wildcard.process === 'strict') {
+                    this.report(child, location, `<${child.name}> is not declared in the schema`);
+                }
+            }
+        });
+    }
+
+    /**
+     * Match one particle from children[index], as often as it occurs.
+     * Returns the index after it, or -1 with state.failure set. XSD content
+     * models are deterministic, so looking at the next element is enough.
+     */
+    matchParticle(particle, state, index) {
+        let count = 0;
+        while (count < particle.max && index < state.children.length && this.startsWith(particle.term, state.children[index])) {
+            const next = this.matchTerm(particle.term, state, index);
+            if (next === -1) return -1;
+            if (next === index) break;
+            index = next;
+            count++;
+        }
+
+        if (count === particle.max && index < state.children.length && !state.overflow &&
+            this.startsWith(particle.term, state.children[index])) {
+            state.overflow = { index, max: particle.max };
+        }
+        if (count < particle.min && !this.emptiable(particle.term)) {
+            state.failure = { index, expected: this.firsts(particle.term) };
+            return -1;
+        }
+        return index;
+    }
+
+    matchTerm(term, state, index) {
+        const child = state.children[index];
+        switch (term.kind) {
+            case 'element':
+                state.matches[index] = { declaration: term.declaration };
+                return index + 1;
+            case 'any':
+                state.matches[index] = { wildcard: term };
+                return index + 1;
+            case 'sequence':
+                for (const item of term.items) {
+                    index = this.matchParticle(item, state, index);
+                    if (index === -1) return -1;
+                }
+                return index;
+            case 'choice': {
+                const item = term.items.find(candidate => candidate.max > 0 && this.startsWith(candidate.term, child));
+                return item ? this.matchParticle(item, state, index) : index;
+            }
+            case 'all': {
+                const used = new Set();
+                while (index < state.children.length) {
+                    const next = state.children[index];
+                    const item = term.items.find(candidate => !used.has(candidate) && this.startsWith(candidate.term, next));
+                    if (!item) break;
+                    used.add(item);
+                    index = this.matchTerm(item.term, state, index);
+                    if (index === -1) return -1;
+                }
+                const missing = term.items.filter(item => !used.has(item) && item.min > 0 && !this.emptiable(item.term));
+                if (missing.length > 0) {
+                    state.failure = { index, expected: [].concat(...missing.map(item => this.firsts(item.term))) };
+                    return -1;
+                }
+                return index;
+            }
+        }
+        return index;
+    }
+
+    // Whether an occurrence of the term can begin with the element
+    startsWith(term, child) {
+        switch (term.kind) {
+            case 'element':
+                return XsdValidator.isDeclaredAs(term.declaration, child);
+            case 'any':
+                return XsdValidator.allows(term, child.namespace);
+            case 'sequence':
+                for (const item of term.items) {
+                    if (item.max > 0 && this.startsWith(item.term, child)) return true;
+                    if (item.min > 0 && !this.emptiable(item.term)) return false;
+                }
+                return false;
+            default:
+                return term.items.some(item => item.max > 0 && this.startsWith(item.term, child));
+        }
+    }
+
+    emptiable(term) {
+        const optional = item => item.min === 0 || this.emptiable(item.term);
+        switch (term.kind) {
+            case 'element':
+            case 'any':
+                return false;
+            case 'choice':
+                return term.items.some(optional);
+            default:
+                return term.items.every(optional);
+        }
+    }
+
+    // Element and wildcard terms an occurrence of the term can begin with
+    firsts(term) {
+        switch (term.kind) {
+            case 'element':
+            case 'any':
+                return [term];
+            case 'sequence': {
+                const firsts = [];
+                for (const item of term.items) {
+                    firsts.push(...this.firsts(item.term));
+                    if (item.min > 0 && !this.emptiable(item.term)) break;
+                }
+                return firsts;
+            }
+            default:
+                return [].concat(...term.items.map(item => this.firsts(item.term)));
+        }
+    }
+
+    // Whether the content model has the element anywhere
+    mentions(term, child) {
+        if (term.kind === 'element') return XsdValidator.isDeclaredAs(term.declaration, child);
+        if (term.kind === 'any') return XsdValidator.allows(term, child.namespace);
+        return term.items.some(item => this.mentions(item.term, child));
+    }
+
+    // When the expected element has the child's local name, the namespace is what's wrong
+    namespaceHint(expected, child) {
+        const local = XsdSchema.localName(child.name);
+        const match = expected.find(term => term.kind === 'element' && term.declaration.name === local);
+        if (!match) return '';
+        return ` (<${local}> is expected ${XsdValidator.namespaceText(match.declaration.namespace)}, but this one is ${XsdValidator.namespaceText(child.namespace)})`;
+    }
+
+    static describe(terms) {
+        const names = [...new Set(terms.map(term => (term.kind === 'element' ? `<${term.declaration.name}>` : 'any element')))];
+        if (names.length <= 1) return names[0] || 'nothing more';
+        return `${names.slice(0, -1).join(', ')} or ${names[names.length - 1]}`;
+    }
+
+    static isDeclaredAs(declaration, child) {
+        return declaration.name === XsdSchema.localName(child.name) && declaration.namespace === (child.namespace || null);
+    }
+
+    static allows(wildcard, namespace) {
+        return wildcard.namespaces.some(constraint => {
+            switch (constraint) {
+                case '##any':
+                    return true;
+                case '##other':
+                    return namespace !== null && namespace !== wildcard.targetNamespace;
+                case '##local':
+                    return namespace === null;
+                case '##targetNamespace':
+                    return namespace === wildcard.targetNamespace;
+                default:
+                    return namespace === constraint;
+            }
+        });
+    }
+
+    static textOf(node) {
+        return node.children
+            .filter(child => child.type === 'text' || child.type === 'cdata')
+            .map(child => child.value)
+            .join('');
+    }
+
+    static excerpt(text) {
+        const collapsed = text.trim().replace(/\s+/g, ' ');
+        return collapsed.length > 40 ? `${collapsed.slice(0, 40)}…` : collapsed;
+    }
+}
+
+XsdSchema.XSD_NAMESPACE = 'http://www.w3.org/2001/XMLSchema';
+XsdSchema.XSI_NAMESPACE = 'http://www.w3.org/2001/XMLSchema-instance';
+XsdSchema.ERROR_LIMIT = 1000;
+XsdSchema.MODEL_GROUPS = ['sequence', 'choice', 'all', 'group'];
+XsdSchema.PARTICLES = ['element', 'any', 'sequence', 'choice', 'all', 'group'];
+XsdSchema.FACETS = ['length', 'minLength', 'maxLength', 'minInclusive', 'maxInclusive', 'minExclusive', 'maxExclusive', 'totalDigits', 'fractionDigits'];
+XsdSchema.NUMERIC = [
+    'decimal', 'integer', 'long', 'int', 'short', 'byte', 'nonNegativeInteger', 'positiveInteger',
+    'nonPositiveInteger', 'negativeInteger', 'unsignedLong', 'unsignedInt', 'unsignedShort', 'unsignedByte', 'float', 'double'
+];
+
+// xs:anyType: any attributes and any content
+XsdSchema.ANY_TYPE = { kind: 'complex', name: 'xs:anyType', any: true, mixed: true, content: null, simple: null, attributes: new Map(), anyAttribute: true };
+
+XsdSchema.builtins = new Map(); // Compiled built-in types by local name
+XsdSchema.LIST_TYPES = { NMTOKENS: 'NMTOKEN', IDREFS: 'IDREF', ENTITIES: 'ENTITY' };
+
+/**
+ * Lexical check of each built-in atomic type, on the whitespace-normalized
+ * value. Integer types check their range too, and dates that the day is in
+ * the month (29 February only in leap years); facets do the rest.
+ */
+XsdSchema.BUILTINS = (() => {
+    const zone = '(Z|[+-]((0\\d|1[0-3]):[0-5]\\d|14:00))?';
+    const year = '-?\\d{4,}';
+    const month = '(0[1-9]|1[0-2])';
+    const day = '(0[1-9]|[12]\\d|3[01])';
+    const time = '(([01]\\d|2[0-3]):[0-5]\\d:[0-5]\\d(\\.\\d+)?|24:00:00(\\.0+)?)';
+    const test = source => {
+        const pattern = new RegExp(`^${source}$`);
+        return value => pattern.test(value);
+    };
+    const integer = (min, max) => value => /^[+-]?\d+$/.test(value) &&
+        (min === null || BigInt(value) >= min) && (max === null || BigInt(value) <= max);
+    // Leap years as in the proleptic Gregorian calendar, where year 0 is one
+    const monthLength = (year, month) => {
+        if (month !== 2) return [4, 6, 9, 11].includes(month) ? 30 : 31;
+        return year % 4n === 0n && (year % 100n !== 0n || year % 400n === 0n) ? 29 : 28;
+    };
+    const calendar = source => {
+        const pattern = new RegExp(`^${source}$`);
+        return value => {
+            const match = pattern.exec(value);
+            return match !== null && Number(match.groups.day) <= monthLength(BigInt(match.groups.year || 0), Number(match.groups.month));
+        };
+    };
+    const ncName = value => XmlParser.isName(value) && !value.includes(':');
+    const any = () => true;
+
+    return {
+        anySimpleType: any,
+        string: any,
+        normalizedString: value => !/[\t\n\r]/.test(value),
+        token: any,
+        anyURI: any,
+        language: test('[a-zA-Z]{1,8}(-[a-zA-Z0-9]{1,8})*'),
+        Name: value => XmlParser.isName(value),
+        NCName: ncName,
+        ID: ncName,
+        IDREF: ncName,
+        ENTITY: ncName,
+        QName: value => value.split(':').length <= 2 && value.split(':').every(ncName),
+        NOTATION: any,
+        NMTOKEN: test('[\\w.:\\-\\u00B7-\\uFFFF]+'),
+        boolean: test('(true|false|1|0)'),
+        decimal: test('[+-]?(\\d+(\\.\\d*)?|\\.\\d+)'),
+        float: test('([+-]?(\\d+(\\.\\d*)?|\\.\\d+)([eE][+-]?\\d+)?|-?INF|NaN)'),
+        double: test('([+-]?(\\d+(\\.\\d*)?|\\.\\d+)([eE][+-]?\\d+)?|-?INF|NaN)'),
+        integer: integer(null, null),
+        nonNegativeInteger: integer(0n, null),
+        positiveInteger: integer(1n, null),
+        nonPositiveInteger: integer(null, 0n),
+        negativeInteger: integer(null, -1n),
+        long: integer(-(2n ** 63n), 2n ** 63n - 1n),
+        int: integer(-(2n ** 31n), 2n ** 31n - 1n),
+        short: integer(-32768n, 32767n),
+        byte: integer(-128n, 127n),
+        unsignedLong: integer(0n, 2n ** 64n - 1n),
+        unsignedInt: integer(0n, 2n ** 32n - 1n),
+        unsignedShort: integer(0n, 65535n),
+        unsignedByte: integer(0n, 255n),
+        date: calendar(`(?<year>${year})-(?<month>${month})-(?<day>${day})${zone}`),
+        dateTime: calendar(`(?<year>${year})-(?<month>${month})-(?<day>${day})T${time}${zone}`),
+        time: test(`${time}${zone}`),
+        gYear: test(`${year}${zone}`),
+        gYearMonth: test(`${year}-${month}${zone}`),
+        gMonth: test(`--${month}${zone}`),
+        gDay: test(`---${day}${zone}`),
+        gMonthDay: calendar(`--(?<month>${month})-(?<day>${day})${zone}`),
+        duration: test('-?P(?=\\d|T\\d)(\\d+Y)?(\\d+M)?(\\d+D)?(T(?=\\d)(\\d+H)?(\\d+M)?(\\d+(\\.\\d+)?S)?)?'),
+        base64Binary: test('([A-Za-z0-9+/] ?)*(=( ?=)?)?'),
+        hexBinary: test('([0-9a-fA-F]{2})*')
+    };
+})();
+
+// Export for debugging
+if (typeof globalThis !== 'undefined') {
+    globalThis.XsdSchema = XsdSchema;
+    globalThis.XsdValidator = XsdValidator;
+}
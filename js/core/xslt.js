@@ -0,0 +1,118 @@
+/**
+ * 🦊 Native Multi-Format Viewer - XSLT Transform
+ * Runs an XSLT stylesheet over an XML document with XSLTProcessor
+ *
+ * The stylesheet is the one a document names in an xml-stylesheet
+ * processing instruction, or one the user chooses. The result becomes the
+ * srcdoc of a sandboxed frame: HTML output as it is, with a <base> so its
+ * relative links and images resolve against the document's URL, and XML or
+ * text output as preformatted text. Either way a Content-Security-Policy
+ * <meta> comes first, so the output loads nothing from the network unless
+ * the user allows remote resources.
+ */
+
+class XsltTransform {
+    /**
+     * href of the first xml-stylesheet instruction with an XSLT type, or
+     * null. Alternate stylesheets are skipped, as browsers do.
+     */
+    static stylesheetHref(document) {
+        for (const node of Array.from(document.childNodes)) {
+            if (node.nodeType !== XsltTransform.PROCESSING_INSTRUCTION || node.target !== 'xml-stylesheet') continue;
+
+            const attributes = XsltTransform.pseudoAttributes(node.data);
+            const type = (attributes.type || '').toLowerCase();
+            if (attributes.href && XsltTransform.TYPES.includes(type) && attributes.alternate !== 'yes') {
+                return attributes.href;
+            }
+        }
+        return null;
+    }
+
+    // name="value" pairs of a processing instruction's data
+    static pseudoAttributes(data) {
+        const attributes = {};
+        const pattern = /([\w:-]+)\s*=\s*(["'])(.*?)\2/g;
+        let match;
+        while ((match = pattern.exec(data)) !== null) {
+            attributes[match[1]] = match[3].replace(/&quot;/g, '"').replace(/&apos;/g, '\'')
+                .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+        }
+        return attributes;
+    }
+
+    /**
+     * Transform a parsed document with the stylesheet's source and return
+     * the srcdoc to show it. baseUrl is where relative URLs in the output
+     * point. With options.remote, its images, styles, fonts and media may
+     * load from http(s) URLs.
+     */
+    static render(document, stylesheet, baseUrl, options = {}) {
+        const processor = new XSLTProcessor();
+        try {
+            processor.importStylesheet(XPathQuery.parse(stylesheet));
+        } catch (error) {
+            throw new Error(`The stylesheet can't be used: ${error.message}`);
+        }
+
+        let result;
+        try {
+            result = processor.transformToDocument(document);
+        } catch (error) {
+            throw new Error(`The transform failed: ${error.message}`);
+        }
+        if (!result || !result.documentElement) {
+            throw new Error('The transform produced no output');
+        }
+
+        const policy = options.remote ? XsltTransform.REMOTE_POLICY : XsltTransform.POLICY;
+        const root = result.documentElement;
+        if (root.namespaceURI === XsltTransform.XHTML_NAMESPACE) {
+            return XsltTransform.htmlDocument(result, baseUrl, policy);
+        }
+
+        // Firefox wraps text output in a transformiix:result element
+        const text = root.namespaceURI === XsltTransform.TEXT_RESULT_NAMESPACE
+            ? root.textContent
+            : new XMLSerializer().serializeToString(result);
+        return `<!DOCTYPE html><meta http-equiv="Content-Security-Policy" content="${policy}"><meta charset="utf-8">` +
+            `<pre style="white-space: pre-wrap">${XmlParser.escape(text)}</pre>`;
+    }
+
+    // XHTML output is moved into an HTML document, so it is written as HTML (<div></div>, not <div/>)
+    static htmlDocument(result, baseUrl, policy) {
+        const html = result.implementation.createHTMLDocument('');
+        html.replaceChild(html.importNode(result.documentElement, true), html.documentElement);
+
+        let head = html.querySelector('head');
+        if (!head) {
+            head = html.createElement('head');
+            html.documentElement.insertBefore(head, html.documentElement.firstChild);
+        }
+        if (!head.querySelector('base')) {
+            const base = html.createElement('base');
+            base.setAttribute('href', baseUrl);
+            head.insertBefore(base, head.firstChild);
+        }
+
+        // First in <head>, before anything it should govern; a policy of the output's own can only narrow it
+        const meta = html.createElement('meta');
+        meta.setAttribute('http-equiv', 'Content-Security-Policy');
+        meta.setAttribute('content', policy);
+        head.insertBefore(meta, head.firstChild);
+        return `<!DOCTYPE html>${html.documentElement.outerHTML}`;
+    }
+}
+
+XsltTransform.PROCESSING_INSTRUCTION = 7;
+XsltTransform.TYPES = ['text/xsl', 'application/xslt+xml', 'text/xml', 'application/xml'];
+XsltTransform.XHTML_NAMESPACE = 'http://www.w3.org/1999/xhtml';
+XsltTransform.TEXT_RESULT_NAMESPACE = 'http://www.mozilla.org/TransforMiix';
+XsltTransform.POLICY = "default-src 'none'; style-src 'unsafe-inline'; img-src data:";
+XsltTransform.REMOTE_POLICY = "default-src 'none'; style-src 'unsafe-inline' http: https:; img-src data: http: https:; " +
+    'font-src data: http: https:; media-src http: https:';
+
+// Export for debugging
+if (typeof globalThis !== 'undefined') {
+    globalThis.XsltTransform = XsltTransform;
+}
@@ -0,0 +1,248 @@
+/**
+ * 🦊 Native Multi-Format Viewer - CSV Parser
+ * RFC 4180 CSV/TSV engine shared by the viewer page and the content script
+ *
+ * Handles quoted fields with embedded delimiters and newlines, doubled
+ * quotes, CRLF/LF/CR line endings, delimiter sniffing and header detection.
+ */
+
+class CsvParser {
+    /**
+     * Parse CSV text into { headers, rows, totalRows, delimiter, hasHeader }
+     *
+     * Options:
+     * - delimiter: fixed delimiter; sniffed from the content when omitted
+     * - header: true, false or 'auto' (default) to detect a header row
+     * - onProgress: called with the fraction of the text read so far
+     */
+    static parse(content, options = {}) {
+        const text = content.charCodeAt(0) === 0xFEFF ? content.slice(1) : content;
+        const delimiter = options.delimiter || CsvParser.sniffDelimiter(text);
+        const records = CsvParser.parseRecords(text, delimiter, Infinity, options.onProgress);
+
+        if (records.length === 0) {
+            return { headers: [], rows: [], totalRows: 0, delimiter, hasHeader: false };
+        }
+
+        const header = options.header === undefined ? 'auto' : options.header;
+        const hasHeader = header === 'auto' ? CsvParser.sniffHeader(records) : Boolean(header);
+
+        const width = records.reduce((max, record) => Math.max(max, record.length), 0);
+        const headers = CsvParser.buildHeaders(hasHeader ? records[0] : [], width);
+        const rows = (hasHeader ? records.slice(1) : records).map(record => {
+            const row = {};
+            headers.forEach((name, index) => {
+                // Defined rather than assigned, so a "__proto__" column is kept as a field
+                Object.defineProperty(row, name, {
+                    value: index < record.length ? record[index] : '',
+                    writable: true,
+                    enumerable: true,
+                    configurable: true
+                });
+            });
+            return row;
+        });
+
+        return { headers, rows, totalRows: rows.length, delimiter, hasHeader };
+    }
+
+    /**
+     * Split text into records (arrays of field strings), honoring quotes
+     */
+    static parseRecords(text, delimiter = ',', limit = Infinity, onProgress = null) {
+        const records = [];
+        let record = [];
+        let field = '';
+        let inQuotes = false;
+        let fieldStarted = false;
+        let i = 0;
+        let nextProgress = CsvParser.PROGRESS_STEP;
+
+        const endField = () => {
+            record.push(field);
+            field = '';
+            fieldStarted = false;
+        };
+
+        const endRecord = () => {
+            endField();
+            // Blank lines are skipped rather than turned into empty rows
+            if (!(record.length === 1 && record[0] === '')) {
+                records.push(record);
+            }
+            record = [];
+        };
+
+        while (i < text.length && records.length < limit) {
+            const char = text[i];
+
+            if (onProgress && i >= nextProgress) {
+                onProgress(i / text.length);
+                nextProgress = i + CsvParser.PROGRESS_STEP;
+            }
+
+            if (inQuotes) {
+                if (char === '"') {
+                    if (text[i + 1] === '"') {
+                        field += '"';
+                        i += 2;
+                        continue;
+                    }
+                    inQuotes = false;
+                    i++;
+                    continue;
+                }
+                field += char;
+                i++;
+                continue;
+            }
+
+            if (char === '"' && !fieldStarted) {
+                inQuotes = true;
+                fieldStarted = true;
+                i++;
+                continue;
+            }
+
+            if (char === delimiter) {
+                endField();
+                i++;
+                continue;
+            }
+
+            if (char === '\r' || char === '\n') {
+                endRecord();
+                i += char === '\r' && text[i + 1] === '\n' ? 2 : 1;
+                continue;
+            }
+
+            // Stray quotes inside unquoted fields are kept literally
+            field += char;
+            fieldStarted = true;
+            i++;
+        }
+
+        if ((field !== '' || fieldStarted || record.length > 0) && records.length < limit) {
+            endRecord();
+        }
+
+        return records;
+    }
+
+    /**
+     * Pick the delimiter that splits a sample of records most consistently
+     */
+    static sniffDelimiter(text, candidates = [',', ';', '\t', '|']) {
+        const sample = text.slice(0, 64 * 1024);
+        let best = { delimiter: ',', score: 0 };
+
+        candidates.forEach(delimiter => {
+            const records = CsvParser.parseRecords(sample, delimiter, 20);
+            // The last record may be cut off by the sample window
+            const complete = records.length > 1 && sample.length < text.length ? records.slice(0, -1) : records;
+            if (complete.length === 0) return;
+
+            const counts = {};
+            complete.forEach(record => {
+                counts[record.length] = (counts[record.length] || 0) + 1;
+            });
+
+            const [mode, frequency] = Object.entries(counts).sort((a, b) => b[1] - a[1] || b[0] - a[0])[0];
+            const fieldCount = Number(mode);
+            if (fieldCount < 2) return;
+
+            // Consistency matters most; more columns break ties
+            const score = (frequency / complete.length) * 1000 + fieldCount;
+            if (score > best.score) {
+                best = { delimiter, score };
+            }
+        });
+
+        return best.delimiter;
+    }
+
+    /**
+     * Guess whether the first record is a header by comparing it with the rest
+     */
+    static sniffHeader(records) {
+        if (records.length < 2) return true;
+
+        const first = records[0];
+        const sample = records.slice(1, 51);
+        let votes = 0;
+
+        // Headers are non-empty and unique
+        if (first.some(name => name.trim() === '') || new Set(first).size !== first.length) {
+            return false;
+        }
+
+        first.forEach((name, column) => {
+            const values = sample.map(record => record[column]).filter(value => value !== undefined && value !== '');
+            if (values.length === 0) return;
+
+            const numericColumn = values.every(CsvParser.isNumeric);
+            if (numericColumn) {
+                votes += CsvParser.isNumeric(name) ? -1 : 1;
+                return;
+            }
+
+            // A column of fixed-width values with a differently sized first cell suggests a header
+            const lengths = new Set(values.map(value => value.length));
+            if (lengths.size === 1) {
+                votes += lengths.has(name.length) ? -1 : 1;
+            }
+        });
+
+        // Without evidence either way, assume the common case of a header row
+        return votes >= 0;
+    }
+
+    static isNumeric(value) {
+        return /^\s*[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?\s*$/.test(value);
+    }
+
+    static buildHeaders(names, width) {
+        const headers = [];
+        const seen = new Set();
+
+        for (let index = 0; index < Math.max(width, names.length); index++) {
+            const base = (names[index] || '').trim() || `Column ${index + 1}`;
+            let name = base;
+            let suffix = 2;
+
+            // Duplicate names would collapse columns in row objects
+            while (seen.has(name)) {
+                name = `${base}_${suffix++}`;
+            }
+
+            seen.add(name);
+            headers.push(name);
+        }
+
+        return headers;
+    }
+
+    /**
+     * Write records (arrays of field strings) as CSV text. Fields holding
+     * the delimiter, a quote or a line break are quoted.
+     */
+    static stringify(records, options = {}) {
+        const delimiter = options.delimiter || ',';
+        const quote = field => (field.includes(delimiter) || /["\r\n]/.test(field)
+            ? `"${field.replace(/"/g, '""')}"`
+            : field);
+        return records.map(record => `${record.map(quote).join(delimiter)}\n`).join('');
+    }
+
+    static delimiterName(delimiter) {
+        const names = { ',': 'comma', ';': 'semicolon', '\t': 'tab', '|': 'pipe' };
+        return names[delimiter] || delimiter;
+    }
+}
+
+CsvParser.PROGRESS_STEP = 1024 * 1024;
+
+// Export for debugging
+if (typeof globalThis !== 'undefined') {
+    globalThis.CsvParser = CsvParser;
+}
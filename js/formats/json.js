@@ -0,0 +1,374 @@
+/**
+ * 🦊 Native Multi-Format Viewer - JSON Parser
+ * Strict JSON parser that keeps what it read before an error
+ *
+ * Valid documents are parsed with JSON.parse. When that fails, this parser
+ * reads the text again to find the exact line and column of the error and
+ * to recover the values before it, so a truncated response shows how far
+ * it got. Errors carry `line` and `column`.
+ *
+ * It also reads documents whose numbers JSON.parse would round: with the
+ * lossless option, integers beyond Number.MAX_SAFE_INTEGER and decimals
+ * with more significant digits than a double holds become JsonNumber
+ * values that keep the text as written.
+ *
+ * JSON.parse keeps the last of duplicate keys without a word. Given an
+ * options.duplicates array, this parser records each object that repeats
+ * a key there as { object, key, lines }, lines being every line the key
+ * is on.
+ */
+
+class JsonParser {
+    constructor(source, options = {}) {
+        this.source = source;
+        this.lossless = Boolean(options.lossless);
+        this.duplicates = options.duplicates || null;
+        this.lineStarts = null;
+        this.pos = 0;
+        this.root = undefined;
+    }
+
+    /**
+     * Parse a whole document, throwing at the first error. options.lossless
+     * keeps numbers that a double can't hold exactly as JsonNumber values;
+     * options.duplicates collects repeated keys.
+     */
+    static parse(source, options = {}) {
+        return new JsonParser(source, options).parseDocument();
+    }
+
+    /**
+     * Whether the text may hold a number that JSON.parse would round: a run
+     * of 16 digits (or digits and a dot) is the shortest such number, and an
+     * exponent of three digits the shortest to overflow or underflow. Runs
+     * inside strings match too, which only costs the slower parser.
+     */
+    static mayLosePrecision(source) {
+        return /[\d.]{16}|[eE][+-]?\d{3}/.test(source);
+    }
+
+    /**
+     * Parse as far as the text is valid. Returns { data, error }: data holds
+     * every value read before the error, with the objects and arrays still
+     * open there closed, and error is null when the whole text is valid.
+     */
+    static parsePartial(source, options = {}) {
+        const parser = new JsonParser(source, options);
+        try {
+            parser.parseDocument();
+            return { data: parser.root, error: null };
+        } catch (error) {
+            return { data: parser.root, error };
+        }
+    }
+
+    parseDocument() {
+        if (this.source.charCodeAt(0) === 0xFEFF) this.pos = 1;
+
+        this.skipWhitespace();
+        this.parseValue(value => {
+            this.root = value;
+        });
+        this.skipWhitespace();
+        if (this.pos < this.source.length) {
+            throw this.error('Unexpected text after the end of the document');
+        }
+        return this.root;
+    }
+
+    // Containers are attached before their contents are read, so an error leaves them in place
+    parseValue(attach) {
+        const char = this.source[this.pos];
+
+        if (char === '{') return this.parseObject(attach);
+        if (char === '[') return this.parseArray(attach);
+        if (char === '"') return attach(this.parseString());
+        if (char === '-' || (char >= '0' && char <= '9')) return attach(this.parseNumber());
+
+        for (const [word, value] of JsonParser.LITERALS) {
+            if (this.source.startsWith(word, this.pos)) {
+                this.pos += word.length;
+                return attach(value);
+            }
+        }
+
+        throw this.error(char === undefined ? 'Unexpected end of input, expected a value' : `Unexpected ${JSON.stringify(char)}, expected a value`);
+    }
+
+    parseObject(attach) {
+        const object = {};
+        attach(object);
+        this.pos++;
+        this.skipWhitespace();
+
+        if (this.source[this.pos] === '}') {
+            this.pos++;
+            return;
+        }
+
+        // Where each key was first seen, or its duplicate entry once it repeats
+        const seen = this.duplicates ? new Map() : null;
+
+        for (;;) {
+            if (this.source[this.pos] !== '"') {
+                throw this.error('Expected a property name in double quotes');
+            }
+            const start = this.pos;
+            const key = this.parseString();
+            if (seen) this.noteKey(object, key, start, seen);
+            this.skipWhitespace();
+            this.expect(':', 'Expected ":" after the property name');
+            this.skipWhitespace();
+            this.parseValue(value => JsonParser.setOwn(object, key, value));
+            this.skipWhitespace();
+
+            const char = this.source[this.pos++];
+            if (char === '}') return;
+            if (char !== ',') {
+                throw this.error('Expected "," or "}" after the property value', this.pos - 1);
+            }
+            this.skipWhitespace();
+        }
+    }
+
+    parseArray(attach) {
+        const array = [];
+        attach(array);
+        this.pos++;
+        this.skipWhitespace();
+
+        if (this.source[this.pos] === ']') {
+            this.pos++;
+            return;
+        }
+
+        for (;;) {
+            this.parseValue(value => array.push(value));
+            this.skipWhitespace();
+
+            const char = this.source[this.pos++];
+            if (char === ']') return;
+            if (char !== ',') {
+                throw this.error('Expected "," or "]" after the array item', this.pos - 1);
+            }
+            this.skipWhitespace();
+        }
+    }
+
+    parseString() {
+        const source = this.source;
+        let pos = this.pos + 1;
+        let chunk = pos;
+        let result = '';
+
+        for (;;) {
+            if (pos >= source.length) {
+                throw this.error('Unterminated string', pos);
+            }
+
+            const code = source.charCodeAt(pos);
+            if (code === 34) {
+                this.pos = pos + 1;
+                return result + source.slice(chunk, pos);
+            }
+
+            if (code === 92) {
+                result += source.slice(chunk, pos);
+                const escape = source[pos + 1];
+                if (escape === 'u') {
+                    const hex = source.slice(pos + 2, pos + 6);
+                    if (!/^[0-9a-fA-F]{4}$/.test(hex)) {
+                        throw this.error('Invalid \\u escape', pos);
+                    }
+                    result += String.fromCharCode(parseInt(hex, 16));
+                    pos += 6;
+                } else if (Object.prototype.hasOwnProperty.call(JsonParser.ESCAPES, escape)) {
+                    result += JsonParser.ESCAPES[escape];
+                    pos += 2;
+                } else {
+                    throw this.error(escape === undefined ? 'Unterminated string' : `Invalid escape \\${escape}`, pos);
+                }
+                chunk = pos;
+            } else if (code < 32) {
+                throw this.error('Control characters in strings must be escaped', pos);
+            } else {
+                pos++;
+            }
+        }
+    }
+
+    parseNumber() {
+        JsonParser.NUMBER.lastIndex = this.pos;
+        const match = JsonParser.NUMBER.exec(this.source);
+        if (!match) {
+            throw this.error('Invalid number');
+        }
+        this.pos += match[0].length;
+
+        const number = Number(match[0]);
+        return this.lossless && !JsonNumber.isExact(match[0], number) ? new JsonNumber(match[0]) : number;
+    }
+
+    noteKey(object, key, start, seen) {
+        const first = seen.get(key);
+        if (first === undefined) {
+            seen.set(key, start);
+        } else if (typeof first === 'number') {
+            const duplicate = { object, key, lines: [this.lineAt(first), this.lineAt(start)] };
+            this.duplicates.push(duplicate);
+            seen.set(key, duplicate);
+        } else {
+            first.lines.push(this.lineAt(start));
+        }
+    }
+
+    // 1-based line of an offset; the line index is only built once a duplicate needs it
+    lineAt(pos) {
+        if (!this.lineStarts) {
+            this.lineStarts = [0];
+            for (let i = this.source.indexOf('\n'); i !== -1; i = this.source.indexOf('\n', i + 1)) {
+                this.lineStarts.push(i + 1);
+            }
+        }
+
+        let low = 0;
+        let high = this.lineStarts.length - 1;
+        while (low < high) {
+            const middle = (low + high + 1) >> 1;
+            if (this.lineStarts[middle] <= pos) low = middle;
+            else high = middle - 1;
+        }
+        return low + 1;
+    }
+
+    expect(char, message) {
+        if (this.source[this.pos] !== char) {
+            throw this.error(message);
+        }
+        this.pos++;
+    }
+
+    skipWhitespace() {
+        const source = this.source;
+        let code = source.charCodeAt(this.pos);
+        while (code === 32 || code === 10 || code === 13 || code === 9) {
+            code = source.charCodeAt(++this.pos);
+        }
+    }
+
+    error(message, pos = this.pos) {
+        const before = this.source.slice(0, pos);
+        const line = before.split('\n').length;
+        const column = pos - before.lastIndexOf('\n');
+        const error = new Error(`${message} at line ${line}, column ${column}`);
+        error.line = line;
+        error.column = column;
+        return error;
+    }
+
+    // Keys such as "__proto__" are plain properties, as with JSON.parse
+    static setOwn(obj, key, value) {
+        Object.defineProperty(obj, key, { value, writable: true, enumerable: true, configurable: true });
+    }
+}
+
+JsonParser.NUMBER = /-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?/y;
+JsonParser.LITERALS = [['true', true], ['false', false], ['null', null]];
+JsonParser.ESCAPES = { '"': '"', '\\': '\\', '/': '/', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' };
+
+/**
+ * A JSON number kept as the text it was written as, because a double would
+ * round it. Compares and converts like a number where that is all a caller
+ * needs; serializers write `text` back unchanged.
+ */
+class JsonNumber {
+    constructor(text) {
+        this.text = text;
+    }
+
+    /**
+     * Whether `number` (the double JSON.parse gives for `text`) is the value
+     * as written: a safe integer, or a decimal of at most 15 significant
+     * digits. Leading and trailing zeros of the digits don't count. Exponents
+     * past the range of a double give Infinity or 0 (or a subnormal, which
+     * holds fewer digits), so those aren't exact either.
+     */
+    static isExact(text, number) {
+        if (!/[.eE]/.test(text)) return Number.isSafeInteger(number);
+        const digits = text.replace(/^-/, '').replace(/[eE].*$/, '').replace('.', '');
+        const significant = digits.replace(/^0+/, '').replace(/0+$/, '');
+        if (significant.length === 0) return true;
+        return significant.length <= JsonNumber.SIGNIFICANT_DIGITS && Number.isFinite(number) &&
+            Math.abs(number) >= JsonNumber.MIN_NORMAL;
+    }
+
+    // Orders exactly when both are integers, otherwise by nearest double
+    static compare(left, right) {
+        const integer = value => (value instanceof JsonNumber ? /^-?\d+$/.test(value.text) : Number.isInteger(value));
+        const big = value => BigInt(value instanceof JsonNumber ? value.text : value);
+        if (integer(left) && integer(right)) {
+            const difference = big(left) - big(right);
+            return difference === 0n ? 0 : (difference < 0n ? -1 : 1);
+        }
+        const difference = Number(left) - Number(right);
+        return difference === 0 ? 0 : (difference < 0 ? -1 : 1);
+    }
+
+    /**
+     * Integer +, -, * and % worked out exactly when either side is a
+     * JsonNumber, giving a JsonNumber when the result is past what a double
+     * holds. Undefined for anything else (decimals, other types, % by zero),
+     * which callers do with doubles as before.
+     */
+    static integerArithmetic(op, left, right) {
+        if (!(left instanceof JsonNumber || right instanceof JsonNumber)) return undefined;
+        const big = value => {
+            if (value instanceof JsonNumber) return /^-?\d+$/.test(value.text) ? BigInt(value.text) : null;
+            return Number.isInteger(value) ? BigInt(value) : null;
+        };
+        const a = big(left);
+        const b = big(right);
+        if (a === null || b === null) return undefined;
+
+        let result;
+        switch (op) {
+            case '+': result = a + b; break;
+            case '-': result = a - b; break;
+            case '*': result = a * b; break;
+            case '%':
+                if (b === 0n) return undefined;
+                result = a % b;
+                break;
+            default:
+                return undefined;
+        }
+        const number = Number(result);
+        return Number.isSafeInteger(number) ? number : new JsonNumber(String(result));
+    }
+
+    negate() {
+        return new JsonNumber(this.text.startsWith('-') ? this.text.slice(1) : `-${this.text}`);
+    }
+
+    valueOf() {
+        return Number(this.text);
+    }
+
+    toString() {
+        return this.text;
+    }
+
+    // JSON.stringify without ContentSerializer gets the nearest double
+    toJSON() {
+        return Number(this.text);
+    }
+}
+
+JsonNumber.SIGNIFICANT_DIGITS = 15; // Decimal digits every double holds exactly
+JsonNumber.MIN_NORMAL = 2.2250738585072014e-308; // Smallest double with all 53 bits of precision
+
+// Export for debugging
+if (typeof globalThis !== 'undefined') {
+    globalThis.JsonParser = JsonParser;
+    globalThis.JsonNumber = JsonNumber;
+}
@@ -0,0 +1,794 @@
+/**
+ * 🦊 Native Multi-Format Viewer - TOML Parser
+ * TOML 1.0 parser producing typed values
+ *
+ * Date-times, dates and times become TomlDateTime values that keep the
+ * text, offset and precision as written. Integers past what a double holds
+ * exactly become JsonNumber values (js/formats/json.js); those outside the
+ * 64-bit range TOML allows are an error. Parse errors carry `line` and `column`;
+ * defining a key twice is an error that also carries `duplicate`, as
+ * { path, key, lines } with the table's path and both lines.
+ * TomlParser.stringify() writes such values back as TOML.
+ */
+
+/**
+ * Date/time value, kept exactly as written
+ */
+class TomlDateTime {
+    constructor(kind, text) {
+        this.kind = kind; // 'offset-datetime', 'local-datetime', 'local-date' or 'local-time'
+        this.text = text;
+    }
+
+    toString() {
+        return this.text;
+    }
+
+    toJSON() {
+        return this.text;
+    }
+}
+
+class TomlParser {
+    constructor(source) {
+        this.source = source;
+        this.pos = 0;
+        this.root = {};
+        // Tracks how each table was created so redefinitions can be rejected
+        this.tableKinds = new WeakMap();
+        this.tableArrays = new WeakSet();
+        this.tableKinds.set(this.root, 'root');
+        // Where each key of each table was defined, for duplicate key errors
+        this.keyStarts = new WeakMap();
+    }
+
+    static parse(source) {
+        return new TomlParser(source).parseDocument();
+    }
+
+    /**
+     * Parse as far as the source is valid. Returns { data, error }: data
+     * holds the keys and tables read before the error, and error is null
+     * when the whole source is valid.
+     */
+    static parsePartial(source) {
+        const parser = new TomlParser(source);
+        try {
+            return { data: parser.parseDocument(), error: null };
+        } catch (error) {
+            return { data: parser.root, error };
+        }
+    }
+
+    /**
+     * Write a table as TOML: plain keys first, then tables and arrays of
+     * tables under headers. Throws for values TOML can't hold, such as null.
+     */
+    static stringify(data) {
+        if (!TomlParser.isPlainTable(data)) {
+            throw new Error('A TOML document must be a table of keys');
+        }
+        const lines = [];
+        TomlParser.writeTable(data, [], lines);
+        return lines.length > 0 ? `${lines.join('\n')}\n` : '';
+    }
+
+    static isPlainTable(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+            !(value instanceof Date) && !(value instanceof TomlDateTime) && !TomlParser.isExactNumber(value);
+    }
+
+    // Exact JSON numbers (js/formats/json.js) in documents converted to TOML
+    static isExactNumber(value) {
+        return typeof JsonNumber !== 'undefined' && value instanceof JsonNumber;
+    }
+
+    static isTableArray(value) {
+        return Array.isArray(value) && value.length > 0 && value.every(TomlParser.isPlainTable);
+    }
+
+    static writeTable(table, path, lines) {
+        const keys = Object.keys(table);
+        const nested = new Set(keys.filter(key => TomlParser.isPlainTable(table[key]) || TomlParser.isTableArray(table[key])));
+
+        keys.filter(key => !nested.has(key)).forEach(key => {
+            lines.push(`${TomlParser.formatKey(key)} = ${TomlParser.formatValue(table[key], path.concat([key]))}`);
+        });
+
+        nested.forEach(key => {
+            const childPath = path.concat([key]);
+            const header = childPath.map(TomlParser.formatKey).join('.');
+            const isArray = Array.isArray(table[key]);
+
+            (isArray ? table[key] : [table[key]]).forEach(child => {
+                if (lines.length > 0) lines.push('');
+                lines.push(isArray ? `[[${header}]]` : `[${header}]`);
+                TomlParser.writeTable(child, childPath, lines);
+            });
+        });
+    }
+
+    static formatKey(key) {
+        return /^[A-Za-z0-9_-]+$/.test(key) ? key : TomlParser.formatString(key);
+    }
+
+    // JSON escapes are valid in TOML basic strings, except that DEL must be escaped too
+    static formatString(text) {
+        return JSON.stringify(text).replace(/\x7f/g, '\\u007F');
+    }
+
+    static formatValue(value, path) {
+        if (value === null || value === undefined) {
+            throw new Error(`TOML has no null value (at ${path.map(TomlParser.formatKey).join('.')})`);
+        }
+        if (typeof value === 'string') return TomlParser.formatString(value);
+        if (typeof value === 'boolean') return String(value);
+        if (typeof value === 'number') {
+            if (Number.isNaN(value)) return 'nan';
+            if (!Number.isFinite(value)) return value > 0 ? 'inf' : '-inf';
+            return String(value);
+        }
+        if (value instanceof Date) return value.toISOString();
+        if (value instanceof TomlDateTime) return value.text;
+        if (TomlParser.isExactNumber(value)) return value.text;
+
+        if (Array.isArray(value)) {
+            return `[${value.map((item, index) => TomlParser.formatValue(item, path.concat([index]))).join(', ')}]`;
+        }
+
+        // Tables inside arrays are written inline
+        const entries = Object.keys(value).map(key => {
+            return `${TomlParser.formatKey(key)} = ${TomlParser.formatValue(value[key], path.concat([key]))}`;
+        });
+        return entries.length > 0 ? `{ ${entries.join(', ')} }` : '{}';
+    }
+
+    parseDocument() {
+        let current = this.root;
+
+        // A leading byte order mark is allowed
+        if (this.source.charCodeAt(0) === 0xFEFF) this.pos = 1;
+
+        while (this.pos < this.source.length) {
+            this.skipWhitespace();
+            const char = this.peek();
+
+            if (char === undefined) break;
+
+            if (char === '#' || char === '\n' || char === '\r') {
+                this.skipCommentAndNewline();
+                continue;
+            }
+
+            if (char === '[') {
+                current = this.source[this.pos + 1] === '[' ? this.parseArrayTableHeader() : this.parseTableHeader();
+            } else {
+                this.parseKeyValue(current);
+            }
+
+            this.skipWhitespace();
+            this.skipCommentAndNewline(true);
+        }
+
+        return this.root;
+    }
+
+    // Error helpers
+
+    error(message, pos = this.pos) {
+        const before = this.source.slice(0, pos);
+        const line = before.split('\n').length;
+        const column = pos - before.lastIndexOf('\n');
+        const error = new Error(`${message} at line ${line}, column ${column}`);
+        error.line = line;
+        error.column = column;
+        return error;
+    }
+
+    // An error for a key defined before, saying where
+    duplicateError(message, table, key, start) {
+        const first = this.keyStarts.get(table)?.get(key);
+        const error = this.error(message, start);
+        if (first === undefined) return error;
+
+        const firstLine = this.source.slice(0, first).split('\n').length;
+        error.message += ` (first defined on line ${firstLine})`;
+        error.duplicate = { path: this.pathOf(table), key, lines: [firstLine, error.line] };
+        return error;
+    }
+
+    // Path from the root to a table; null for an inline table not attached yet
+    pathOf(table, value = this.root, path = []) {
+        if (value === table) return path;
+        if (value === null || typeof value !== 'object' || value instanceof TomlDateTime || value instanceof JsonNumber) return null;
+
+        for (const key of Object.keys(value)) {
+            const found = this.pathOf(table, value[key], path.concat([Array.isArray(value) ? Number(key) : key]));
+            if (found) return found;
+        }
+        return null;
+    }
+
+    // Character helpers
+
+    peek(offset = 0) {
+        return this.source[this.pos + offset];
+    }
+
+    startsWith(text) {
+        return this.source.startsWith(text, this.pos);
+    }
+
+    expect(char) {
+        if (this.peek() !== char) {
+            throw this.error(this.peek() === undefined ? `Expected "${char}" but reached end of file` : `Expected "${char}" but found "${this.peek()}"`);
+        }
+        this.pos++;
+    }
+
+    skipWhitespace() {
+        while (this.peek() === ' ' || this.peek() === '\t') this.pos++;
+    }
+
+    skipComment() {
+        if (this.peek() !== '#') return;
+        while (this.pos < this.source.length && this.peek() !== '\n') {
+            const code = this.source.charCodeAt(this.pos);
+            if ((code < 0x20 && code !== 0x09 && !(code === 0x0D && this.peek(1) === '\n')) || code === 0x7F) {
+                throw this.error('Control characters are not allowed in comments');
+            }
+            this.pos++;
+        }
+    }
+
+    skipNewline() {
+        if (this.peek() === '\n') {
+            this.pos++;
+            return true;
+        }
+        if (this.peek() === '\r' && this.peek(1) === '\n') {
+            this.pos += 2;
+            return true;
+        }
+        return false;
+    }
+
+    // Skips an optional comment and the end of line; with `required`, anything else is an error
+    skipCommentAndNewline(required = false) {
+        this.skipComment();
+        if (this.skipNewline() || this.pos >= this.source.length) return;
+        if (required) {
+            throw this.error(`Expected end of line but found "${this.peek()}"`);
+        }
+        if (this.peek() === '\r') {
+            throw this.error('Bare carriage return is not allowed');
+        }
+    }
+
+    // Skips whitespace, newlines and comments (inside arrays)
+    skipBlank() {
+        for (;;) {
+            this.skipWhitespace();
+            if (this.peek() === '#') {
+                this.skipComment();
+            } else if (!this.skipNewline()) {
+                return;
+            }
+        }
+    }
+
+    // Keys
+
+    parseKey() {
+        const parts = [];
+        for (;;) {
+            this.skipWhitespace();
+            parts.push(this.parseSimpleKey());
+            this.skipWhitespace();
+            if (this.peek() !== '.') return parts;
+            this.pos++;
+        }
+    }
+
+    parseSimpleKey() {
+        const char = this.peek();
+        if (char === '"') {
+            if (this.startsWith('"""')) throw this.error('Multi-line strings cannot be used as keys');
+            return this.parseBasicString();
+        }
+        if (char === "'") {
+            if (this.startsWith("'''")) throw this.error('Multi-line strings cannot be used as keys');
+            return this.parseLiteralString();
+        }
+
+        const start = this.pos;
+        while (/[A-Za-z0-9_-]/.test(this.peek() || '')) this.pos++;
+        if (start === this.pos) {
+            throw this.error(char === undefined ? 'Expected a key but reached end of file' : `Invalid key character "${char}"`);
+        }
+        return this.source.slice(start, this.pos);
+    }
+
+    // Tables
+
+    parseTableHeader() {
+        const start = this.pos;
+        this.expect('[');
+        const keys = this.parseKey();
+        this.expect(']');
+
+        const parent = this.walkHeaderPath(keys.slice(0, -1), start);
+        const last = keys[keys.length - 1];
+        const existing = this.getOwn(parent, last);
+
+        if (existing === undefined) {
+            const table = {};
+            this.setOwn(parent, last, table, start);
+            this.tableKinds.set(table, 'explicit');
+            return table;
+        }
+
+        if (this.isTable(existing) && this.tableKinds.get(existing) === 'implicit') {
+            this.tableKinds.set(existing, 'explicit');
+            return existing;
+        }
+
+        throw this.duplicateError(`Table "${keys.join('.')}" is already defined`, parent, last, start);
+    }
+
+    parseArrayTableHeader() {
+        const start = this.pos;
+        this.expect('[');
+        this.expect('[');
+        const keys = this.parseKey();
+        this.expect(']');
+        if (this.peek() !== ']') {
+            throw this.error('Expected "]]" to close array of tables header');
+        }
+        this.pos++;
+
+        const parent = this.walkHeaderPath(keys.slice(0, -1), start);
+        const last = keys[keys.length - 1];
+        let array = this.getOwn(parent, last);
+
+        if (array === undefined) {
+            array = [];
+            this.setOwn(parent, last, array, start);
+            this.tableArrays.add(array);
+        } else if (!this.tableArrays.has(array)) {
+            throw this.duplicateError(`Cannot append to "${keys.join('.')}": it is not an array of tables`, parent, last, start);
+        }
+
+        const table = {};
+        this.tableKinds.set(table, 'explicit');
+        array.push(table);
+        return table;
+    }
+
+    // Walks intermediate header keys, creating implicit tables as needed
+    walkHeaderPath(keys, start) {
+        let table = this.root;
+
+        keys.forEach((key, index) => {
+            let next = this.getOwn(table, key);
+
+            if (next === undefined) {
+                next = {};
+                this.setOwn(table, key, next, start);
+                this.tableKinds.set(next, 'implicit');
+            } else if (this.tableArrays.has(next)) {
+                next = next[next.length - 1];
+            } else if (!this.isTable(next) || this.tableKinds.get(next) === 'inline') {
+                throw this.duplicateError(`Key "${keys.slice(0, index + 1).join('.')}" is not a table`, table, key, start);
+            }
+
+            table = next;
+        });
+
+        return table;
+    }
+
+    isTable(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+            !(value instanceof TomlDateTime) && !(value instanceof JsonNumber);
+    }
+
+    // Key/value pairs
+
+    parseKeyValue(table) {
+        const start = this.pos;
+        const keys = this.parseKey();
+        this.skipWhitespace();
+        this.expect('=');
+        this.skipWhitespace();
+
+        const value = this.parseValue();
+        this.assignDotted(table, keys, value, start);
+    }
+
+    assignDotted(table, keys, value, start) {
+        let target = table;
+
+        keys.slice(0, -1).forEach((key, index) => {
+            let next = this.getOwn(target, key);
+
+            if (next === undefined) {
+                next = {};
+                this.setOwn(target, key, next, start);
+                this.tableKinds.set(next, 'dotted');
+            } else if (!this.isTable(next) || this.tableKinds.get(next) !== 'dotted') {
+                throw this.duplicateError(`Cannot define "${keys.join('.')}": "${keys.slice(0, index + 1).join('.')}" is already defined`, target, key, start);
+            }
+
+            target = next;
+        });
+
+        const last = keys[keys.length - 1];
+        if (this.getOwn(target, last) !== undefined) {
+            throw this.duplicateError(`Duplicate key "${keys.join('.')}"`, target, last, start);
+        }
+        this.setOwn(target, last, value, start);
+    }
+
+    // Keys such as "constructor" or "__proto__" must not hit the prototype chain
+    getOwn(table, key) {
+        return Object.prototype.hasOwnProperty.call(table, key) ? table[key] : undefined;
+    }
+
+    setOwn(table, key, value, start) {
+        Object.defineProperty(table, key, { value, writable: true, enumerable: true, configurable: true });
+        if (!this.keyStarts.has(table)) this.keyStarts.set(table, new Map());
+        this.keyStarts.get(table).set(key, start);
+    }
+
+    // Values
+
+    parseValue() {
+        const char = this.peek();
+
+        if (char === undefined) throw this.error('Expected a value but reached end of file');
+        if (char === '"') return this.startsWith('"""') ? this.parseMultilineBasicString() : this.parseBasicString();
+        if (char === "'") return this.startsWith("'''") ? this.parseMultilineLiteralString() : this.parseLiteralString();
+        if (char === '[') return this.parseArray();
+        if (char === '{') return this.parseInlineTable();
+
+        if (this.startsWith('true') && !this.isBareChar(this.peek(4))) {
+            this.pos += 4;
+            return true;
+        }
+        if (this.startsWith('false') && !this.isBareChar(this.peek(5))) {
+            this.pos += 5;
+            return false;
+        }
+
+        const dateMatch = /^(\d{4}-\d{2}-\d{2})(?:[Tt ](\d{2}:\d{2}:\d{2}(?:\.\d+)?)([Zz]|[+-]\d{2}:\d{2})?)?|^(\d{2}:\d{2}:\d{2}(?:\.\d+)?)/.exec(this.source.slice(this.pos, this.pos + 40));
+        if (dateMatch) {
+            return this.parseDateTime(dateMatch);
+        }
+
+        return this.parseNumber();
+    }
+
+    isBareChar(char) {
+        return char !== undefined && /[A-Za-z0-9_-]/.test(char);
+    }
+
+    parseEscape() {
+        const start = this.pos;
+        this.pos++; // backslash
+        const char = this.peek();
+        const simple = { b: '\b', t: '\t', n: '\n', f: '\f', r: '\r', '"': '"', '\\': '\\' };
+
+        if (char in simple) {
+            this.pos++;
+            return simple[char];
+        }
+
+        if (char === 'u' || char === 'U') {
+            const length = char === 'u' ? 4 : 8;
+            const hex = this.source.substr(this.pos + 1, length);
+            if (!new RegExp(`^[0-9A-Fa-f]{${length}}$`).test(hex)) {
+                throw this.error(`Invalid unicode escape "\\${char}${hex}"`, start);
+            }
+            const codePoint = parseInt(hex, 16);
+            if (codePoint > 0x10FFFF || (codePoint >= 0xD800 && codePoint <= 0xDFFF)) {
+                throw this.error(`Invalid unicode scalar value "\\${char}${hex}"`, start);
+            }
+            this.pos += length + 1;
+            return String.fromCodePoint(codePoint);
+        }
+
+        throw this.error(`Invalid escape sequence "\\${char === undefined ? '' : char}"`, start);
+    }
+
+    checkStringChar(char) {
+        const code = char.charCodeAt(0);
+        if ((code < 0x20 && code !== 0x09) || code === 0x7F) {
+            throw this.error('Control characters must be escaped in strings');
+        }
+    }
+
+    parseBasicString() {
+        this.expect('"');
+        let value = '';
+
+        for (;;) {
+            const char = this.peek();
+            if (char === undefined || char === '\n' || char === '\r') {
+                throw this.error('Unterminated string');
+            }
+            if (char === '"') {
+                this.pos++;
+                return value;
+            }
+            if (char === '\\') {
+                value += this.parseEscape();
+                continue;
+            }
+            this.checkStringChar(char);
+            value += char;
+            this.pos++;
+        }
+    }
+
+    parseLiteralString() {
+        this.expect("'");
+        const start = this.pos;
+
+        for (;;) {
+            const char = this.peek();
+            if (char === undefined || char === '\n' || char === '\r') {
+                throw this.error('Unterminated string');
+            }
+            if (char === "'") {
+                const value = this.source.slice(start, this.pos);
+                this.pos++;
+                return value;
+            }
+            this.checkStringChar(char);
+            this.pos++;
+        }
+    }
+
+    parseMultilineBasicString() {
+        this.pos += 3;
+        this.skipNewline(); // a newline right after the delimiter is trimmed
+        let value = '';
+
+        for (;;) {
+            if (this.pos >= this.source.length) throw this.error('Unterminated multi-line string');
+
+            if (this.startsWith('"""')) {
+                // Up to two quotes may sit right before the closing delimiter
+                let extra = 0;
+                while (extra < 2 && this.peek(3 + extra) === '"') extra++;
+                value += '"'.repeat(extra);
+                this.pos += 3 + extra;
+                return value;
+            }
+
+            const char = this.peek();
+            if (char === '\\') {
+                // Line-ending backslash trims all whitespace up to the next non-blank
+                const rest = /^\\[ \t]*(\r?\n)/.exec(this.source.slice(this.pos, this.pos + 200));
+                if (rest) {
+                    this.pos += rest[0].length;
+                    while (/[ \t\r\n]/.test(this.peek() || '')) this.pos++;
+                    continue;
+                }
+                value += this.parseEscape();
+                continue;
+            }
+
+            if (char === '\r' && this.peek(1) === '\n') {
+                value += '\n';
+                this.pos += 2;
+                continue;
+            }
+            if (char !== '\n') this.checkStringChar(char);
+            value += char;
+            this.pos++;
+        }
+    }
+
+    parseMultilineLiteralString() {
+        this.pos += 3;
+        this.skipNewline();
+        let value = '';
+
+        for (;;) {
+            if (this.pos >= this.source.length) throw this.error('Unterminated multi-line string');
+
+            if (this.startsWith("'''")) {
+                let extra = 0;
+                while (extra < 2 && this.peek(3 + extra) === "'") extra++;
+                value += "'".repeat(extra);
+                this.pos += 3 + extra;
+                return value;
+            }
+
+            const char = this.peek();
+            if (char === '\r' && this.peek(1) === '\n') {
+                value += '\n';
+                this.pos += 2;
+                continue;
+            }
+            if (char !== '\n') this.checkStringChar(char);
+            value += char;
+            this.pos++;
+        }
+    }
+
+    parseNumber() {
+        const start = this.pos;
+        const match = /^[+-]?[A-Za-z0-9_.+-]+/.exec(this.source.slice(this.pos, this.pos + 100));
+        const text = match ? match[0] : '';
+
+        if (!text) {
+            throw this.error(`Invalid value starting with "${this.peek()}"`);
+        }
+
+        // Special floats
+        if (/^[+-]?(inf|nan)$/.test(text)) {
+            this.pos += text.length;
+            if (text.endsWith('nan')) return NaN;
+            return text.startsWith('-') ? -Infinity : Infinity;
+        }
+
+        // Hex, octal and binary integers
+        const prefixed = /^0([xob])([0-9A-Fa-f_]+)$/.exec(text);
+        if (prefixed) {
+            const radix = { x: 16, o: 8, b: 2 }[prefixed[1]];
+            const digits = { 16: '[0-9A-Fa-f]', 8: '[0-7]', 2: '[01]' }[radix];
+            if (!new RegExp(`^${digits}+(_${digits}+)*$`).test(prefixed[2])) {
+                throw this.error(`Invalid integer "${text}"`, start);
+            }
+            this.pos += text.length;
+            return this.integer(BigInt(`0${prefixed[1]}${prefixed[2].replace(/_/g, '')}`), text, start);
+        }
+
+        const digitGroup = '\\d+(?:_\\d+)*';
+        const integerPattern = new RegExp(`^[+-]?(?:0|[1-9](?:_?\\d)*)$`);
+        const floatPattern = new RegExp(`^[+-]?(?:0|[1-9](?:_?\\d)*)(?:\\.${digitGroup})?(?:[eE][+-]?${digitGroup})?$`);
+
+        if (integerPattern.test(text)) {
+            this.pos += text.length;
+            return this.integer(BigInt(text.replace(/_/g, '')), text, start);
+        }
+
+        if (floatPattern.test(text)) {
+            this.pos += text.length;
+            return Number(text.replace(/_/g, ''));
+        }
+
+        throw this.error(`Invalid value "${text}"`, start);
+    }
+
+    // A number, or a JsonNumber when a double would round it
+    integer(value, text, start) {
+        if (value < TomlParser.MIN_INTEGER || value > TomlParser.MAX_INTEGER) {
+            throw this.error(`Integer "${text}" is outside the 64-bit range`, start);
+        }
+        const number = Number(value);
+        return Number.isSafeInteger(number) ? number : new JsonNumber(String(value));
+    }
+
+    parseDateTime(match) {
+        const start = this.pos;
+        const [text, date, time, offset, localTime] = match;
+
+        // "1979-05-27 " followed by something that is not a time is just a date
+        this.pos += text.length;
+
+        if (localTime) {
+            this.validateTime(localTime, start);
+            return new TomlDateTime('local-time', localTime);
+        }
+
+        this.validateDate(date, start);
+
+        if (!time) {
+            return new TomlDateTime('local-date', date);
+        }
+
+        this.validateTime(time, start);
+        const normalized = `${date}T${time}`;
+
+        if (!offset) {
+            return new TomlDateTime('local-datetime', normalized);
+        }
+
+        const [hours, minutes] = offset.length > 1 ? offset.slice(1).split(':').map(Number) : [0, 0];
+        if (hours > 23 || minutes > 59) {
+            throw this.error(`Invalid offset "${offset}"`, start);
+        }
+        return new TomlDateTime('offset-datetime', normalized + offset);
+    }
+
+    validateDate(date, start) {
+        const [year, month, day] = date.split('-').map(Number);
+        const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+        if (month < 1 || month > 12 || day < 1 || day > daysInMonth) {
+            throw this.error(`Invalid date "${date}"`, start);
+        }
+    }
+
+    validateTime(time, start) {
+        const [hours, minutes, seconds] = time.split(':').map(Number);
+        // Leap seconds (60) are allowed by RFC 3339
+        if (hours > 23 || minutes > 59 || seconds >= 61) {
+            throw this.error(`Invalid time "${time}"`, start);
+        }
+    }
+
+    parseArray() {
+        this.expect('[');
+        const values = [];
+
+        for (;;) {
+            this.skipBlank();
+            if (this.peek() === ']') {
+                this.pos++;
+                return values;
+            }
+
+            values.push(this.parseValue());
+            this.skipBlank();
+
+            if (this.peek() === ',') {
+                this.pos++;
+            } else if (this.peek() === ']') {
+                this.pos++;
+                return values;
+            } else {
+                throw this.error(this.peek() === undefined ? 'Unterminated array' : `Expected "," or "]" in array but found "${this.peek()}"`);
+            }
+        }
+    }
+
+    parseInlineTable() {
+        this.expect('{');
+        const table = {};
+        this.tableKinds.set(table, 'inline');
+        this.skipWhitespace();
+
+        if (this.peek() === '}') {
+            this.pos++;
+            return table;
+        }
+
+        for (;;) {
+            const start = this.pos;
+            const keys = this.parseKey();
+            this.skipWhitespace();
+            this.expect('=');
+            this.skipWhitespace();
+            const value = this.parseValue();
+
+            this.assignDotted(table, keys, value, start);
+
+            this.skipWhitespace();
+            if (this.peek() === ',') {
+                this.pos++;
+                this.skipWhitespace();
+                if (this.peek() === '}') throw this.error('Trailing commas are not allowed in inline tables');
+            } else if (this.peek() === '}') {
+                this.pos++;
+                return table;
+            } else {
+                throw this.error(this.peek() === undefined || this.peek() === '\n'
+                    ? 'Inline tables must be closed on the same line'
+                    : `Expected "," or "}" in inline table but found "${this.peek()}"`);
+            }
+        }
+    }
+}
+
+TomlParser.MIN_INTEGER = -(2n ** 63n);
+TomlParser.MAX_INTEGER = 2n ** 63n - 1n;
+
+// Export for debugging
+if (typeof globalThis !== 'undefined') {
+    globalThis.TomlParser = TomlParser;
+    globalThis.TomlDateTime = TomlDateTime;
+}
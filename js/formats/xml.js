@@ -0,0 +1,501 @@
+/**
+ * 🦊 Native Multi-Format Viewer - XML Parser
+ * Well-formedness checking XML parser that runs without a DOM
+ *
+ * DOMParser is not available in workers, so the parse worker uses this
+ * parser. It produces a plain node tree (document, element, text, cdata,
+ * comment, pi, doctype) with line numbers on elements. Elements and
+ * attributes carry the `namespace` URI their prefix (or the default
+ * namespace) is bound to, or null. Only the predefined and numeric
+ * character entities are expanded. Parse errors carry `line` and `column`.
+ */
+
+class XmlParser {
+    constructor(source, options = {}) {
+        this.source = source;
+        this.pos = 0;
+        this.line = 1;
+        this.linePos = 0; // Position up to which newlines have been counted
+        this.onProgress = options.onProgress || null;
+        this.nextProgress = XmlParser.PROGRESS_STEP;
+    }
+
+    static parse(source, options = {}) {
+        return new XmlParser(source, options).parseDocument();
+    }
+
+    /**
+     * Parse as far as the source is well-formed. Returns { document, error }:
+     * document holds the nodes read before the error, with the elements
+     * still open there closed, and error is null for a well-formed source.
+     */
+    static parsePartial(source, options = {}) {
+        const parser = new XmlParser(source, options);
+        try {
+            return { document: parser.parseDocument(), error: null };
+        } catch (error) {
+            return { document: parser.document, error };
+        }
+    }
+
+    /**
+     * Convert a parsed document or element into the viewer's object model:
+     * attributes under "@attributes", repeated child elements as arrays and
+     * text-only elements as strings
+     */
+    static toObject(node) {
+        const obj = {};
+
+        if (node.attributes && node.attributes.length > 0) {
+            const attributes = {};
+            node.attributes.forEach(attr => XmlParser.setOwn(attributes, attr.name, attr.value));
+            obj['@attributes'] = attributes;
+        }
+
+        const textChildren = node.children.filter(child => child.type === 'text' || child.type === 'cdata');
+        const elementChildren = node.children.filter(child => child.type === 'element');
+
+        if (textChildren.length > 0 && elementChildren.length === 0) {
+            const text = textChildren.map(child => child.value).join('').trim();
+            return text || obj;
+        }
+
+        elementChildren.forEach(child => {
+            const value = XmlParser.toObject(child);
+
+            if (Object.prototype.hasOwnProperty.call(obj, child.name)) {
+                if (!Array.isArray(obj[child.name])) {
+                    obj[child.name] = [obj[child.name]];
+                }
+                obj[child.name].push(value);
+            } else {
+                XmlParser.setOwn(obj, child.name, value);
+            }
+        });
+
+        return obj;
+    }
+
+    // Element names such as "__proto__" must not touch the prototype
+    static setOwn(obj, key, value) {
+        Object.defineProperty(obj, key, { value, writable: true, enumerable: true, configurable: true });
+    }
+
+    /**
+     * Write the object model of toObject() back as XML. Child elements are
+     * written in key order, so comments and the original interleaving of
+     * different sibling elements are not restored.
+     */
+    static stringify(data, options = {}) {
+        const names = data !== null && typeof data === 'object' && !Array.isArray(data)
+            ? Object.keys(data).filter(key => key !== '@attributes')
+            : [];
+        if (names.length !== 1 || Array.isArray(data[names[0]])) {
+            throw new Error('An XML document needs exactly one root element');
+        }
+
+        const lines = ['<?xml version="1.0" encoding="UTF-8"?>'];
+        XmlParser.writeElement(names[0], data[names[0]], '', ' '.repeat(options.indent || 2), lines);
+        return `${lines.join('\n')}\n`;
+    }
+
+    static writeElement(name, value, pad, indent, lines) {
+        if (!XmlParser.isName(name)) {
+            throw new Error(`"${name}" is not a valid XML element name`);
+        }
+
+        // Repeated elements
+        if (Array.isArray(value)) {
+            value.forEach(item => {
+                if (Array.isArray(item)) {
+                    throw new Error(`<${name}> can't hold a list of lists`);
+                }
+                XmlParser.writeElement(name, item, pad, indent, lines);
+            });
+            return;
+        }
+
+        if (value === null || typeof value !== 'object' || value instanceof Date) {
+            const text = value === null || value === undefined ? '' : String(value);
+            lines.push(text ? `${pad}<${name}>${XmlParser.escape(text)}</${name}>` : `${pad}<${name}/>`);
+            return;
+        }
+
+        let start = `<${name}`;
+        const attributes = value['@attributes'];
+        if (attributes !== null && typeof attributes === 'object') {
+            Object.keys(attributes).forEach(attribute => {
+                if (!XmlParser.isName(attribute)) {
+                    throw new Error(`"${attribute}" is not a valid XML attribute name`);
+                }
+                start += ` ${attribute}="${XmlParser.escape(String(attributes[attribute]), true)}"`;
+            });
+        }
+
+        const children = Object.keys(value).filter(key => key !== '@attributes');
+        if (children.length === 0) {
+            lines.push(`${pad}${start}/>`);
+            return;
+        }
+
+        lines.push(`${pad}${start}>`);
+        children.forEach(child => XmlParser.writeElement(child, value[child], pad + indent, indent, lines));
+        lines.push(`${pad}</${name}>`);
+    }
+
+    static isName(name) {
+        XmlParser.NAME.lastIndex = 0;
+        const match = XmlParser.NAME.exec(name);
+        return match !== null && match[0].length === name.length;
+    }
+
+    static escape(text, attribute = false) {
+        const escaped = text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+        return attribute ? escaped.replace(/"/g, '&quot;') : escaped;
+    }
+
+    error(message, pos = this.pos) {
+        const before = this.source.slice(0, pos);
+        const line = before.split('\n').length;
+        const column = pos - before.lastIndexOf('\n');
+        const error = new Error(`${message} at line ${line}, column ${column}`);
+        error.line = line;
+        error.column = column;
+        return error;
+    }
+
+    // Line of a position at or after the last one asked for
+    lineAt(pos) {
+        for (let i = this.linePos; i < pos; i++) {
+            if (this.source.charCodeAt(i) === 10) this.line++;
+        }
+        this.linePos = pos;
+        return this.line;
+    }
+
+    reportProgress() {
+        if (this.onProgress && this.pos >= this.nextProgress) {
+            this.onProgress(this.pos / this.source.length);
+            this.nextProgress = this.pos + XmlParser.PROGRESS_STEP;
+        }
+    }
+
+    parseDocument() {
+        const source = this.source;
+        const document = { type: 'document', children: [] };
+        this.document = document;
+        const stack = [];
+        // Namespace bindings in scope, one per open element
+        const scopes = [XmlParser.rootScope()];
+        let root = null;
+
+        if (source.charCodeAt(0) === 0xFEFF) {
+            this.pos = 1;
+        }
+
+        if (source.startsWith('<?xml', this.pos) && /[\s?]/.test(source[this.pos + 5] || '')) {
+            const end = source.indexOf('?>', this.pos);
+            if (end === -1) {
+                throw this.error('Unterminated XML declaration');
+            }
+            document.declaration = source.slice(this.pos + 5, end).trim();
+            this.pos = end + 2;
+        }
+
+        while (this.pos < source.length) {
+            this.reportProgress();
+            const parent = stack.length > 0 ? stack[stack.length - 1] : document;
+            const lt = source.indexOf('<', this.pos);
+            const textEnd = lt === -1 ? source.length : lt;
+
+            if (textEnd > this.pos) {
+                const raw = source.slice(this.pos, textEnd);
+                if (stack.length === 0) {
+                    if (raw.trim() !== '') {
+                        throw this.error('Text is not allowed outside the root element', this.pos + raw.search(/\S/));
+                    }
+                } else {
+                    parent.children.push({ type: 'text', value: this.decodeEntities(raw, this.pos) });
+                }
+                this.pos = textEnd;
+            }
+
+            if (lt === -1) break;
+
+            if (source.startsWith('<!--', this.pos)) {
+                const end = source.indexOf('-->', this.pos + 4);
+                if (end === -1) {
+                    throw this.error('Unterminated comment');
+                }
+                const value = source.slice(this.pos + 4, end);
+                if (value.includes('--') || value.endsWith('-')) {
+                    throw this.error('"--" is not allowed inside a comment');
+                }
+                parent.children.push({ type: 'comment', value });
+                this.pos = end + 3;
+            } else if (source.startsWith('<![CDATA[', this.pos)) {
+                if (stack.length === 0) {
+                    throw this.error('CDATA is not allowed outside the root element');
+                }
+                const end = source.indexOf(']]>', this.pos + 9);
+                if (end === -1) {
+                    throw this.error('Unterminated CDATA section');
+                }
+                parent.children.push({ type: 'cdata', value: source.slice(this.pos + 9, end) });
+                this.pos = end + 3;
+            } else if (source.startsWith('<!DOCTYPE', this.pos)) {
+                if (root || document.children.some(child => child.type === 'doctype')) {
+                    throw this.error('DOCTYPE must come once, before the root element');
+                }
+                parent.children.push({ type: 'doctype', value: this.readDoctype() });
+            } else if (source.startsWith('<?', this.pos)) {
+                parent.children.push(this.readProcessingInstruction());
+            } else if (source.startsWith('</', this.pos)) {
+                const start = this.pos;
+                this.pos += 2;
+                const name = this.readName();
+                this.skipWhitespace();
+                if (source[this.pos] !== '>') {
+                    throw this.error(`Expected ">" to close </${name}`);
+                }
+                this.pos++;
+
+                const open = stack.pop();
+                scopes.pop();
+                if (!open) {
+                    throw this.error(`Unexpected closing tag </${name}>`, start);
+                }
+                if (open.name !== name) {
+                    throw this.error(`Mismatched closing tag </${name}>, expected </${open.name}>`, start);
+                }
+            } else {
+                if (stack.length === 0 && root) {
+                    throw this.error('Only one root element is allowed');
+                }
+                const element = this.readStartTag();
+                const scope = XmlParser.resolveNamespaces(element, scopes[scopes.length - 1]);
+                parent.children.push(element);
+                if (stack.length === 0) {
+                    root = element;
+                }
+                if (!element.selfClosing) {
+                    stack.push(element);
+                    scopes.push(scope);
+                }
+                delete element.selfClosing;
+            }
+        }
+
+        if (stack.length > 0) {
+            const open = stack[stack.length - 1];
+            throw this.error(`Unclosed element <${open.name}> opened on line ${open.line}`, source.length);
+        }
+        if (!root) {
+            throw this.error('No root element found', source.length);
+        }
+
+        if (this.onProgress) {
+            this.onProgress(1);
+        }
+        return document;
+    }
+
+    // Prefixes bound in every document; the scope has no prototype, so any prefix is a plain key
+    static rootScope() {
+        const scope = Object.create(null);
+        scope.xml = XmlParser.XML_NAMESPACE;
+        scope.xmlns = XmlParser.XMLNS_NAMESPACE;
+        return scope;
+    }
+
+    /**
+     * Set `namespace` on an element and its attributes from its xmlns
+     * declarations and the bindings in scope, and return the scope for its
+     * children. An undeclared prefix leaves the namespace null.
+     */
+    static resolveNamespaces(element, parentScope) {
+        let scope = parentScope;
+        element.attributes.forEach(({ name, value }) => {
+            if (name === 'xmlns' || name.startsWith('xmlns:')) {
+                if (scope === parentScope) scope = Object.create(parentScope);
+                scope[name === 'xmlns' ? '' : name.slice(6)] = value;
+            }
+        });
+
+        const lookup = prefix => scope[prefix] || null;
+        element.namespace = lookup(XmlParser.prefixOf(element.name));
+        element.attributes.forEach(attribute => {
+            const prefix = XmlParser.prefixOf(attribute.name);
+            if (attribute.name === 'xmlns') {
+                attribute.namespace = XmlParser.XMLNS_NAMESPACE;
+            } else {
+                // Unprefixed attributes are in no namespace, whatever the default
+                attribute.namespace = prefix ? lookup(prefix) : null;
+            }
+        });
+        return scope;
+    }
+
+    // "soap" for "soap:Envelope", "" for a name without a prefix
+    static prefixOf(name) {
+        const colon = name.indexOf(':');
+        return colon > 0 ? name.slice(0, colon) : '';
+    }
+
+    readStartTag() {
+        const source = this.source;
+        const line = this.lineAt(this.pos);
+        this.pos++;
+
+        const element = { type: 'element', name: this.readName(), attributes: [], children: [], line, selfClosing: false };
+        const seen = new Set();
+
+        for (;;) {
+            const hadSpace = this.skipWhitespace();
+            const char = source[this.pos];
+
+            if (char === '>') {
+                this.pos++;
+                return element;
+            }
+            if (char === '/' && source[this.pos + 1] === '>') {
+                this.pos += 2;
+                element.selfClosing = true;
+                return element;
+            }
+            if (char === undefined) {
+                throw this.error(`Unterminated start tag <${element.name}>`);
+            }
+            if (!hadSpace) {
+                throw this.error(`Expected whitespace before attribute in <${element.name}>`);
+            }
+
+            const nameStart = this.pos;
+            const name = this.readName();
+            if (seen.has(name)) {
+                throw this.error(`Duplicate attribute "${name}"`, nameStart);
+            }
+            seen.add(name);
+
+            this.skipWhitespace();
+            if (source[this.pos] !== '=') {
+                throw this.error(`Expected "=" after attribute "${name}"`);
+            }
+            this.pos++;
+            this.skipWhitespace();
+
+            const quote = source[this.pos];
+            if (quote !== '"' && quote !== '\'') {
+                throw this.error(`Attribute "${name}" value must be quoted`);
+            }
+            const end = source.indexOf(quote, this.pos + 1);
+            if (end === -1) {
+                throw this.error(`Unterminated value for attribute "${name}"`);
+            }
+            const raw = source.slice(this.pos + 1, end);
+            const lt = raw.indexOf('<');
+            if (lt !== -1) {
+                throw this.error('"<" is not allowed in attribute values', this.pos + 1 + lt);
+            }
+
+            // Attribute value normalization turns literal whitespace characters into spaces
+            const value = this.decodeEntities(raw.replace(/[\t\n\r]/g, ' '), this.pos + 1);
+            element.attributes.push({ name, value });
+            this.pos = end + 1;
+        }
+    }
+
+    readProcessingInstruction() {
+        const start = this.pos;
+        this.pos += 2;
+        const target = this.readName();
+        if (target.toLowerCase() === 'xml') {
+            throw this.error('XML declaration is only allowed at the start of the document', start);
+        }
+        const end = this.source.indexOf('?>', this.pos);
+        if (end === -1) {
+            throw this.error('Unterminated processing instruction', start);
+        }
+        const data = this.source.slice(this.pos, end).trim();
+        this.pos = end + 2;
+        return { type: 'pi', target, data };
+    }
+
+    // Skips the internal subset, honoring quoted strings inside it
+    readDoctype() {
+        const start = this.pos;
+        let depth = 0;
+        let quote = null;
+
+        for (let i = this.pos + 9; i < this.source.length; i++) {
+            const char = this.source[i];
+            if (quote) {
+                if (char === quote) quote = null;
+            } else if (char === '"' || char === '\'') {
+                quote = char;
+            } else if (char === '[') {
+                depth++;
+            } else if (char === ']') {
+                depth--;
+            } else if (char === '>' && depth <= 0) {
+                this.pos = i + 1;
+                return this.source.slice(start + 9, i).trim();
+            }
+        }
+
+        throw this.error('Unterminated DOCTYPE', start);
+    }
+
+    readName() {
+        XmlParser.NAME.lastIndex = this.pos;
+        const match = XmlParser.NAME.exec(this.source);
+        if (!match) {
+            throw this.error('Expected a name');
+        }
+        this.pos += match[0].length;
+        return match[0];
+    }
+
+    skipWhitespace() {
+        const start = this.pos;
+        while (this.pos < this.source.length && ' \t\r\n'.includes(this.source[this.pos])) {
+            this.pos++;
+        }
+        return this.pos > start;
+    }
+
+    decodeEntities(text, offset) {
+        if (!text.includes('&')) {
+            return text;
+        }
+
+        return text.replace(/&([^&;\s]*)(;?)/g, (match, name, semicolon, index) => {
+            if (!semicolon) {
+                throw this.error('"&" must start an entity reference such as &amp;', offset + index);
+            }
+            if (name[0] === '#') {
+                const code = name[1] === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+                const digits = name[1] === 'x' ? /^#x[0-9a-fA-F]+$/ : /^#\d+$/;
+                if (!digits.test(name) || !(code > 0 && code <= 0x10FFFF)) {
+                    throw this.error(`Invalid character reference &${name};`, offset + index);
+                }
+                return String.fromCodePoint(code);
+            }
+            if (!Object.prototype.hasOwnProperty.call(XmlParser.ENTITIES, name)) {
+                throw this.error(`Undefined entity &${name};`, offset + index);
+            }
+            return XmlParser.ENTITIES[name];
+        });
+    }
+}
+
+XmlParser.NAME = /[A-Za-z_:\u00C0-\uFFFF][\w.:\-\u00B7\u00C0-\uFFFF]*/y;
+XmlParser.ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: '\'' };
+XmlParser.PROGRESS_STEP = 1024 * 1024;
+XmlParser.XML_NAMESPACE = 'http://www.w3.org/XML/1998/namespace';
+XmlParser.XMLNS_NAMESPACE = 'http://www.w3.org/2000/xmlns/';
+
+// Export for debugging
+if (typeof globalThis !== 'undefined') {
+    globalThis.XmlParser = XmlParser;
+}
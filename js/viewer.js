@@ -11,17 +11,79 @@ class InlineViewer {
         this.currentFormat = '';
         this.currentView = 'pretty'; // Default to pretty view
         this.searchTerm = '';
+        this.queryExpression = '';
+        this.parsed = null; // { content, format, maxFileSize, promise } of the last parse
+        this.xmlDom = null; // { content, document } DOMParser document of the XML, for XPath and XSLT
+        this.stylesheet = null; // { label, content, chosen } XSLT of the Transformed view
+        this.remoteResources = false; // Whether the Transformed view may load images and styles from the web
+        this.feed = null; // { content, feed } the XML read as an RSS or Atom feed; feed is null when it isn't one
+        this.parseError = null; // { content, format, error } of the last failed parse, marked in raw view
+        this.diagnostics = null; // { content, format, duplicates } of the last parse that found repeated keys
+        this.schemaValidation = null; // { schema, label, content, errors, truncated, error } while validating XML against an XSD
+        this.activeParse = null;
+        this.renderId = 0;
+        this.tree = null; // VirtualTree shown in pretty view
+        this.codeView = null; // VirtualCodeView shown in raw view
+        this.compare = null; // { label, content, format, matchKey, parsed } in Compare mode
+        this.watch = null; // { watcher, log, lastError } while watching the file's URL
+        this.edit = null; // { editor } while editing the tree
+        this.rawEdit = null; // { timer, errors } while editing the raw text
+        this.pendingTreeState = null; // { viewState, flash, edit } for the next tree render
+        this.settings = ViewerSettings.normalize(null);
+        this.theme = new ThemeManager();
 
         console.log('🦊 About to initialize elements');
         this.initializeElements();
         console.log('🦊 Elements initialized:', Object.keys(this.elements));
         this.bindEvents();
-        this.loadFileFromHash();
+        this.init();
+    }
+
+    async init() {
+        this.settings = await ViewerSettings.load();
+        this.applySettings();
+        // Open with the view chosen by "Auto-format files"
+        this.setActiveView(this.settings.autoFormat ? 'pretty' : 'raw');
+        ViewerSettings.onChange(settings => this.updateSettings(settings));
+
+        await this.loadFileFromHash();
+    }
+
+    // Settings that only need styles updated
+    applySettings() {
+        this.theme.apply(this.settings);
+        document.documentElement.style.setProperty('--fv-tree-indent', `${this.settings.indentSize * 10}px`);
+        if (this.codeView) {
+            this.codeView.setShowLineNumbers(this.settings.showLineNumbers);
+        }
+    }
+
+    /**
+     * Settings changed in the popup while this tab is open
+     */
+    updateSettings(settings) {
+        const previous = this.settings;
+        this.settings = settings;
+        this.applySettings();
+
+        // The tree order, the size limit and the number mode need a fresh pretty render
+        const rerender = settings.sortKeys !== previous.sortKeys || settings.maxFileSize !== previous.maxFileSize ||
+            settings.losslessNumbers !== previous.losslessNumbers;
+        if (settings.losslessNumbers !== previous.losslessNumbers && this.compare) {
+            this.compare.parsed = null;
+        }
+        if (rerender && this.currentView === 'pretty' && this.currentContent) {
+            this.displayContent();
+        }
     }
 
     initializeElements() {
         this.elements = {
             loading: document.getElementById('loading'),
+            loadingMessage: document.getElementById('loadingMessage'),
+            loadingProgress: document.getElementById('loadingProgress'),
+            loadingProgressBar: document.getElementById('loadingProgressBar'),
+            cancelParseBtn: document.getElementById('cancelParseBtn'),
             error: document.getElementById('error'),
             errorMessage: document.getElementById('errorMessage'),
             content: document.getElementById('content'),
@@ -30,8 +92,12 @@ class InlineViewer {
             filesize: document.getElementById('filesize'),
             metadata: document.getElementById('metadata'),
             searchBox: document.getElementById('searchBox'),
+            queryBox: document.getElementById('queryBox'),
+            namespacesBox: document.getElementById('namespacesBox'),
             prettyBtn: document.getElementById('prettyBtn'),
             rawBtn: document.getElementById('rawBtn'),
+            transformedBtn: document.getElementById('transformedBtn'),
+            feedBtn: document.getElementById('feedBtn'),
             copyUrlBtn: document.getElementById('copyUrlBtn'),
             headersBtn: document.getElementById('headersBtn'),
             downloadBtn: document.getElementById('downloadBtn'),
@@ -39,7 +105,58 @@ class InlineViewer {
             headersModalOverlay: document.getElementById('headersModalOverlay'),
             headersModalClose: document.getElementById('headersModalClose'),
             responseHeaders: document.getElementById('responseHeaders'),
-            requestHeaders: document.getElementById('requestHeaders')
+            requestHeaders: document.getElementById('requestHeaders'),
+            compareBtn: document.getElementById('compareBtn'),
+            compareModal: document.getElementById('compareModal'),
+            compareModalOverlay: document.getElementById('compareModalOverlay'),
+            compareModalClose: document.getElementById('compareModalClose'),
+            compareForm: document.getElementById('compareForm'),
+            compareUrl: document.getElementById('compareUrl'),
+            compareText: document.getElementById('compareText'),
+            compareFile: document.getElementById('compareFile'),
+            compareMatchKey: document.getElementById('compareMatchKey'),
+            compareError: document.getElementById('compareError'),
+            watchBtn: document.getElementById('watchBtn'),
+            watchBar: document.getElementById('watchBar'),
+            watchIndicator: document.getElementById('watchIndicator'),
+            watchInterval: document.getElementById('watchInterval'),
+            watchCheckBtn: document.getElementById('watchCheckBtn'),
+            watchStatus: document.getElementById('watchStatus'),
+            watchLogBtn: document.getElementById('watchLogBtn'),
+            watchLog: document.getElementById('watchLog'),
+            editBtn: document.getElementById('editBtn'),
+            editBar: document.getElementById('editBar'),
+            editUndoBtn: document.getElementById('editUndoBtn'),
+            editRedoBtn: document.getElementById('editRedoBtn'),
+            editStatus: document.getElementById('editStatus'),
+            editCopyBtn: document.getElementById('editCopyBtn'),
+            editDownloadBtn: document.getElementById('editDownloadBtn'),
+            editDoneBtn: document.getElementById('editDoneBtn'),
+            exportBtn: document.getElementById('exportBtn'),
+            exportMenu: document.getElementById('exportMenu'),
+            exportBar: document.getElementById('exportBar'),
+            exportStatus: document.getElementById('exportStatus'),
+            exportWarnings: document.getElementById('exportWarnings'),
+            exportDismissBtn: document.getElementById('exportDismissBtn'),
+            diagnosticsBar: document.getElementById('diagnosticsBar'),
+            diagnosticsStatus: document.getElementById('diagnosticsStatus'),
+            diagnosticsToggleBtn: document.getElementById('diagnosticsToggleBtn'),
+            diagnosticsList: document.getElementById('diagnosticsList'),
+            validateBtn: document.getElementById('validateBtn'),
+            schemaBar: document.getElementById('schemaBar'),
+            schemaStatus: document.getElementById('schemaStatus'),
+            schemaToggleBtn: document.getElementById('schemaToggleBtn'),
+            schemaChangeBtn: document.getElementById('schemaChangeBtn'),
+            schemaCloseBtn: document.getElementById('schemaCloseBtn'),
+            schemaList: document.getElementById('schemaList'),
+            schemaModal: document.getElementById('schemaModal'),
+            schemaModalOverlay: document.getElementById('schemaModalOverlay'),
+            schemaModalClose: document.getElementById('schemaModalClose'),
+            schemaForm: document.getElementById('schemaForm'),
+            schemaHint: document.getElementById('schemaHint'),
+            schemaFiles: document.getElementById('schemaFiles'),
+            schemaText: document.getElementById('schemaText'),
+            schemaError: document.getElementById('schemaError')
         };
     }
 
@@ -47,6 +164,11 @@ class InlineViewer {
         // View toggle buttons
         this.elements.prettyBtn.addEventListener('click', () => this.switchView('pretty'));
         this.elements.rawBtn.addEventListener('click', () => this.switchView('raw'));
+        this.elements.transformedBtn.addEventListener('click', () => this.switchView('transformed'));
+        this.elements.feedBtn.addEventListener('click', () => this.switchView('feed'));
+
+        // Stop a parse that is taking too long
+        this.elements.cancelParseBtn.addEventListener('click', () => this.cancelParse());
 
         // Copy URL button
         this.elements.copyUrlBtn.addEventListener('click', () => this.copyOriginalUrl());
@@ -57,18 +179,117 @@ class InlineViewer {
         // Download button
         this.elements.downloadBtn.addEventListener('click', () => this.downloadFile());
 
+        // Export as... menu
+        this.elements.exportBtn.addEventListener('click', () => this.toggleExportMenu());
+        this.elements.exportMenu.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (button) {
+                this.exportAs(button.closest('[data-format]').dataset.format, button.dataset.action);
+            }
+        });
+        this.elements.exportDismissBtn.addEventListener('click', () => this.showExportResult(null, []));
+        document.addEventListener('click', (e) => {
+            if (!e.target.closest || !e.target.closest('.fv-export')) {
+                this.toggleExportMenu(false);
+            }
+        });
+
         // Headers modal events
         this.elements.headersModalClose.addEventListener('click', () => this.hideHeadersModal());
         this.elements.headersModalOverlay.addEventListener('click', () => this.hideHeadersModal());
 
+        // Compare mode
+        this.elements.compareBtn.addEventListener('click', () => this.showCompareModal());
+        this.elements.compareModalClose.addEventListener('click', () => this.hideCompareModal());
+        this.elements.compareModalOverlay.addEventListener('click', () => this.hideCompareModal());
+        this.elements.compareForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.startCompare();
+        });
+
+        // Edit mode
+        this.elements.editBtn.addEventListener('click', () => (this.edit ? this.stopEdit() : this.startEdit()));
+        this.elements.editUndoBtn.addEventListener('click', () => this.undoEdit());
+        this.elements.editRedoBtn.addEventListener('click', () => this.redoEdit());
+        this.elements.editCopyBtn.addEventListener('click', () => this.copyRawContent(this.elements.editCopyBtn));
+        this.elements.editDownloadBtn.addEventListener('click', () => this.downloadFile());
+        this.elements.editDoneBtn.addEventListener('click', () => this.stopEdit());
+
+        // Watch mode
+        this.elements.watchBtn.addEventListener('click', () => this.toggleWatch());
+        this.elements.watchInterval.addEventListener('change', (e) => {
+            if (this.watch) {
+                this.watch.watcher.setInterval(Number(e.target.value));
+            }
+        });
+        this.elements.watchCheckBtn.addEventListener('click', () => this.checkWatchNow());
+        this.elements.watchLogBtn.addEventListener('click', () => this.toggleWatchLog());
+
+        // Diagnostics
+        this.elements.diagnosticsToggleBtn.addEventListener('click', () => this.toggleDiagnostics());
+
+        // XML Schema validation
+        this.elements.validateBtn.addEventListener('click', () => this.showSchemaModal());
+        this.elements.schemaChangeBtn.addEventListener('click', () => this.showSchemaModal());
+        this.elements.schemaCloseBtn.addEventListener('click', () => this.stopSchemaValidation());
+        this.elements.schemaToggleBtn.addEventListener('click', () => this.toggleSchemaList());
+        this.elements.schemaModalClose.addEventListener('click', () => this.hideSchemaModal());
+        this.elements.schemaModalOverlay.addEventListener('click', () => this.hideSchemaModal());
+        this.elements.schemaForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.startSchemaValidation();
+        });
+
         // Search functionality
         this.elements.searchBox.addEventListener('input', (e) => {
             this.searchTerm = e.target.value.toLowerCase();
             this.highlightSearchResults();
         });
 
+        // Enter / Shift+Enter step through matches in the tree or raw view
+        this.elements.searchBox.addEventListener('keydown', (e) => {
+            if (e.key !== 'Enter') return;
+            if (this.isTreeShown()) {
+                e.preventDefault();
+                this.tree.nextMatch(e.shiftKey ? -1 : 1);
+            } else if (this.isCodeShown()) {
+                e.preventDefault();
+                this.codeView.nextMatch(e.shiftKey ? -1 : 1);
+            }
+        });
+
+        // Query bar - runs on Enter, resets when cleared
+        this.elements.queryBox.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                // Enter again steps through the nodes an XPath expression selected
+                if (e.target.value.trim() === this.queryExpression && this.isTreeShown() && this.tree.marks) {
+                    this.tree.nextMark(e.shiftKey ? -1 : 1);
+                    return;
+                }
+                this.applyQuery(e.target.value);
+            } else if (e.key === 'Escape') {
+                e.target.value = '';
+                this.applyQuery('');
+            }
+        });
+        this.elements.queryBox.addEventListener('input', (e) => {
+            if (!e.target.value.trim() && this.queryExpression) {
+                this.applyQuery('');
+            }
+        });
+        this.elements.namespacesBox.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && !this.elements.queryBox.disabled) {
+                e.preventDefault();
+                this.applyQuery(this.elements.queryBox.value);
+            }
+        });
+
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.toggleExportMenu(false);
+            }
             if (e.ctrlKey || e.metaKey) {
                 switch (e.key) {
                     case 'f':
@@ -92,6 +313,24 @@ class InlineViewer {
                         e.preventDefault();
                         this.showHeadersModal();
                         break;
+                    case 'j':
+                        e.preventDefault();
+                        this.elements.queryBox.focus();
+                        this.elements.queryBox.select();
+                        break;
+                    case 'z':
+                    case 'Z':
+                    case 'y':
+                        // Inputs keep their own undo
+                        if (this.edit && !(e.target.closest && e.target.closest('input, textarea'))) {
+                            e.preventDefault();
+                            if (e.key === 'y' || e.shiftKey) {
+                                this.redoEdit();
+                            } else {
+                                this.undoEdit();
+                            }
+                        }
+                        break;
                 }
             }
         });
@@ -100,20 +339,27 @@ class InlineViewer {
         window.addEventListener('hashchange', () => this.loadFileFromHash());
     }
 
-    downloadFile() {
-        if (!this.currentContent || !this.fileData) {
+    /**
+     * Save the content, or a conversion of it to another format
+     */
+    downloadFile(content = this.currentContent, format = this.currentFormat) {
+        if (!content || !this.fileData) {
             console.error('🦊 No content available for download');
             return;
         }
 
         try {
             // Get filename from URL or use default
-            const filename = this.getFilenameFromUrl(this.fileData.originalUrl) ||
+            let filename = this.getFilenameFromUrl(this.fileData.originalUrl) ||
                            `file.${this.currentFormat}`;
+            if (format !== this.currentFormat) {
+                // A converted file keeps the name with the new extension
+                filename = `${filename.replace(/\.[^.]*$/, '')}.${format}`;
+            }
 
             // Create blob with appropriate MIME type
-            const mimeType = this.getMimeTypeForFormat(this.currentFormat);
-            const blob = new Blob([this.currentContent], { type: mimeType });
+            const mimeType = this.getMimeTypeForFormat(format);
+            const blob = new Blob([content], { type: mimeType });
 
             // Create download URL
             const downloadUrl = URL.createObjectURL(blob);
@@ -137,7 +383,7 @@ class InlineViewer {
             // Track download usage
             this.sendMessage({
                 action: 'trackUsage',
-                format: 'download_' + this.currentFormat
+                format: 'download_' + format
             });
 
         } catch (error) {
@@ -171,6 +417,7 @@ class InlineViewer {
             'yml': 'application/x-yaml',
             'xml': 'application/xml',
             'csv': 'text/csv',
+            'tsv': 'text/tab-separated-values',
             'toml': 'application/toml'
         };
 
@@ -239,8 +486,7 @@ class InlineViewer {
         console.log('🦊 URL copied using fallback method');
     }
 
-    showCopyFeedback() {
-        const button = this.elements.copyUrlBtn;
+    showCopyFeedback(button = this.elements.copyUrlBtn) {
         const originalContent = button.cloneNode(true);
 
         // Show success state safely
@@ -264,6 +510,342 @@ class InlineViewer {
         }, 2000);
     }
 
+    toggleExportMenu(show = this.elements.exportMenu.style.display === 'none') {
+        if (show && !this.currentContent) return;
+        this.elements.exportMenu.style.display = show ? '' : 'none';
+        this.elements.exportBtn.setAttribute('aria-expanded', String(show));
+    }
+
+    /**
+     * Convert the parsed document (all of it, whatever the tree shows) and
+     * download or copy the result. What the conversion had to drop or
+     * change is listed in the export bar.
+     */
+    async exportAs(format, action) {
+        this.toggleExportMenu(false);
+
+        let result;
+        try {
+            const data = await this.getParsedContent();
+            result = ContentSerializer.convert(data, this.currentFormat, format, { indent: this.settings.indentSize });
+        } catch (error) {
+            console.error('🦊 Export failed:', error);
+            this.showExportResult(`Can't export as ${format.toUpperCase()}: ${error.message}`, [], true);
+            return;
+        }
+
+        if (action === 'copy') {
+            this.copyRawContent(this.elements.exportBtn, result.content);
+        } else {
+            this.downloadFile(result.content, format);
+        }
+
+        const count = result.warnings.length;
+        this.showExportResult(count > 0
+            ? `${action === 'copy' ? 'Copied' : 'Exported'} as ${format.toUpperCase()}, with ${count} ${count === 1 ? 'change' : 'changes'} the format required:`
+            : null, result.warnings);
+    }
+
+    // A null message hides the bar
+    showExportResult(message, warnings, failed = false) {
+        this.elements.exportBar.style.display = message ? 'flex' : 'none';
+        this.elements.exportStatus.textContent = message || '';
+        this.elements.exportStatus.classList.toggle('fv-export-failed', failed);
+
+        this.elements.exportWarnings.textContent = '';
+        warnings.forEach(warning => {
+            const item = document.createElement('li');
+            item.textContent = warning;
+            this.elements.exportWarnings.appendChild(item);
+        });
+    }
+
+    /**
+     * List the keys a parse found repeated, given as { content, format,
+     * duplicates, failed }; null or none hides the bar. Results for content
+     * that has changed since are dropped.
+     */
+    showDiagnostics(diagnostics) {
+        if (diagnostics && (diagnostics.content !== this.currentContent || diagnostics.format !== this.currentFormat)) return;
+
+        const duplicates = diagnostics ? diagnostics.duplicates.slice().sort((a, b) => a.lines[0] - b.lines[0]) : [];
+        this.diagnostics = duplicates.length > 0 ? { content: diagnostics.content, format: diagnostics.format, duplicates } : null;
+        this.elements.diagnosticsBar.style.display = this.diagnostics ? 'flex' : 'none';
+        this.elements.diagnosticsList.textContent = '';
+        if (!this.diagnostics) return;
+
+        const count = duplicates.length;
+        this.elements.diagnosticsStatus.textContent = `⚠ ${count} ${count === 1 ? 'key is' : 'keys are'} repeated` +
+            (diagnostics.failed ? `, which ${diagnostics.format.toUpperCase()} doesn't allow` : '; only the last value of each is kept');
+
+        duplicates.forEach(({ path, key, lines }) => {
+            const item = document.createElement('li');
+            const where = path ? ` in ${StructuralDiff.pathText(path)}` : '';
+            const unique = [...new Set(lines)];
+            item.textContent = `"${key}"${where} appears ${lines.length} times, on ${unique.length === 1 ? 'line' : 'lines'}`;
+
+            unique.forEach((line, index) => {
+                if (index > 0) item.appendChild(document.createTextNode(','));
+                const link = document.createElement('button');
+                link.className = 'fv-diagnostics-line';
+                link.textContent = String(line);
+                link.title = `Show line ${line} in Raw view`;
+                link.addEventListener('click', () => this.showRawLine(line));
+                item.appendChild(link);
+            });
+            this.elements.diagnosticsList.appendChild(item);
+        });
+    }
+
+    toggleDiagnostics() {
+        const shown = this.elements.diagnosticsList.style.display !== 'none';
+        this.elements.diagnosticsList.style.display = shown ? 'none' : 'block';
+        this.elements.diagnosticsToggleBtn.setAttribute('aria-expanded', String(!shown));
+        this.elements.diagnosticsToggleBtn.textContent = shown ? 'Show All' : 'Hide';
+    }
+
+    // Repeated keys found in the current content
+    currentDuplicates() {
+        const diagnostics = this.diagnostics;
+        if (!diagnostics || diagnostics.content !== this.currentContent || diagnostics.format !== this.currentFormat) {
+            return [];
+        }
+        return diagnostics.duplicates;
+    }
+
+    // Raw view markers for every line a repeated key is on
+    duplicateMarkers() {
+        const markers = [];
+        this.currentDuplicates().forEach(({ key, lines }) => {
+            const unique = [...new Set(lines)];
+            unique.forEach(line => {
+                const others = unique.filter(other => other !== line);
+                const message = others.length > 0
+                    ? `Duplicate key "${key}", also on ${others.length === 1 ? 'line' : 'lines'} ${others.join(', ')}`
+                    : `Duplicate key "${key}", repeated on this line`;
+                markers.push({ line, message, warning: true });
+            });
+        });
+        return markers;
+    }
+
+    // Objects of the parsed data that repeat keys, mapped to each such key's lines, for VirtualTree badges
+    duplicateMap(data) {
+        const map = new Map();
+        this.currentDuplicates().forEach(({ path, key, lines }) => {
+            if (!path) return;
+            const object = path.reduce((value, step) => (value !== null && typeof value === 'object' ? value[step] : undefined), data);
+            if (object === null || typeof object !== 'object') return;
+
+            if (!map.has(object)) map.set(object, new Map());
+            map.get(object).set(key, lines);
+        });
+        return map.size > 0 ? map : null;
+    }
+
+    // Raw view markers: the parse error, if any, then what the diagnostics found
+    rawMarkers() {
+        if (this.rawEdit) {
+            return this.rawEdit.errors.concat(this.diagnosticMarkers());
+        }
+        if (this.parseError && this.parseError.content === this.currentContent &&
+            this.parseError.format === this.currentFormat) {
+            return [this.errorMarker(this.parseError.error)].concat(this.diagnosticMarkers());
+        }
+        return this.diagnosticMarkers();
+    }
+
+    // Repeated keys, then schema violations
+    diagnosticMarkers() {
+        return this.duplicateMarkers().concat(this.schemaMarkers());
+    }
+
+    // Schema violations of the current content, one marker per line
+    schemaMarkers() {
+        const validation = this.schemaValidation;
+        if (!validation || validation.content !== this.currentContent || !validation.errors) return [];
+
+        const messages = new Map();
+        validation.errors.forEach(({ line, message }) => {
+            if (!messages.has(line)) messages.set(line, []);
+            messages.get(line).push(message);
+        });
+        return [...messages].map(([line, lines]) => ({ line, message: lines.join('\n') }));
+    }
+
+    async showSchemaModal() {
+        if (!this.currentContent) return;
+
+        this.elements.schemaError.textContent = '';
+        this.elements.schemaModal.style.display = 'flex';
+        document.body.style.overflow = 'hidden';
+        this.elements.schemaFiles.focus();
+
+        this.schemaEscapeHandler = (e) => {
+            if (e.key === 'Escape') {
+                this.hideSchemaModal();
+            }
+        };
+        document.addEventListener('keydown', this.schemaEscapeHandler);
+
+        // Name the files the document asks for, so the right ones are chosen
+        this.elements.schemaHint.textContent = '';
+        try {
+            const locations = XsdSchema.schemaLocations(await this.getParsedContent({ nodes: true, quiet: true }));
+            const names = [...new Set(locations.map(({ location }) => XsdSchema.fileName(location)))];
+            this.elements.schemaHint.textContent = names.length > 0
+                ? `The document names ${names.join(', ')} in xsi:schemaLocation. Choose ${names.length === 1 ? 'it' : 'them'}, with the files ${names.length === 1 ? 'it includes or imports' : 'they include or import'}.`
+                : 'The document doesn\'t name a schema in xsi:schemaLocation.';
+        } catch (error) {
+            // A document that doesn't parse can't be validated; submitting says so
+        }
+    }
+
+    hideSchemaModal() {
+        this.elements.schemaModal.style.display = 'none';
+        document.body.style.overflow = '';
+
+        if (this.schemaEscapeHandler) {
+            document.removeEventListener('keydown', this.schemaEscapeHandler);
+            this.schemaEscapeHandler = null;
+        }
+    }
+
+    /**
+     * Load the schema chosen in the Validate dialog and validate the
+     * document against it
+     */
+    async startSchemaValidation() {
+        const runBtn = this.elements.schemaForm.querySelector('button[type="submit"]');
+        runBtn.disabled = true;
+        this.elements.schemaError.textContent = '';
+
+        try {
+            const sources = await this.readSchemaSources();
+            const schema = XsdSchema.load(sources);
+            const document = await this.getParsedContent({ nodes: true, quiet: true });
+
+            // The file the document names is the one the results are against
+            const named = XsdSchema.schemaLocations(document).map(({ location }) => XsdSchema.fileName(location));
+            const main = sources.find(source => named.includes(source.name)) || sources[0];
+            this.schemaValidation = { schema, label: main.name, content: null, errors: null, truncated: false, error: null };
+
+            this.hideSchemaModal();
+            await this.refreshSchemaValidation();
+        } catch (error) {
+            console.error('🦊 Schema validation failed:', error);
+            this.elements.schemaError.textContent = error.message;
+        } finally {
+            runBtn.disabled = false;
+        }
+    }
+
+    // The chosen files, then the pasted schema, as { name, content }
+    async readSchemaSources() {
+        const sources = [];
+        for (const file of Array.from(this.elements.schemaFiles.files)) {
+            sources.push({ name: file.name, content: await file.text() });
+        }
+
+        const text = this.elements.schemaText.value;
+        if (text.trim()) {
+            sources.push({ name: 'pasted schema', content: text });
+        }
+
+        if (sources.length === 0) {
+            throw new Error('Choose the schema files or paste a schema to validate against');
+        }
+        return sources;
+    }
+
+    /**
+     * Validate the current content against the schema in use, unless it
+     * was already. Results for content that changed meanwhile are dropped.
+     */
+    async refreshSchemaValidation() {
+        const validation = this.schemaValidation;
+        const content = this.currentContent;
+        if (!validation || validation.content === content) return;
+        validation.content = content;
+
+        let result;
+        try {
+            const document = await this.getParsedContent({ nodes: true, quiet: true });
+            result = Object.assign({ error: null }, validation.schema.validate(document));
+        } catch (error) {
+            if (error.cancelled) {
+                validation.content = null;
+                return;
+            }
+            result = { errors: null, truncated: false, error };
+        }
+        if (validation !== this.schemaValidation || content !== this.currentContent) return;
+
+        Object.assign(validation, result);
+        this.showSchemaResults();
+        if (this.isCodeShown()) {
+            this.codeView.setErrors(this.rawMarkers());
+        }
+    }
+
+    stopSchemaValidation() {
+        this.schemaValidation = null;
+        this.showSchemaResults();
+        if (this.isCodeShown()) {
+            this.codeView.setErrors(this.rawMarkers());
+        }
+    }
+
+    // The bar with the outcome of the last validation; hidden when not validating
+    showSchemaResults() {
+        const validation = this.schemaValidation;
+        const { schemaBar, schemaStatus, schemaList, schemaToggleBtn } = this.elements;
+        schemaBar.style.display = validation && (validation.errors || validation.error) ? 'flex' : 'none';
+        schemaList.textContent = '';
+        if (!validation) return;
+
+        const { label, errors, truncated, error } = validation;
+        const missing = validation.schema.missing.length > 0 ? ` (not given: ${validation.schema.missing.join(', ')})` : '';
+        schemaStatus.classList.toggle('fv-schema-valid', Boolean(errors) && errors.length === 0);
+        schemaStatus.classList.toggle('fv-schema-invalid', !errors || errors.length > 0);
+        schemaToggleBtn.style.display = errors && errors.length > 0 ? '' : 'none';
+
+        if (error) {
+            schemaStatus.textContent = `✗ Can't validate against ${label}: ${error.message.split('\n')[0]}`;
+            return;
+        }
+        if (errors.length === 0) {
+            schemaStatus.textContent = `✓ Valid against ${label}${missing}`;
+            return;
+        }
+
+        const count = `${errors.length}${truncated ? '+' : ''}`;
+        schemaStatus.textContent = `✗ ${count} schema ${errors.length === 1 ? 'violation' : 'violations'} against ${label}${missing}`;
+        errors.forEach(({ path, line, message }) => {
+            const item = document.createElement('li');
+            const where = document.createElement('span');
+            where.className = 'fv-schema-path';
+            where.textContent = path;
+            item.appendChild(where);
+            item.appendChild(document.createTextNode(` ${message}, line`));
+
+            const link = document.createElement('button');
+            link.className = 'fv-diagnostics-line';
+            link.textContent = String(line);
+            link.title = `Show line ${line} in Raw view`;
+            link.addEventListener('click', () => this.showRawLine(line));
+            item.appendChild(link);
+            schemaList.appendChild(item);
+        });
+    }
+
+    toggleSchemaList() {
+        const shown = this.elements.schemaList.style.display !== 'none';
+        this.elements.schemaList.style.display = shown ? 'none' : 'block';
+        this.elements.schemaToggleBtn.setAttribute('aria-expanded', String(!shown));
+        this.elements.schemaToggleBtn.textContent = shown ? 'Show All' : 'Hide';
+    }
+
     showHeadersModal() {
         console.log('🦊 Showing headers modal');
         this.populateHeaders();
@@ -386,6 +968,16 @@ class InlineViewer {
             }
 
             this.fileData = JSON.parse(decodeURIComponent(hash));
+            this.compare = null;
+            this.stylesheet = null;
+            this.remoteResources = false;
+            this.feed = null;
+            this.stopWatch();
+            this.stopEdit(false);
+            this.stopRawEdit(false);
+            this.showExportResult(null, []);
+            this.showDiagnostics(null);
+            this.stopSchemaValidation();
             console.log('🦊 Loading file:', this.fileData);
 
             this.updateFileInfo();
@@ -408,6 +1000,18 @@ class InlineViewer {
             this.elements.filename.textContent = filename;
             this.currentFormat = format;
 
+            // Queries only make sense for document formats; XML ones are XPath
+            this.elements.queryBox.disabled = !this.isQueryableFormat(format);
+            this.updateQueryBox(format);
+            // XSLT only applies to XML, and the Feed view to XML read as a feed
+            this.elements.transformedBtn.hidden = !this.isXmlFormat(format);
+            this.elements.feedBtn.hidden = !this.isXmlFormat(format) || !this.feed || !this.feed.feed;
+            if (['transformed', 'feed'].includes(this.currentView) && !this.isXmlFormat(format)) {
+                this.setActiveView('pretty');
+            }
+            this.elements.validateBtn.style.display = this.isXmlFormat(format) ? '' : 'none';
+            this.elements.editBtn.disabled = !ContentSerializer.canSerialize(format);
+
             // Update page title
             document.title = `${filename} - File Viewer`;
 
@@ -432,7 +1036,10 @@ class InlineViewer {
                     action: 'getCachedContent',
                     cacheKey: this.fileData.cacheKey
                 });
-            } else {
+            }
+
+            // Evicted, expired, or already handed over with caching disabled
+            if (!response || response.cacheMiss) {
                 console.log('🦊 Fetching content from URL');
                 // Fallback to direct fetch
                 response = await this.sendMessage({
@@ -484,14 +1091,20 @@ class InlineViewer {
         // Disable view toggle buttons when there's no content
         this.elements.prettyBtn.disabled = true;
         this.elements.rawBtn.disabled = true;
+        this.elements.transformedBtn.disabled = true;
+        this.elements.feedBtn.disabled = true;
         this.elements.prettyBtn.classList.remove('active');
         this.elements.rawBtn.classList.remove('active');
+        this.elements.transformedBtn.classList.remove('active');
+        this.elements.feedBtn.classList.remove('active');
     }
 
     enableViewToggle() {
         // Enable view toggle buttons when content is loaded
         this.elements.prettyBtn.disabled = false;
         this.elements.rawBtn.disabled = false;
+        this.elements.transformedBtn.disabled = false;
+        this.elements.feedBtn.disabled = false;
     }
 
     displayContent() {
@@ -501,13 +1114,24 @@ class InlineViewer {
         if (this.currentView === 'raw') {
             console.log('🦊 Displaying raw content');
             this.displayRawContent();
+        } else if (this.currentView === 'transformed') {
+            this.displayTransformedContent();
+        } else if (this.currentView === 'feed') {
+            this.displayFeedContent();
         } else {
             console.log('🦊 Displaying pretty content');
             this.displayPrettyContent();
         }
 
+        // After the view's own parse has started, so these share it
+        this.detectFeed();
+        // A reload or an edit changed the document since it was validated
+        this.refreshSchemaValidation();
+
         this.elements.content.classList.add('loaded');
-        this.elements.content.style.display = 'block'; // Force visibility
+        if (!this.activeParse) {
+            this.elements.content.style.display = 'block'; // Force visibility
+        }
         console.log('🦊 Content display completed');
         console.log('🦊 Content element classes:', this.elements.content.className);
         console.log('🦊 Content element style:', getComputedStyle(this.elements.content).display);
@@ -516,675 +1140,1687 @@ class InlineViewer {
     displayRawContent() {
         console.log('🦊 Displaying raw content, length:', this.currentContent.length);
 
+        // Drop any pretty render still waiting on the parser
+        this.renderId++;
+        this.cancelParse();
+
         // Clear content container
         this.elements.content.textContent = '';
 
         // Create modern code viewer container
         const codeViewer = this.createCodeViewer(this.currentContent, this.currentFormat);
         this.elements.content.appendChild(codeViewer);
+        this.codeView.mount();
+
+        this.codeView.setErrors(this.rawMarkers());
+        if (this.rawEdit) {
+            this.updateRawStatus();
+        }
+
+        if (this.searchTerm.length >= 2) {
+            this.codeView.setSearch(this.searchTerm);
+        }
 
         console.log('🦊 Modern raw content viewer created');
     }
 
-    displayPrettyContent() {
-        console.log('🦊 Parsing content, format:', this.currentFormat);
+    /**
+     * Show the XML transformed by its XSLT stylesheet (or one the user
+     * chose) in a sandboxed frame, where the output's scripts don't run and
+     * nothing is loaded from the web until the user allows it
+     */
+    async displayTransformedContent() {
+        const renderId = ++this.renderId;
+        this.cancelParse();
+
+        const view = document.createElement('div');
+        view.className = 'fv-transform';
+        const header = this.createTransformHeader();
+        const frame = document.createElement('iframe');
+        frame.className = 'fv-transform-frame';
+        frame.setAttribute('sandbox', '');
+        frame.title = 'Transformed document';
+        view.appendChild(header);
+        view.appendChild(frame);
+
+        this.elements.content.textContent = '';
+        this.elements.content.appendChild(view);
+
+        const status = header.querySelector('.fv-code-status');
+        const source = header.querySelector('.fv-code-file-info');
         try {
-            const parsedData = this.parseContent(this.currentContent, this.currentFormat);
-            console.log('🦊 Parsed data:', parsedData);
+            const xml = this.getXmlDocument();
+            const stylesheet = await this.loadStylesheet(xml);
+            if (renderId !== this.renderId) return;
+
+            if (!stylesheet) {
+                source.textContent = 'No stylesheet';
+                status.textContent = 'This document has no xml-stylesheet instruction for an XSLT file; choose one to transform it';
+                frame.remove();
+                return;
+            }
 
-            const treeHtml = this.renderTree(parsedData);
-            console.log('🦊 Tree HTML length:', treeHtml.length);
+            source.textContent = stylesheet.label;
+            source.title = stylesheet.chosen ? 'Chosen file' : 'From the document\'s xml-stylesheet instruction';
+            frame.srcdoc = XsltTransform.render(xml, stylesheet.content, this.fileData.originalUrl, { remote: this.remoteResources });
+        } catch (error) {
+            if (renderId !== this.renderId) return;
+            console.error('🦊 Transform failed:', error);
+            status.textContent = error.message;
+            status.title = error.message;
+            status.classList.add('fv-code-status-invalid');
+            frame.remove();
+        }
+    }
 
-            // Create tree container safely
-            const treeContainer = document.createElement('div');
-            treeContainer.className = 'fv-tree';
-            treeContainer.innerHTML = treeHtml; // treeHtml is generated by renderTree which escapes content
+    createTransformHeader() {
+        const header = document.createElement('div');
+        header.className = 'fv-code-header';
 
-            this.elements.content.textContent = '';
-            this.elements.content.appendChild(treeContainer);
+        const badge = document.createElement('span');
+        badge.className = 'fv-code-format-badge';
+        badge.textContent = 'XSLT';
 
-            // Add click handlers for tree expansion
-            this.bindTreeEvents();
+        const source = document.createElement('span');
+        source.className = 'fv-code-file-info';
 
-            // Apply search highlighting if there's a search term
-            if (this.searchTerm) {
-                this.highlightSearchResults();
-            }
+        const status = document.createElement('span');
+        status.className = 'fv-code-status';
 
-        } catch (error) {
-            console.error('🦊 Parse error:', error);
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = '.xsl,.xslt,.xml';
+        fileInput.hidden = true;
+        fileInput.addEventListener('change', async () => {
+            const file = fileInput.files[0];
+            if (!file) return;
+            this.stylesheet = { label: file.name, content: await file.text(), chosen: true };
+            this.displayContent();
+        });
 
-            // Create error display safely
-            const errorContainer = document.createElement('div');
-            errorContainer.className = 'fv-error';
+        const chooseButton = document.createElement('button');
+        chooseButton.className = 'fv-code-copy-btn';
+        chooseButton.textContent = 'Choose XSLT…';
+        chooseButton.title = 'Transform with an XSLT file from this computer';
+        chooseButton.addEventListener('click', () => fileInput.click());
+
+        const remoteButton = document.createElement('button');
+        remoteButton.className = 'fv-code-copy-btn';
+        remoteButton.textContent = this.remoteResources ? 'Block remote content' : 'Load remote content';
+        remoteButton.title = this.remoteResources
+            ? 'Stop the output loading images, styles and fonts from the web'
+            : 'Let the output load images, styles and fonts from the web, which tells those sites you opened it';
+        remoteButton.addEventListener('click', () => {
+            this.remoteResources = !this.remoteResources;
+            this.displayContent();
+        });
 
-            const errorTitle = document.createElement('div');
-            errorTitle.className = 'fv-error-title';
-            errorTitle.textContent = 'Parse Error';
+        const actions = document.createElement('div');
+        actions.className = 'fv-code-actions';
+        actions.appendChild(remoteButton);
+        if (this.stylesheet && this.stylesheet.chosen) {
+            const resetButton = document.createElement('button');
+            resetButton.className = 'fv-code-copy-btn';
+            resetButton.textContent = 'Use document\'s';
+            resetButton.title = 'Go back to the stylesheet the document names';
+            resetButton.addEventListener('click', () => {
+                this.stylesheet = null;
+                this.displayContent();
+            });
+            actions.appendChild(resetButton);
+        }
+        actions.appendChild(chooseButton);
+        actions.appendChild(fileInput);
 
-            const errorMessage = document.createElement('div');
-            errorMessage.textContent = `Failed to parse ${this.currentFormat.toUpperCase()} content: ${error.message}`;
+        header.appendChild(badge);
+        header.appendChild(source);
+        header.appendChild(status);
+        header.appendChild(actions);
+        return header;
+    }
 
-            const rawContent = document.createElement('pre');
-            rawContent.className = 'fv-raw-content';
-            rawContent.textContent = this.currentContent;
+    /**
+     * The chosen stylesheet, or the one the document names, fetched by the
+     * background script relative to the file's URL. Only a stylesheet from
+     * the document's own origin is fetched; others have to be chosen. Null
+     * when there is none.
+     */
+    async loadStylesheet(xml) {
+        if (this.stylesheet && this.stylesheet.chosen) {
+            return this.stylesheet;
+        }
 
-            errorContainer.appendChild(errorTitle);
-            errorContainer.appendChild(errorMessage);
+        const href = XsltTransform.stylesheetHref(xml);
+        if (!href) return null;
 
-            this.elements.content.textContent = '';
-            this.elements.content.appendChild(errorContainer);
-            this.elements.content.appendChild(rawContent);
+        const documentUrl = new URL(this.fileData.originalUrl);
+        const stylesheetUrl = new URL(href, documentUrl);
+        const url = stylesheetUrl.href;
+        if (stylesheetUrl.origin !== documentUrl.origin || stylesheetUrl.protocol !== documentUrl.protocol) {
+            throw new Error(`The stylesheet ${url} is on another site, so it isn't loaded; download it and use Choose XSLT… to transform with it`);
+        }
+        if (!this.stylesheet || this.stylesheet.label !== url) {
+            const response = await this.sendMessage({ action: 'fetchFile', url });
+            if (!response || !response.success) {
+                throw new Error(`Failed to load the stylesheet ${url}: ${response?.error || 'Unknown error occurred'}`);
+            }
+            this.stylesheet = { label: url, content: response.content, chosen: false };
         }
+        return this.stylesheet;
     }
 
-    createCodeViewer(content, format) {
-        // Create main code viewer container
-        const codeViewer = document.createElement('div');
-        codeViewer.className = 'fv-code-viewer';
+    /**
+     * Show the entries of an RSS or Atom feed, newest first, with their
+     * summaries cut down to safe HTML
+     */
+    async displayFeedContent() {
+        const renderId = ++this.renderId;
+
+        const view = document.createElement('div');
+        view.className = 'fv-feed';
+        const header = this.createFeedHeader();
+        view.appendChild(header);
+        this.elements.content.textContent = '';
+        this.elements.content.appendChild(view);
 
-        // Create header with format info and controls
-        const header = this.createCodeViewerHeader(format, content.length);
-        codeViewer.appendChild(header);
+        const status = header.querySelector('.fv-code-status');
+        try {
+            const feed = FeedReader.read(await this.getParsedContent({ nodes: true }));
+            if (renderId !== this.renderId) return;
+            if (!feed) {
+                throw new Error('This document is not an RSS 2.0 or Atom feed');
+            }
 
-        // Create code container with line numbers and syntax highlighting
-        const codeContainer = this.createCodeContainer(content, format);
-        codeViewer.appendChild(codeContainer);
+            header.querySelector('.fv-code-format-badge').textContent = feed.format;
+            header.querySelector('.fv-code-file-info').textContent = `${feed.entries.length} ${feed.entries.length === 1 ? 'entry' : 'entries'}`;
+            view.appendChild(this.createFeedBody(feed));
 
-        return codeViewer;
+            if (this.searchTerm) {
+                this.highlightSearchResults();
+            }
+        } catch (error) {
+            if (renderId !== this.renderId || error.cancelled) return;
+            console.error('🦊 Feed view failed:', error);
+            status.textContent = error.message.split('\n')[0];
+            status.title = error.message;
+            status.classList.add('fv-code-status-invalid');
+        }
     }
 
-    createCodeViewerHeader(format, contentLength) {
+    createFeedHeader() {
         const header = document.createElement('div');
         header.className = 'fv-code-header';
 
-        // Format badge
-        const formatBadge = document.createElement('span');
-        formatBadge.className = 'fv-code-format-badge';
-        formatBadge.textContent = format.toUpperCase();
-
-        // File info
-        const fileInfo = document.createElement('span');
-        fileInfo.className = 'fv-code-file-info';
-        fileInfo.textContent = `${this.formatBytes(contentLength)} • ${this.countLines(this.currentContent)} lines`;
-
-        // Copy button
-        const copyButton = document.createElement('button');
-        copyButton.className = 'fv-code-copy-btn';
-
-        const copyIcon = document.createElement('span');
-        copyIcon.className = 'fv-copy-icon';
-        copyIcon.textContent = '📋';
+        const badge = document.createElement('span');
+        badge.className = 'fv-code-format-badge';
+        badge.textContent = 'FEED';
 
-        copyButton.appendChild(copyIcon);
-        copyButton.appendChild(document.createTextNode('Copy'));
-        copyButton.addEventListener('click', () => this.copyRawContent());
+        const info = document.createElement('span');
+        info.className = 'fv-code-file-info';
 
-        header.appendChild(formatBadge);
-        header.appendChild(fileInfo);
-        header.appendChild(copyButton);
+        const status = document.createElement('span');
+        status.className = 'fv-code-status';
 
+        header.appendChild(badge);
+        header.appendChild(info);
+        header.appendChild(status);
         return header;
     }
 
-    createCodeContainer(content, format) {
-        const container = document.createElement('div');
-        container.className = 'fv-code-container';
+    createFeedBody(feed) {
+        const body = document.createElement('div');
+        body.className = 'fv-feed-body';
+        const baseUrl = this.fileData.originalUrl;
+
+        const title = document.createElement('h1');
+        title.className = 'fv-feed-title';
+        title.appendChild(this.createFeedLink(feed.title || 'Untitled feed', feed.link, baseUrl));
+        body.appendChild(title);
+
+        if (feed.description) {
+            const description = document.createElement('p');
+            description.className = 'fv-feed-description';
+            description.textContent = feed.description;
+            body.appendChild(description);
+        }
 
-        // Split content into lines for processing
-        const lines = content.split('\n');
+        const meta = [
+            feed.updated ? `Updated ${feed.updated.toLocaleString()}` : '',
+            feed.author ? `By ${feed.author}` : '',
+            feed.language,
+            feed.generator ? `Made with ${feed.generator}` : ''
+        ].filter(Boolean);
+        if (meta.length > 0) {
+            const metaLine = document.createElement('div');
+            metaLine.className = 'fv-feed-meta';
+            metaLine.textContent = meta.join(' · ');
+            body.appendChild(metaLine);
+        }
 
-        // Create line numbers column
-        const lineNumbers = this.createLineNumbers(lines.length);
-        container.appendChild(lineNumbers);
+        const list = document.createElement('ol');
+        list.className = 'fv-feed-entries';
+        feed.entries.forEach(entry => list.appendChild(this.createFeedEntry(entry, baseUrl)));
+        body.appendChild(list);
+        return body;
+    }
 
-        // Create code content with syntax highlighting
-        const codeContent = this.createHighlightedCode(lines, format);
-        container.appendChild(codeContent);
+    createFeedEntry(entry, baseUrl) {
+        const item = document.createElement('li');
+        item.className = 'fv-feed-entry';
+
+        const title = document.createElement('h2');
+        title.className = 'fv-feed-entry-title';
+        title.appendChild(this.createFeedLink(entry.title || 'Untitled entry', entry.link, baseUrl));
+        item.appendChild(title);
+
+        const meta = document.createElement('div');
+        meta.className = 'fv-feed-entry-meta';
+        if (entry.date) {
+            const time = document.createElement('time');
+            time.dateTime = entry.date.toISOString();
+            time.textContent = entry.date.toLocaleString();
+            time.title = entry.dateText;
+            meta.appendChild(time);
+        } else if (entry.dateText) {
+            meta.appendChild(document.createTextNode(entry.dateText));
+        }
+        if (entry.author) {
+            meta.appendChild(document.createTextNode(`${meta.firstChild ? ' · ' : ''}${entry.author}`));
+        }
+        const line = document.createElement('button');
+        line.className = 'fv-diagnostics-line';
+        line.textContent = `line ${entry.line}`;
+        line.title = `Show line ${entry.line} in Raw view`;
+        line.addEventListener('click', () => this.showRawLine(entry.line));
+        if (meta.firstChild) meta.appendChild(document.createTextNode(' ·'));
+        meta.appendChild(line);
+        item.appendChild(meta);
+
+        if (entry.summary) {
+            const summary = document.createElement('div');
+            summary.className = 'fv-feed-summary';
+            if (entry.summary.html !== undefined) {
+                summary.appendChild(FeedReader.sanitize(entry.summary.html, document, FeedReader.safeUrl(entry.link, baseUrl) || baseUrl));
+            } else {
+                summary.textContent = entry.summary.text;
+            }
+            item.appendChild(summary);
+        }
+        return item;
+    }
 
-        return container;
+    // Opens in a new tab; plain text when there is no http(s) or mailto link
+    createFeedLink(text, href, baseUrl) {
+        const url = FeedReader.safeUrl(href, baseUrl);
+        if (!url) return document.createTextNode(text);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.target = '_blank';
+        link.rel = 'noopener noreferrer';
+        link.textContent = text;
+        return link;
     }
 
-    createLineNumbers(lineCount) {
-        const lineNumbers = document.createElement('div');
-        lineNumbers.className = 'fv-code-line-numbers';
+    // Offer the Feed view when the XML is an RSS or Atom feed
+    async detectFeed() {
+        const content = this.currentContent;
+        if (!this.isXmlFormat(this.currentFormat) || !content || (this.feed && this.feed.content === content)) return;
 
-        for (let i = 1; i <= lineCount; i++) {
-            const lineNumber = document.createElement('div');
-            lineNumber.className = 'fv-code-line-number';
-            lineNumber.textContent = i.toString();
-            lineNumbers.appendChild(lineNumber);
+        const detection = { content, feed: null };
+        this.feed = detection;
+        try {
+            detection.feed = FeedReader.read(await this.getParsedContent({ nodes: true, quiet: true }));
+        } catch (error) {
+            // A cancelled parse is tried again next time; a document that doesn't parse is no feed
+            if (error.cancelled && this.feed === detection) {
+                this.feed = null;
+                return;
+            }
         }
-
-        return lineNumbers;
+        if (this.feed !== detection || content !== this.currentContent) return;
+        this.elements.feedBtn.hidden = !detection.feed;
     }
 
-    createHighlightedCode(lines, format) {
-        const codeContent = document.createElement('div');
-        codeContent.className = 'fv-code-content';
+    async displayPrettyContent() {
+        console.log('🦊 Parsing content, format:', this.currentFormat);
+        // A newer render (view switch, query, reload) supersedes this one
+        const renderId = ++this.renderId;
+        const treeState = this.pendingTreeState;
+        this.pendingTreeState = null;
+        try {
+            const parsedData = await this.getParsedContent();
+            if (renderId !== this.renderId) return;
+            console.log('🦊 Parsed data:', parsedData);
 
-        // Create a single pre/code block for Prism.js
-        const preElement = document.createElement('pre');
-        preElement.className = 'fv-code-pre';
-        const codeElement = document.createElement('code');
+            if (this.compare) {
+                await this.displayDiff(parsedData, renderId);
+                return;
+            }
 
-        // Map our format names to Prism.js language classes
-        const languageMap = {
-            'json': 'language-json',
-            'yaml': 'language-yaml',
-            'yml': 'language-yaml',
-            'xml': 'language-markup',
-            'csv': 'language-csv',
-            'toml': 'language-toml'
-        };
+            let treeData = parsedData;
+            let querySummary = null;
+            let xpathResult = null;
+            if (this.queryExpression && this.isQueryableFormat(this.currentFormat)) {
+                try {
+                    if (this.isXmlFormat(this.currentFormat)) {
+                        xpathResult = this.runXPath(this.queryExpression);
+                        querySummary = this.createXPathSummary(xpathResult);
+                    } else if (SqlQuery.isSql(this.queryExpression)) {
+                        const filename = this.fileData && this.getFilenameFromUrl(this.fileData.originalUrl);
+                        const tableName = filename ? filename.replace(/\.[^.]*$/, '') : null;
+                        const table = SqlQuery.run(this.queryExpression, parsedData, { tableName });
+                        this.elements.queryBox.classList.remove('invalid');
+                        this.displayCsvGrid(table, this.createQuerySummary(table.rows.length));
+                        return;
+                    } else {
+                        // jq over CSV sees the list of row objects
+                        const input = this.isTabularFormat(this.currentFormat) ? parsedData.rows : parsedData;
+                        const results = JsonQuery.run(this.queryExpression, input);
+                        // A single output is shown as-is, a stream is shown as a list
+                        treeData = results.length === 1 ? results[0] : results;
+                        querySummary = this.createQuerySummary(results.length);
+                    }
+                    this.elements.queryBox.classList.remove('invalid');
+                } catch (queryError) {
+                    console.error('🦊 Query error:', queryError);
+                    this.elements.queryBox.classList.add('invalid');
+                    this.showQueryError(queryError);
+                    return;
+                }
+            }
 
-        const languageClass = languageMap[format.toLowerCase()] || 'language-none';
-        codeElement.className = languageClass;
-        codeElement.textContent = lines.join('\n');
+            if (this.isTabularFormat(this.currentFormat) && !querySummary) {
+                this.displayCsvGrid(parsedData);
+                return;
+            }
 
-        preElement.appendChild(codeElement);
+            // Windowed tree (js/core/tree.js): only rows near the viewport are in the DOM
+            const options = this.treeOptions(parsedData);
+            options.viewState = treeState ? treeState.viewState : null;
+            if (this.edit && !querySummary) {
+                options.onEdit = (operation) => this.applyEdit(operation);
+                this.tree = new EditableTree(treeData, options);
+            } else if (this.isXmlFormat(this.currentFormat)) {
+                // Every node in document order, rather than the object model
+                const document = await this.getParsedContent({ nodes: true });
+                if (renderId !== this.renderId) return;
+                this.tree = new XmlTree(document, options);
+                this.suggestNamespace(document);
+            } else {
+                this.tree = new VirtualTree(treeData, options);
+            }
 
-        // Apply Prism.js highlighting
-        if (typeof Prism !== 'undefined') {
-            Prism.highlightElement(codeElement);
-        }
+            this.elements.content.textContent = '';
+            if (querySummary) {
+                this.elements.content.appendChild(querySummary);
+            }
+            this.elements.content.appendChild(this.tree.render());
+            this.tree.mount();
 
-        // Split the highlighted content into individual lines
-        this.wrapPrismOutputInLines(preElement, codeContent);
+            // XPath selects nodes of the DOMParser document; the tree shows XmlParser's
+            if (xpathResult && xpathResult.type === 'nodes') {
+                this.tree.markDomNodes(xpathResult.nodes);
+            }
 
-        return codeContent;
-    }
+            if (treeState && treeState.flash) {
+                this.tree.flash(treeState.flash);
+            }
+            if (treeState && treeState.edit) {
+                this.tree.startEdit(treeState.edit.path, treeState.edit.field);
+            } else if (treeState && treeState.focus) {
+                this.tree.container.focus({ preventScroll: true });
+            }
 
-    wrapPrismOutputInLines(preElement, container) {
-        // Extract the highlighted content from Prism
-        const highlightedCode = preElement.querySelector('code');
-        const lines = highlightedCode.innerHTML.split('\n');
+            // Apply search highlighting if there's a search term
+            if (this.searchTerm) {
+                this.highlightSearchResults();
+            }
 
-        lines.forEach((line, index) => {
-            const lineElement = document.createElement('div');
-            lineElement.className = 'fv-code-line';
-            lineElement.setAttribute('data-line', index + 1);
-            lineElement.innerHTML = line || '&nbsp;'; // Handle empty lines
+        } catch (error) {
+            if (renderId !== this.renderId) return;
+            console.error('🦊 Parse error:', error);
+            this.showParseError(error);
+        }
+    }
 
-            // Add synchronized hover between line numbers and code
-            lineElement.addEventListener('mouseenter', () => {
-                const lineNumber = document.querySelectorAll('.fv-code-line-number')[index];
-                if (lineNumber) {
-                    lineNumber.classList.add('hover-highlight');
-                }
-            });
+    // data is the parsed document, for badging the objects that repeat keys
+    treeOptions(data) {
+        const header = document.querySelector('.fv-header');
+        return {
+            sortKeys: this.settings.sortKeys,
+            duplicates: this.duplicateMap(data),
+            stickyOffset: () => (header ? header.getBoundingClientRect().bottom : 0)
+        };
+    }
 
-            lineElement.addEventListener('mouseleave', () => {
-                const lineNumber = document.querySelectorAll('.fv-code-line-number')[index];
-                if (lineNumber) {
-                    lineNumber.classList.remove('hover-highlight');
-                }
-            });
+    /**
+     * Pretty view of a document that failed to parse: where the error is,
+     * a link to it in the raw view, and the tree of what parsed before it
+     */
+    showParseError(error) {
+        // Create error display safely
+        const errorContainer = document.createElement('div');
+        errorContainer.className = 'fv-error';
 
-            container.appendChild(lineElement);
-        });
+        const errorTitle = document.createElement('div');
+        errorTitle.className = 'fv-error-title';
 
-        // Also add hover from line numbers to code lines
-        document.querySelectorAll('.fv-code-line-number').forEach((lineNum, index) => {
-            lineNum.addEventListener('mouseenter', () => {
-                const codeLine = container.querySelectorAll('.fv-code-line')[index];
-                if (codeLine) {
-                    codeLine.classList.add('hover-highlight');
-                }
-            });
+        const errorMessage = document.createElement('div');
 
-            lineNum.addEventListener('mouseleave', () => {
-                const codeLine = container.querySelectorAll('.fv-code-line')[index];
-                if (codeLine) {
-                    codeLine.classList.remove('hover-highlight');
-                }
-            });
-        });
+        errorContainer.appendChild(errorTitle);
+        errorContainer.appendChild(errorMessage);
+        this.elements.content.textContent = '';
+        this.elements.content.appendChild(errorContainer);
+
+        if (error.cancelled || error.timedOut) {
+            errorTitle.textContent = error.cancelled ? 'Parsing Cancelled' : 'Parsing Timed Out';
+            errorMessage.textContent = `${error.message}. Switch to Raw to view the file as text.`;
+            return;
+        }
+
+        this.parseError = { content: this.currentContent, format: this.currentFormat, error };
+        errorTitle.textContent = 'Parse Error';
+        errorMessage.textContent = `Failed to parse ${this.currentFormat.toUpperCase()} content: ${error.message}`;
+
+        const location = typeof error.line === 'number'
+            ? `line ${error.line}${error.column ? `, column ${error.column}` : ''}`
+            : null;
+
+        if (error.partial !== undefined) {
+            const note = document.createElement('div');
+            note.className = 'fv-partial-note';
+            note.textContent = `The tree below shows the part of the document before the error${location ? ` on ${location}` : ''}.`;
+            errorContainer.appendChild(note);
+        }
+
+        const button = this.createSummaryButton(location ? `Show ${location} in Raw view` : 'Show in Raw view', 'Open the raw text at the error', () => this.showErrorInRaw());
+        errorContainer.appendChild(button);
+
+        if (error.partial !== undefined) {
+            // XML is parsed to its node tree, so that is what is left of it
+            this.tree = this.isXmlFormat(this.currentFormat)
+                ? new XmlTree(error.partial, this.treeOptions(null))
+                : new VirtualTree(error.partial, this.treeOptions(error.partial));
+            this.elements.content.appendChild(this.tree.render());
+            this.tree.mount();
+
+            if (this.searchTerm) {
+                this.highlightSearchResults();
+            }
+        }
     }
 
-    // Helper methods for code viewer
-    formatBytes(bytes) {
-        if (bytes === 0) return '0 Bytes';
-        const k = 1024;
-        const sizes = ['Bytes', 'KB', 'MB', 'GB'];
-        const i = Math.floor(Math.log(bytes) / Math.log(k));
-        return parseFloat((bytes / Math.pow(k, i)).toFixed(1)) + ' ' + sizes[i];
+    // Raw view with the line of the last parse error marked and scrolled into view
+    showErrorInRaw() {
+        this.showRawLine(this.parseError.error.line);
     }
 
-    countLines(content) {
-        // Count actual lines in content
-        return content.split('\n').length;
+    showRawLine(line) {
+        this.setActiveView('raw');
+        this.displayContent();
+        if (typeof line === 'number') {
+            this.codeView.scrollToLine(line - 1);
+        }
     }
 
-    copyRawContent() {
-        // Copy the raw content to clipboard
-        if (navigator.clipboard && navigator.clipboard.writeText) {
-            navigator.clipboard.writeText(this.currentContent).then(() => {
-                this.showCopyFeedback();
-            }).catch(err => {
-                console.error('🦊 Clipboard copy failed:', err);
-                this.fallbackCopyRawContent();
-            });
-        } else {
-            this.fallbackCopyRawContent();
+    // A parse error as a raw view line marker
+    errorMarker(error) {
+        return { line: error.line, column: error.column, message: error.message.split('\n')[0] };
+    }
+
+    showCompareModal() {
+        if (!this.currentContent) return;
+
+        this.elements.compareError.textContent = '';
+        this.elements.compareModal.style.display = 'flex';
+        document.body.style.overflow = 'hidden';
+        this.elements.compareUrl.focus();
+
+        this.compareEscapeHandler = (e) => {
+            if (e.key === 'Escape') {
+                this.hideCompareModal();
+            }
+        };
+        document.addEventListener('keydown', this.compareEscapeHandler);
+    }
+
+    hideCompareModal() {
+        this.elements.compareModal.style.display = 'none';
+        document.body.style.overflow = '';
+
+        if (this.compareEscapeHandler) {
+            document.removeEventListener('keydown', this.compareEscapeHandler);
+            this.compareEscapeHandler = null;
         }
     }
 
-    fallbackCopyRawContent() {
-        // Create temporary textarea for fallback copy
-        const textarea = document.createElement('textarea');
-        textarea.value = this.currentContent;
-        textarea.style.position = 'fixed';
-        textarea.style.opacity = '0';
-        document.body.appendChild(textarea);
-        textarea.select();
+    /**
+     * Load the document chosen in the Compare dialog and show the diff
+     */
+    async startCompare() {
+        const runBtn = this.elements.compareForm.querySelector('button[type="submit"]');
+        runBtn.disabled = true;
+        this.elements.compareError.textContent = '';
 
         try {
-            document.execCommand('copy');
-            this.showCopyFeedback();
-        } catch (err) {
-            console.error('🦊 Fallback copy failed:', err);
+            const source = await this.readCompareSource();
+            this.compare = {
+                label: source.label,
+                content: source.content,
+                format: this.detectFormatFromName(source.label) || this.currentFormat,
+                matchKey: this.elements.compareMatchKey.value.trim(),
+                parsed: null
+            };
+
+            this.hideCompareModal();
+            // Queries apply to a single document
+            this.elements.queryBox.disabled = true;
+            this.setActiveView('pretty');
+            this.displayContent();
+        } catch (error) {
+            console.error('🦊 Compare failed:', error);
+            this.elements.compareError.textContent = error.message;
         } finally {
-            document.body.removeChild(textarea);
+            runBtn.disabled = false;
         }
     }
 
+    // A local file wins over pasted text, which wins over a URL
+    async readCompareSource() {
+        const file = this.elements.compareFile.files[0];
+        if (file) {
+            return { label: file.name, content: await file.text() };
+        }
 
-    parseContent(content, format) {
-        // Input validation and security checks
-        this.validateParseInput(content, format);
+        const text = this.elements.compareText.value;
+        if (text.trim()) {
+            return { label: 'pasted text', content: text };
+        }
 
-        switch (format.toLowerCase()) {
-            case 'json':
-                // Use synchronous parsing with validation
-                return JSON.parse(content);
+        const url = this.elements.compareUrl.value.trim();
+        if (url) {
+            // The background script fetches it, so other origins work too
+            const response = await this.sendMessage({ action: 'fetchFile', url });
+            if (!response || !response.success) {
+                throw new Error(`Failed to load ${url}: ${response?.error || 'Unknown error occurred'}`);
+            }
+            return { label: url, content: response.content };
+        }
 
-            case 'yaml':
-            case 'yml':
-                console.log('🦊 Checking YAML parser availability:', typeof jsyaml);
-                if (typeof jsyaml !== 'undefined') {
-                    const result = jsyaml.load(content);
-                    console.log('🦊 YAML parsed successfully:', result);
-                    return result;
-                }
-                throw new Error('YAML parser not available');
+        throw new Error('Enter a URL, paste a document or choose a file to compare with');
+    }
 
-            case 'xml':
-                return this.parseXml(content);
+    detectFormatFromName(name) {
+        const match = /\.([a-z]+)(?:[?#].*)?$/i.exec(name || '');
+        const formats = { json: 'json', yaml: 'yaml', yml: 'yaml', xml: 'xml', csv: 'csv', tsv: 'tsv', toml: 'toml' };
+        return match ? formats[match[1].toLowerCase()] || null : null;
+    }
 
-            case 'csv':
-                return this.parseCsv(content);
+    exitCompare() {
+        this.compare = null;
+        this.elements.queryBox.disabled = !this.isQueryableFormat(this.currentFormat);
+        this.displayContent();
+    }
 
-            case 'toml':
-                return this.parseToml(content);
+    /**
+     * Diff the current document against the one loaded for comparison
+     */
+    async displayDiff(parsedData, renderId) {
+        const compare = this.compare;
+        let otherData;
+        try {
+            if (!compare.parsed) {
+                compare.parsed = this.parseContent(compare.content, compare.format, ViewerSettings.maxFileSizeBytes(this.settings));
+                compare.parsed.catch(() => {
+                    compare.parsed = null;
+                });
+            }
+            otherData = await compare.parsed;
+        } catch (error) {
+            if (renderId !== this.renderId) return;
+            this.showCompareError(`Failed to parse ${compare.label} as ${compare.format.toUpperCase()}: ${error.message}`);
+            return;
+        }
+        if (renderId !== this.renderId) return;
+
+        // CSV and TSV are compared row by row
+        const left = this.isTabularFormat(this.currentFormat) ? parsedData.rows : parsedData;
+        const right = this.isTabularFormat(compare.format) ? otherData.rows : otherData;
+        const diff = StructuralDiff.compare(left, right, { matchKey: compare.matchKey });
+
+        const header = document.querySelector('.fv-header');
+        this.tree = new DiffTree(diff, {
+            sortKeys: this.settings.sortKeys,
+            stickyOffset: () => (header ? header.getBoundingClientRect().bottom : 0)
+        });
 
-            default:
-                throw new Error(`Unsupported format: ${format}`);
+        this.elements.content.textContent = '';
+        this.elements.content.appendChild(this.createDiffSummary(diff));
+        this.elements.content.appendChild(this.tree.render());
+        this.tree.mount();
+
+        if (this.searchTerm) {
+            this.highlightSearchResults();
         }
     }
 
-    parseXml(content) {
-        const parser = new DOMParser();
-        const doc = parser.parseFromString(content, 'text/xml');
+    createDiffSummary(diff) {
+        const counts = StructuralDiff.summarize(diff);
+        const summary = document.createElement('div');
+        summary.className = 'fv-query-summary fv-diff-summary';
+
+        const label = document.createElement('code');
+        label.textContent = this.compare.label;
+
+        const total = counts.added + counts.removed + counts.changed;
+        const text = total === 0
+            ? 'No differences from '
+            : `${counts.added} added, ${counts.removed} removed, ${counts.changed} changed compared with `;
+        summary.appendChild(document.createTextNode(text));
+        summary.appendChild(label);
+        if (this.compare.matchKey) {
+            summary.appendChild(document.createTextNode(` (array items matched by "${this.compare.matchKey}")`));
+        }
+
+        const position = document.createElement('span');
+        position.className = 'fv-diff-position';
+
+        const step = (direction) => {
+            const result = this.tree.nextChange(direction);
+            position.textContent = result.count > 0 ? `${result.index + 1} of ${result.count}` : '';
+        };
 
-        if (doc.getElementsByTagName('parsererror').length > 0) {
-            throw new Error('Invalid XML content');
+        if (total > 0) {
+            summary.appendChild(this.createSummaryButton('Previous', 'Previous change', () => step(-1)));
+            summary.appendChild(this.createSummaryButton('Next', 'Next change', () => step(1)));
+            summary.appendChild(position);
         }
+        summary.appendChild(this.createSummaryButton('Exit Compare', 'Show this document only', () => this.exitCompare()));
 
-        return this.xmlToObject(doc);
+        return summary;
     }
 
-    parseCsv(content) {
-        const lines = content.trim().split('\n');
-        if (lines.length === 0) return [];
+    createSummaryButton(text, title, onClick) {
+        const button = document.createElement('button');
+        button.className = 'fv-cancel-btn';
+        button.textContent = text;
+        button.title = title;
+        button.addEventListener('click', onClick);
+        return button;
+    }
 
-        const headers = this.parseCsvLine(lines[0]);
-        const rows = lines.slice(1).map(line => {
-            const values = this.parseCsvLine(line);
-            const row = {};
-            headers.forEach((header, index) => {
-                row[header] = values[index] || '';
-            });
-            return row;
-        });
+    showCompareError(message) {
+        const errorContainer = document.createElement('div');
+        errorContainer.className = 'fv-error';
+
+        const errorTitle = document.createElement('div');
+        errorTitle.className = 'fv-error-title';
+        errorTitle.textContent = 'Compare Error';
 
-        return { headers, rows, totalRows: rows.length };
+        const errorMessage = document.createElement('div');
+        errorMessage.textContent = message;
+
+        errorContainer.appendChild(errorTitle);
+        errorContainer.appendChild(errorMessage);
+        errorContainer.appendChild(this.createSummaryButton('Exit Compare', 'Show this document only', () => this.exitCompare()));
+
+        this.elements.content.textContent = '';
+        this.elements.content.appendChild(errorContainer);
     }
 
-    parseToml(content) {
-        // Basic TOML parsing - expand as needed
-        const result = {};
-        const lines = content.split('\n').filter(line => line.trim() && !line.startsWith('#'));
+    /**
+     * Edit the document in the tree. Every edit is written back to the
+     * current content, so the raw view, Download and Copy show the result.
+     */
+    async startEdit() {
+        if (!this.currentContent || !ContentSerializer.canSerialize(this.currentFormat)) return;
+
+        // Edits apply to this document as a whole, and a watched reload would overwrite them
+        this.stopWatch();
+        this.compare = null;
+        this.queryExpression = '';
+        this.elements.queryBox.value = '';
+        this.elements.queryBox.classList.remove('invalid');
+
+        let data;
+        try {
+            data = await this.getParsedContent();
+        } catch (error) {
+            console.error('🦊 Cannot edit:', error);
+            this.setActiveView('pretty');
+            this.displayContent();
+            return;
+        }
 
-        let currentSection = result;
+        this.edit = { editor: new TreeEditor(data) };
+        this.elements.editBtn.classList.add('active');
+        this.elements.editBtn.setAttribute('aria-pressed', 'true');
+        this.elements.editBar.style.display = 'flex';
+        this.elements.queryBox.disabled = true;
+        this.elements.compareBtn.disabled = true;
+        this.elements.watchBtn.disabled = true;
+        this.updateEditBar();
 
-        for (const line of lines) {
-            if (line.startsWith('[') && line.endsWith(']')) {
-                const section = line.slice(1, -1);
-                currentSection = result[section] = {};
-            } else if (line.includes('=')) {
-                const [key, ...valueParts] = line.split('=');
-                const value = valueParts.join('=').trim();
-                currentSection[key.trim()] = this.parseTomlValue(value);
-            }
+        this.setActiveView('pretty');
+        this.displayContent();
+    }
+
+    /**
+     * Leave edit mode; the edited content stays
+     */
+    stopEdit(rerender = true) {
+        if (!this.edit) return;
+
+        this.edit = null;
+        this.elements.editBtn.classList.remove('active');
+        this.elements.editBtn.setAttribute('aria-pressed', 'false');
+        this.elements.editBar.style.display = 'none';
+        this.elements.queryBox.disabled = !this.isQueryableFormat(this.currentFormat);
+        this.elements.compareBtn.disabled = false;
+        this.elements.watchBtn.disabled = false;
+
+        if (rerender && this.currentView === 'pretty') {
+            this.displayContent();
+        }
+    }
+
+    /**
+     * Make an edit from the tree. Returns an error message when the edit
+     * doesn't fit the document or its format, in which case nothing changes.
+     */
+    applyEdit(operation) {
+        let target;
+        try {
+            target = this.edit.editor.apply(operation, () => this.writeEditedContent());
+        } catch (error) {
+            console.error('🦊 Edit rejected:', error);
+            this.updateEditBar(error.message);
+            return error.message;
         }
 
-        return result;
+        // New keys and items open for typing right away
+        const edit = operation.type === 'insert' ? { path: target, field: 'key' } : null;
+        this.showEditedTree(target, edit);
+        return null;
     }
 
-    renderTree(data, level = 0) {
-        if (data === null || data === undefined) {
-            return this.renderValue(data, level);
+    undoEdit() {
+        if (this.edit && this.edit.editor.canUndo()) {
+            const target = this.edit.editor.undo();
+            this.writeEditedContent();
+            this.showEditedTree(target);
         }
+    }
 
-        if (Array.isArray(data)) {
-            return this.renderArray(data, level);
+    redoEdit() {
+        if (this.edit && this.edit.editor.canRedo()) {
+            const target = this.edit.editor.redo();
+            this.writeEditedContent();
+            this.showEditedTree(target);
         }
+    }
+
+    // Serialize the edited document as the file's format; throws when the format can't hold it
+    writeEditedContent() {
+        const data = this.edit.editor.data;
+        const content = ContentSerializer.serialize(data, this.currentFormat, { indent: this.settings.indentSize });
+
+        this.currentContent = content;
+        // The tree already shows this data, so it needn't be parsed again
+        this.parsed = {
+            content,
+            format: this.currentFormat,
+            maxFileSize: ViewerSettings.maxFileSizeBytes(this.settings),
+            losslessNumbers: this.settings.losslessNumbers,
+            promise: Promise.resolve(data)
+        };
+        // A serialized document has no repeated keys
+        this.showDiagnostics(null);
+        this.elements.filesize.textContent = `${(content.length / 1024).toFixed(1)}KB`;
+        this.updateEditBar();
+    }
 
-        if (typeof data === 'object') {
-            return this.renderObject(data, level);
+    // Rebuild the tree after an edit, with the same rows open and the edited value focused
+    showEditedTree(focusPath, edit = null) {
+        if (this.currentView !== 'pretty') {
+            this.displayContent();
+            return;
         }
 
-        return this.renderValue(data, level);
+        const viewState = this.isTreeShown() ? this.tree.viewState() : null;
+        if (viewState) {
+            viewState.focused = focusPath;
+        }
+        this.pendingTreeState = { viewState, edit, focus: true };
+        this.displayPrettyContent();
     }
 
-    renderObject(obj, level = 0) {
-        const keys = Object.keys(obj);
-        if (keys.length === 0) {
-            return `<div class="fv-tree-line">
-                ${this.getIndent(level)}
-                <span class="fv-tree-content">{}</span>
-            </div>`;
+    updateEditBar(error = null) {
+        if (!this.edit) return;
+
+        const editor = this.edit.editor;
+        const count = editor.undoStack.length;
+        this.elements.editUndoBtn.disabled = !editor.canUndo();
+        this.elements.editRedoBtn.disabled = !editor.canRedo();
+
+        this.elements.editStatus.classList.toggle('fv-edit-failed', Boolean(error));
+        this.elements.editStatus.textContent = error ||
+            (count > 0 ? `${count} ${count === 1 ? 'edit' : 'edits'}, saved as ${this.currentFormat.toUpperCase()} by Download and Copy` : 'Double-click a key or value to edit it');
+    }
+
+    /**
+     * Edit the raw text. Each change becomes the current content, and is
+     * parsed once typing pauses; errors are marked at their line.
+     */
+    startRawEdit() {
+        if (!this.currentContent || this.rawEdit) return;
+
+        // A watched reload would replace the text, and tree edits would replace it again
+        this.stopWatch();
+        this.stopEdit(false);
+
+        this.rawEdit = { timer: null, errors: [], state: 'idle', error: null };
+        this.elements.editBtn.disabled = true;
+        this.elements.watchBtn.disabled = true;
+
+        this.setActiveView('raw');
+        this.displayContent();
+        this.codeView.input.focus({ preventScroll: true });
+    }
+
+    /**
+     * Stop editing the raw text; the edited content stays
+     */
+    stopRawEdit(rerender = true) {
+        if (!this.rawEdit) return;
+
+        clearTimeout(this.rawEdit.timer);
+        this.rawEdit = null;
+        this.elements.editBtn.disabled = !ContentSerializer.canSerialize(this.currentFormat);
+        this.elements.watchBtn.disabled = false;
+
+        if (rerender && this.currentView === 'raw') {
+            this.displayContent();
         }
+    }
 
-        const lines = [];
+    handleRawInput(content) {
+        this.currentContent = content;
+        this.elements.filesize.textContent = `${(content.length / 1024).toFixed(1)}KB`;
+        const fileInfo = this.elements.content.querySelector('.fv-code-file-info');
+        if (fileInfo) {
+            fileInfo.textContent = `${this.formatBytes(content.length)} • ${this.countLines(content)} lines`;
+        }
 
-        // For root level, don't show the opening brace
-        if (level === 0) {
-            keys.forEach((key, index) => {
-                const value = obj[key];
-                lines.push(this.renderProperty(key, value, level));
-            });
+        clearTimeout(this.rawEdit.timer);
+        this.rawEdit.state = 'checking';
+        this.updateRawStatus();
+        this.rawEdit.timer = setTimeout(() => this.validateRawContent(), InlineViewer.RAW_CHECK_DELAY_MS);
+    }
+
+    // Parse the edited text; a valid parse is what the Pretty view shows next
+    async validateRawContent() {
+        const rawEdit = this.rawEdit;
+        const content = this.currentContent;
+        let errors = [];
+        let parseError = null;
+        try {
+            await this.getParsedContent({ quiet: true });
+        } catch (error) {
+            if (error.cancelled) return;
+            parseError = error;
+            errors = [this.errorMarker(error)];
+        }
+
+        // Typing carried on, or editing stopped, while the parser ran
+        if (rawEdit !== this.rawEdit || content !== this.currentContent) return;
+
+        rawEdit.errors = errors;
+        rawEdit.error = parseError;
+        rawEdit.state = parseError ? 'invalid' : 'valid';
+        if (this.isCodeShown() && this.codeView instanceof EditableCodeView) {
+            this.codeView.setErrors(errors.concat(this.diagnosticMarkers()));
+        }
+        this.updateRawStatus();
+        this.refreshSchemaValidation();
+    }
+
+    updateRawStatus() {
+        const status = this.elements.content.querySelector('.fv-code-status');
+        if (!status || !this.rawEdit) return;
+
+        const { state, error } = this.rawEdit;
+        const format = this.currentFormat.toUpperCase();
+        status.textContent = '';
+        status.className = `fv-code-status fv-code-status-${state}`;
+
+        if (state === 'checking') {
+            status.textContent = 'Checking…';
+        } else if (state === 'valid') {
+            status.textContent = `✓ Valid ${format}`;
+        } else if (state === 'invalid') {
+            if (error.line) {
+                // Jump to the error in the text
+                const link = document.createElement('button');
+                link.className = 'fv-code-status-link';
+                link.textContent = `✗ Line ${error.line}${error.column ? `:${error.column}` : ''}: ${ContentParser.errorReason(error)}`;
+                link.addEventListener('click', () => this.codeView.goToPosition(error.line, error.column));
+                status.appendChild(link);
+            } else {
+                status.textContent = `✗ ${ContentParser.errorReason(error)}`;
+            }
         } else {
-            // For nested objects, show collapsible structure
-            lines.push(`<div class="fv-tree-node">`);
-            lines.push(`<div class="fv-tree-line">
-                ${this.getIndent(level)}
-                <span class="fv-tree-icon" data-action="toggle">▼</span>
-                <span class="fv-tree-content">
-                    <span class="fv-tree-bracket">{</span>
-                    <span class="fv-tree-summary">${keys.length} items</span>
-                    <span class="fv-tree-bracket">}</span>
-                </span>
-            </div>`);
-
-            lines.push(`<div class="fv-tree-children">`);
-            keys.forEach((key, index) => {
-                const value = obj[key];
-                lines.push(this.renderProperty(key, value, level + 1));
-            });
-            lines.push(`</div>`);
-            lines.push(`</div>`);
+            status.textContent = `Editing ${format}`;
+        }
+    }
+
+    toggleWatch() {
+        if (this.watch) {
+            this.stopWatch();
+        } else {
+            this.startWatch();
         }
+    }
+
+    /**
+     * Poll the file's URL for new versions, starting with a check right away
+     */
+    startWatch() {
+        if (!this.fileData || !this.currentContent) return;
+
+        const url = this.fileData.originalUrl;
+        const watch = { watcher: null, log: [], lastError: null };
+        watch.watcher = new FileWatcher({
+            etag: this.responseHeaders ? this.responseHeaders['etag'] : null,
+            content: this.currentContent,
+            fetch: (etag) => {
+                this.elements.watchIndicator.classList.add('checking');
+                return this.sendMessage({ action: 'fetchFile', url, etag, fresh: true });
+            },
+            onResult: (result) => this.handleWatchResult(watch, result),
+            onError: (error, checkedAt) => this.handleWatchError(watch, error, checkedAt)
+        });
+        this.watch = watch;
+
+        this.elements.watchBtn.classList.add('active');
+        this.elements.watchBtn.setAttribute('aria-pressed', 'true');
+        this.elements.watchBar.style.display = 'flex';
+        this.setWatchStatus('Checking...');
+        this.renderWatchLog();
 
-        return lines.join('');
+        watch.watcher.start(Number(this.elements.watchInterval.value));
+        watch.watcher.check();
     }
 
-    renderArray(arr, level = 0) {
-        if (arr.length === 0) {
-            return `<div class="fv-tree-line">
-                ${this.getIndent(level)}
-                <span class="fv-tree-content">[]</span>
-            </div>`;
+    stopWatch() {
+        if (!this.watch) return;
+
+        this.watch.watcher.stop();
+        this.watch = null;
+        this.pendingTreeState = null;
+        this.elements.watchBtn.classList.remove('active');
+        this.elements.watchBtn.setAttribute('aria-pressed', 'false');
+        this.elements.watchBar.style.display = 'none';
+    }
+
+    checkWatchNow() {
+        if (this.watch) {
+            this.watch.watcher.check();
         }
+    }
 
-        const lines = [];
+    setWatchStatus(text, failing = false) {
+        this.elements.watchStatus.textContent = text;
+        this.elements.watchIndicator.classList.remove('checking');
+        this.elements.watchIndicator.classList.toggle('failing', failing);
+    }
 
-        // For root level arrays, show each item directly
-        if (level === 0) {
-            arr.forEach((item, index) => {
-                lines.push(this.renderArrayItem(index, item, level));
-            });
-        } else {
-            // For nested arrays, show collapsible structure
-            lines.push(`<div class="fv-tree-node">`);
-            lines.push(`<div class="fv-tree-line">
-                ${this.getIndent(level)}
-                <span class="fv-tree-icon" data-action="toggle">▼</span>
-                <span class="fv-tree-content">
-                    <span class="fv-tree-bracket">[</span>
-                    <span class="fv-tree-summary">${arr.length} items</span>
-                    <span class="fv-tree-bracket">]</span>
-                </span>
-            </div>`);
-
-            lines.push(`<div class="fv-tree-children">`);
-            arr.forEach((item, index) => {
-                lines.push(this.renderArrayItem(index, item, level + 1));
-            });
-            lines.push(`</div>`);
-            lines.push(`</div>`);
-        }
-
-        return lines.join('');
-    }
-
-    renderProperty(key, value, level) {
-        if (value === null || typeof value !== 'object') {
-            // Simple property
-            return `<div class="fv-tree-line">
-                ${this.getIndent(level)}
-                <span class="fv-tree-content">
-                    <span class="fv-tree-key">"${this.escapeHtml(key)}"</span>
-                    <span class="fv-tree-colon">:</span>
-                    ${this.renderValue(value)}
-                </span>
-            </div>`;
-        } else if (Array.isArray(value)) {
-            // Array property
-            if (value.length === 0) {
-                return `<div class="fv-tree-line">
-                    ${this.getIndent(level)}
-                    <span class="fv-tree-content">
-                        <span class="fv-tree-key">"${this.escapeHtml(key)}"</span>
-                        <span class="fv-tree-colon">:</span>
-                        <span class="fv-tree-value">[]</span>
-                    </span>
-                </div>`;
+    async handleWatchResult(watch, { changed, notModified, response, checkedAt }) {
+        if (watch !== this.watch) return;
+
+        const time = checkedAt.toLocaleTimeString();
+        if (watch.lastError) {
+            this.addWatchLogEntry(watch, { time, title: `Responding again after: ${watch.lastError}` });
+            watch.lastError = null;
+        }
+
+        if (!changed) {
+            this.setWatchStatus(`No changes, checked ${time}${notModified ? ' (304 Not Modified)' : ''}`);
+            return;
+        }
+
+        this.setWatchStatus(`Changed, checked ${time}`);
+        await this.applyWatchUpdate(watch, response, time);
+    }
+
+    handleWatchError(watch, error, checkedAt) {
+        if (watch !== this.watch) return;
+
+        const time = checkedAt.toLocaleTimeString();
+        this.setWatchStatus(`${error.message}, checked ${time}`, true);
+
+        // Logged when a failure starts or changes, not on every poll; the last good version stays shown
+        if (watch.lastError !== error.message) {
+            watch.lastError = error.message;
+            this.addWatchLogEntry(watch, { time, title: error.message, error: true });
+        }
+    }
+
+    /**
+     * Show a new version of the watched file, logging what differs from
+     * the last one and flashing it in the tree
+     */
+    async applyWatchUpdate(watch, response, time) {
+        const previous = await this.getParsedContent().catch(() => undefined);
+        if (watch !== this.watch) return;
+
+        // The new tree opens like the current one, unless that shows something else (a query or a diff)
+        const viewState = this.isTreeShown() && !this.compare && !this.queryExpression ? this.tree.viewState() : null;
+
+        this.currentContent = response.content;
+        this.responseHeaders = response.headers;
+        this.elements.filesize.textContent = `${(response.size / 1024).toFixed(1)}KB`;
+        this.updateMetadata(response);
+
+        let entry;
+        try {
+            const current = await this.getParsedContent();
+            if (previous === undefined) {
+                throw new Error('the previous version could not be parsed');
             }
 
-            const lines = [`<div class="fv-tree-node">`];
-            lines.push(`<div class="fv-tree-line">
-                ${this.getIndent(level)}
-                <span class="fv-tree-icon" data-action="toggle">▼</span>
-                <span class="fv-tree-content">
-                    <span class="fv-tree-key">"${this.escapeHtml(key)}"</span>
-                    <span class="fv-tree-colon">:</span>
-                    <span class="fv-tree-bracket">[</span>
-                    <span class="fv-tree-summary">${value.length} items</span>
-                    <span class="fv-tree-bracket">]</span>
-                </span>
-            </div>`);
-
-            lines.push(`<div class="fv-tree-children">`);
-            value.forEach((item, index) => {
-                lines.push(this.renderArrayItem(index, item, level + 1));
-            });
-            lines.push(`</div>`);
-            lines.push(`</div>`);
+            // CSV and TSV are compared row by row
+            const tabular = this.isTabularFormat(this.currentFormat);
+            const diff = StructuralDiff.compare(tabular ? previous.rows : previous, tabular ? current.rows : current);
+            entry = { time, changes: StructuralDiff.changes(diff) };
+        } catch (error) {
+            entry = { time, title: `Content changed, not compared: ${error.message}` };
+        }
+        if (watch !== this.watch) return;
+
+        this.addWatchLogEntry(watch, entry);
+        this.pendingTreeState = viewState && entry.changes ? {
+            viewState,
+            flash: entry.changes.map(change => ({
+                path: change.rightPath,
+                status: change.status === 'added' ? 'added' : 'changed'
+            }))
+        } : null;
+        this.displayContent();
+    }
 
-            return lines.join('');
-        } else {
-            // Object property
-            const keys = Object.keys(value);
-            if (keys.length === 0) {
-                return `<div class="fv-tree-line">
-                    ${this.getIndent(level)}
-                    <span class="fv-tree-content">
-                        <span class="fv-tree-key">"${this.escapeHtml(key)}"</span>
-                        <span class="fv-tree-colon">:</span>
-                        <span class="fv-tree-value">{}</span>
-                    </span>
-                </div>`;
+    addWatchLogEntry(watch, entry) {
+        watch.log.unshift(entry);
+        watch.log.length = Math.min(watch.log.length, FileWatcher.LOG_LIMIT);
+        this.renderWatchLog();
+    }
+
+    toggleWatchLog() {
+        const shown = this.elements.watchLog.style.display !== 'none';
+        this.elements.watchLog.style.display = shown ? 'none' : 'block';
+        this.elements.watchLogBtn.setAttribute('aria-expanded', String(!shown));
+    }
+
+    // Newest entry first
+    renderWatchLog() {
+        const log = this.watch ? this.watch.log : [];
+        this.elements.watchLogBtn.textContent = `Change Log (${log.length})`;
+        this.elements.watchLog.textContent = '';
+
+        if (log.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'fv-watch-empty';
+            empty.textContent = 'Nothing has changed since watching started';
+            this.elements.watchLog.appendChild(empty);
+            return;
+        }
+        log.forEach(entry => this.elements.watchLog.appendChild(this.createWatchLogEntry(entry)));
+    }
+
+    createWatchLogEntry(entry) {
+        const span = (className, text) => {
+            const element = document.createElement('span');
+            element.className = className;
+            element.textContent = text;
+            return element;
+        };
+
+        const item = document.createElement('div');
+        item.className = entry.error ? 'fv-watch-entry fv-watch-error' : 'fv-watch-entry';
+
+        const title = document.createElement('div');
+        title.className = 'fv-watch-entry-title';
+        const time = document.createElement('time');
+        time.textContent = entry.time;
+        title.appendChild(time);
+        title.appendChild(document.createTextNode(entry.title || this.describeWatchChanges(entry.changes)));
+        item.appendChild(title);
+
+        const changes = entry.changes || [];
+        changes.slice(0, FileWatcher.CHANGES_SHOWN).forEach(change => {
+            const line = document.createElement('div');
+            line.className = `fv-watch-change fv-diff-${change.status}`;
+            line.appendChild(span('fv-diff-marker', DiffTree.MARKERS[change.status]));
+            line.appendChild(span('fv-tree-key', StructuralDiff.pathText(change.path)));
+
+            if (change.status === 'changed') {
+                line.appendChild(span('fv-diff-old', this.watchValueText(change.left)));
+                line.appendChild(span('fv-diff-arrow', '→'));
             }
+            line.appendChild(span('fv-tree-value', this.watchValueText(change.status === 'removed' ? change.left : change.right)));
+            item.appendChild(line);
+        });
 
-            const lines = [`<div class="fv-tree-node">`];
-            lines.push(`<div class="fv-tree-line">
-                ${this.getIndent(level)}
-                <span class="fv-tree-icon" data-action="toggle">▼</span>
-                <span class="fv-tree-content">
-                    <span class="fv-tree-key">"${this.escapeHtml(key)}"</span>
-                    <span class="fv-tree-colon">:</span>
-                    <span class="fv-tree-bracket">{</span>
-                    <span class="fv-tree-summary">${keys.length} items</span>
-                    <span class="fv-tree-bracket">}</span>
-                </span>
-            </div>`);
-
-            lines.push(`<div class="fv-tree-children">`);
-            keys.forEach((childKey) => {
-                lines.push(this.renderProperty(childKey, value[childKey], level + 1));
-            });
-            lines.push(`</div>`);
-            lines.push(`</div>`);
-
-            return lines.join('');
-        }
-    }
-
-    renderArrayItem(index, item, level) {
-        if (item === null || typeof item !== 'object') {
-            // Simple array item
-            return `<div class="fv-tree-line">
-                ${this.getIndent(level)}
-                <span class="fv-tree-content">
-                    <span class="fv-tree-key">${index}</span>
-                    <span class="fv-tree-colon">:</span>
-                    ${this.renderValue(item)}
-                </span>
-            </div>`;
-        } else if (Array.isArray(item)) {
-            // Nested array
-            const lines = [`<div class="fv-tree-node">`];
-            lines.push(`<div class="fv-tree-line">
-                ${this.getIndent(level)}
-                <span class="fv-tree-icon" data-action="toggle">▼</span>
-                <span class="fv-tree-content">
-                    <span class="fv-tree-key">${index}</span>
-                    <span class="fv-tree-colon">:</span>
-                    <span class="fv-tree-bracket">[</span>
-                    <span class="fv-tree-summary">${item.length} items</span>
-                    <span class="fv-tree-bracket">]</span>
-                </span>
-            </div>`);
-
-            lines.push(`<div class="fv-tree-children">`);
-            item.forEach((subItem, subIndex) => {
-                lines.push(this.renderArrayItem(subIndex, subItem, level + 1));
-            });
-            lines.push(`</div>`);
-            lines.push(`</div>`);
+        if (changes.length > FileWatcher.CHANGES_SHOWN) {
+            const more = document.createElement('div');
+            more.className = 'fv-watch-empty';
+            more.textContent = `and ${changes.length - FileWatcher.CHANGES_SHOWN} more`;
+            item.appendChild(more);
+        }
+        return item;
+    }
 
-            return lines.join('');
-        } else {
-            // Object in array
-            const keys = Object.keys(item);
-            const lines = [`<div class="fv-tree-node">`];
-            lines.push(`<div class="fv-tree-line">
-                ${this.getIndent(level)}
-                <span class="fv-tree-icon" data-action="toggle">▼</span>
-                <span class="fv-tree-content">
-                    <span class="fv-tree-key">${index}</span>
-                    <span class="fv-tree-colon">:</span>
-                    <span class="fv-tree-bracket">{</span>
-                    <span class="fv-tree-summary">${keys.length} items</span>
-                    <span class="fv-tree-bracket">}</span>
-                </span>
-            </div>`);
-
-            lines.push(`<div class="fv-tree-children">`);
-            keys.forEach((childKey) => {
-                lines.push(this.renderProperty(childKey, item[childKey], level + 1));
-            });
-            lines.push(`</div>`);
-            lines.push(`</div>`);
+    describeWatchChanges(changes) {
+        const counts = { changed: 0, added: 0, removed: 0 };
+        changes.forEach(change => counts[change.status]++);
+
+        const parts = Object.keys(counts).filter(status => counts[status] > 0)
+            .map(status => `${counts[status]} ${status}`);
+        // e.g. reformatted or with keys in a different order
+        return parts.length > 0 ? parts.join(', ') : 'Content changed, values are the same';
+    }
+
+    // One line per value; containers are summarized
+    watchValueText(value) {
+        const kind = StructuralDiff.kindOf(value);
+        if (kind) {
+            const count = kind === 'array' ? value.length : Object.keys(value).length;
+            return kind === 'array' ? `[${count} items]` : `{${count} items}`;
+        }
+
+        const text = VirtualTree.formatValue(value);
+        return text.length > 80 ? `${text.slice(0, 79)}…` : text;
+    }
+
+    /**
+     * Parsed form of the current content, reusing the last result and any
+     * parse already in progress for the same content. With options.nodes,
+     * XML gives its node tree, which XmlTree shows, instead of the object
+     * model everything else works on.
+     */
+    getParsedContent(options = {}) {
+        const content = this.currentContent;
+        const format = this.currentFormat;
+        const maxFileSize = ViewerSettings.maxFileSizeBytes(this.settings);
+        const losslessNumbers = this.settings.losslessNumbers;
+
+        if (this.parsed && this.parsed.content === content && this.parsed.format === format &&
+            this.parsed.maxFileSize === maxFileSize && this.parsed.losslessNumbers === losslessNumbers &&
+            (!options.nodes || this.parsed.nodes)) {
+            return options.nodes ? this.parsed.nodes : this.parsed.promise;
+        }
+
+        const duplicates = [];
+        const xmlNodes = this.isXmlFormat(format);
+        // The worker sends XML as its node tree, and the object model is made from that here
+        const nodes = this.parseContent(content, format, maxFileSize, { quiet: options.quiet, duplicates, xmlNodes });
+        const promise = xmlNodes ? nodes.then(document => XmlParser.toObject(document)) : nodes;
+        this.parsed = { content, format, maxFileSize, losslessNumbers, promise, nodes };
+
+        // Settles before the caller's await resumes, so the tree can badge what was found
+        promise.then(() => {
+            this.showDiagnostics({ content, format, duplicates });
+        }, error => {
+            // Failed or cancelled parses are retried next time
+            if (this.parsed && this.parsed.promise === promise) {
+                this.parsed = null;
+            }
+            if (!error.cancelled && !error.timedOut) {
+                this.showDiagnostics({ content, format, duplicates: error.duplicate ? [error.duplicate] : [], failed: true });
+            }
+        });
+
+        return options.nodes ? nodes : promise;
+    }
+
+    isTabularFormat(format) {
+        return ['csv', 'tsv'].includes((format || '').toLowerCase());
+    }
+
+    isXmlFormat(format) {
+        return (format || '').toLowerCase() === 'xml';
+    }
+
+    displayCsvGrid(csvData, summary = null) {
+        // Interactive grid (js/core/grid.js) instead of the generic tree
+        const grid = new CsvGrid(csvData);
+
+        this.elements.content.textContent = '';
+        if (summary) {
+            this.elements.content.appendChild(summary);
+        }
+        this.elements.content.appendChild(grid.render());
 
-            return lines.join('');
+        if (this.searchTerm) {
+            this.highlightSearchResults();
         }
     }
 
-    renderInlineValue(value, level) {
-        if (value === null) {
-            return `<span class="fv-tree-value null">null</span>`;
+    isQueryableFormat(format) {
+        return ['json', 'yaml', 'yml', 'toml', 'csv', 'tsv', 'xml'].includes((format || '').toLowerCase());
+    }
+
+    updateQueryBox(format) {
+        const xml = this.isXmlFormat(format);
+        const queryBox = this.elements.queryBox;
+        if (!queryBox.dataset.placeholder) {
+            queryBox.dataset.placeholder = queryBox.placeholder;
+            queryBox.dataset.title = queryBox.title;
         }
+        queryBox.placeholder = xml ? 'XPath (e.g. //order[@status=\'open\']/id)' : queryBox.dataset.placeholder;
+        queryBox.title = xml ? 'XPath 1.0 expression, press Enter to run and again for the next match (Ctrl+J)' : queryBox.dataset.title;
+        this.elements.namespacesBox.style.display = xml ? '' : 'none';
+    }
+
+    // XPath can only name elements in a default namespace through a prefix, so suggest one
+    suggestNamespace(document) {
+        const root = document.children.find(child => child.type === 'element');
+        const uri = root && !XmlParser.prefixOf(root.name) ? root.namespace : null;
+        this.elements.namespacesBox.placeholder = uri ? `Namespaces (e.g. d=${uri})` : 'Namespaces (prefix=URI ...)';
+    }
+
+    // Evaluate an XPath expression on the current XML
+    runXPath(expression) {
+        const namespaces = XPathQuery.parseNamespaces(this.elements.namespacesBox.value);
+        return XPathQuery.run(expression, this.getXmlDocument(), namespaces);
+    }
 
-        if (Array.isArray(value)) {
-            if (value.length === 0) return `<span class="fv-tree-value">[]</span>`;
-            return `<span class="fv-tree-summary">[${value.length} items]</span>`;
+    // The current XML as parsed by DOMParser, kept until the content changes
+    getXmlDocument() {
+        if (!this.xmlDom || this.xmlDom.content !== this.currentContent) {
+            this.xmlDom = { content: this.currentContent, document: XPathQuery.parse(this.currentContent) };
         }
+        return this.xmlDom.document;
+    }
 
-        if (typeof value === 'object') {
-            const keys = Object.keys(value);
-            if (keys.length === 0) return `<span class="fv-tree-value">{}</span>`;
-            return `<span class="fv-tree-summary">{${keys.length} items}</span>`;
+    // "3 nodes for //item", or "count(//item) = 3" for a value
+    createXPathSummary(result) {
+        if (result.type === 'nodes') {
+            const summary = this.createQuerySummary(result.nodes.length);
+            summary.firstChild.textContent = `${result.nodes.length} ${result.nodes.length === 1 ? 'node' : 'nodes'} for `;
+            return summary;
         }
 
-        return this.renderValue(value, level);
+        const summary = document.createElement('div');
+        summary.className = 'fv-query-summary';
+        const expression = document.createElement('code');
+        expression.textContent = this.queryExpression;
+        const value = document.createElement('code');
+        value.className = 'fv-xpath-value';
+        value.textContent = XPathQuery.formatValue(result);
+
+        summary.appendChild(expression);
+        summary.appendChild(document.createTextNode(' = '));
+        summary.appendChild(value);
+        return summary;
     }
 
-    renderValue(value, level) {
-        if (value === null) {
-            return `<span class="fv-tree-value null">null</span>`;
+    applyQuery(expression) {
+        this.queryExpression = expression.trim();
+        if (!this.queryExpression) {
+            this.elements.queryBox.classList.remove('invalid');
         }
 
-        const type = typeof value;
-        const className = `fv-tree-value ${type}`;
+        if (!this.currentContent) return;
 
-        if (type === 'string') {
-            return `<span class="${className}">"${this.escapeHtml(value)}"</span>`;
+        // Query results are only shown in the tree
+        if (this.currentView !== 'pretty') {
+            this.switchView('pretty');
+        } else {
+            this.displayContent();
         }
+    }
+
+    createQuerySummary(resultCount) {
+        const summary = document.createElement('div');
+        summary.className = 'fv-query-summary';
+
+        const expression = document.createElement('code');
+        expression.textContent = this.queryExpression;
 
-        return `<span class="${className}">${this.escapeHtml(String(value))}</span>`;
+        summary.appendChild(document.createTextNode(`${resultCount} ${resultCount === 1 ? 'result' : 'results'} for `));
+        summary.appendChild(expression);
+
+        return summary;
+    }
+
+    showQueryError(error) {
+        const errorContainer = document.createElement('div');
+        errorContainer.className = 'fv-error';
+
+        const errorTitle = document.createElement('div');
+        errorTitle.className = 'fv-error-title';
+        errorTitle.textContent = 'Query Error';
+
+        const errorMessage = document.createElement('div');
+        errorMessage.textContent = `${this.queryExpression}: ${error.message}`;
+
+        errorContainer.appendChild(errorTitle);
+        errorContainer.appendChild(errorMessage);
+
+        this.elements.content.textContent = '';
+        this.elements.content.appendChild(errorContainer);
     }
 
-    getIndent(level) {
-        return '<span class="fv-tree-indent"></span>'.repeat(level);
+    createCodeViewer(content, format) {
+        // Create main code viewer container
+        const codeViewer = document.createElement('div');
+        codeViewer.className = 'fv-code-viewer';
+
+        // Create header with format info and controls
+        const header = this.createCodeViewerHeader(format, content.length);
+        codeViewer.appendChild(header);
+
+        // Create code container with line numbers and syntax highlighting
+        const codeContainer = this.createCodeContainer(content, format);
+        codeViewer.appendChild(codeContainer);
+
+        return codeViewer;
     }
 
-    bindTreeEvents() {
-        this.elements.content.addEventListener('click', (e) => {
-            if (e.target.dataset.action === 'toggle') {
-                const node = e.target.closest('.fv-tree-node');
-                if (node) {
-                    node.classList.toggle('fv-tree-collapsed');
-                    const icon = e.target;
-                    icon.textContent = node.classList.contains('fv-tree-collapsed') ? '▶' : '▼';
+    createCodeViewerHeader(format, contentLength) {
+        const header = document.createElement('div');
+        header.className = 'fv-code-header';
+
+        // Format badge
+        const formatBadge = document.createElement('span');
+        formatBadge.className = 'fv-code-format-badge';
+        formatBadge.textContent = format.toUpperCase();
+
+        // File info
+        const fileInfo = document.createElement('span');
+        fileInfo.className = 'fv-code-file-info';
+        fileInfo.textContent = `${this.formatBytes(contentLength)} • ${this.countLines(this.currentContent)} lines`;
+
+        // Copy button
+        const copyButton = document.createElement('button');
+        copyButton.className = 'fv-code-copy-btn';
+
+        const copyIcon = document.createElement('span');
+        copyIcon.className = 'fv-copy-icon';
+        copyIcon.textContent = '📋';
+
+        copyButton.appendChild(copyIcon);
+        copyButton.appendChild(document.createTextNode('Copy'));
+        copyButton.addEventListener('click', () => this.copyRawContent());
+
+        // Edit toggle; the text is checked by the parser as it is typed
+        const editButton = document.createElement('button');
+        editButton.className = 'fv-code-copy-btn fv-code-edit-btn';
+        editButton.textContent = this.rawEdit ? '✓ Done' : '✏️ Edit';
+        editButton.title = this.rawEdit ? 'Stop editing the text' : 'Edit the text and check it as you type';
+        editButton.setAttribute('aria-pressed', String(Boolean(this.rawEdit)));
+        editButton.addEventListener('click', () => (this.rawEdit ? this.stopRawEdit() : this.startRawEdit()));
+
+        const status = document.createElement('span');
+        status.className = 'fv-code-status';
+
+        const actions = document.createElement('div');
+        actions.className = 'fv-code-actions';
+        actions.appendChild(editButton);
+        actions.appendChild(copyButton);
+
+        header.appendChild(formatBadge);
+        header.appendChild(fileInfo);
+        header.appendChild(status);
+        header.appendChild(actions);
+
+        return header;
+    }
+
+    createCodeContainer(content, format) {
+        // Lines are rendered and highlighted as they scroll into view
+        const options = { showLineNumbers: this.settings.showLineNumbers };
+        if (this.rawEdit) {
+            options.indentSize = this.settings.indentSize;
+            options.onChange = (text) => this.handleRawInput(text);
+            this.codeView = new EditableCodeView(content, format, options);
+        } else {
+            this.codeView = new VirtualCodeView(content, format, options);
+        }
+        return this.codeView.render();
+    }
+
+    // Helper methods for code viewer
+    formatBytes(bytes) {
+        if (bytes === 0) return '0 Bytes';
+        const k = 1024;
+        const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+        const i = Math.floor(Math.log(bytes) / Math.log(k));
+        return parseFloat((bytes / Math.pow(k, i)).toFixed(1)) + ' ' + sizes[i];
+    }
+
+    countLines(content) {
+        // Count actual lines in content
+        return content.split('\n').length;
+    }
+
+    copyRawContent(feedbackButton, text = this.currentContent) {
+        // Copy the raw content to clipboard
+        if (navigator.clipboard && navigator.clipboard.writeText) {
+            navigator.clipboard.writeText(text).then(() => {
+                this.showCopyFeedback(feedbackButton);
+            }).catch(err => {
+                console.error('🦊 Clipboard copy failed:', err);
+                this.fallbackCopyRawContent(feedbackButton, text);
+            });
+        } else {
+            this.fallbackCopyRawContent(feedbackButton, text);
+        }
+    }
+
+    fallbackCopyRawContent(feedbackButton, text = this.currentContent) {
+        // Create temporary textarea for fallback copy
+        const textarea = document.createElement('textarea');
+        textarea.value = text;
+        textarea.style.position = 'fixed';
+        textarea.style.opacity = '0';
+        document.body.appendChild(textarea);
+        textarea.select();
+
+        try {
+            document.execCommand('copy');
+            this.showCopyFeedback(feedbackButton);
+        } catch (err) {
+            console.error('🦊 Fallback copy failed:', err);
+        } finally {
+            document.body.removeChild(textarea);
+        }
+    }
+
+
+    /**
+     * Parse content in a worker (js/workers/parse-worker.js) so large files
+     * don't block the page. The worker is terminated on timeout or cancel.
+     * options.quiet parses in the background, without the loading overlay.
+     * JSON numbers are kept exactly when the losslessNumbers setting is on.
+     * Repeated keys are added to the options.duplicates array if given;
+     * options.xmlNodes gives XML as its node tree.
+     */
+    parseContent(content, format, maxFileSize, options = {}) {
+        const PARSE_TIMEOUT_MS = 60000;
+        const losslessNumbers = this.settings.losslessNumbers;
+
+        if (typeof Worker === 'undefined') {
+            // Same parser on the main thread, without progress or cancellation
+            return new Promise(resolve => resolve(ContentParser.parse(content, format, undefined, {
+                maxFileSize,
+                losslessNumbers,
+                duplicates: options.duplicates,
+                xmlNodes: options.xmlNodes,
+                recover: true
+            })));
+        }
+
+        this.cancelParse();
+
+        return new Promise((resolve, reject) => {
+            const worker = new Worker('js/workers/parse-worker.js');
+            const startedAt = Date.now();
+            let progress = { phase: 'validating', fraction: null };
+
+            const finish = () => {
+                clearTimeout(timeout);
+                clearInterval(ticker);
+                worker.terminate();
+                this.activeParse = null;
+                if (!options.quiet) {
+                    this.hideLoading();
+                    this.elements.content.style.display = 'block';
+                }
+            };
+
+            const fail = (message, flag) => {
+                finish();
+                const error = new Error(message);
+                if (flag) error[flag] = true;
+                reject(error);
+            };
+
+            const timeout = setTimeout(() => {
+                fail(`${format.toUpperCase()} parsing took longer than ${PARSE_TIMEOUT_MS / 1000}s and was stopped`, 'timedOut');
+            }, PARSE_TIMEOUT_MS);
+
+            // Keep the elapsed time moving while the parser gives no progress
+            const ticker = options.quiet ? null : setInterval(() => {
+                this.updateLoadingProgress(progress.phase, progress.fraction, Date.now() - startedAt);
+            }, 500);
+
+            worker.onmessage = (event) => {
+                const message = event.data;
+
+                if (message.type === 'progress') {
+                    progress = message;
+                    if (!options.quiet) {
+                        this.updateLoadingProgress(message.phase, message.fraction, Date.now() - startedAt);
+                    }
+                    return;
+                }
+
+                finish();
+                if (message.type === 'result') {
+                    if (options.duplicates && message.duplicates) {
+                        options.duplicates.push(...message.duplicates);
+                    }
+                    resolve(message.tagged ? ContentParser.decode(message.data) : message.data);
+                } else {
+                    const error = new Error(message.message);
+                    error.line = message.line;
+                    error.column = message.column;
+                    error.duplicate = message.duplicate;
+                    if (message.partial !== undefined) {
+                        error.partial = message.tagged ? ContentParser.decode(message.partial) : message.partial;
+                    }
+                    reject(error);
                 }
+            };
+
+            worker.onerror = (event) => {
+                event.preventDefault();
+                fail(event.message || 'Parser worker failed');
+            };
+
+            this.activeParse = { cancel: () => fail('Parsing was cancelled', 'cancelled') };
+
+            if (!options.quiet) {
+                this.showLoading();
+                this.elements.cancelParseBtn.style.display = '';
+                this.updateLoadingProgress('validating', null, 0);
             }
+            worker.postMessage({
+                content,
+                format,
+                maxFileSize,
+                losslessNumbers,
+                checkDuplicates: Boolean(options.duplicates),
+                xmlNodes: Boolean(options.xmlNodes)
+            });
         });
     }
 
+    cancelParse() {
+        if (this.activeParse) {
+            this.activeParse.cancel();
+        }
+    }
+
+    updateLoadingProgress(phase, fraction, elapsedMs) {
+        const labels = {
+            validating: 'Checking',
+            parsing: 'Parsing',
+            building: 'Building tree for',
+            transferring: 'Preparing'
+        };
+        const size = this.formatBytes(this.currentContent.length);
+        const detail = fraction === null || fraction === undefined
+            ? `${Math.floor(elapsedMs / 1000)}s`
+            : `${Math.round(fraction * 100)}%`;
+
+        this.elements.loadingMessage.textContent = `${labels[phase] || 'Parsing'} ${this.currentFormat.toUpperCase()} (${size})… ${detail}`;
+
+        this.elements.loadingProgress.style.display = '';
+        this.elements.loadingProgress.classList.toggle('indeterminate', fraction === null || fraction === undefined);
+        this.elements.loadingProgressBar.style.width = fraction === null || fraction === undefined ? '' : `${fraction * 100}%`;
+    }
+
     switchView(view) {
         if (view === this.currentView) return;
 
         // Don't allow view switching if there's no content
         if (!this.currentContent) return;
 
+        this.setActiveView(view);
+
+        // Redisplay content
+        this.displayContent();
+    }
+
+    setActiveView(view) {
         this.currentView = view;
 
         // Update button states
         this.elements.prettyBtn.classList.toggle('active', view === 'pretty');
         this.elements.rawBtn.classList.toggle('active', view === 'raw');
-
-        // Redisplay content
-        this.displayContent();
+        this.elements.transformedBtn.classList.toggle('active', view === 'transformed');
+        this.elements.feedBtn.classList.toggle('active', view === 'feed');
     }
 
     toggleView() {
         this.switchView(this.currentView === 'pretty' ? 'raw' : 'pretty');
     }
 
+    isTreeShown() {
+        return this.currentView === 'pretty' && this.tree !== null && this.tree.isMounted();
+    }
+
+    isCodeShown() {
+        return this.currentView === 'raw' && this.codeView !== null && this.codeView.isMounted();
+    }
+
     highlightSearchResults() {
+        // The virtual tree searches its whole model and highlights rows as it renders them
+        if (this.isTreeShown()) {
+            this.tree.setSearch(this.searchTerm.length >= 2 ? this.searchTerm : '');
+            return;
+        }
+        if (this.isCodeShown()) {
+            this.codeView.setSearch(this.searchTerm.length >= 2 ? this.searchTerm : '');
+            return;
+        }
+        // The transformed document is in its own frame
+        if (this.currentView === 'transformed') return;
+
         if (!this.searchTerm) return;
 
         // Remove existing highlights
@@ -1197,12 +2833,7 @@ class InlineViewer {
 
         if (this.searchTerm.length < 2) return;
 
-        // Different highlighting strategies for pretty vs raw view
-        if (this.currentView === 'raw') {
-            this.highlightSearchInRaw();
-        } else {
-            this.highlightSearchInPretty();
-        }
+        this.highlightSearchInPretty();
     }
 
     highlightSearchInPretty() {
@@ -1245,68 +2876,10 @@ class InlineViewer {
         });
     }
 
-    highlightSearchInRaw() {
-        // Highlight search matches in raw code view
-        const codeLines = this.elements.content.querySelectorAll('.fv-code-line');
-
-        codeLines.forEach(lineElement => {
-            const walker = document.createTreeWalker(
-                lineElement,
-                NodeFilter.SHOW_TEXT,
-                null,
-                false
-            );
-
-            const textNodes = [];
-            let node;
-            while (node = walker.nextNode()) {
-                // Skip text nodes inside syntax highlighting spans for cleaner highlighting
-                textNodes.push(node);
-            }
-
-            textNodes.forEach(textNode => {
-                const text = textNode.textContent;
-                const lowerText = text.toLowerCase();
-                let searchIndex = 0;
-                const matches = [];
-
-                // Find all occurrences in this text node
-                while ((searchIndex = lowerText.indexOf(this.searchTerm, searchIndex)) !== -1) {
-                    matches.push(searchIndex);
-                    searchIndex += this.searchTerm.length;
-                }
-
-                if (matches.length > 0) {
-                    const fragment = document.createDocumentFragment();
-                    let lastIndex = 0;
-
-                    matches.forEach(matchIndex => {
-                        // Add text before match
-                        if (matchIndex > lastIndex) {
-                            fragment.appendChild(document.createTextNode(text.substring(lastIndex, matchIndex)));
-                        }
-
-                        // Add highlighted match
-                        const highlight = document.createElement('span');
-                        highlight.className = 'fv-search-highlight';
-                        highlight.textContent = text.substring(matchIndex, matchIndex + this.searchTerm.length);
-                        fragment.appendChild(highlight);
-
-                        lastIndex = matchIndex + this.searchTerm.length;
-                    });
-
-                    // Add remaining text
-                    if (lastIndex < text.length) {
-                        fragment.appendChild(document.createTextNode(text.substring(lastIndex)));
-                    }
-
-                    textNode.parentNode.replaceChild(fragment, textNode);
-                }
-            });
-        });
-    }
-
-    showLoading() {
+    showLoading(message = 'Loading file content...') {
+        this.elements.loadingMessage.textContent = message;
+        this.elements.loadingProgress.style.display = 'none';
+        this.elements.cancelParseBtn.style.display = 'none';
         this.elements.loading.style.display = 'flex';
         this.elements.error.style.display = 'none';
         this.elements.content.style.display = 'none';
@@ -1330,135 +2903,6 @@ class InlineViewer {
         return div.innerHTML;
     }
 
-    validateParseInput(content, format) {
-        // Constants for security limits
-        const MAX_FILE_SIZE = 50 * 1024 * 1024; // 50MB
-        const MAX_NESTING_DEPTH = 1000;
-
-        // Basic input validation
-        if (typeof content !== 'string') {
-            throw new Error('Invalid input: content must be a string');
-        }
-
-        if (content.length === 0) {
-            throw new Error('Invalid input: content is empty');
-        }
-
-        if (content.length > MAX_FILE_SIZE) {
-            throw new Error(`File too large: ${(content.length / 1024 / 1024).toFixed(1)}MB exceeds limit of ${MAX_FILE_SIZE / 1024 / 1024}MB`);
-        }
-
-        // Format-specific validation
-        switch (format.toLowerCase()) {
-            case 'json':
-                // Check for excessive nesting that could cause stack overflow
-                const openBraces = (content.match(/[{\[]/g) || []).length;
-                if (openBraces > MAX_NESTING_DEPTH) {
-                    throw new Error(`JSON structure too complex: ${openBraces} nesting levels exceed limit of ${MAX_NESTING_DEPTH}`);
-                }
-                break;
-
-            case 'xml':
-                // Basic XML bomb detection
-                if (content.includes('<!ENTITY') && content.includes('&')) {
-                    throw new Error('XML contains entity references which are not supported for security reasons');
-                }
-                break;
-        }
-    }
-
-    parseWithTimeout(parseFunction, formatName, timeoutMs = 5000) {
-        return new Promise((resolve, reject) => {
-            const timeout = setTimeout(() => {
-                reject(new Error(`${formatName} parsing timeout: operation took longer than ${timeoutMs}ms`));
-            }, timeoutMs);
-
-            try {
-                const result = parseFunction();
-                clearTimeout(timeout);
-                resolve(result);
-            } catch (error) {
-                clearTimeout(timeout);
-                reject(error);
-            }
-        });
-    }
-
-    xmlToObject(xmlNode) {
-        const obj = {};
-
-        if (xmlNode.nodeType === Node.TEXT_NODE) {
-            return xmlNode.nodeValue.trim();
-        }
-
-        if (xmlNode.hasAttributes()) {
-            obj['@attributes'] = {};
-            for (const attr of xmlNode.attributes) {
-                obj['@attributes'][attr.name] = attr.value;
-            }
-        }
-
-        const children = Array.from(xmlNode.childNodes);
-        const textChildren = children.filter(child => child.nodeType === Node.TEXT_NODE);
-        const elementChildren = children.filter(child => child.nodeType === Node.ELEMENT_NODE);
-
-        if (textChildren.length > 0 && elementChildren.length === 0) {
-            const text = textChildren.map(child => child.nodeValue).join('').trim();
-            return text || obj;
-        }
-
-        elementChildren.forEach(child => {
-            const key = child.tagName;
-            const value = this.xmlToObject(child);
-
-            if (obj[key]) {
-                if (!Array.isArray(obj[key])) {
-                    obj[key] = [obj[key]];
-                }
-                obj[key].push(value);
-            } else {
-                obj[key] = value;
-            }
-        });
-
-        return obj;
-    }
-
-    parseCsvLine(line) {
-        const result = [];
-        let current = '';
-        let inQuotes = false;
-
-        for (let i = 0; i < line.length; i++) {
-            const char = line[i];
-
-            if (char === '"') {
-                inQuotes = !inQuotes;
-            } else if (char === ',' && !inQuotes) {
-                result.push(current.trim());
-                current = '';
-            } else {
-                current += char;
-            }
-        }
-
-        result.push(current.trim());
-        return result;
-    }
-
-    parseTomlValue(value) {
-        value = value.trim();
-
-        if (value === 'true') return true;
-        if (value === 'false') return false;
-        if (!isNaN(value)) return Number(value);
-        if (value.startsWith('"') && value.endsWith('"')) {
-            return value.slice(1, -1);
-        }
-
-        return value;
-    }
-
     updateMetadata(response) {
         if (!this.elements.metadata || !response) return;
 
@@ -1467,6 +2911,14 @@ class InlineViewer {
 
         const headers = response.headers || this.responseHeaders || {};
 
+        // Status of the response the content came from; captured error pages are shown as sent
+        if (response.status) {
+            const status = `${response.status}${response.statusText ? ' ' + response.statusText : ''}`;
+            const item = this.createMetadataItem('Status:', status);
+            item.classList.toggle('fv-metadata-error', response.status >= 400);
+            this.elements.metadata.appendChild(item);
+        }
+
         // Add Content-Type if available
         if (response.contentType || headers['content-type']) {
             const contentType = response.contentType || headers['content-type'];
@@ -1538,6 +2990,7 @@ class InlineViewer {
     }
 }
 
+InlineViewer.RAW_CHECK_DELAY_MS = 300; // Pause in typing before edited raw text is parsed
 
 // Initialize viewer when page loads
 document.addEventListener('DOMContentLoaded', () => {
@@ -0,0 +1,49 @@
+/**
+ * 🦊 Native Multi-Format Viewer - Parse Worker
+ * Parses file content off the main thread and reports progress
+ *
+ * Receives { content, format, maxFileSize, losslessNumbers, checkDuplicates,
+ * xmlNodes } (see ContentParser.parse) and posts back progress messages
+ * followed by either { type: 'result', data, tagged, duplicates } or
+ * { type: 'error', message, line, column, partial, tagged, duplicate }
+ * where partial is the part of the document read before the error, if any.
+ * With tagged, the data has to go through ContentParser.decode().
+ * duplicates lists repeated keys when checkDuplicates is set; duplicate is
+ * the key a TOML error is about.
+ */
+
+importScripts(
+    '../../lib/js-yaml.min.js',
+    '../formats/csv.js',
+    '../formats/json.js',
+    '../formats/toml.js',
+    '../formats/xml.js',
+    '../core/parser.js'
+);
+
+self.onmessage = (event) => {
+    const { content, format, maxFileSize, losslessNumbers, checkDuplicates, xmlNodes } = event.data;
+    const duplicates = checkDuplicates ? [] : undefined;
+    const options = { maxFileSize, losslessNumbers, duplicates, xmlNodes, recover: true };
+    const tagged = ContentParser.hasClassValues(content, format, options);
+
+    try {
+        const data = ContentParser.parse(content, format, (phase, fraction) => {
+            self.postMessage({ type: 'progress', phase, fraction });
+        }, options);
+
+        self.postMessage({ type: 'progress', phase: 'transferring', fraction: null });
+        self.postMessage({ type: 'result', data: tagged ? ContentParser.encode(data) : data, tagged, duplicates });
+    } catch (error) {
+        const partial = error.partial === undefined || !tagged ? error.partial : ContentParser.encode(error.partial);
+        self.postMessage({
+            type: 'error',
+            message: error.message,
+            line: error.line,
+            column: error.column,
+            partial,
+            tagged,
+            duplicate: error.duplicate
+        });
+    }
+};
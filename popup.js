@@ -2,19 +2,12 @@
  * Simple popup settings handler - completely rewritten for reliability
  */
 
-// Default settings
-const DEFAULT_SETTINGS = {
-    theme: 'auto',
-    showLineNumbers: true,
-    sortKeys: false,
-    autoFormat: true,
-    indentSize: 2,
-    maxFileSize: 10,
-    enableCache: true
-};
+// Default settings, shared with the viewers (js/core/settings.js)
+const DEFAULT_SETTINGS = ViewerSettings.DEFAULTS;
 
 // Global state
 let isLoading = false;
+let themeSaveTimer = null;
 
 // Initialize popup when DOM is ready
 document.addEventListener('DOMContentLoaded', function() {
@@ -35,6 +28,7 @@ async function initializePopup() {
 
         // Load statistics
         await loadStatistics();
+        await loadCacheUsage();
 
         console.log('Popup: Initialization complete');
         showStatusMessage('Settings loaded successfully');
@@ -52,7 +46,7 @@ async function loadCurrentSettings() {
 
     try {
         const result = await browser.storage.local.get('settings');
-        const settings = result.settings || DEFAULT_SETTINGS;
+        const settings = ViewerSettings.normalize(result.settings);
 
         // Update UI with settings
         updateUIWithSettings(settings);
@@ -69,9 +63,11 @@ async function loadCurrentSettings() {
  * Update UI controls with settings values
  */
 function updateUIWithSettings(settings) {
-    // Theme
+    // Theme, including custom themes
+    renderThemeOptions(settings);
     const themeSelect = document.getElementById('theme');
     if (themeSelect) themeSelect.value = settings.theme || 'auto';
+    updateThemeEditor(settings);
 
     // Line numbers
     const lineNumbersCheck = document.getElementById('showLineNumbers');
@@ -81,6 +77,10 @@ function updateUIWithSettings(settings) {
     const sortKeysCheck = document.getElementById('sortKeys');
     if (sortKeysCheck) sortKeysCheck.checked = settings.sortKeys === true;
 
+    // Exact JSON numbers
+    const losslessNumbersCheck = document.getElementById('losslessNumbers');
+    if (losslessNumbersCheck) losslessNumbersCheck.checked = settings.losslessNumbers !== false;
+
     // Auto format
     const autoFormatCheck = document.getElementById('autoFormat');
     if (autoFormatCheck) autoFormatCheck.checked = settings.autoFormat !== false;
@@ -96,6 +96,15 @@ function updateUIWithSettings(settings) {
     // Enable cache
     const enableCacheCheck = document.getElementById('enableCache');
     if (enableCacheCheck) enableCacheCheck.checked = settings.enableCache !== false;
+
+    // Auto-detect
+    const autoDetectCheck = document.getElementById('autoDetect');
+    if (autoDetectCheck) autoDetectCheck.checked = settings.autoDetect !== false;
+
+    // Per-format switches
+    document.querySelectorAll('input[data-format]').forEach(check => {
+        check.checked = settings.supportedFormats.includes(check.dataset.format);
+    });
 }
 
 /**
@@ -107,11 +116,38 @@ function setupEventListeners() {
     // Theme change
     const themeSelect = document.getElementById('theme');
     if (themeSelect) {
-        themeSelect.addEventListener('change', function() {
-            saveSetting('theme', this.value);
+        themeSelect.addEventListener('change', async function() {
+            await saveSetting('theme', this.value);
+            updateThemeEditor(await loadSettings());
         });
     }
 
+    // Custom theme editor
+    buildThemeColorInputs();
+
+    const newThemeBtn = document.getElementById('newTheme');
+    if (newThemeBtn) {
+        newThemeBtn.addEventListener('click', createCustomTheme);
+    }
+
+    const themeNameInput = document.getElementById('themeName');
+    if (themeNameInput) {
+        themeNameInput.addEventListener('change', function() {
+            const name = this.value.trim() || 'Custom theme';
+            updateCustomTheme(theme => { theme.name = name; });
+        });
+    }
+
+    const exportThemeBtn = document.getElementById('exportTheme');
+    if (exportThemeBtn) {
+        exportThemeBtn.addEventListener('click', exportCustomTheme);
+    }
+
+    const deleteThemeBtn = document.getElementById('deleteTheme');
+    if (deleteThemeBtn) {
+        deleteThemeBtn.addEventListener('click', deleteCustomTheme);
+    }
+
     // Line numbers toggle
     const lineNumbersCheck = document.getElementById('showLineNumbers');
     if (lineNumbersCheck) {
@@ -128,6 +164,14 @@ function setupEventListeners() {
         });
     }
 
+    // Exact JSON numbers toggle
+    const losslessNumbersCheck = document.getElementById('losslessNumbers');
+    if (losslessNumbersCheck) {
+        losslessNumbersCheck.addEventListener('change', function() {
+            saveSetting('losslessNumbers', this.checked);
+        });
+    }
+
     // Auto format toggle
     const autoFormatCheck = document.getElementById('autoFormat');
     if (autoFormatCheck) {
@@ -161,20 +205,50 @@ function setupEventListeners() {
     // Enable cache toggle
     const enableCacheCheck = document.getElementById('enableCache');
     if (enableCacheCheck) {
-        enableCacheCheck.addEventListener('change', function() {
-            saveSetting('enableCache', this.checked);
+        enableCacheCheck.addEventListener('change', async function() {
+            await saveSetting('enableCache', this.checked);
+            // Turning caching off empties the cache in the background script
+            await loadCacheUsage();
+        });
+    }
+
+    // Auto-detect toggle
+    const autoDetectCheck = document.getElementById('autoDetect');
+    if (autoDetectCheck) {
+        autoDetectCheck.addEventListener('change', function() {
+            saveSetting('autoDetect', this.checked);
         });
     }
 
+    // Per-format switches
+    document.querySelectorAll('input[data-format]').forEach(check => {
+        check.addEventListener('change', function() {
+            const formats = Array.from(document.querySelectorAll('input[data-format]:checked'))
+                .map(input => input.dataset.format);
+            saveSetting('supportedFormats', formats);
+        });
+    });
+
     // Clear stats button
     const clearStatsBtn = document.getElementById('clearStats');
     if (clearStatsBtn) {
         clearStatsBtn.addEventListener('click', clearStatistics);
     }
 
+    // Clear cache button
+    const clearCacheBtn = document.getElementById('clearCache');
+    if (clearCacheBtn) {
+        clearCacheBtn.addEventListener('click', clearCache);
+    }
+
     console.log('Popup: Event listeners setup complete');
 }
 
+async function loadSettings() {
+    const result = await browser.storage.local.get('settings');
+    return ViewerSettings.normalize(result.settings);
+}
+
 /**
  * Save a single setting
  */
@@ -182,12 +256,11 @@ async function saveSetting(key, value) {
     if (isLoading) return; // Prevent recursive saves
 
     console.log(`Popup: Saving ${key} = ${value}`);
-    alert(`DEBUG: Saving ${key} = ${value}`); // DEBUG
 
     try {
         // Get current settings
         const result = await browser.storage.local.get('settings');
-        const settings = result.settings || DEFAULT_SETTINGS;
+        const settings = ViewerSettings.normalize(result.settings);
 
         // Update the specific setting
         settings[key] = value;
@@ -195,12 +268,10 @@ async function saveSetting(key, value) {
         // Save back to storage
         await browser.storage.local.set({ settings: settings });
 
+        // Open viewers pick the change up through storage.onChanged
         console.log(`Popup: Successfully saved ${key}`);
         showStatusMessage(`${key} updated`);
 
-        // Notify content scripts via messaging (fallback)
-        notifyContentScripts(settings);
-
     } catch (error) {
         console.error(`Popup: Failed to save ${key}:`, error);
         showStatusMessage(`Failed to save ${key}`, true);
@@ -208,31 +279,160 @@ async function saveSetting(key, value) {
 }
 
 /**
- * Notify content scripts of settings change
+ * Add the custom themes to the theme select
+ */
+function renderThemeOptions(settings) {
+    const group = document.getElementById('customThemeOptions');
+    if (!group) return;
+
+    group.innerHTML = '';
+    settings.customThemes.forEach(theme => {
+        const option = document.createElement('option');
+        option.value = theme.id;
+        option.textContent = theme.name;
+        group.appendChild(option);
+    });
+    group.hidden = settings.customThemes.length === 0;
+}
+
+/**
+ * One color input per palette color, in ThemeManager.COLORS order
+ */
+function buildThemeColorInputs() {
+    const container = document.getElementById('themeColors');
+    if (!container) return;
+
+    Object.entries(ThemeManager.COLORS).forEach(([name, { label }]) => {
+        const row = document.createElement('label');
+        row.className = 'theme-color';
+        row.textContent = label;
+
+        const input = document.createElement('input');
+        input.type = 'color';
+        input.dataset.color = name;
+        input.addEventListener('input', onThemeColorInput);
+        row.appendChild(input);
+
+        container.appendChild(row);
+    });
+}
+
+/**
+ * Show the editor with the colors of the selected custom theme
  */
-async function notifyContentScripts(settings) {
+function updateThemeEditor(settings) {
+    const editor = document.getElementById('themeEditor');
+    const preview = document.getElementById('themePreview');
+    if (!editor || !preview) return;
+
+    const theme = ThemeManager.resolve(settings, ThemeManager.systemPreference());
+    const custom = settings.customThemes.find(item => item.id === settings.theme);
+
+    editor.style.display = custom ? '' : 'none';
+    ThemeManager.applyPalette(preview, theme.colors);
+    if (!custom) return;
+
+    document.getElementById('themeName').value = custom.name;
+    document.querySelectorAll('#themeColors input[data-color]').forEach(input => {
+        input.value = theme.colors[input.dataset.color];
+    });
+}
+
+/**
+ * Preview a color immediately, and save it once the picker settles so open
+ * viewers follow along
+ */
+function onThemeColorInput() {
+    const preview = document.getElementById('themePreview');
+    const name = this.dataset.color;
+    const value = this.value;
+
+    ThemeManager.COLORS[name].variables.forEach(variable => preview.style.setProperty(variable, value));
+
+    clearTimeout(themeSaveTimer);
+    themeSaveTimer = setTimeout(() => {
+        updateCustomTheme(theme => { theme.colors[name] = value; });
+    }, 250);
+}
+
+/**
+ * Create a custom theme from the theme currently shown and select it
+ */
+async function createCustomTheme() {
     try {
-        // Get all tabs
-        const tabs = await browser.tabs.query({});
-
-        // Send message to each tab
-        tabs.forEach(async (tab) => {
-            console.log('Popup: Checking tab:', tab.url);
-            if (tab.url && !tab.url.startsWith('chrome://') && !tab.url.startsWith('moz-extension://')) {
-                console.log('Popup: Sending message to tab:', tab.id);
-                try {
-                    const response = await browser.tabs.sendMessage(tab.id, {
-                        action: 'settingsUpdated',
-                        settings: settings
-                    });
-                    console.log('Popup: Message sent successfully to tab', tab.id, response);
-                } catch (error) {
-                    console.log('Popup: Failed to send message to tab', tab.id, error.message);
-                }
-            }
-        });
+        const settings = await loadSettings();
+        const from = ThemeManager.resolve(settings, ThemeManager.systemPreference());
+        const theme = ThemeManager.createCustomTheme(`Custom ${settings.customThemes.length + 1}`, from);
+
+        settings.customThemes.push(theme);
+        settings.theme = theme.id;
+        await browser.storage.local.set({ settings });
+
+        updateUIWithSettings(settings);
+        showStatusMessage('Custom theme created');
+    } catch (error) {
+        console.error('Popup: Failed to create theme:', error);
+        showStatusMessage('Failed to create theme', true);
+    }
+}
+
+/**
+ * Apply `change(theme)` to the selected custom theme and save it
+ */
+async function updateCustomTheme(change) {
+    try {
+        const settings = await loadSettings();
+        const theme = settings.customThemes.find(item => item.id === settings.theme);
+        if (!theme) return;
+
+        change(theme);
+        await browser.storage.local.set({ settings: ViewerSettings.normalize(settings) });
+        renderThemeOptions(settings);
+        document.getElementById('theme').value = settings.theme;
     } catch (error) {
-        console.log('Popup: Could not notify content scripts:', error);
+        console.error('Popup: Failed to save theme:', error);
+        showStatusMessage('Failed to save theme', true);
+    }
+}
+
+/**
+ * Download the selected custom theme as JSON
+ */
+async function exportCustomTheme() {
+    const settings = await loadSettings();
+    const custom = settings.customThemes.find(item => item.id === settings.theme);
+    if (!custom) return;
+
+    const json = ThemeManager.exportTheme(ThemeManager.resolve(settings));
+    const blob = new Blob([json], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${custom.name.replace(/[^\w-]+/g, '-').toLowerCase() || 'theme'}.theme.json`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+    showStatusMessage('Theme exported');
+}
+
+async function deleteCustomTheme() {
+    const settings = await loadSettings();
+    const custom = settings.customThemes.find(item => item.id === settings.theme);
+    if (!custom || !confirm(`Delete the theme "${custom.name}"?`)) return;
+
+    try {
+        settings.customThemes = settings.customThemes.filter(item => item.id !== custom.id);
+        settings.theme = 'auto';
+        await browser.storage.local.set({ settings });
+
+        updateUIWithSettings(settings);
+        showStatusMessage('Theme deleted');
+    } catch (error) {
+        console.error('Popup: Failed to delete theme:', error);
+        showStatusMessage('Failed to delete theme', true);
     }
 }
 
@@ -322,6 +522,55 @@ async function clearStatistics() {
     }
 }
 
+/**
+ * Load and display how much the content cache holds
+ */
+async function loadCacheUsage() {
+    const container = document.getElementById('cacheUsage');
+    if (!container) return;
+
+    try {
+        const usage = await browser.runtime.sendMessage({ action: 'getCacheUsage' });
+        if (!usage || !usage.success) {
+            throw new Error(usage?.error || 'No response');
+        }
+
+        container.textContent = usage.enabled
+            ? `${formatSize(usage.bytes)} of ${formatSize(usage.maxBytes)} (${usage.entries} ${usage.entries === 1 ? 'file' : 'files'})`
+            : 'Disabled';
+    } catch (error) {
+        console.error('Popup: Failed to load cache usage:', error);
+        container.textContent = 'Unavailable';
+    }
+}
+
+function formatSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+/**
+ * Remove all cached file content
+ */
+async function clearCache() {
+    console.log('Popup: Clearing cache...');
+
+    try {
+        const result = await browser.runtime.sendMessage({ action: 'clearCache' });
+        if (!result || !result.success) {
+            throw new Error(result?.error || 'No response');
+        }
+
+        await loadCacheUsage();
+        showStatusMessage('Cache cleared');
+        console.log('Popup: Cache cleared, entries removed:', result.removed);
+    } catch (error) {
+        console.error('Popup: Failed to clear cache:', error);
+        showStatusMessage('Failed to clear cache', true);
+    }
+}
+
 /**
  * Show a status message to the user
  */
@@ -0,0 +1,132 @@
+/**
+ * Tests for the background script's capture of intercepted responses
+ *
+ * @jest-environment node
+ */
+
+describe('Background Script', () => {
+    let listeners;
+    let filter;
+    let stored;
+
+    const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+    // The viewer URL's hash, decoded
+    const viewerState = url => JSON.parse(decodeURIComponent(url.split('#')[1]));
+
+    // A main-frame response the listener intercepts, as onHeadersReceived gives it
+    const intercept = (headers = { 'Content-Type': 'application/json' }) => listeners.headersReceived({
+        url: 'https://example.com/data.json',
+        type: 'main_frame',
+        requestId: 'r1',
+        tabId: 3,
+        statusCode: 200,
+        statusLine: 'HTTP/1.1 200 OK',
+        responseHeaders: Object.keys(headers).map(name => ({ name, value: headers[name] }))
+    });
+
+    const respond = async text => {
+        filter.ondata({ data: new TextEncoder().encode(text).buffer });
+        await filter.onstop();
+    };
+
+    beforeEach(async () => {
+        jest.resetModules();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        listeners = {};
+        stored = {};
+        filter = { write: jest.fn(), close: jest.fn() };
+        const event = name => ({ addListener: listener => { listeners[name] = listener; } });
+        global.browser = {
+            webRequest: {
+                onBeforeRequest: event('beforeRequest'),
+                onHeadersReceived: event('headersReceived'),
+                filterResponseData: jest.fn(() => filter)
+            },
+            runtime: { onInstalled: event('installed'), onMessage: event('message'), getURL: path => `moz-extension://viewer/${path}` },
+            storage: {
+                local: {
+                    get: jest.fn(async key => (typeof key === 'string' ? { [key]: stored[key] } : {})),
+                    set: jest.fn(async items => { Object.assign(stored, items); }),
+                    remove: jest.fn(async () => {})
+                },
+                onChanged: event('storageChanged')
+            },
+            alarms: { create: jest.fn(), onAlarm: event('alarm') },
+            tabs: { TAB_ID_NONE: -1, update: jest.fn(async () => {}) }
+        };
+        require('../js/core/settings.js');
+        require('../js/core/cache.js');
+        require('../js/background.js');
+        await flush();
+    });
+
+    afterEach(() => {
+        console.log.mockRestore();
+        console.error.mockRestore();
+        delete global.browser;
+    });
+
+    test('captures the response and opens the viewer on the cached copy', async () => {
+        const result = intercept();
+        expect(result.responseHeaders).toContainEqual({ name: 'Content-Type', value: 'text/html; charset=utf-8' });
+
+        await respond('{"a": 1}');
+        expect(filter.write).toHaveBeenCalled();
+        expect(filter.close).toHaveBeenCalled();
+
+        const [tabId, { url }] = browser.tabs.update.mock.calls[0];
+        expect(tabId).toBe(3);
+        const { cacheKey } = viewerState(url);
+        expect(stored[cacheKey]).toMatchObject({ content: '{"a": 1}', status: 200, statusText: 'OK' });
+    });
+
+    test('reports cache usage with the setting the popup just saved', async () => {
+        intercept();
+        await respond('{"a": 1}');
+        const usage = () => new Promise(resolve => listeners.message({ action: 'getCacheUsage' }, {}, resolve));
+
+        expect(await usage()).toMatchObject({ success: true, enabled: true, entries: 1 });
+        // Saved, but storage.onChanged not yet delivered
+        stored.settings = { enableCache: false };
+        expect(await usage()).toMatchObject({ success: true, enabled: false, entries: 0 });
+    });
+
+    test('opens the viewer uncached for a response too large to capture', async () => {
+        intercept();
+        const before = { ...stored };
+        filter.ondata({ data: { byteLength: 65 * 1024 * 1024 } });
+        await filter.onstop();
+
+        expect(filter.close).toHaveBeenCalled();
+        expect(stored).toEqual(before);
+        const state = viewerState(browser.tabs.update.mock.calls[0][1].url);
+        expect(state.cacheKey).toBeUndefined();
+        expect(state.headers).toEqual({ 'content-type': 'application/json' });
+    });
+
+    test('opens the viewer uncached when storing the capture fails', async () => {
+        browser.storage.local.set.mockRejectedValue(new Error('Quota exceeded'));
+        intercept();
+        await respond('{"a": 1}');
+        await flush();
+
+        expect(filter.close).toHaveBeenCalled();
+        const state = viewerState(browser.tabs.update.mock.calls[0][1].url);
+        expect(state.cacheKey).toBeUndefined();
+        expect(state.headers).toEqual({ 'content-type': 'application/json' });
+    });
+
+    test('closes the filter and opens the viewer uncached when the capture fails', async () => {
+        intercept();
+        filter.error = 'Channel closed';
+        filter.onerror();
+        await flush();
+
+        expect(filter.close).toHaveBeenCalled();
+        expect(filter.write).not.toHaveBeenCalled();
+        expect(viewerState(browser.tabs.update.mock.calls[0][1].url).cacheKey).toBeUndefined();
+    });
+});
@@ -0,0 +1,90 @@
+/**
+ * Tests for the inline viewer's content script and the modules the
+ * background script injects into the pages it shows
+ *
+ * @jest-environment-options {"url": "https://example.com/data/config.toml"}
+ */
+
+describe('Content Script', () => {
+    let listeners;
+    let executeScript;
+
+    // The background script, with the browser APIs it registers with at startup
+    const loadBackground = () => {
+        listeners = {};
+        const event = name => ({ addListener: listener => { listeners[name] = listener; } });
+        executeScript = jest.fn(async (tabId, { file }) => require(`../${file.slice(1)}`));
+        global.browser = {
+            webRequest: { onBeforeRequest: event('beforeRequest'), onHeadersReceived: event('headersReceived') },
+            runtime: {
+                onInstalled: event('installed'),
+                onMessage: event('message'),
+                getURL: path => `moz-extension://viewer/${path}`,
+                sendMessage: jest.fn(message => new Promise(resolve => {
+                    listeners.message(message, { tab: { id: 7 }, frameId: 0 }, resolve);
+                }))
+            },
+            storage: {
+                local: { get: jest.fn(async () => ({})), set: jest.fn(async () => {}), remove: jest.fn(async () => {}) },
+                onChanged: event('storageChanged')
+            },
+            alarms: { create: jest.fn(), onAlarm: event('alarm') },
+            tabs: { executeScript }
+        };
+        require('../js/core/settings.js');
+        require('../js/core/cache.js');
+        require('../js/background.js');
+    };
+
+    // Runs content.js on a page with the given body and waits for it to settle
+    const loadPage = async html => {
+        document.body.innerHTML = html;
+        require('../js/content.js');
+        await new Promise(resolve => setTimeout(resolve, 0));
+    };
+
+    beforeEach(() => {
+        jest.resetModules();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        loadBackground();
+    });
+
+    afterEach(() => {
+        console.log.mockRestore();
+    });
+
+    test('injects the viewer modules into a page that shows a file', async () => {
+        await loadPage('<pre>title = "Example"\n[owner]\nname = "Tom"\n</pre>');
+
+        expect(browser.runtime.sendMessage).toHaveBeenCalledWith({ action: 'injectViewerScripts' });
+        expect(executeScript.mock.calls.map(([tabId, options]) => [tabId, options.file]))
+            .toEqual(NativeViewerBackground.INLINE_VIEWER_SCRIPTS.map(file => [7, file]));
+        expect(document.querySelector('.fv-container').textContent).toContain('Tom');
+    });
+
+    test('leaves files as text when the viewer is disabled', async () => {
+        browser.storage.local.get.mockResolvedValue({ settings: { enabled: false } });
+        await loadPage('<pre>title = "Example"</pre>');
+
+        expect(browser.runtime.sendMessage).toHaveBeenCalledWith({ action: 'getSettings' });
+        expect(document.querySelector('.fv-container')).toBeNull();
+        expect(document.body.textContent).toBe('title = "Example"');
+    });
+
+    test('leaves files over the max file size as text, counting bytes', async () => {
+        browser.storage.local.get.mockResolvedValue({ settings: { maxFileSize: 1 } });
+        // Fewer characters than the limit, but two bytes each in UTF-8
+        await loadPage(`<pre>name = "${'é'.repeat(600 * 1024)}"</pre>`);
+
+        expect(executeScript).toHaveBeenCalled();
+        expect(document.querySelector('.fv-container')).toBeNull();
+    });
+
+    test('leaves other pages alone', async () => {
+        await loadPage('<header>Site</header><main><p>An article about TOML files</p></main><footer></footer>');
+
+        expect(browser.runtime.sendMessage).not.toHaveBeenCalled();
+        expect(executeScript).not.toHaveBeenCalled();
+        expect(document.querySelector('.fv-container')).toBeNull();
+    });
+});
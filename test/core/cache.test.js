@@ -0,0 +1,230 @@
+/**
+ * Tests for the content cache
+ */
+
+require('../../js/core/cache.js');
+
+// In-memory stand-in for browser.storage.local
+const createStorage = (initial = {}) => {
+    const data = Object.assign({}, initial);
+    const copy = value => JSON.parse(JSON.stringify(value));
+    return {
+        data,
+        get: jest.fn(async keys => {
+            if (keys === null) return copy(data);
+            return Object.fromEntries([].concat(keys).filter(key => key in data).map(key => [key, copy(data[key])]));
+        }),
+        set: jest.fn(async items => { Object.assign(data, copy(items)); }),
+        remove: jest.fn(async keys => { [].concat(keys).forEach(key => delete data[key]); })
+    };
+};
+
+describe('ContentCache', () => {
+    let now;
+    let storage;
+
+    const entry = size => ({ content: 'x'.repeat(size), headers: {} });
+    const storedKeys = () => Object.keys(storage.data).filter(ContentCache.isCacheKey).sort();
+
+    beforeEach(() => {
+        now = 1000;
+        jest.spyOn(Date, 'now').mockImplementation(() => now++);
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        storage = createStorage();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('Entries', () => {
+        test('stores and returns entries', async () => {
+            const cache = new ContentCache(storage);
+            const key = await cache.put({ content: 'a = 1', headers: { etag: '"1"' } }, 'one');
+
+            expect(key).toBe('content_one');
+            expect(await cache.get(key)).toMatchObject({ content: 'a = 1', headers: { etag: '"1"' } });
+            expect(await cache.get('content_missing')).toBeNull();
+            expect(storage.data[ContentCache.INDEX_KEY][key].size).toBe('a = 1'.length + '{"etag":"\\"1\\""}'.length);
+        });
+
+        test('forgets entries whose content is gone', async () => {
+            const cache = new ContentCache(storage);
+            const key = await cache.put(entry(10), 'one');
+            delete storage.data[key];
+
+            expect(await cache.get(key)).toBeNull();
+            expect(cache.usage().entries).toBe(0);
+        });
+
+        test('removes entries stored before the index existed', async () => {
+            storage = createStorage({ content_old: entry(10), settings: { enabled: true } });
+            await new ContentCache(storage).load();
+
+            expect(storedKeys()).toEqual([]);
+            expect(storage.data.settings).toEqual({ enabled: true });
+        });
+
+        test('reports usage', async () => {
+            const cache = new ContentCache(storage);
+            await cache.put(entry(10), 'one');
+            await cache.put(entry(20), 'two');
+
+            expect(cache.usage()).toEqual({
+                enabled: true,
+                entries: 2,
+                bytes: ContentCache.sizeOf(entry(10)) + ContentCache.sizeOf(entry(20)),
+                maxBytes: 100 * 1024 * 1024
+            });
+        });
+    });
+
+    describe('Budget', () => {
+        const size = ContentCache.sizeOf(entry(10));
+
+        test('evicts the least recently used entries', async () => {
+            const cache = new ContentCache(storage, { maxBytes: size * 2 });
+            await cache.put(entry(10), 'a');
+            await cache.put(entry(10), 'b');
+            await cache.get('content_a');
+            await cache.put(entry(10), 'c');
+
+            expect(storedKeys()).toEqual(['content_a', 'content_c']);
+            expect(cache.usage().bytes).toBe(size * 2);
+        });
+
+        test('never evicts the entry being stored', async () => {
+            const cache = new ContentCache(storage, { maxBytes: size * 2 });
+            await cache.put(entry(10), 'a');
+            await cache.put(entry(20), 'b');
+
+            expect(storedKeys()).toEqual(['content_b']);
+        });
+
+        test('holds entries larger than the whole budget in memory, once', async () => {
+            const cache = new ContentCache(storage, { maxBytes: size });
+            await cache.put(entry(10), 'a');
+            const key = await cache.put(entry(11), 'big');
+
+            expect(storedKeys()).toEqual(['content_a']);
+            expect((await cache.get(key)).content).toHaveLength(11);
+            expect(await cache.get(key)).toBeNull();
+        });
+    });
+
+    describe('Sweeps', () => {
+        test('remove entries not viewed within the maximum age', async () => {
+            const cache = new ContentCache(storage, { maxAge: 1000 });
+            await cache.put(entry(10), 'old');
+            now += 500;
+            await cache.put(entry(10), 'new');
+            now += 600;
+
+            expect(await cache.sweep()).toBe(1);
+            expect(storedKeys()).toEqual(['content_new']);
+        });
+
+        test('drop in-memory entries nobody picked up', async () => {
+            const cache = new ContentCache(storage, { enabled: false });
+            const key = await cache.put(entry(10), 'a');
+            now += ContentCache.TRANSIENT_TTL_MS + 1;
+
+            await cache.sweep();
+            expect(await cache.get(key)).toBeNull();
+        });
+    });
+
+    describe('Settings', () => {
+        test('keeps content only in memory while disabled', async () => {
+            const cache = new ContentCache(storage, { enabled: false });
+            const key = await cache.put(entry(10), 'a');
+
+            expect(storedKeys()).toEqual([]);
+            expect(cache.usage()).toMatchObject({ enabled: false, entries: 0 });
+            expect((await cache.get(key)).content).toHaveLength(10);
+            expect(await cache.get(key)).toBeNull();
+        });
+
+        test('empties the cache when disabled', async () => {
+            const cache = new ContentCache(storage);
+            await cache.put(entry(10), 'a');
+            await cache.setEnabled(false);
+
+            expect(storedKeys()).toEqual([]);
+            expect(cache.usage().entries).toBe(0);
+        });
+
+        test('clears every entry', async () => {
+            const cache = new ContentCache(storage);
+            await cache.put(entry(10), 'a');
+            await cache.put(entry(10), 'b');
+
+            expect(await cache.clear()).toBe(2);
+            expect(storedKeys()).toEqual([]);
+            expect(storage.data[ContentCache.INDEX_KEY]).toEqual({});
+        });
+    });
+
+    describe('Background', () => {
+        let listeners;
+
+        const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+        beforeEach(() => {
+            jest.resetModules();
+            require('../../js/core/settings.js');
+            require('../../js/core/cache.js');
+
+            listeners = {};
+            const event = name => ({ addListener: listener => { listeners[name] = listener; } });
+            global.browser = {
+                webRequest: { onBeforeRequest: event('beforeRequest'), onHeadersReceived: event('headersReceived') },
+                runtime: { onInstalled: event('installed'), onMessage: event('message') },
+                storage: { local: storage, onChanged: event('storageChanged') },
+                alarms: { create: jest.fn(), onAlarm: event('alarm') },
+                tabs: {}
+            };
+        });
+
+        afterEach(() => {
+            delete global.browser;
+        });
+
+        test('sweeps on the alarm', async () => {
+            storage.data[ContentCache.INDEX_KEY] = { content_a: { size: 10, lastAccess: now } };
+            storage.data.content_a = entry(10);
+            require('../../js/background.js');
+            await flush();
+
+            expect(browser.alarms.create).toHaveBeenCalledWith(ContentCache.SWEEP_ALARM, {
+                periodInMinutes: ContentCache.SWEEP_INTERVAL_MINUTES
+            });
+            expect(storedKeys()).toEqual(['content_a']);
+
+            now += ContentCache.MAX_AGE_MS + 1;
+            listeners.alarm({ name: 'other' });
+            await flush();
+            expect(storedKeys()).toEqual(['content_a']);
+
+            listeners.alarm({ name: ContentCache.SWEEP_ALARM });
+            await flush();
+            expect(storedKeys()).toEqual([]);
+        });
+
+        test('follows the cache setting', async () => {
+            storage.data[ContentCache.INDEX_KEY] = { content_a: { size: 10, lastAccess: now } };
+            storage.data.content_a = entry(10);
+            require('../../js/background.js');
+            await flush();
+
+            const response = message => new Promise(resolve => listeners.message(message, {}, resolve));
+            expect(await response({ action: 'getCacheUsage' })).toMatchObject({ success: true, enabled: true, entries: 1 });
+
+            storage.data.settings = { enabled: true, enableCache: false };
+            listeners.storageChanged({ settings: { newValue: storage.data.settings } }, 'local');
+            await flush();
+            expect(storedKeys()).toEqual([]);
+            expect(await response({ action: 'getCacheUsage' })).toMatchObject({ success: true, enabled: false });
+        });
+    });
+});
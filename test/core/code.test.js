@@ -0,0 +1,208 @@
+/**
+ * Tests for the virtual code view
+ */
+
+global.Prism = require('../../lib/prism/prism-core.min.js');
+require('../../lib/prism/prism-json.min.js');
+require('../../lib/prism/prism-markup.min.js');
+require('../../js/core/code.js');
+
+describe('VirtualCodeView', () => {
+    let view;
+
+    const show = (content, format) => {
+        view = new VirtualCodeView(content, format);
+        document.body.appendChild(view.render());
+        view.mount();
+        return view;
+    };
+
+    const lineAt = index => view.content.querySelector(`.fv-code-line[data-line="${index + 1}"]`);
+
+    afterEach(() => {
+        if (view) {
+            view.container.remove();
+            view.destroy();
+            view = null;
+        }
+    });
+
+    describe('Rendering', () => {
+        test('renders only the lines near the viewport', () => {
+            show(Array.from({ length: 5000 }, (item, index) => `line ${index}`).join('\n'), 'txt');
+
+            const expected = Math.ceil(window.innerHeight / 20) + 30;
+            expect(view.content.children).toHaveLength(expected);
+            expect(view.lineNumbers.children).toHaveLength(expected);
+            expect(view.sizer.style.height).toBe(`${5000 * 20}px`);
+        });
+
+        test('shows plain text without a grammar', () => {
+            show('<a>&amp;</a>', 'unknown');
+            expect(lineAt(0).innerHTML).toBe('&lt;a&gt;&amp;amp;&lt;/a&gt;');
+        });
+
+        test('highlights with Prism', () => {
+            show('{\n  "a": 1\n}', 'json');
+            const property = lineAt(1).querySelector('.token.property');
+            expect(property.textContent).toBe('"a"');
+            expect(lineAt(1).querySelector('.token.number').textContent).toBe('1');
+        });
+    });
+
+    describe('Chunks', () => {
+        const { CHUNK_LINES, LOOKAHEAD_LINES } = VirtualCodeView;
+
+        beforeEach(() => {
+            VirtualCodeView.CHUNK_LINES = 2;
+            VirtualCodeView.LOOKAHEAD_LINES = 3;
+        });
+
+        afterEach(() => {
+            VirtualCodeView.CHUNK_LINES = CHUNK_LINES;
+            VirtualCodeView.LOOKAHEAD_LINES = LOOKAHEAD_LINES;
+        });
+
+        test('splits tokens that span lines into one span per line', () => {
+            const { lines, safe } = new VirtualCodeView('<a>\n<!-- one\ntwo -->\n</a>', 'xml').tokenizeLines(0, 4);
+
+            expect(lines[1][0]).toEqual({ className: 'token comment', children: ['<!-- one'] });
+            expect(lines[2][0]).toEqual({ className: 'token comment', children: ['two -->'] });
+            expect(safe).toEqual([1, 3]);
+        });
+
+        test('never ends a chunk inside a token', () => {
+            const content = ['<a>', '<!--', 'x', 'y', '-->', '</a>', '<b/>', '<c/>'].join('\n');
+            show(content, 'xml');
+
+            expect(view.checkpoints).toEqual([0, 1, 8]);
+            expect(lineAt(3).firstChild.className).toBe('token comment');
+        });
+
+        test('highlights evicted chunks again when shown', () => {
+            show('<a>\n<b/>\n<c/>\n</a>', 'xml');
+
+            view.chunks.clear();
+            expect(view.getHighlightedLine(2)[0].className).toBe('token tag');
+        });
+    });
+
+    describe('Search', () => {
+        test('highlights matches and counts matching lines', () => {
+            show('alpha\nbeta\nALPHA beta alpha', 'txt');
+
+            expect(view.setSearch('Alpha')).toBe(2);
+            expect(lineAt(0).classList.contains('fv-current-match')).toBe(true);
+            expect(lineAt(2).querySelectorAll('.fv-search-highlight')).toHaveLength(2);
+
+            view.nextMatch();
+            expect(lineAt(2).classList.contains('fv-current-match')).toBe(true);
+            view.nextMatch();
+            expect(lineAt(0).classList.contains('fv-current-match')).toBe(true);
+        });
+
+        test('clears highlights with an empty term', () => {
+            show('alpha', 'txt');
+            view.setSearch('al');
+            expect(view.setSearch('')).toBe(0);
+            expect(view.content.querySelector('.fv-search-highlight')).toBeNull();
+        });
+    });
+
+    describe('Editing', () => {
+        const nextFrame = () => new Promise(resolve => requestAnimationFrame(resolve));
+
+        const edit = (content, format = 'json', options = {}) => {
+            view = new EditableCodeView(content, format, options);
+            document.body.appendChild(view.render());
+            view.mount();
+            return view;
+        };
+
+        afterEach(() => {
+            delete document.execCommand;
+        });
+
+        test('reports typed text once per frame', async () => {
+            const onChange = jest.fn();
+            edit('{"a": 1}', 'json', { onChange });
+
+            view.input.value = '{"a": 12}';
+            view.input.dispatchEvent(new Event('input'));
+            view.input.value = '{"a": 123}';
+            view.input.dispatchEvent(new Event('input'));
+            await nextFrame();
+
+            expect(onChange.mock.calls).toEqual([['{"a": 123}']]);
+            expect(lineAt(0).textContent).toBe('{"a": 123}');
+        });
+
+        test('keeps the highlighting before the first changed line', () => {
+            const { CHUNK_LINES, LOOKAHEAD_LINES } = VirtualCodeView;
+            VirtualCodeView.CHUNK_LINES = 2;
+            VirtualCodeView.LOOKAHEAD_LINES = 0;
+            try {
+                edit(['[', '1,', '2,', '3,', '4', ']'].join('\n'));
+                const kept = view.checkpoints.filter(line => line <= 3).pop();
+                expect(kept).toBeGreaterThan(0);
+                const tokenize = jest.spyOn(view, 'tokenizeLines');
+
+                view.setContent(['[', '1,', '2,', '5,', '4', ']'].join('\n'));
+                expect(tokenize).toHaveBeenCalled();
+                expect(Math.min(...tokenize.mock.calls.map(([start]) => start))).toBe(kept);
+                expect(lineAt(3).textContent).toBe('5,');
+                expect(lineAt(3).querySelector('.token.number').textContent).toBe('5');
+            } finally {
+                VirtualCodeView.CHUNK_LINES = CHUNK_LINES;
+                VirtualCodeView.LOOKAHEAD_LINES = LOOKAHEAD_LINES;
+            }
+        });
+
+        test('indents with Tab', async () => {
+            document.execCommand = jest.fn(() => false);
+            const onChange = jest.fn();
+            edit('a', 'txt', { onChange, indentSize: 4 });
+
+            view.input.setSelectionRange(0, 0);
+            view.input.dispatchEvent(new KeyboardEvent('keydown', { key: 'Tab', cancelable: true }));
+            await nextFrame();
+
+            expect(document.execCommand).toHaveBeenCalledWith('insertText', false, '    ');
+            expect(onChange).toHaveBeenCalledWith('    a');
+        });
+
+        test('marks the first error of a line', () => {
+            edit('{\n  "a": 1,\n}');
+            view.setErrors([
+                { line: 3, column: 1, message: 'Unexpected }' },
+                { line: 3, column: 2, message: 'Second' },
+                { message: 'Somewhere' }
+            ]);
+
+            expect(lineAt(2).classList.contains('fv-code-error')).toBe(true);
+            expect(lineAt(2).querySelector('.fv-code-error-message').textContent).toBe('Unexpected }');
+            expect(view.lineNumbers.querySelector('[data-line="3"]').title).toBe('Unexpected }');
+            expect(view.content.querySelectorAll('.fv-code-error')).toHaveLength(1);
+
+            view.setErrors([]);
+            expect(view.content.querySelector('.fv-code-error')).toBeNull();
+        });
+
+        test('marks warnings apart from errors', () => {
+            edit('{\n  "a": 1,\n  "a": 2\n}');
+            view.setErrors([{ line: 3, message: 'Duplicate key "a"', warning: true }]);
+
+            expect(lineAt(2).classList.contains('fv-code-warning')).toBe(true);
+            expect(view.lineNumbers.querySelector('[data-line="3"]').classList.contains('fv-code-warning')).toBe(true);
+        });
+
+        test('puts the cursor at a line and column', () => {
+            edit('ab\ncdef\ng');
+            view.goToPosition(2, 3);
+            expect(view.input.selectionStart).toBe(5);
+
+            view.goToPosition(9, 9);
+            expect(view.input.selectionStart).toBe(9);
+        });
+    });
+});
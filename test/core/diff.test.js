@@ -0,0 +1,148 @@
+/**
+ * Tests for the structural diff
+ */
+
+require('../../js/core/tree.js');
+require('../../js/core/diff.js');
+
+describe('StructuralDiff', () => {
+    const statuses = node => node.children.map(child => [child.label, child.status]);
+
+    describe('compare', () => {
+        test('ignores key order', () => {
+            const diff = StructuralDiff.compare({ a: 1, b: { c: [1, 2] } }, { b: { c: [1, 2] }, a: 1 });
+            expect(diff.status).toBe('unchanged');
+        });
+
+        test('marks changed, added and removed values', () => {
+            const diff = StructuralDiff.compare({ a: 1, b: 2, c: { d: true } }, { a: 1, b: '2', c: { e: null } });
+
+            expect(diff.status).toBe('modified');
+            expect(statuses(diff)).toEqual([['a', 'unchanged'], ['b', 'changed'], ['c', 'modified']]);
+            expect(statuses(diff.children[2])).toEqual([['d', 'removed'], ['e', 'added']]);
+            expect(diff.children[1]).toMatchObject({ left: 2, right: '2', children: null });
+        });
+
+        test('compares a value that changes type as a whole', () => {
+            const diff = StructuralDiff.compare({ a: [1] }, { a: { 0: 1 } });
+            expect(diff.children[0]).toMatchObject({ status: 'changed', kind: null, children: null });
+        });
+
+        test('compares dates by value', () => {
+            const diff = StructuralDiff.compare({ at: new Date(0) }, { at: new Date(0) });
+            expect(diff.status).toBe('unchanged');
+        });
+
+        test('keeps equal array items aligned around insertions', () => {
+            const diff = StructuralDiff.compare(['a', 'b', 'c'], ['a', 'x', 'b', 'c', 'd']);
+            expect(statuses(diff)).toEqual([
+                [0, 'unchanged'], [1, 'added'], ['1 → 2', 'unchanged'], ['2 → 3', 'unchanged'], [4, 'added']
+            ]);
+        });
+
+        test('compares items between aligned ones by position', () => {
+            const diff = StructuralDiff.compare([1, 2, 3, 9], [1, 5, 6, 9]);
+            expect(statuses(diff).map(([, status]) => status)).toEqual(['unchanged', 'changed', 'changed', 'unchanged']);
+        });
+    });
+
+    describe('matchKey', () => {
+        test('pairs array items by their key field', () => {
+            const left = [{ id: 1, v: 'a' }, { id: 2, v: 'b' }, { id: 3, v: 'c' }];
+            const right = [{ id: 3, v: 'c' }, { id: 1, v: 'A' }];
+            const diff = StructuralDiff.compare(left, right, { matchKey: 'id' });
+
+            expect(statuses(diff)).toEqual([['id=2', 'removed'], ['id=3', 'unchanged'], ['id=1', 'modified']]);
+            expect(diff.children[2].children[1]).toMatchObject({ status: 'changed', left: 'a', right: 'A' });
+        });
+
+        test('keeps removed items near their old place', () => {
+            const left = [{ id: 1 }, { id: 2 }, { id: 3 }];
+            const diff = StructuralDiff.compare(left, [{ id: 1 }, { id: 3 }, { id: 4 }], { matchKey: 'id' });
+            expect(statuses(diff)).toEqual([
+                ['id=1', 'unchanged'], ['id=2', 'removed'], ['id=3', 'unchanged'], ['id=4', 'added']
+            ]);
+        });
+
+        test('falls back to sequences when an item has no key', () => {
+            const diff = StructuralDiff.compare([{ id: 1 }, { id: 2 }], [{ id: 2 }, { name: 'x' }], { matchKey: 'id' });
+            expect(statuses(diff)).toEqual([[0, 'removed'], ['1 → 0', 'unchanged'], [1, 'added']]);
+        });
+    });
+
+    describe('MAX_LCS_CELLS', () => {
+        const maxCells = StructuralDiff.MAX_LCS_CELLS;
+
+        afterEach(() => {
+            StructuralDiff.MAX_LCS_CELLS = maxCells;
+        });
+
+        test('aligns long arrays by position instead', () => {
+            const left = [1, 2, 3, 4];
+            const right = [9, 1, 2, 3];
+            expect(StructuralDiff.summarize(StructuralDiff.compare(left, right)))
+                .toEqual({ added: 1, removed: 1, changed: 0 });
+
+            StructuralDiff.MAX_LCS_CELLS = 10;
+            expect(StructuralDiff.summarize(StructuralDiff.compare(left, right)))
+                .toEqual({ added: 0, removed: 0, changed: 4 });
+        });
+    });
+
+    describe('summarize', () => {
+        test('counts values inside added or removed containers once', () => {
+            const diff = StructuralDiff.compare(
+                { a: { b: 1, c: 2 }, d: [1, 2], e: 1 },
+                { d: [1, 3], e: 2, f: { g: [1, 2, 3] } }
+            );
+            expect(StructuralDiff.summarize(diff)).toEqual({ added: 1, removed: 1, changed: 2 });
+        });
+
+        test('counts a changed root', () => {
+            expect(StructuralDiff.summarize(StructuralDiff.compare(1, 2))).toEqual({ added: 0, removed: 0, changed: 1 });
+        });
+    });
+
+    describe('changes', () => {
+        test('lists the paths of changed values in both documents', () => {
+            const diff = StructuralDiff.compare(
+                { items: [{ id: 1 }, { id: 2 }], name: 'a' },
+                { items: [{ id: 2 }], name: 'b', added: true }
+            );
+            expect(StructuralDiff.changes(diff).map(change => [change.status, change.path, change.rightPath])).toEqual([
+                ['removed', ['items', 0], ['items']],
+                ['changed', ['name'], ['name']],
+                ['added', ['added'], ['added']]
+            ]);
+        });
+    });
+
+    describe('pathText', () => {
+        test('writes paths as jq does', () => {
+            expect(StructuralDiff.pathText([])).toBe('.');
+            expect(StructuralDiff.pathText(['items', 2, 'name'])).toBe('.items[2].name');
+            expect(StructuralDiff.pathText([0, 'a b'])).toBe('.[0]["a b"]');
+        });
+    });
+
+    describe('DiffTree', () => {
+        test('opens the path to every change and lists them in order', () => {
+            const diff = StructuralDiff.compare(
+                { a: { b: { c: 1 } }, same: { x: 1 }, list: [1, 2] },
+                { a: { b: { c: 2 } }, same: { x: 1 }, list: [1] }
+            );
+            const tree = new DiffTree(diff);
+
+            expect(tree.changes).toEqual([['a', 'b', 'c'], ['list', 1]]);
+            expect(tree.rows.map(node => [node.key, node.expanded])).toEqual([
+                ['a', true], ['b', true], ['c', false], ['same', false], ['list', true], [0, false], [1, false]
+            ]);
+        });
+
+        test('searches both sides of changed values', () => {
+            const tree = new DiffTree(StructuralDiff.compare({ a: 'old' }, { a: 'new' }));
+            expect(tree.findMatches('old')).toEqual([['a']]);
+            expect(tree.findMatches('new')).toEqual([['a']]);
+        });
+    });
+});
@@ -0,0 +1,246 @@
+/**
+ * Tests for tree editing
+ */
+
+require('../../js/formats/json.js');
+require('../../js/formats/toml.js');
+require('../../js/core/tree.js');
+require('../../js/core/diff.js');
+require('../../js/core/serializer.js');
+require('../../js/core/editor.js');
+
+describe('TreeEditor', () => {
+    const sample = () => ({ name: 'fox', tags: ['a', 'b', 'c'], size: { width: 2, height: 3 } });
+
+    describe('Edits', () => {
+        test('set values and replace the document', () => {
+            const editor = new TreeEditor(sample());
+            expect(editor.apply({ type: 'set', path: ['size', 'width'], value: 5 })).toEqual(['size', 'width']);
+            expect(editor.data.size.width).toBe(5);
+
+            editor.apply({ type: 'set', path: [], value: [1] });
+            expect(editor.data).toEqual([1]);
+        });
+
+        test('rename keys in place', () => {
+            const editor = new TreeEditor(sample());
+            expect(editor.apply({ type: 'rename', path: ['tags'], key: 'labels' })).toEqual(['labels']);
+            expect(Object.keys(editor.data)).toEqual(['name', 'labels', 'size']);
+        });
+
+        test('insert keys and items', () => {
+            const editor = new TreeEditor(sample());
+            editor.apply({ type: 'insert', path: ['size'], key: 'depth', value: 1, position: 1 });
+            editor.apply({ type: 'insert', path: ['tags'], key: 0, value: 'z' });
+
+            expect(Object.keys(editor.data.size)).toEqual(['width', 'depth', 'height']);
+            expect(editor.data.tags).toEqual(['z', 'a', 'b', 'c']);
+        });
+
+        test('remove and move', () => {
+            const editor = new TreeEditor(sample());
+            expect(editor.apply({ type: 'remove', path: ['tags', 1] })).toEqual(['tags']);
+            expect(editor.apply({ type: 'move', path: ['tags', 0], index: 1 })).toEqual(['tags', 1]);
+            expect(editor.data.tags).toEqual(['c', 'a']);
+        });
+
+        test('keep keys such as __proto__ as own properties', () => {
+            const editor = new TreeEditor({});
+            editor.apply({ type: 'insert', path: [], key: '__proto__', value: { polluted: true } });
+
+            expect(Object.keys(editor.data)).toEqual(['__proto__']);
+            expect(editor.data.polluted).toBeUndefined();
+            expect({}.polluted).toBeUndefined();
+        });
+    });
+
+    describe('Undo and redo', () => {
+        test('undo every kind of edit in reverse order', () => {
+            const editor = new TreeEditor(sample());
+            editor.apply({ type: 'set', path: ['name'], value: 'wolf' });
+            editor.apply({ type: 'rename', path: ['size'], key: 'dimensions' });
+            editor.apply({ type: 'remove', path: ['name'] });
+            editor.apply({ type: 'move', path: ['tags', 2], index: 0 });
+            editor.apply({ type: 'insert', path: ['dimensions'], key: 'depth', value: 1 });
+
+            while (editor.canUndo()) editor.undo();
+            expect(editor.data).toEqual(sample());
+            expect(Object.keys(editor.data)).toEqual(['name', 'tags', 'size']);
+            expect(editor.undo()).toBeNull();
+        });
+
+        test('redo what was undone', () => {
+            const editor = new TreeEditor(sample());
+            editor.apply({ type: 'remove', path: ['tags', 0] });
+            editor.apply({ type: 'set', path: ['tags', 0], value: 'x' });
+            const edited = JSON.parse(JSON.stringify(editor.data));
+
+            expect(editor.undo()).toEqual(['tags', 0]);
+            expect(editor.undo()).toEqual(['tags', 0]);
+            expect(editor.canRedo()).toBe(true);
+            editor.redo();
+            expect(editor.redo()).toEqual(['tags', 0]);
+            expect(editor.data).toEqual(edited);
+            expect(editor.redo()).toBeNull();
+        });
+
+        test('clear the redo history with a new edit', () => {
+            const editor = new TreeEditor(sample());
+            editor.apply({ type: 'set', path: ['name'], value: 'wolf' });
+            editor.undo();
+            editor.apply({ type: 'set', path: ['name'], value: 'dog' });
+
+            expect(editor.canRedo()).toBe(false);
+        });
+
+        test('keep a limited history', () => {
+            const editor = new TreeEditor({ n: 0 });
+            for (let i = 1; i <= TreeEditor.HISTORY_LIMIT + 5; i++) {
+                editor.apply({ type: 'set', path: ['n'], value: i });
+            }
+            while (editor.canUndo()) editor.undo();
+            expect(editor.data.n).toBe(5);
+        });
+    });
+
+    describe('Validation', () => {
+        test('rejects edits that do not fit the document', () => {
+            const editor = new TreeEditor(sample());
+            expect(() => editor.apply({ type: 'set', path: ['missing', 'x'], value: 1 })).toThrow('Nothing at .missing');
+            expect(() => editor.apply({ type: 'rename', path: ['name'], key: 'tags' })).toThrow('"tags" already exists');
+            expect(() => editor.apply({ type: 'rename', path: ['tags', 0], key: 'x' })).toThrow('Array items have no name');
+            expect(() => editor.apply({ type: 'insert', path: ['name'], key: 'x', value: 1 })).toThrow('.name is not an object or array');
+            expect(() => editor.apply({ type: 'insert', path: ['tags'], key: 9, value: 1 })).toThrow('No index 9 in this array');
+            expect(() => editor.apply({ type: 'move', path: ['tags', 0], index: 3 })).toThrow('Only array items can be moved');
+            expect(() => editor.apply({ type: 'remove', path: [] })).toThrow('The document itself can only be replaced');
+
+            expect(editor.data).toEqual(sample());
+            expect(editor.canUndo()).toBe(false);
+        });
+
+        test('undoes an edit the check rejects', () => {
+            const editor = new TreeEditor({ title: 'x', owner: { name: 'Tom' } });
+            const check = data => ContentSerializer.serialize(data, 'toml');
+
+            expect(() => editor.apply({ type: 'set', path: ['owner', 'name'], value: null }, check))
+                .toThrow('TOML has no null value (at owner.name)');
+            expect(editor.data).toEqual({ title: 'x', owner: { name: 'Tom' } });
+            expect(editor.canUndo()).toBe(false);
+
+            editor.apply({ type: 'set', path: ['owner', 'name'], value: 'Ann' }, check);
+            expect(editor.data.owner.name).toBe('Ann');
+        });
+    });
+});
+
+describe('EditableTree', () => {
+    describe('Input', () => {
+        test('reads JSON literals with their type and anything else as text', () => {
+            expect(EditableTree.parseInput('42', 'x')).toBe(42);
+            expect(EditableTree.parseInput(' true ', 1)).toBe(true);
+            expect(EditableTree.parseInput('null', 1)).toBeNull();
+            expect(EditableTree.parseInput('"42"', 1)).toBe('42');
+            expect(EditableTree.parseInput('[1, {}]', 1)).toEqual([1, {}]);
+            expect(EditableTree.parseInput('hello world', 1)).toBe('hello world');
+        });
+
+        test('rejects broken JSON strings, arrays and objects', () => {
+            expect(() => EditableTree.parseInput('"open', 'x')).toThrow(/^Invalid value: /);
+            expect(() => EditableTree.parseInput('[1,', 'x')).toThrow(/^Invalid value: /);
+        });
+
+        test('keeps dates while the text reads as one', () => {
+            const date = new Date(Date.UTC(2020, 0, 1));
+            expect(EditableTree.parseInput('2021-02-03T04:05:06Z', date)).toEqual(new Date(Date.UTC(2021, 1, 3, 4, 5, 6)));
+            expect(EditableTree.parseInput('soon', date)).toBe('soon');
+
+            const local = TomlParser.parse('day = 1979-05-27').day;
+            const edited = EditableTree.parseInput('1980-01-01', local);
+            expect(edited).toBeInstanceOf(TomlDateTime);
+            expect(EditableTree.inputText(edited)).toBe('1980-01-01');
+        });
+
+        test('names new keys after the ones already there', () => {
+            expect(EditableTree.newChild({ key: 1, key2: 2 }, ['a'])).toEqual({ type: 'insert', path: ['a'], key: 'key3', value: '' });
+            expect(EditableTree.newChild([1, 2], [])).toEqual({ type: 'insert', path: [], key: 2, value: '' });
+        });
+    });
+
+    describe('Editing in the tree', () => {
+        let tree;
+        let onEdit;
+
+        const input = () => tree.container.querySelector('.fv-edit-input');
+        const type = (text, key = 'Enter') => {
+            input().value = text;
+            input().dispatchEvent(new Event('input'));
+            input().dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true }));
+        };
+
+        beforeEach(() => {
+            onEdit = jest.fn(() => null);
+            tree = new EditableTree({ name: 'fox', tags: ['a'] }, { onEdit });
+            document.body.appendChild(tree.render());
+            tree.mount();
+        });
+
+        afterEach(() => {
+            tree.container.remove();
+            tree.destroy();
+        });
+
+        test('sends value edits as operations', () => {
+            tree.startEdit(['name'], 'value');
+            expect(input().value).toBe('"fox"');
+
+            type('"wolf"');
+            expect(onEdit).toHaveBeenCalledWith({ type: 'set', path: ['name'], value: 'wolf' });
+        });
+
+        test('sends renames, and edits the value of array items instead', () => {
+            tree.startEdit(['name'], 'key');
+            type('title');
+            expect(onEdit).toHaveBeenCalledWith({ type: 'rename', path: ['name'], key: 'title' });
+
+            tree.startEdit(['tags', 0], 'key');
+            expect(tree.editing.field).toBe('value');
+        });
+
+        test('shows input errors and the ones the viewer returns', () => {
+            tree.startEdit(['name'], 'value');
+            type('[1,');
+            expect(onEdit).not.toHaveBeenCalled();
+            expect(tree.container.querySelector('.fv-edit-error').textContent).toMatch(/^Invalid value: /);
+
+            onEdit.mockReturnValue('TOML has no null value (at name)');
+            type('null');
+            expect(tree.container.querySelector('.fv-edit-error').textContent).toBe('TOML has no null value (at name)');
+            expect(input().classList.contains('invalid')).toBe(true);
+        });
+
+        test('cancels with Escape or an unchanged value', () => {
+            tree.startEdit(['name'], 'value');
+            type('"other"', 'Escape');
+            expect(tree.editing).toBeNull();
+
+            tree.startEdit(['name'], 'value');
+            type('"fox"');
+            expect(tree.editing).toBeNull();
+            expect(onEdit).not.toHaveBeenCalled();
+        });
+
+        test('adds, moves and removes from the row buttons', () => {
+            const click = (path, action) => {
+                const index = tree.rows.indexOf(tree.nodeAt(path));
+                tree.container.querySelector(`.fv-tree-line[data-index="${index}"] [data-edit="${action}"]`).click();
+            };
+
+            click(['tags'], 'add');
+            click(['name'], 'remove');
+            expect(onEdit.mock.calls.map(([operation]) => operation)).toEqual([
+                { type: 'insert', path: ['tags'], key: 1, value: '' },
+                { type: 'remove', path: ['name'] }
+            ]);
+        });
+    });
+});
@@ -0,0 +1,149 @@
+/**
+ * Tests for the feed reader
+ */
+
+require('../../js/formats/xml.js');
+require('../../js/core/feed.js');
+
+describe('FeedReader', () => {
+    const read = content => FeedReader.read(XmlParser.parse(content));
+
+    describe('RSS 2.0', () => {
+        const rss = `<?xml version="1.0"?>
+<rss version="2.0" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:content="http://purl.org/rss/1.0/modules/content/">
+  <channel>
+    <title>News</title>
+    <link>https://example.com/</link>
+    <description>Latest</description>
+    <language>en</language>
+    <lastBuildDate>Tue, 02 Jan 2024 10:00:00 GMT</lastBuildDate>
+    <item>
+      <title>Older</title>
+      <link>https://example.com/1</link>
+      <pubDate>Mon, 01 Jan 2024 10:00:00 GMT</pubDate>
+      <author>ann@example.com</author>
+      <description>&lt;p&gt;First&lt;/p&gt;</description>
+    </item>
+    <item>
+      <title> Newer </title>
+      <guid>https://example.com/2</guid>
+      <dc:date>2024-01-02T09:00:00Z</dc:date>
+      <dc:creator>Bob</dc:creator>
+      <content:encoded><![CDATA[<p>Second</p>]]></content:encoded>
+    </item>
+    <item>
+      <title>Undated</title>
+      <guid isPermaLink="false">tag:3</guid>
+    </item>
+  </channel>
+</rss>`;
+
+        test('reads the channel', () => {
+            const feed = read(rss);
+            expect(feed).toMatchObject({
+                format: 'RSS 2.0',
+                title: 'News',
+                link: 'https://example.com/',
+                description: 'Latest',
+                language: 'en'
+            });
+            expect(feed.updated.toISOString()).toBe('2024-01-02T10:00:00.000Z');
+        });
+
+        test('reads items, newest first and undated last', () => {
+            const entries = read(rss).entries;
+            expect(entries.map(entry => [entry.title, entry.link, entry.author, entry.line])).toEqual([
+                ['Newer', 'https://example.com/2', 'Bob', 16],
+                ['Older', 'https://example.com/1', 'ann@example.com', 9],
+                ['Undated', '', '', 23]
+            ]);
+            expect(entries.map(entry => entry.summary)).toEqual([{ html: '<p>Second</p>' }, { html: '<p>First</p>' }, null]);
+            expect(entries[2].date).toBeNull();
+        });
+    });
+
+    describe('Atom', () => {
+        const atom = `<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="fr">
+  <title type="html">&lt;b&gt;Blog&lt;/b&gt;</title>
+  <subtitle>Notes</subtitle>
+  <link rel="self" href="https://example.com/feed.xml"/>
+  <link href="https://example.com/"/>
+  <updated>2024-03-01T00:00:00Z</updated>
+  <author><name>Ann</name></author>
+  <entry>
+    <title>Text</title>
+    <link rel="alternate" href="https://example.com/a"/>
+    <updated>2024-02-01T00:00:00Z</updated>
+    <summary>Plain &amp; simple</summary>
+  </entry>
+  <entry>
+    <title>Markup</title>
+    <published>2024-02-02T00:00:00Z</published>
+    <author><email>bob@example.com</email></author>
+    <content type="xhtml"><div xmlns="http://www.w3.org/1999/xhtml"><p class="x">Hi <em>there</em></p></div></content>
+  </entry>
+</feed>`;
+
+        test('reads the feed', () => {
+            const feed = read(atom);
+            expect(feed).toMatchObject({ format: 'Atom', title: 'Blog', link: 'https://example.com/', description: 'Notes', author: 'Ann', language: 'fr' });
+            expect(feed.updated.toISOString()).toBe('2024-03-01T00:00:00.000Z');
+        });
+
+        test('reads entries with text, HTML and XHTML content', () => {
+            const entries = read(atom).entries;
+            expect(entries.map(entry => [entry.title, entry.link, entry.author])).toEqual([
+                ['Markup', '', 'bob@example.com'],
+                ['Text', 'https://example.com/a', 'Ann']
+            ]);
+            expect(entries[0].summary).toEqual({ html: '<p class="x">Hi <em>there</em></p>' });
+            expect(entries[1].summary).toEqual({ text: 'Plain & simple' });
+        });
+    });
+
+    describe('Other documents', () => {
+        test('are not feeds', () => {
+            expect(read('<rss version="2.0"/>')).toBeNull();
+            expect(read('<feed/>')).toBeNull();
+            expect(read('<html><body/></html>')).toBeNull();
+        });
+
+        // RSS 1.0 is RDF; only RSS 2.0 and Atom are read
+        test('leave RDF feeds out', () => {
+            const rdf = '<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#" xmlns="http://purl.org/rss/1.0/">' +
+                '<channel rdf:about="https://example.com/"><title>News</title></channel>' +
+                '<item rdf:about="https://example.com/1"><title>One</title></item></rdf:RDF>';
+            expect(read(rdf)).toBeNull();
+        });
+    });
+
+    describe('Sanitizing', () => {
+        const sanitize = html => {
+            const container = document.createElement('div');
+            container.appendChild(FeedReader.sanitize(html, document, 'https://example.com/posts/'));
+            return container.innerHTML;
+        };
+
+        test('drops scripts, styles and frames with their content', () => {
+            expect(sanitize('<p>a<script>alert(1)</script><style>p{}</style><iframe src="x"></iframe>b</p>')).toBe('<p>ab</p>');
+            expect(sanitize('<svg><script>alert(1)</script></svg><form><input></form>c')).toBe('c');
+        });
+
+        test('drops event handlers and every other attribute', () => {
+            expect(sanitize('<p onclick="alert(1)" style="color: red" class="x">a</p><b onmouseover="alert(2)">b</b>'))
+                .toBe('<p>a</p><b>b</b>');
+        });
+
+        test('keeps links only for http, https and mailto', () => {
+            expect(sanitize('<a href="javascript:alert(1)">x</a><a href=" JaVaScRiPt:alert(1)">y</a><a href="data:text/html,z">z</a>'))
+                .toBe('<a>x</a><a>y</a><a>z</a>');
+            expect(sanitize('<a href="../about">about</a><a href="mailto:ann@example.com">mail</a>'))
+                .toBe('<a href="https://example.com/about" target="_blank" rel="noopener noreferrer">about</a>' +
+                    '<a href="mailto:ann@example.com" target="_blank" rel="noopener noreferrer">mail</a>');
+        });
+
+        test('keeps the content of unknown elements and the alt text of images', () => {
+            expect(sanitize('<div><span>a</span> <img src="x" onerror="alert(1)" alt="chart"></div>')).toBe('a [chart]');
+        });
+    });
+});
@@ -0,0 +1,117 @@
+/**
+ * Tests for the CSV grid
+ */
+
+require('../../js/core/grid.js');
+
+describe('CsvGrid', () => {
+    const people = {
+        headers: ['name', 'age', 'born'],
+        rows: [
+            { name: 'Cleo', age: '31', born: '1993-04-01' },
+            { name: 'ann', age: '9', born: '2015-12-24' },
+            { name: 'Bo', age: '', born: '1980-01-15' }
+        ]
+    };
+
+    const render = (data, options) => {
+        const grid = new CsvGrid(data, options);
+        const container = grid.render();
+        const cells = column => Array.from(container.querySelectorAll('tbody tr'))
+            .map(tr => tr.children[column].textContent);
+        const status = () => container.querySelector('.fv-grid-status').textContent;
+        return { grid, container, cells, status };
+    };
+
+    describe('Column types', () => {
+        test('infers numbers, booleans, dates and strings from non-empty values', () => {
+            expect(CsvGrid.inferType(['1', '2.5', '-3e2', '1,000', ''])).toBe('number');
+            expect(CsvGrid.inferType(['true', 'FALSE'])).toBe('bool');
+            expect(CsvGrid.inferType(['2024-01-31', '1/2/2024'])).toBe('date');
+            expect(CsvGrid.inferType(['1', 'x'])).toBe('string');
+            expect(CsvGrid.inferType(['', null, undefined])).toBe('string');
+        });
+
+        test('reads numbers with thousands separators and only date-like text as dates', () => {
+            expect(CsvGrid.parseNumber('1,234.5')).toBe(1234.5);
+            expect(CsvGrid.parseNumber('12a')).toBeNull();
+            expect(CsvGrid.parseDate('2024')).toBeNull();
+            expect(CsvGrid.parseDate('2024-02-30x')).toBeNull();
+        });
+    });
+
+    describe('Sorting', () => {
+        test('cycles ascending, descending and the original order', () => {
+            const { grid, cells } = render(people);
+            grid.toggleSort(1);
+            expect(cells(1)).toEqual(['9', '31', '']);
+            grid.toggleSort(1);
+            expect(cells(1)).toEqual(['31', '9', '']);
+            grid.toggleSort(1);
+            expect(cells(0)).toEqual(['Cleo', 'ann', 'Bo']);
+        });
+
+        test('sorts text without regard to case and dates by time', () => {
+            const { grid, cells } = render(people);
+            grid.toggleSort(0);
+            expect(cells(0)).toEqual(['ann', 'Bo', 'Cleo']);
+            grid.toggleSort(2);
+            expect(cells(0)).toEqual(['Bo', 'Cleo', 'ann']);
+        });
+    });
+
+    describe('Filtering', () => {
+        test('matches text as substrings and numbers with comparisons', () => {
+            const { grid, cells } = render(people);
+            grid.filters[0] = 'o';
+            grid.refresh();
+            expect(cells(0)).toEqual(['Cleo', 'Bo']);
+
+            grid.filters = ['', '>= 10', ''];
+            grid.refresh();
+            expect(cells(0)).toEqual(['Cleo']);
+        });
+
+        test('compares dates', () => {
+            const { grid, cells } = render(people);
+            grid.filters[2] = '< 2000-01-01';
+            grid.refresh();
+            expect(cells(0)).toEqual(['Cleo', 'Bo']);
+        });
+    });
+
+    describe('Status', () => {
+        test('counts rows and columns', () => {
+            expect(render(people).status()).toBe('3 rows • 3 columns');
+        });
+
+        test('counts the rows a filter leaves', () => {
+            const { grid, status } = render(people);
+            grid.filters[0] = 'o';
+            grid.refresh();
+            expect(status()).toBe('Showing 2 of 3 rows • 3 columns');
+        });
+
+        test('uses the singular for one', () => {
+            const { grid, status } = render({ headers: ['a'], rows: [{ a: '1' }, { a: '2' }] });
+            grid.filters[0] = '1';
+            grid.refresh();
+            expect(status()).toBe('Showing 1 of 2 rows • 1 column');
+            expect(render({ headers: ['a'], rows: [{ a: '1' }] }).status()).toBe('1 row • 1 column');
+        });
+
+        test('offers the rows left over a page', () => {
+            const { container } = render({ headers: ['a'], rows: [{ a: '1' }, { a: '2' }, { a: '3' }] }, { pageSize: 2 });
+            expect(container.querySelector('.fv-grid-more').textContent).toBe('Show 1 more row (1 remaining)');
+        });
+
+        test('renders a page of rows at a time', () => {
+            const { container, cells } = render(people, { pageSize: 1 });
+            const more = container.querySelector('.fv-grid-more');
+            expect(cells(0)).toEqual(['Cleo']);
+            expect(more.textContent).toContain('(2 remaining)');
+            more.click();
+            expect(cells(0)).toEqual(['Cleo', 'ann']);
+        });
+    });
+});
@@ -0,0 +1,240 @@
+/**
+ * Tests for ContentParser
+ */
+
+global.jsyaml = require('js-yaml');
+require('../../js/formats/csv.js');
+require('../../js/formats/json.js');
+require('../../js/formats/toml.js');
+require('../../js/formats/xml.js');
+require('../../js/core/parser.js');
+
+describe('ContentParser', () => {
+    describe('Parsing', () => {
+        test('parses every format into the data model', () => {
+            expect(ContentParser.parse('{"a": [1, 2]}', 'json')).toEqual({ a: [1, 2] });
+            expect(ContentParser.parse('a:\n  - 1\n', 'yml')).toEqual({ a: [1] });
+            expect(ContentParser.parse('<r><a>1</a><a>2</a></r>', 'xml')).toEqual({ r: { a: ['1', '2'] } });
+            expect(ContentParser.parse('a\tb\n1\t2\n', 'tsv').rows).toEqual([{ a: '1', b: '2' }]);
+            expect(ContentParser.parse('[t]\nk = 1\n', 'toml')).toEqual({ t: { k: 1 } });
+            expect(() => ContentParser.parse('x', 'ini')).toThrow('Unsupported format: ini');
+        });
+
+        test('gives the XML node tree with the xmlNodes option', () => {
+            const document = ContentParser.parse('<r xmlns="urn:r"><!-- c --><a>1</a></r>', 'xml', undefined, { xmlNodes: true });
+            expect(document.type).toBe('document');
+            expect(document.children[0].namespace).toBe('urn:r');
+            expect(document.children[0].children.map(child => child.type)).toEqual(['comment', 'element']);
+        });
+
+        test('reports its phases', () => {
+            const phases = [];
+            ContentParser.parse('<r/>', 'xml', phase => phases.push(phase));
+            expect(Array.from(new Set(phases))).toEqual(['validating', 'parsing', 'building']);
+        });
+    });
+
+    describe('Validation', () => {
+        test('rejects empty content', () => {
+            expect(() => ContentParser.validate('', 'json')).toThrow('Invalid input: content is empty');
+        });
+
+        test('rejects XML that declares entities', () => {
+            const content = '<!DOCTYPE a [<!ENTITY b "c">]><a>&b;</a>';
+            expect(() => ContentParser.parse(content, 'xml')).toThrow('XML contains entity references which are not supported for security reasons');
+        });
+
+        test('rejects JSON nested too deeply, ignoring brackets in strings', () => {
+            const deep = '['.repeat(1001) + ']'.repeat(1001);
+            expect(() => ContentParser.validate(deep, 'json')).toThrow('JSON structure too complex: 1001 nesting levels exceed limit of 1000');
+            expect(ContentParser.nestingDepth('{"a": "[[[[", "b": [{"c": "\\"]"}]}')).toBe(3);
+        });
+    });
+
+    describe('Error locations', () => {
+        const parseError = (content, format) => {
+            try {
+                ContentParser.parse(content, format);
+            } catch (error) {
+                return error;
+            }
+            return null;
+        };
+
+        test('locate JSON errors from the message', () => {
+            const error = parseError('{\n  "a": 1,\n}', 'json');
+            expect([error.line, error.column]).toEqual([3, 1]);
+
+            expect(ContentParser.locateError(new Error('Unexpected token at line 4 column 2'), '')).toMatchObject({ line: 4, column: 2 });
+            expect(ContentParser.locateError(new Error('Unexpected token in JSON at position 5'), 'ab\ncdef')).toMatchObject({ line: 2, column: 3 });
+        });
+
+        test('take YAML errors from their mark', () => {
+            const error = parseError('a: 1\nb: [\n', 'yaml');
+            expect(error.line).toBe(3);
+            expect(typeof error.column).toBe('number');
+        });
+
+        test('keep locations the TOML and XML parsers give', () => {
+            expect(parseError('a = 1\nb = ', 'toml')).toMatchObject({ line: 2, column: 5 });
+            expect(parseError('<a>\n</b>', 'xml')).toMatchObject({ line: 2 });
+        });
+
+        test('leave errors without a location alone', () => {
+            const error = ContentParser.locateError(new Error('Out of memory'), 'x');
+            expect(error.line).toBeUndefined();
+        });
+    });
+
+    describe('Recovery', () => {
+        const partial = (content, format) => {
+            try {
+                ContentParser.parse(content, format, () => {}, { recover: true });
+            } catch (error) {
+                return error;
+            }
+            return null;
+        };
+
+        test('keeps what was read before an error in each format', () => {
+            expect(partial('{"a": 1, "b": [2', 'json').partial).toEqual({ a: 1, b: [2] });
+            expect(partial('a: 1\nb: 2\nc: [\n', 'yaml').partial).toEqual({ a: 1, b: 2 });
+            expect(partial('<r><a>1</a><b>', 'xml').partial).toEqual({ r: { a: '1', b: {} } });
+            expect(partial('a = 1\nb = \n', 'toml').partial).toEqual({ a: 1 });
+        });
+
+        test('reports JSON errors at their line and column', () => {
+            const error = partial('{\n  "a": 1,\n  "b" 2\n}', 'json');
+            expect(error.message).toBe('Expected ":" after the property name at line 3, column 7');
+            expect([error.line, error.column]).toEqual([3, 7]);
+        });
+
+        test('leaves out the partial data unless asked', () => {
+            let error;
+            try {
+                ContentParser.parse('{"a": ', 'json');
+            } catch (caught) {
+                error = caught;
+            }
+            expect(error).toBeInstanceOf(Error);
+            expect(error.partial).toBeUndefined();
+        });
+    });
+
+    describe('Duplicate keys', () => {
+        test('lists keys repeated in JSON with their path and lines, keeping the last value', () => {
+            const duplicates = [];
+            const data = ContentParser.parse('{\n"a": 1,\n"b": {\n  "c": 1,\n  "c": 2\n},\n"a": 3\n}', 'json', undefined, { duplicates });
+            expect(data).toEqual({ a: 3, b: { c: 2 } });
+            expect(duplicates).toEqual([
+                { path: ['b'], key: 'c', lines: [4, 5] },
+                { path: [], key: 'a', lines: [2, 7] }
+            ]);
+        });
+
+        test('lists keys repeated in YAML, except merge keys', () => {
+            const duplicates = [];
+            const content = 'base: &base {x: 1}\nitems:\n  - a: 1\n    <<: *base\n    a: 2\n    <<: *base\n  - {b, b: 1}\n';
+            const data = ContentParser.parse(content, 'yaml', undefined, { duplicates });
+            expect(data.items[0]).toEqual({ a: 2, x: 1 });
+            expect(duplicates).toEqual([
+                { path: ['items', 0], key: 'a', lines: [3, 5] },
+                { path: ['items', 1], key: 'b', lines: [7, 7] }
+            ]);
+        });
+
+        test('leave YAML to fail on them without the option', () => {
+            expect(() => ContentParser.parse('a: 1\na: 2\n', 'yaml')).toThrow(/duplicated mapping key/);
+        });
+    });
+
+    describe('encode and decode', () => {
+        // Posting from the worker leaves plain data, as a JSON copy of the encoded values does
+        const roundTrip = data => ContentParser.decode(JSON.parse(JSON.stringify(ContentParser.encode(data))));
+
+        test('revive JsonNumber and TomlDateTime values', () => {
+            const data = {
+                id: new JsonNumber('12345678901234567891'),
+                items: [new TomlDateTime('local-date', '1979-05-27')],
+                plain: 1.5
+            };
+            const result = roundTrip(data);
+
+            expect(result.id).toBeInstanceOf(JsonNumber);
+            expect(result.id.text).toBe('12345678901234567891');
+            expect(result.items[0]).toBeInstanceOf(TomlDateTime);
+            expect(result.items[0].kind).toBe('local-date');
+            expect(result.items[0].text).toBe('1979-05-27');
+            expect(result.plain).toBe(1.5);
+        });
+
+        test('keep objects of the document that have the tag key', () => {
+            const content = '{"a": {"__fvType": "JsonNumber", "text": "1"}, "b": {"__fvType": "TomlDateTime", "kind": "local-date", "text": "x"}, "big": 12345678901234567891}';
+            const data = ContentParser.parse(content, 'json', undefined, { losslessNumbers: true });
+            expect(ContentParser.hasClassValues(content, 'json', { losslessNumbers: true })).toBe(true);
+
+            const result = roundTrip(data);
+            expect(result.a).toEqual({ __fvType: 'JsonNumber', text: '1' });
+            expect(result.a).not.toBeInstanceOf(JsonNumber);
+            expect(result.b).toEqual({ __fvType: 'TomlDateTime', kind: 'local-date', text: 'x' });
+            expect(result.big).toBeInstanceOf(JsonNumber);
+        });
+
+        test('keep class values nested in objects that have the tag key', () => {
+            const content = 'date = 1979-05-27\n[meta]\n__fvType = "Object"\nvalue = 1979-05-27T07:32:00';
+            const result = roundTrip(ContentParser.parse(content, 'toml'));
+
+            expect(result.meta.__fvType).toBe('Object');
+            expect(result.meta.value).toBeInstanceOf(TomlDateTime);
+            expect(result.meta.value.text).toBe('1979-05-27T07:32:00');
+            expect(result.date).toBeInstanceOf(TomlDateTime);
+        });
+
+        test('are only needed where parsing may give class values', () => {
+            expect(ContentParser.hasClassValues('a = 1', 'toml')).toBe(true);
+            expect(ContentParser.hasClassValues('{"id": 12345678901234567891}', 'json')).toBe(false);
+            expect(ContentParser.hasClassValues('{"id": 12345678901234567891}', 'json', { losslessNumbers: true })).toBe(true);
+            expect(ContentParser.hasClassValues('{"id": 1}', 'json', { losslessNumbers: true })).toBe(false);
+        });
+    });
+
+    describe('Lossless numbers', () => {
+        test('keeps JSON numbers a double would round with the option', () => {
+            const content = '{"id": 12345678901234567891, "n": 1}';
+            expect(ContentParser.parse(content, 'json').id).toBe(12345678901234567891);
+
+            const data = ContentParser.parse(content, 'json', undefined, { losslessNumbers: true });
+            expect(data.id.text).toBe('12345678901234567891');
+            expect(data.n).toBe(1);
+        });
+    });
+
+    describe('Error messages', () => {
+        const located = (message, line = 2, column = 5) => Object.assign(new Error(message), { line, column });
+
+        test('leave out the place an error is at', () => {
+            let error;
+            try {
+                JsonParser.parse('{\n  "a" 1\n}');
+            } catch (caught) {
+                error = caught;
+            }
+            expect(ContentParser.errorReason(error)).toBe('Expected ":" after the property name');
+            expect(ContentParser.errorReason(located('missed comma between flow collection entries (2:5)\n\n 1 | a: [1')))
+                .toBe('missed comma between flow collection entries');
+            expect(ContentParser.errorReason(located('JSON.parse: expected \':\' after property name in object at line 2 column 5 of the JSON data')))
+                .toBe('JSON.parse: expected \':\' after property name in object');
+            expect(ContentParser.errorReason(located('Expected \':\' after property name in JSON at position 6 (line 2 column 5)')))
+                .toBe('Expected \':\' after property name');
+        });
+
+        test('keep what follows the place', () => {
+            expect(ContentParser.errorReason(located('Duplicate key "a" at line 3, column 1 (first defined on line 1)', 3, 1)))
+                .toBe('Duplicate key "a" (first defined on line 1)');
+        });
+
+        test('keep messages of errors without a line as they are', () => {
+            expect(ContentParser.errorReason(new Error('Unexpected token at position 6'))).toBe('Unexpected token at position 6');
+        });
+    });
+});
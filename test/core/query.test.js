@@ -0,0 +1,122 @@
+/**
+ * Tests for the jq-style query engine
+ */
+
+require('../../js/formats/json.js');
+require('../../js/core/query.js');
+require('../../js/core/serializer.js');
+
+describe('JsonQuery', () => {
+    const data = {
+        store: 'Corner',
+        books: [
+            { title: 'Dune', price: 9.5, tags: ['scifi'] },
+            { title: 'Emma', price: 4, tags: ['classic', 'romance'] },
+            { title: 'Ubik', price: 7, tags: [] }
+        ],
+        'odd key': true
+    };
+
+    describe('Paths', () => {
+        test('reads keys, indexes and slices', () => {
+            expect(JsonQuery.run('.', data)).toEqual([data]);
+            expect(JsonQuery.run('.store', data)).toEqual(['Corner']);
+            expect(JsonQuery.run('."odd key"', data)).toEqual([true]);
+            expect(JsonQuery.run('.books[1].title', data)).toEqual(['Emma']);
+            expect(JsonQuery.run('.books[-1].title', data)).toEqual(['Ubik']);
+            expect(JsonQuery.run('.books[1:] | length', data)).toEqual([2]);
+            expect(JsonQuery.run('.missing', data)).toEqual([null]);
+        });
+
+        test('iterates and recurses', () => {
+            expect(JsonQuery.run('.books[].title', data)).toEqual(['Dune', 'Emma', 'Ubik']);
+            expect(JsonQuery.run('[.. | strings] | length', data)).toEqual([7]);
+        });
+
+        test('skips errors with ?', () => {
+            expect(JsonQuery.run('.store.name?', data)).toEqual([]);
+            expect(JsonQuery.run('[.[] | .title?]', data)).toEqual([[]]);
+        });
+    });
+
+    describe('Expressions', () => {
+        test('pipes and collects', () => {
+            expect(JsonQuery.run('.books | map(.price) | add', data)).toEqual([20.5]);
+            expect(JsonQuery.run('.store, .books[0].title', data)).toEqual(['Corner', 'Dune']);
+            expect(JsonQuery.run('{name: .store, count: (.books | length)}', data)).toEqual([{ name: 'Corner', count: 3 }]);
+        });
+
+        test('filters with select and conditionals', () => {
+            expect(JsonQuery.run('[.books[] | select(.price < 8) | .title]', data)).toEqual([['Emma', 'Ubik']]);
+            expect(JsonQuery.run('.books[] | if .price > 8 then "dear" elif .price > 5 then "fair" else "cheap" end', data))
+                .toEqual(['dear', 'cheap', 'fair']);
+            expect(JsonQuery.run('.missing // "none"', data)).toEqual(['none']);
+            expect(JsonQuery.run('(.store == "Corner") and (.books | length > 2)', data)).toEqual([true]);
+        });
+
+        test('binds variables', () => {
+            expect(JsonQuery.run('.store as $s | .books[0] | {store: $s, title}', data)).toEqual([{ store: 'Corner', title: 'Dune' }]);
+            expect(JsonQuery.run('.books[0].price as $p | [.books[] | select(.price < $p) | .title]', data)).toEqual([['Emma', 'Ubik']]);
+        });
+
+        test('sorts, groups and unique', () => {
+            expect(JsonQuery.run('.books | sort_by(.price) | map(.title)', data)).toEqual([['Emma', 'Ubik', 'Dune']]);
+            expect(JsonQuery.run('.books | max_by(.price) | .title', data)).toEqual(['Dune']);
+            expect(JsonQuery.run('[.books[].tags | length] | unique', data)).toEqual([[0, 1, 2]]);
+            expect(JsonQuery.run('[1, 2, 3, 4] | group_by(. % 2)', null)).toEqual([[[2, 4], [1, 3]]]);
+        });
+
+        test('works on strings and objects', () => {
+            expect(JsonQuery.run('.store | ascii_upcase', data)).toEqual(['CORNER']);
+            expect(JsonQuery.run('"a,b" | split(",") | join("-")', null)).toEqual(['a-b']);
+            expect(JsonQuery.run('.books[0] | keys', data)).toEqual([['price', 'tags', 'title']]);
+            expect(JsonQuery.run('{a: 1} | to_entries', null)).toEqual([[{ key: 'a', value: 1 }]]);
+            expect(JsonQuery.run('{a: {b: 1}} * {a: {c: 2}}', null)).toEqual([{ a: { b: 1, c: 2 } }]);
+        });
+    });
+
+    describe('Errors', () => {
+        test('reports syntax errors with positions', () => {
+            expect(() => JsonQuery.run('.books[', data)).toThrow('Unexpected end of query');
+            expect(() => JsonQuery.run('.a | )', data)).toThrow('Unexpected ")" at position 5');
+            expect(() => JsonQuery.run('"open', data)).toThrow('Unterminated string at position 0');
+        });
+
+        test('reports type errors', () => {
+            expect(() => JsonQuery.run('.store[0]', data)).toThrow('Cannot index string with number');
+            expect(() => JsonQuery.run('.store | .[]', data)).toThrow('Cannot iterate over string');
+            expect(() => JsonQuery.run('1 / 0', null)).toThrow('Division by zero');
+            expect(() => JsonQuery.run('$nope', null)).toThrow('$nope is not defined');
+            expect(() => JsonQuery.run('nope', null)).toThrow('nope/0 is not defined');
+        });
+    });
+
+    describe('Big numbers', () => {
+        const data = JsonParser.parse('[{"id": 12345678901234567891, "name": "a"}, {"id": 12345678901234567892, "name": "b"}, {"id": 5, "name": "c"}]', { lossless: true });
+
+        test('keeps literals a double would round', () => {
+            const [value] = JsonQuery.run('12345678901234567891', null);
+            expect(value).toBeInstanceOf(JsonNumber);
+            expect(value.text).toBe('12345678901234567891');
+            expect(JsonQuery.run('-12345678901234567891', null)[0].text).toBe('-12345678901234567891');
+            expect(JsonQuery.run('1.5', null)).toEqual([1.5]);
+        });
+
+        test('compares big literals with big values exactly', () => {
+            expect(JsonQuery.run('.[] | select(.id == 12345678901234567891) | .name', data)).toEqual(['a']);
+            expect(JsonQuery.run('[.[] | select(.id > 12345678901234567891) | .name]', data)).toEqual([['b']]);
+            expect(JsonQuery.run('[.[] | select(.id < 12345678901234567891) | .name]', data)).toEqual([['c']]);
+        });
+
+        test('sorts big values exactly', () => {
+            expect(JsonQuery.run('sort_by(-.id) | map(.name)', data)).toEqual([['b', 'a', 'c']]);
+        });
+
+        test('does integer arithmetic on big values exactly', () => {
+            const [sum] = JsonQuery.run('.[0].id + 1', data);
+            expect(sum.text).toBe('12345678901234567892');
+            expect(JsonQuery.run('.[1].id - .[0].id', data)).toEqual([1]);
+            expect(JsonQuery.run('.[0].id % 10', data)).toEqual([1]);
+        });
+    });
+});
@@ -0,0 +1,111 @@
+/**
+ * Tests for writing and converting documents
+ */
+
+global.jsyaml = require('js-yaml');
+require('../../js/formats/json.js');
+require('../../js/formats/toml.js');
+require('../../js/formats/xml.js');
+require('../../js/formats/csv.js');
+require('../../js/core/tree.js');
+require('../../js/core/diff.js');
+require('../../js/core/serializer.js');
+
+describe('ContentSerializer', () => {
+    const data = { name: 'fox', tags: ['a', 'b'], size: { width: 2 } };
+
+    describe('Writing', () => {
+        test('writes each format', () => {
+            expect(ContentSerializer.serialize(data, 'json')).toBe(JSON.stringify(data, null, 2));
+            expect(ContentSerializer.serialize(data, 'json', { indent: 4 })).toBe(JSON.stringify(data, null, 4));
+            expect(jsyaml.load(ContentSerializer.serialize(data, 'YAML'))).toEqual(data);
+            expect(TomlParser.parse(ContentSerializer.serialize(data, 'toml'))).toEqual(data);
+            expect(ContentSerializer.serialize({ root: { item: 'x' } }, 'xml')).toContain('<item>x</item>');
+        });
+
+        test('rejects formats it cannot write', () => {
+            expect(ContentSerializer.canSerialize('yml')).toBe(true);
+            expect(ContentSerializer.canSerialize('csv')).toBe(false);
+            expect(() => ContentSerializer.serialize(data, 'csv')).toThrow('Writing CSV is not supported');
+        });
+
+        test('writes exact numbers as their text', () => {
+            const exact = JsonParser.parse('{"id": 12345678901234567891, "list": [0.12345678901234567]}', { lossless: true });
+            expect(ContentSerializer.serialize(exact, 'json')).toBe('{\n  "id": 12345678901234567891,\n  "list": [\n    0.12345678901234567\n  ]\n}');
+            expect(ContentSerializer.serialize(exact, 'yaml')).toBe('id: 12345678901234567891\nlist:\n  - 0.12345678901234567\n');
+        });
+
+        test('leaves strings that look like placeholders alone', () => {
+            const strings = { a: '\u0000JsonNumber:0', b: new JsonNumber('12345678901234567891'), c: ['\u0000JsonNumber:1'] };
+            expect(ContentSerializer.serialize(strings, 'json', { indent: 1 }))
+                .toBe('{\n "a": "\\u0000JsonNumber:0",\n "b": 12345678901234567891,\n "c": [\n  "\\u0000JsonNumber:1"\n ]\n}');
+        });
+    });
+
+    describe('Converting', () => {
+        test('converts without warnings when nothing is lost', () => {
+            const { content, warnings } = ContentSerializer.convert(data, 'json', 'yaml');
+            expect(jsyaml.load(content)).toEqual(data);
+            expect(warnings).toEqual([]);
+        });
+
+        test('leaves nulls out of TOML and wraps lists in a table', () => {
+            const { content, warnings } = ContentSerializer.convert([{ a: 1, b: null }, { a: null }], 'json', 'toml');
+            expect(TomlParser.parse(content)).toEqual({ items: [{ a: 1 }, {}] });
+            expect(warnings).toEqual([
+                'TOML has no null, so null values are left out: .[0].b and 1 more',
+                'The document isn\'t a table, so it is written under the key "items"'
+            ]);
+        });
+
+        test('writes integers beyond 64 bits to TOML as strings', () => {
+            const exact = JsonParser.parse('{"id": 123456789012345678901234}', { lossless: true });
+            const { content, warnings } = ContentSerializer.convert(exact, 'json', 'toml');
+            expect(TomlParser.parse(content)).toEqual({ id: '123456789012345678901234' });
+            expect(warnings).toEqual(['Integers beyond 64 bits become strings: .id']);
+        });
+
+        test('renames keys for XML and wraps documents without a single root', () => {
+            const { content, warnings } = ContentSerializer.convert({ 'first name': 'Ann', age: 3 }, 'json', 'xml');
+            expect(content).toContain('<first_name>Ann</first_name>');
+            expect(content).toContain('<age>3</age>');
+            expect(warnings).toEqual([
+                'The document has no single root element, so it is wrapped in <root>',
+                'Keys that aren\'t XML names are renamed: .["first name"]',
+                'Numbers and booleans become text: .age'
+            ]);
+        });
+
+        test('flattens objects into CSV rows', () => {
+            const rows = { people: [{ name: 'Ann', address: { city: 'Oslo' }, pets: ['cat'] }, { name: 'Bo', age: 4 }] };
+            const { content, warnings } = ContentSerializer.convert(rows, 'json', 'csv');
+            expect(CsvParser.parse(content).rows).toEqual([
+                { name: 'Ann', 'address.city': 'Oslo', pets: '["cat"]', age: '' },
+                { name: 'Bo', 'address.city': '', pets: '', age: '4' }
+            ]);
+            expect(warnings).toEqual([
+                'Only the first list of objects is written as rows: .people',
+                'Nested objects are flattened into dotted columns: .people[0].address',
+                'Lists and empty objects are written as JSON text: .people[0].pets'
+            ]);
+        });
+
+        test('converts CSV documents as their rows', () => {
+            const table = CsvParser.parse('a,b\n1,2\n');
+            expect(JSON.parse(ContentSerializer.convert(table, 'csv', 'json').content)).toEqual([{ a: '1', b: '2' }]);
+        });
+
+        test('keeps TOML offset date-times as YAML timestamps and local ones as strings', () => {
+            const toml = TomlParser.parse('at = 1979-05-27T07:32:00.5-07:00\nday = 1979-05-27\n');
+            const { content, warnings } = ContentSerializer.convert(toml, 'toml', 'yaml');
+            expect(content).toBe('at: 1979-05-27T07:32:00.5-07:00\nday: \'1979-05-27\'\n');
+            expect(warnings).toEqual(['Local dates and times become strings: .day']);
+        });
+
+        test('writes dates to JSON as strings', () => {
+            const { content, warnings } = ContentSerializer.convert({ at: new Date(Date.UTC(2020, 0, 2)) }, 'yaml', 'json');
+            expect(JSON.parse(content)).toEqual({ at: '2020-01-02T00:00:00.000Z' });
+            expect(warnings).toEqual(['Dates become strings: .at']);
+        });
+    });
+});
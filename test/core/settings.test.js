@@ -0,0 +1,99 @@
+/**
+ * Tests for viewer settings
+ */
+
+require('../../js/core/settings.js');
+
+describe('ViewerSettings', () => {
+    describe('normalize', () => {
+        test('uses the defaults when nothing is stored', () => {
+            const settings = ViewerSettings.normalize(null);
+            expect(settings).toMatchObject(ViewerSettings.DEFAULTS);
+            expect(ViewerSettings.isFormatEnabled(settings, 'tsv')).toBe(true);
+        });
+
+        test('keeps stored values over the defaults', () => {
+            const settings = ViewerSettings.normalize({ sortKeys: true, indentSize: '4', maxFileSize: '50' });
+            expect(settings).toMatchObject({ sortKeys: true, indentSize: 4, maxFileSize: 50, showLineNumbers: true });
+        });
+
+        test('replaces out-of-range values with their default', () => {
+            const settings = ViewerSettings.normalize({ indentSize: 3, maxFileSize: 500, supportedFormats: 'json' });
+            expect(settings.indentSize).toBe(2);
+            expect(settings.maxFileSize).toBe(10);
+            expect(settings.supportedFormats).toEqual(ViewerSettings.DEFAULTS.supportedFormats);
+        });
+
+        test('switches on formats added since the stored list was saved', () => {
+            const settings = ViewerSettings.normalize({ supportedFormats: ['json', 'xml', 'csv'] });
+            expect(ViewerSettings.isFormatEnabled(settings, 'tsv')).toBe(true);
+            expect(ViewerSettings.isFormatEnabled(settings, 'yaml')).toBe(false);
+            expect(ViewerSettings.isFormatEnabled(settings, 'toml')).toBe(false);
+        });
+
+        test('keeps formats switched off in a list that knew them', () => {
+            const saved = ViewerSettings.normalize({ supportedFormats: ['json'] });
+            saved.supportedFormats = ['json', 'csv'];
+
+            const settings = ViewerSettings.normalize(JSON.parse(JSON.stringify(saved)));
+            expect(settings.supportedFormats).toEqual(['json', 'csv']);
+            expect(ViewerSettings.isFormatEnabled(settings, 'tsv')).toBe(false);
+        });
+    });
+
+    describe('Helpers', () => {
+        test('treat yml as yaml', () => {
+            const settings = ViewerSettings.normalize({ supportedFormats: ['json', 'yaml'] });
+            expect(ViewerSettings.isFormatEnabled(settings, 'YML')).toBe(true);
+            expect(ViewerSettings.isFormatEnabled(settings, 'toml')).toBe(false);
+        });
+
+        test('give the max file size in bytes', () => {
+            expect(ViewerSettings.maxFileSizeBytes(ViewerSettings.normalize({ maxFileSize: 100 }))).toBe(100 * 1024 * 1024);
+        });
+    });
+
+    describe('Browser', () => {
+        let changed;
+
+        beforeEach(() => {
+            global.browser = {
+                runtime: { sendMessage: jest.fn() },
+                storage: { onChanged: { addListener: listener => { changed = listener; } } }
+            };
+        });
+
+        afterEach(() => {
+            delete global.browser;
+        });
+
+        test('load settings from the background script', async () => {
+            browser.runtime.sendMessage.mockResolvedValue({ sortKeys: true });
+            expect((await ViewerSettings.load()).sortKeys).toBe(true);
+            expect(browser.runtime.sendMessage).toHaveBeenCalledWith({ action: 'getSettings' });
+        });
+
+        test('fall back to the defaults when the background script fails', async () => {
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+            browser.runtime.sendMessage.mockRejectedValue(new Error('No receiver'));
+
+            expect(await ViewerSettings.load()).toMatchObject(ViewerSettings.DEFAULTS);
+            console.error.mockRestore();
+        });
+
+        test('report changes saved to local storage', () => {
+            const callback = jest.fn();
+            ViewerSettings.onChange(callback);
+
+            changed({ other: {} }, 'local');
+            changed({ settings: { newValue: { sortKeys: true } } }, 'sync');
+            expect(callback).not.toHaveBeenCalled();
+
+            changed({ settings: { newValue: { sortKeys: true }, oldValue: undefined } }, 'local');
+            expect(callback).toHaveBeenCalledWith(
+                expect.objectContaining({ sortKeys: true }),
+                expect.objectContaining({ sortKeys: false })
+            );
+        });
+    });
+});
@@ -0,0 +1,155 @@
+/**
+ * Tests for the SQL engine
+ */
+
+require('../../js/formats/json.js');
+require('../../js/core/sql.js');
+
+describe('SqlQuery', () => {
+    const table = {
+        headers: ['city', 'country', 'population'],
+        rows: [
+            { city: 'Lyon', country: 'FR', population: '516092' },
+            { city: 'Paris', country: 'FR', population: '2148271' },
+            { city: 'Porto', country: 'PT', population: '231800' },
+            { city: 'Lisbon', country: 'PT', population: '545923' },
+            { city: 'Bern', country: 'CH', population: '' }
+        ]
+    };
+
+    describe('Selecting', () => {
+        test('recognises SQL', () => {
+            expect(SqlQuery.isSql('  select * from $')).toBe(true);
+            expect(SqlQuery.isSql('.selected')).toBe(false);
+        });
+
+        test('selects columns and aliases', () => {
+            const result = SqlQuery.run('SELECT city AS name, UPPER(country) FROM $ LIMIT 1', table);
+            expect(result.headers).toEqual(['name', 'UPPER(country)']);
+            expect(result.rows).toEqual([{ name: 'Lyon', 'UPPER(country)': 'FR' }]);
+            expect(SqlQuery.run('SELECT * FROM $', table).headers).toEqual(table.headers);
+        });
+
+        test('filters with WHERE', () => {
+            const names = sql => SqlQuery.run(sql, table).rows.map(row => row.city);
+            expect(names("SELECT city FROM $ WHERE population > 500000 AND country = 'FR'")).toEqual(['Lyon', 'Paris']);
+            expect(names("SELECT city FROM $ WHERE city LIKE 'P%'")).toEqual(['Paris', 'Porto']);
+            expect(names("SELECT city FROM $ WHERE country IN ('CH', 'PT')")).toEqual(['Porto', 'Lisbon', 'Bern']);
+            expect(names('SELECT city FROM $ WHERE population BETWEEN 200000 AND 520000')).toEqual(['Lyon', 'Porto']);
+            expect(names('SELECT city FROM $ WHERE population IS NULL')).toEqual(['Bern']);
+        });
+
+        test('orders, limits and offsets', () => {
+            const result = SqlQuery.run('SELECT city FROM $ WHERE population IS NOT NULL ORDER BY population DESC LIMIT 2 OFFSET 1', table);
+            expect(result.rows.map(row => row.city)).toEqual(['Lisbon', 'Lyon']);
+        });
+
+        test('removes duplicates with DISTINCT', () => {
+            expect(SqlQuery.run('SELECT DISTINCT country FROM $', table).rows).toEqual([{ country: 'FR' }, { country: 'PT' }, { country: 'CH' }]);
+        });
+
+        test('evaluates CASE and scalar functions', () => {
+            const [row] = SqlQuery.run("SELECT CASE WHEN population > 1000000 THEN 'big' ELSE 'small' END AS size, SUBSTR(city, 1, 3) AS short, COALESCE(NULL, 'x') AS fallback FROM $ WHERE city = 'Paris'", table).rows;
+            expect(row).toEqual({ size: 'big', short: 'Par', fallback: 'x' });
+        });
+
+        test('names the CSV table data or after its file', () => {
+            expect(SqlQuery.run('SELECT COUNT(*) AS n FROM data', table).rows).toEqual([{ n: 5 }]);
+            expect(SqlQuery.run('SELECT COUNT(*) AS n FROM Cities', table, { tableName: 'cities' }).rows).toEqual([{ n: 5 }]);
+        });
+
+        test('reads arrays of objects under a FROM path', () => {
+            const data = { shop: { items: [{ name: 'pen', price: 2 }, { name: 'ink', price: 5 }] } };
+            expect(SqlQuery.run('SELECT name FROM shop.items WHERE price > 3', data).rows).toEqual([{ name: 'ink' }]);
+        });
+    });
+
+    describe('Aggregates', () => {
+        test('groups and aggregates', () => {
+            const result = SqlQuery.run('SELECT country, COUNT(*) AS n, SUM(population) AS total, MAX(city) AS last FROM $ GROUP BY country HAVING COUNT(*) > 1 ORDER BY country', table);
+            expect(result.rows).toEqual([
+                { country: 'FR', n: 2, total: 2664363, last: 'Paris' },
+                { country: 'PT', n: 2, total: 777723, last: 'Porto' }
+            ]);
+        });
+
+        test('reads SELECT aliases in HAVING and ORDER BY', () => {
+            const result = SqlQuery.run('SELECT country AS c, SUM(population) AS s FROM $ GROUP BY country HAVING s > 800000 ORDER BY s * -1', table);
+            expect(result.rows).toEqual([{ c: 'FR', s: 2664363 }]);
+            expect(SqlQuery.run('SELECT country, COUNT(*) AS n FROM $ GROUP BY country HAVING n = 1', table).rows).toEqual([{ country: 'CH', n: 1 }]);
+            expect(SqlQuery.run("SELECT city, 5 AS five FROM $ WHERE country = 'PT' ORDER BY five, city", table).rows.map(row => row.city)).toEqual(['Lisbon', 'Porto']);
+        });
+
+        test('aggregates the whole table without GROUP BY', () => {
+            const [row] = SqlQuery.run('SELECT COUNT(*) AS rows, COUNT(population) AS known, MIN(population) AS least FROM $', table).rows;
+            expect(row).toEqual({ rows: 5, known: 4, least: '231800' });
+        });
+    });
+
+    describe('Errors', () => {
+        test('reports syntax errors with positions', () => {
+            expect(() => SqlQuery.run("SELECT 'open FROM $", table)).toThrow('Unterminated string at position 7');
+            expect(() => SqlQuery.run('SELECT city FROM $ WHERE', table)).toThrow(/near end of query at position 24$/);
+        });
+
+        test('reports misplaced aggregates and unknown functions', () => {
+            expect(() => SqlQuery.run('SELECT city FROM $ WHERE COUNT(*) > 1', table)).toThrow('Aggregate functions are not allowed in WHERE, use HAVING');
+            expect(() => SqlQuery.run('SELECT city FROM $ HAVING city = 1', table)).toThrow('HAVING requires GROUP BY or an aggregate');
+            expect(() => SqlQuery.run('SELECT NOPE(city) FROM $', table)).toThrow('Unknown function NOPE()');
+        });
+
+        test('reports unknown columns', () => {
+            expect(() => SqlQuery.run('SELECT town FROM $', table)).toThrow('Unknown column "town"');
+            expect(() => SqlQuery.run('SELECT city FROM $ WHERE size > 1', table)).toThrow('Unknown column "size"');
+            expect(() => SqlQuery.run('SELECT country, COUNT(*) AS n FROM $ GROUP BY country HAVING m > 1', table)).toThrow('Unknown column "m"');
+            expect(() => SqlQuery.run('SELECT city FROM $ ORDER BY size', table)).toThrow('Unknown column "size"');
+            expect(() => SqlQuery.run('SELECT nmae FROM items', { items: [{ name: 'pen' }] })).toThrow('Unknown column "nmae"');
+            expect(SqlQuery.run('SELECT CITY FROM $ LIMIT 1', table).rows).toEqual([{ CITY: 'Lyon' }]);
+        });
+
+        test('reports unknown tables', () => {
+            expect(() => SqlQuery.run('SELECT * FROM nope', table)).toThrow('Unknown table "nope"');
+            expect(() => SqlQuery.run('SELECT * FROM data.rows', table)).toThrow('Unknown table "data.rows"');
+        });
+
+        test('reports FROM paths that are missing or not arrays', () => {
+            const data = { shop: { name: 'x' } };
+            expect(() => SqlQuery.run('SELECT * FROM shop.items', data)).toThrow('FROM path "shop.items" does not exist');
+            expect(() => SqlQuery.run('SELECT * FROM shop.name', data)).toThrow('FROM path "shop.name" is not an array');
+        });
+    });
+
+    describe('Big numbers', () => {
+        const ids = {
+            headers: ['id', 'name'],
+            rows: [
+                { id: '12345678901234567891', name: 'a' },
+                { id: '12345678901234567892', name: 'b' },
+                { id: '12345678901234567893', name: 'c' }
+            ]
+        };
+
+        test('matches big literals against table text exactly', () => {
+            const result = SqlQuery.run('SELECT name FROM $ WHERE id = 12345678901234567892', ids);
+            expect(result.rows).toEqual([{ name: 'b' }]);
+        });
+
+        test('matches big literals against exact JSON numbers', () => {
+            const data = JsonParser.parse('[{"id": 12345678901234567891, "name": "a"}, {"id": 12345678901234567892, "name": "b"}]', { lossless: true });
+            const result = SqlQuery.run('SELECT name FROM $ WHERE id > 12345678901234567891', data);
+            expect(result.rows).toEqual([{ name: 'b' }]);
+        });
+
+        test('orders and groups big values exactly', () => {
+            const result = SqlQuery.run('SELECT id, COUNT(*) AS n FROM $ GROUP BY id ORDER BY id DESC', ids);
+            expect(result.rows.map(row => row.id)).toEqual(['12345678901234567893', '12345678901234567892', '12345678901234567891']);
+            expect(result.rows.map(row => row.n)).toEqual([1, 1, 1]);
+        });
+
+        test('does integer arithmetic on big values exactly', () => {
+            const [row] = SqlQuery.run("SELECT id + 1 AS next, -id AS negated FROM $ WHERE name = 'a'", ids).rows;
+            expect(row.next.text).toBe('12345678901234567892');
+            expect(row.negated.text).toBe('-12345678901234567891');
+        });
+    });
+});
@@ -0,0 +1,58 @@
+/**
+ * Tests for the theme manager
+ */
+
+require('../../js/core/theme.js');
+
+describe('ThemeManager', () => {
+    const custom = { id: 'custom-1', name: 'Mine', base: 'dark', colors: { accent: '#123456', text: 'red' } };
+
+    describe('resolve', () => {
+        test('follows the system preference for auto', () => {
+            const settings = { theme: 'auto' };
+            expect(ThemeManager.resolve(settings).id).toBe('light');
+            expect(ThemeManager.resolve(settings, { dark: true, contrast: false }).id).toBe('dark');
+            expect(ThemeManager.resolve(settings, { dark: true, contrast: true }).id).toBe('high-contrast');
+        });
+
+        test('applies valid custom colors over the base theme', () => {
+            const theme = ThemeManager.resolve({ theme: 'custom-1', customThemes: [custom] });
+            expect(theme).toMatchObject({ id: 'custom-1', name: 'Mine', base: 'dark' });
+            expect(theme.colors.accent).toBe('#123456');
+            expect(theme.colors.text).toBe(ThemeManager.THEMES.dark.colors.text);
+            expect(Object.keys(theme.colors)).toEqual(Object.keys(ThemeManager.COLORS));
+        });
+
+        test('falls back to light for unknown themes', () => {
+            expect(ThemeManager.resolve({ theme: 'custom-gone', customThemes: [custom] }).id).toBe('light');
+        });
+    });
+
+    describe('Custom themes', () => {
+        test('export without the local id', () => {
+            const theme = ThemeManager.resolve({ theme: 'custom-1', customThemes: [custom] });
+            const exported = JSON.parse(ThemeManager.exportTheme(theme));
+            expect(exported.id).toBeUndefined();
+            expect(exported).toMatchObject({ name: 'Mine', base: 'dark', colors: { accent: '#123456' } });
+        });
+
+        test('start from a copy of another theme', () => {
+            const from = ThemeManager.resolve({ theme: 'high-contrast' });
+            const theme = ThemeManager.createCustomTheme('Copy', from);
+            expect(theme.id).toMatch(/^custom-\d+$/);
+            expect(theme.colors).toEqual(from.colors);
+            expect(theme.colors).not.toBe(from.colors);
+        });
+    });
+
+    test('sets the CSS variables and color scheme', () => {
+        const root = document.createElement('div');
+        const manager = new ThemeManager(root);
+        manager.apply({ theme: 'dark' });
+
+        expect(root.dataset.fvTheme).toBe('dark');
+        expect(root.style.colorScheme).toBe('dark');
+        expect(root.style.getPropertyValue('--fv-color-header-bg')).toBe(ThemeManager.THEMES.dark.colors.backgroundAlt);
+        manager.destroy();
+    });
+});
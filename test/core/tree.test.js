@@ -0,0 +1,101 @@
+/**
+ * Tests for the virtual tree
+ */
+
+require('../../js/core/tree.js');
+
+describe('VirtualTree', () => {
+    const keys = tree => tree.rows.map(node => node.key);
+
+    describe('Rows', () => {
+        test('expands levels breadth-first up to the initial row budget', () => {
+            const tree = new VirtualTree({ a: { b: { c: 1 } }, d: [1, 2] }, { initialRows: 3 });
+            expect(keys(tree)).toEqual(['a', 'b', 'd']);
+            expect(tree.rows.map(node => node.level)).toEqual([0, 1, 0]);
+            expect(tree.rows[1].expanded).toBe(false);
+        });
+
+        test('creates children only when their parent opens', () => {
+            const tree = new VirtualTree({ a: { b: { c: 1 } } }, { initialRows: 1 });
+            expect(tree.rows[0].children).toBeNull();
+
+            tree.expandAt(0);
+            expect(keys(tree)).toEqual(['a', 'b']);
+            tree.expandAt(1);
+            expect(keys(tree)).toEqual(['a', 'b', 'c']);
+            tree.collapseAt(0);
+            expect(keys(tree)).toEqual(['a']);
+            tree.expandAt(0);
+            expect(keys(tree)).toEqual(['a', 'b', 'c']);
+        });
+
+        test('shows a scalar or empty document as one row', () => {
+            expect(new VirtualTree(5).rows).toHaveLength(1);
+            expect(new VirtualTree({}).rows[0].level).toBe(0);
+        });
+
+        test('formats values as the native viewer does', () => {
+            expect(VirtualTree.formatValue('a')).toBe('"a"');
+            expect(VirtualTree.formatValue(null)).toBe('null');
+            expect(VirtualTree.formatValue([])).toBe('[]');
+            expect(VirtualTree.formatValue({})).toBe('{}');
+            expect(VirtualTree.formatValue(new Date(Date.UTC(2020, 0, 1)))).toBe('2020-01-01T00:00:00.000Z');
+        });
+    });
+
+    describe('Rendering', () => {
+        let tree;
+
+        afterEach(() => {
+            tree.container.remove();
+            tree.destroy();
+        });
+
+        test('renders only the rows near the viewport', () => {
+            const data = Array.from({ length: 5000 }, (item, index) => index);
+            tree = new VirtualTree(data, { overscan: 10 });
+            document.body.appendChild(tree.render());
+            tree.mount();
+
+            const rendered = tree.container.querySelectorAll('.fv-tree-line');
+            expect(rendered.length).toBe(Math.ceil(window.innerHeight / 22) + 10);
+            expect(tree.container.style.height).toBe(`${5000 * 22}px`);
+        });
+
+        test('toggles a node from its row', () => {
+            tree = new VirtualTree({ a: [1, 2] }, { initialRows: 1 });
+            document.body.appendChild(tree.render());
+            tree.mount();
+
+            tree.container.querySelector('[data-action="toggle"]').click();
+            expect(Array.from(tree.container.querySelectorAll('.fv-tree-line')).map(line => line.textContent))
+                .toEqual(['▼"a":[2 items]', '0:1', '1:2']);
+        });
+
+        test('badges repeated keys and the objects that repeat them', () => {
+            const data = { a: 2, b: 1 };
+            tree = new VirtualTree({ root: data }, { duplicates: new Map([[data, new Map([['a', [2, 4]]])]]) });
+            document.body.appendChild(tree.render());
+            tree.mount();
+
+            const badges = Array.from(tree.container.querySelectorAll('.fv-tree-badge'));
+            expect(badges.map(badge => badge.textContent)).toEqual(['⚠ duplicate key "a"', '⚠ defined 2 times']);
+            expect(badges[1].title).toBe('"a" is on lines 2, 4');
+        });
+    });
+
+    describe('Search', () => {
+        test('finds keys and values anywhere, in display order', () => {
+            const tree = new VirtualTree({ name: 'x', list: [{ title: 'needle' }], needle: 1 }, { initialRows: 1 });
+            expect(tree.findMatches('needle')).toEqual([['list', 0, 'title'], ['needle']]);
+            expect(tree.findMatches('"name"')).toEqual([['name']]);
+        });
+
+        test('reveals collapsed matches', () => {
+            const tree = new VirtualTree({ a: { b: { c: 'deep' } } }, { initialRows: 1 });
+            const node = tree.revealPath(['a', 'b', 'c']);
+            expect(node.value).toBe('deep');
+            expect(keys(tree)).toEqual(['a', 'b', 'c']);
+        });
+    });
+});
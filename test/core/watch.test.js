@@ -0,0 +1,205 @@
+/**
+ * Tests for Watch mode's file watcher, polling through the background
+ * script's fetchFile message
+ */
+
+require('../../js/core/watch.js');
+
+describe('FileWatcher', () => {
+    let listeners;
+    let server;
+
+    // The background script, answering fetchFile from a mocked fetch()
+    const loadBackground = () => {
+        listeners = {};
+        const event = name => ({ addListener: listener => { listeners[name] = listener; } });
+        global.browser = {
+            webRequest: { onBeforeRequest: event('beforeRequest'), onHeadersReceived: event('headersReceived') },
+            runtime: { onInstalled: event('installed'), onMessage: event('message') },
+            storage: {
+                local: { get: jest.fn(async () => ({})), set: jest.fn(async () => {}), remove: jest.fn(async () => {}) },
+                onChanged: event('storageChanged')
+            },
+            alarms: { create: jest.fn(), onAlarm: event('alarm') },
+            tabs: {}
+        };
+        require('../../js/core/settings.js');
+        require('../../js/core/cache.js');
+        require('../../js/background.js');
+    };
+
+    const sendMessage = message => new Promise(resolve => listeners.message(message, {}, resolve));
+
+    const createWatcher = (options = {}) => new FileWatcher(Object.assign({
+        content: server.content,
+        fetch: jest.fn(etag => sendMessage({ action: 'fetchFile', url: 'https://example.com/a.json', etag, fresh: true })),
+        onResult: jest.fn(),
+        onError: jest.fn()
+    }, options));
+
+    beforeEach(() => {
+        jest.resetModules();
+        jest.useFakeTimers();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        server = { content: '{"a": 1}', etag: '"1"', status: null };
+        global.fetch = jest.fn(async (url, { headers }) => {
+            const notModified = server.etag && headers['If-None-Match'] === server.etag;
+            const status = server.status || (notModified ? 304 : 200);
+            const responseHeaders = new Map(server.etag ? [['ETag', server.etag]] : []);
+            responseHeaders.get = name => Map.prototype.get.call(responseHeaders, name);
+            return {
+                status,
+                ok: status === 200,
+                statusText: { 200: 'OK', 304: 'Not Modified', 500: 'Internal Server Error' }[status],
+                headers: responseHeaders,
+                text: async () => (notModified ? '' : server.content)
+            };
+        });
+        loadBackground();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+        delete global.fetch;
+        delete global.browser;
+    });
+
+    describe('Polling', () => {
+        test('checks every interval, timed from the end of the last check', async () => {
+            const watcher = createWatcher();
+            watcher.start(1000);
+
+            await jest.advanceTimersByTimeAsync(999);
+            expect(watcher.fetch).not.toHaveBeenCalled();
+            await jest.advanceTimersByTimeAsync(1);
+            expect(watcher.fetch).toHaveBeenCalledTimes(1);
+            await jest.advanceTimersByTimeAsync(2000);
+            expect(watcher.fetch).toHaveBeenCalledTimes(3);
+            watcher.stop();
+        });
+
+        test('only checks on demand with an interval of 0', async () => {
+            const watcher = createWatcher();
+            watcher.start(0);
+
+            await jest.advanceTimersByTimeAsync(60000);
+            expect(watcher.fetch).not.toHaveBeenCalled();
+            await watcher.check();
+            expect(watcher.fetch).toHaveBeenCalledTimes(1);
+        });
+
+        test('shares a check that is in flight', async () => {
+            const watcher = createWatcher();
+            watcher.start(0);
+
+            const first = watcher.check();
+            expect(watcher.check()).toBe(first);
+            await first;
+            expect(watcher.fetch).toHaveBeenCalledTimes(1);
+        });
+
+        test('reports new content once', async () => {
+            const watcher = createWatcher({ etag: null });
+            watcher.start(0);
+
+            server.content = '{"a": 2}';
+            server.etag = '"2"';
+            await watcher.check();
+            expect(watcher.onResult).toHaveBeenLastCalledWith(expect.objectContaining({
+                changed: true,
+                notModified: false,
+                response: expect.objectContaining({ content: '{"a": 2}' })
+            }));
+
+            await watcher.check();
+            expect(watcher.onResult).toHaveBeenLastCalledWith(expect.objectContaining({ changed: false }));
+        });
+
+        test('compares content when the server sends no ETag', async () => {
+            server.etag = null;
+            const watcher = createWatcher();
+            watcher.start(0);
+
+            await watcher.check();
+            expect(watcher.onResult).toHaveBeenLastCalledWith(expect.objectContaining({ changed: false, notModified: false }));
+            server.content = '{"a": 2}';
+            await watcher.check();
+            expect(watcher.onResult).toHaveBeenLastCalledWith(expect.objectContaining({ changed: true }));
+            expect(fetch.mock.calls.every(([, init]) => !('If-None-Match' in init.headers))).toBe(true);
+        });
+
+        test('reports failures, and results again once the server is back', async () => {
+            const watcher = createWatcher();
+            watcher.start(0);
+
+            server.status = 500;
+            await watcher.check();
+            expect(watcher.onError).toHaveBeenCalledWith(new Error('HTTP 500: Internal Server Error'), expect.any(Date));
+            expect(watcher.onResult).not.toHaveBeenCalled();
+
+            server.status = null;
+            await watcher.check();
+            expect(watcher.onResult).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    describe('ETag', () => {
+        test('revalidates with the last ETag and treats 304 as unchanged', async () => {
+            const watcher = createWatcher({ etag: '"1"' });
+            watcher.start(0);
+
+            await watcher.check();
+            const [, init] = fetch.mock.calls[0];
+            expect(init.headers['If-None-Match']).toBe('"1"');
+            expect(init.cache).toBe('no-store');
+            expect(watcher.onResult).toHaveBeenLastCalledWith(expect.objectContaining({
+                changed: false,
+                notModified: true,
+                response: expect.objectContaining({ status: 304, success: true })
+            }));
+        });
+
+        test('follows the ETag of the latest version', async () => {
+            const watcher = createWatcher({ etag: '"1"' });
+            watcher.start(0);
+
+            server.content = '{"a": 2}';
+            server.etag = '"2"';
+            await watcher.check();
+            expect(watcher.etag).toBe('"2"');
+
+            await watcher.check();
+            expect(fetch.mock.calls[1][1].headers['If-None-Match']).toBe('"2"');
+            expect(watcher.onResult).toHaveBeenLastCalledWith(expect.objectContaining({ notModified: true }));
+        });
+    });
+
+    describe('Stopping', () => {
+        test('stops polling', async () => {
+            const watcher = createWatcher();
+            watcher.start(1000);
+            watcher.stop();
+
+            await jest.advanceTimersByTimeAsync(5000);
+            expect(watcher.fetch).not.toHaveBeenCalled();
+        });
+
+        test('drops the result of a check that was out when stopped', async () => {
+            const watcher = createWatcher();
+            watcher.start(1000);
+
+            const check = watcher.check();
+            watcher.stop();
+            server.status = 500;
+            await check;
+            await jest.advanceTimersByTimeAsync(5000);
+
+            expect(watcher.onResult).not.toHaveBeenCalled();
+            expect(watcher.onError).not.toHaveBeenCalled();
+            expect(watcher.fetch).toHaveBeenCalledTimes(1);
+        });
+    });
+});
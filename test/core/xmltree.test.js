@@ -0,0 +1,69 @@
+/**
+ * Tests for the XML node tree
+ */
+
+require('../../js/formats/xml.js');
+require('../../js/core/tree.js');
+require('../../js/core/xmltree.js');
+
+describe('XmlTree', () => {
+    const source = '<?xml version="1.0"?>\n<!-- feed -->\n<f:feed xmlns:f="urn:f">\n  <title>News</title>\n  <entry id="1">\n    Text <b>bold</b>\n    <![CDATA[<raw>]]>\n  </entry>\n  <u:x/>\n</f:feed>';
+    let tree;
+
+    const lineTexts = () => Array.from(tree.container.querySelectorAll('.fv-tree-line'))
+        .map(line => line.querySelector('.fv-tree-content').textContent);
+
+    beforeEach(() => {
+        tree = new XmlTree(XmlParser.parse(source), { initialRows: 100 });
+        document.body.appendChild(tree.render());
+        tree.mount();
+    });
+
+    afterEach(() => {
+        tree.container.remove();
+        tree.destroy();
+    });
+
+    test('shows every node in document order', () => {
+        expect(lineTexts()).toEqual([
+            '<?xml version="1.0"?>',
+            '<!-- feed -->',
+            '<f:feed xmlns:f="urn:f">',
+            '<title>News</title>',
+            '<entry id="1">',
+            'Text',
+            '<b>bold</b>',
+            '<![CDATA[<raw>]]>',
+            '<u:x/>'
+        ]);
+    });
+
+    test('gives tags their line and namespace on hover', () => {
+        const titles = Array.from(tree.container.querySelectorAll('.fv-xml-tag[title]')).map(tag => tag.title);
+        expect(titles[0]).toBe('Line 3\nNamespace: urn:f');
+        expect(titles[1]).toBe('Line 4\nNo namespace');
+        expect(titles[titles.length - 1]).toBe('Line 9\nPrefix "u" is not declared');
+        expect(tree.container.querySelector('.fv-xml-ns').title).toBe('Namespace declaration');
+    });
+
+    test('finds rows by their text, as paths of child indices', () => {
+        expect(tree.findMatches('bold')).toEqual([[2, 1, 1]]);
+        expect(tree.findMatches('id="1"')).toEqual([[2, 1]]);
+        expect(tree.findMatches('feed')).toEqual([[1], [2]]);
+    });
+
+    test('marks the rows of DOM nodes, such as XPath results', () => {
+        const marked = '<?xml version="1.0"?>\n<feed>\n  <title>News</title>\n  <entry id="1">Text <b>bold</b></entry>\n</feed>';
+        const dom = new DOMParser().parseFromString(marked, 'text/xml');
+        tree.container.remove();
+        tree.destroy();
+        tree = new XmlTree(XmlParser.parse(marked), { initialRows: 1 });
+        document.body.appendChild(tree.render());
+        tree.mount();
+
+        tree.markDomNodes([dom.querySelector('b'), dom.querySelector('entry').getAttributeNode('id'), dom.querySelector('title').firstChild]);
+        expect(tree.marks.map(node => tree.pathOf(node))).toEqual([[1, 1, 1], [1, 1], [1, 0]]);
+        expect(Array.from(tree.container.querySelectorAll('.fv-tree-marked .fv-tree-content')).map(content => content.textContent))
+            .toEqual(['<title>News</title>', '<entry id="1">', '<b>bold</b>']);
+    });
+});
@@ -0,0 +1,53 @@
+/**
+ * Tests for XPath queries
+ */
+
+require('../../js/core/xpath.js');
+
+describe('XPathQuery', () => {
+    const content = '<feed xmlns="urn:atom" xmlns:m="urn:media"><entry id="1"><title>A</title><m:thumb/></entry><entry id="2"><title>B</title></entry></feed>';
+    let document;
+
+    beforeEach(() => {
+        document = XPathQuery.parse(content);
+    });
+
+    test('selects nodes in document order', () => {
+        const result = XPathQuery.run('//@id', document);
+        expect(result.type).toBe('nodes');
+        expect(result.nodes.map(node => node.value)).toEqual(['1', '2']);
+    });
+
+    test('gives numbers, strings and booleans as values', () => {
+        expect(XPathQuery.run('count(//@id)', document)).toEqual({ type: 'number', value: 2 });
+        expect(XPathQuery.run('string(//@id)', document)).toEqual({ type: 'string', value: '1' });
+        expect(XPathQuery.run('count(//@id) > 1', document)).toEqual({ type: 'boolean', value: true });
+        expect(XPathQuery.formatValue({ type: 'string', value: '' })).toBe('""');
+    });
+
+    test('resolves prefixes from the mappings, then from the document', () => {
+        expect(XPathQuery.lookupNamespace('a', document, { a: 'urn:atom', m: 'urn:mapped' })).toBe('urn:atom');
+        expect(XPathQuery.lookupNamespace('m', document, { m: 'urn:mapped' })).toBe('urn:mapped');
+        expect(XPathQuery.lookupNamespace('m', document, {})).toBe('urn:media');
+        expect(XPathQuery.lookupNamespace('xml', document, {})).toBe(XPathQuery.XML_NAMESPACE);
+        expect(XPathQuery.lookupNamespace('constructor', document, {})).toBeNull();
+    });
+
+    test('explains unknown prefixes and invalid expressions', () => {
+        // Browsers ask the resolver for each prefix, then fail on the null it returns
+        const evaluate = jest.spyOn(document, 'evaluate').mockImplementation((expression, context, resolver) => {
+            resolver('x');
+            throw new Error('Bad prefix');
+        });
+        expect(() => XPathQuery.run('//x:entry', document)).toThrow('Namespace prefix "x" is not declared; map it in Namespaces as x=URI');
+        evaluate.mockRestore();
+
+        expect(() => XPathQuery.run('//[', document)).toThrow(/^Invalid XPath expression/);
+        expect(() => XPathQuery.parse('<a>')).toThrow(/^Invalid XML/);
+    });
+
+    test('reads namespace mappings', () => {
+        expect({ ...XPathQuery.parseNamespaces('a=urn:a, xmlns:b="urn:b"') }).toEqual({ a: 'urn:a', b: 'urn:b' });
+        expect(() => XPathQuery.parseNamespaces('a')).toThrow('Namespace mappings are written prefix=URI, not "a"');
+    });
+});
@@ -0,0 +1,175 @@
+/**
+ * Tests for XSD validation
+ */
+
+require('../../js/formats/xml.js');
+require('../../js/core/xsd.js');
+
+describe('XsdSchema', () => {
+    const orders = `<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema" xmlns:o="urn:orders"
+        targetNamespace="urn:orders" elementFormDefault="qualified">
+      <xs:include schemaLocation="types.xsd"/>
+      <xs:element name="orders">
+        <xs:complexType>
+          <xs:sequence>
+            <xs:element name="order" type="o:Order" maxOccurs="2"/>
+          </xs:sequence>
+        </xs:complexType>
+      </xs:element>
+      <xs:complexType name="Order">
+        <xs:sequence>
+          <xs:element name="sku" type="o:Sku"/>
+          <xs:element name="quantity">
+            <xs:simpleType>
+              <xs:restriction base="xs:positiveInteger">
+                <xs:maxInclusive value="10"/>
+              </xs:restriction>
+            </xs:simpleType>
+          </xs:element>
+          <xs:element name="note" type="xs:string" minOccurs="0"/>
+        </xs:sequence>
+        <xs:attribute name="id" type="xs:ID" use="required"/>
+        <xs:attribute name="status" type="o:Status"/>
+      </xs:complexType>
+    </xs:schema>`;
+    const types = `<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema" targetNamespace="urn:orders">
+      <xs:simpleType name="Sku">
+        <xs:restriction base="xs:string">
+          <xs:pattern value="[A-Z]{2}-\\d+"/>
+        </xs:restriction>
+      </xs:simpleType>
+      <xs:simpleType name="Status">
+        <xs:restriction base="xs:token">
+          <xs:enumeration value="open"/>
+          <xs:enumeration value="shipped"/>
+        </xs:restriction>
+      </xs:simpleType>
+    </xs:schema>`;
+    const schema = () => XsdSchema.load([{ name: 'orders.xsd', content: orders }, { name: 'types.xsd', content: types }]);
+    const validate = (content, limit) => schema().validate(XmlParser.parse(content), limit);
+
+    describe('Loading', () => {
+        test('resolves includes among the given files and lists the others', () => {
+            expect(schema().missing).toEqual([]);
+            const alone = XsdSchema.load([{ name: 'orders.xsd', content: orders }]);
+            expect(alone.missing).toEqual(['types.xsd (included by orders.xsd)']);
+        });
+
+        test('rejects files that are not schemas', () => {
+            expect(() => XsdSchema.load([{ name: 'a.xsd', content: '<a/>' }])).toThrow('a.xsd is not an XML Schema: its root is <a>');
+            expect(() => XsdSchema.load([{ name: 'b.xsd', content: '<b' }])).toThrow(/^b\.xsd: /);
+        });
+
+        test('reads the schemas a document names', () => {
+            const document = XmlParser.parse('<o:orders xmlns:o="urn:orders" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"\n' +
+                ' xsi:schemaLocation="urn:orders https://example.com/s/orders.xsd?v=2"/>');
+            expect(XsdSchema.schemaLocations(document)).toEqual([{ namespace: 'urn:orders', location: 'https://example.com/s/orders.xsd?v=2' }]);
+            expect(XsdSchema.fileName('https://example.com/s/orders.xsd?v=2')).toBe('orders.xsd');
+        });
+    });
+
+    describe('Validation', () => {
+        test('accepts a valid document', () => {
+            const content = '<orders xmlns="urn:orders"><order id="a1" status=" open "><sku>AB-1</sku><quantity>3</quantity></order></orders>';
+            expect(validate(content)).toEqual({ errors: [], truncated: false });
+        });
+
+        test('lists violations with their paths and lines', () => {
+            const content = '<orders xmlns="urn:orders">\n' +
+                '<order status="lost"><sku>ab</sku><quantity>11</quantity></order>\n' +
+                '<order id="b"><quantity>1</quantity><extra/></order>\n' +
+                '<order id="c"><sku>AB-2</sku><quantity>1</quantity></order>\n' +
+                '</orders>';
+            expect(validate(content).errors).toEqual([
+                { path: '/orders/order[1]/@status', line: 2, message: 'Attribute "status": "lost" is not one of "open", "shipped"' },
+                { path: '/orders/order[1]', line: 2, message: '<order> is missing the required attribute "id"' },
+                { path: '/orders/order[1]/sku', line: 2, message: '<sku>: "ab" doesn\'t match the pattern [A-Z]{2}-\\d+' },
+                { path: '/orders/order[1]/quantity', line: 2, message: '<quantity>: 11 is more than the maximum of 10' },
+                { path: '/orders/order[2]', line: 3, message: 'Unexpected <quantity> in <order>; expected <sku>' },
+                { path: '/orders', line: 4, message: 'Too many <order> in <orders>: at most 2 allowed' }
+            ]);
+        });
+
+        test('points out a root in the wrong namespace', () => {
+            expect(validate('<orders/>').errors).toEqual([{
+                path: '/orders',
+                line: 1,
+                message: '<orders> is not declared as a global element in the schema (it is declared in namespace "urn:orders", but the document\'s is in no namespace)'
+            }]);
+        });
+
+        test('stops at the limit', () => {
+            const content = '<orders xmlns="urn:orders"><order/><order/></orders>';
+            expect(validate(content, 1)).toEqual({ errors: [expect.any(Object)], truncated: true });
+        });
+    });
+
+    describe('Simple types', () => {
+        const order = XsdSchema.load([{
+            name: 'order.xsd',
+            content: `<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema">
+                <xs:element name="order">
+                    <xs:complexType>
+                        <xs:sequence>
+                            <xs:element name="placed" type="xs:date" minOccurs="0"/>
+                            <xs:element name="shipped" type="xs:dateTime" minOccurs="0"/>
+                            <xs:element name="price" minOccurs="0">
+                                <xs:simpleType>
+                                    <xs:restriction base="xs:decimal">
+                                        <xs:fractionDigits value="2"/>
+                                        <xs:maxInclusive value="100"/>
+                                    </xs:restriction>
+                                </xs:simpleType>
+                            </xs:element>
+                        </xs:sequence>
+                        <xs:attribute name="code">
+                            <xs:simpleType>
+                                <xs:restriction base="xs:string">
+                                    <xs:maxLength value="3"/>
+                                    <xs:pattern value="[A-Z]+"/>
+                                </xs:restriction>
+                            </xs:simpleType>
+                        </xs:attribute>
+                    </xs:complexType>
+                </xs:element>
+            </xs:schema>`
+        }]);
+        const validate = body => order.validate(XmlParser.parse(`<order${body}</order>`)).errors.map(error => error.message);
+
+        describe('Dates', () => {
+            test('accept days that are in the month', () => {
+                expect(validate('><placed>2024-02-29</placed><shipped>2023-04-30T24:00:00Z</shipped>')).toEqual([]);
+                expect(validate('><placed>2000-02-29+14:00</placed>')).toEqual([]);
+            });
+
+            test('reject days past the end of the month', () => {
+                expect(validate('><placed>2023-02-29</placed>')).toEqual(['<placed>: "2023-02-29" is not a valid xs:date']);
+                expect(validate('><placed>1900-02-29</placed>')).toHaveLength(1);
+                expect(validate('><shipped>2023-04-31T10:00:00</shipped>')).toHaveLength(1);
+            });
+
+            test('reject months, hours and zones out of range', () => {
+                expect(validate('><placed>2023-13-01</placed>')).toHaveLength(1);
+                expect(validate('><shipped>2023-01-01T24:00:01</shipped>')).toHaveLength(1);
+                expect(validate('><shipped>2023-01-01T25:00:00</shipped>')).toHaveLength(1);
+                expect(validate('><placed>2023-01-01+15:00</placed>')).toHaveLength(1);
+            });
+        });
+
+        describe('Facets', () => {
+            test('report every facet an element value fails', () => {
+                expect(validate('><price>100.123</price>')).toEqual([
+                    '<price>: 100.123 is more than the maximum of 100',
+                    '<price>: 100.123 has more than 2 decimal places'
+                ]);
+            });
+
+            test('report every facet an attribute value fails', () => {
+                expect(validate(' code="abcd">')).toEqual([
+                    'Attribute "code": "abcd" doesn\'t match the pattern [A-Z]+',
+                    'Attribute "code": "abcd" is longer than 3 characters'
+                ]);
+            });
+        });
+    });
+});
@@ -0,0 +1,77 @@
+/**
+ * Tests for XSLT transforms
+ */
+
+require('../../js/formats/xml.js');
+require('../../js/core/xpath.js');
+require('../../js/core/xslt.js');
+
+describe('XsltTransform', () => {
+    describe('Stylesheets', () => {
+        const hrefOf = content => XsltTransform.stylesheetHref(XPathQuery.parse(content));
+
+        test('finds the first XSLT stylesheet instruction', () => {
+            const content = '<?xml-stylesheet href="style.css" type="text/css"?>\n' +
+                '<?xml-stylesheet alternate="yes" href="other.xsl" type="text/xsl"?>\n' +
+                '<?xml-stylesheet type=\'text/xsl\' href="view.xsl?a=1&amp;b=2"?>\n<r/>';
+            expect(hrefOf(content)).toBe('view.xsl?a=1&b=2');
+        });
+
+        test('is null without one', () => {
+            expect(hrefOf('<r><?xml-stylesheet href="in.xsl" type="text/xsl"?></r>')).toBeNull();
+            expect(hrefOf('<?xml-stylesheet type="text/xsl"?><r/>')).toBeNull();
+        });
+    });
+
+    describe('Rendering', () => {
+        const document = XPathQuery.parse('<r/>');
+        const stylesheet = '<xsl:stylesheet version="1.0" xmlns:xsl="http://www.w3.org/1999/XSL/Transform"/>';
+        let output;
+
+        // jsdom has no XSLTProcessor, so this one gives the document set as `output`
+        beforeEach(() => {
+            global.XSLTProcessor = class {
+                importStylesheet() {}
+
+                transformToDocument() {
+                    return output;
+                }
+            };
+        });
+
+        afterEach(() => {
+            delete global.XSLTProcessor;
+        });
+
+        test('gives HTML output a base for its relative links', () => {
+            output = new DOMParser().parseFromString('<html xmlns="http://www.w3.org/1999/xhtml"><body><img src="a.png"/><div/></body></html>', 'application/xhtml+xml');
+            const html = XsltTransform.render(document, stylesheet, 'https://example.com/data/');
+            expect(html).toBe(`<!DOCTYPE html><html xmlns="http://www.w3.org/1999/xhtml"><head><meta http-equiv="Content-Security-Policy" content="${XsltTransform.POLICY}"><base href="https://example.com/data/"></head><body><img src="a.png"><div></div></body></html>`);
+        });
+
+        test('shows XML and text output as escaped text', () => {
+            const policy = `<meta http-equiv="Content-Security-Policy" content="${XsltTransform.POLICY}">`;
+            output = XPathQuery.parse('<out a="1">&lt;x&gt;</out>');
+            expect(XsltTransform.render(document, stylesheet, 'https://example.com/'))
+                .toBe(`<!DOCTYPE html>${policy}<meta charset="utf-8"><pre style="white-space: pre-wrap">&lt;out a="1"&gt;&amp;lt;x&amp;gt;&lt;/out&gt;</pre>`);
+
+            output = XPathQuery.parse('<transformiix:result xmlns:transformiix="http://www.mozilla.org/TransforMiix">a &lt; b</transformiix:result>');
+            expect(XsltTransform.render(document, stylesheet, 'https://example.com/'))
+                .toBe(`<!DOCTYPE html>${policy}<meta charset="utf-8"><pre style="white-space: pre-wrap">a &lt; b</pre>`);
+        });
+
+        test('blocks remote loads unless they are allowed', () => {
+            output = XPathQuery.parse('<out/>');
+            expect(XsltTransform.render(document, stylesheet, 'https://example.com/')).toContain(`content="${XsltTransform.POLICY}"`);
+            expect(XsltTransform.render(document, stylesheet, 'https://example.com/', { remote: true }))
+                .toContain(`content="${XsltTransform.REMOTE_POLICY}"`);
+            expect(XsltTransform.POLICY).toBe("default-src 'none'; style-src 'unsafe-inline'; img-src data:");
+        });
+
+        test('explains what went wrong', () => {
+            expect(() => XsltTransform.render(document, '<xsl:stylesheet>', '')).toThrow(/^The stylesheet can't be used: Invalid XML/);
+            output = null;
+            expect(() => XsltTransform.render(document, stylesheet, '')).toThrow('The transform produced no output');
+        });
+    });
+});
@@ -0,0 +1,85 @@
+/**
+ * Tests for the CSV/TSV engine
+ */
+
+require('../../js/formats/csv.js');
+
+describe('CSV Format Handler', () => {
+    describe('Records', () => {
+        test('reads quoted fields with delimiters, quotes and line breaks', () => {
+            const records = CsvParser.parseRecords('a,"b,c","say ""hi""","two\nlines"\n');
+            expect(records).toEqual([['a', 'b,c', 'say "hi"', 'two\nlines']]);
+        });
+
+        test('accepts CRLF, LF and CR line endings', () => {
+            expect(CsvParser.parseRecords('a,b\r\n1,2\n3,4\r5,6')).toEqual([['a', 'b'], ['1', '2'], ['3', '4'], ['5', '6']]);
+        });
+
+        test('keeps empty fields', () => {
+            expect(CsvParser.parseRecords('a,,c\n,,\n')).toEqual([['a', '', 'c'], ['', '', '']]);
+        });
+    });
+
+    describe('Parsing', () => {
+        test('detects a header row and builds row objects', () => {
+            const result = CsvParser.parse('name,age\nAda,36\nAlan,41\n');
+            expect(result.hasHeader).toBe(true);
+            expect(result.headers).toEqual(['name', 'age']);
+            expect(result.rows).toEqual([{ name: 'Ada', age: '36' }, { name: 'Alan', age: '41' }]);
+            expect(result.totalRows).toBe(2);
+        });
+
+        test('names columns when the first row is data', () => {
+            const result = CsvParser.parse('1,2\n3,4\n');
+            expect(result.hasHeader).toBe(false);
+            expect(result.headers).toEqual(['Column 1', 'Column 2']);
+            expect(result.rows).toHaveLength(2);
+        });
+
+        test('pads short rows and renames duplicate headers', () => {
+            const result = CsvParser.parse('id,id,note\n1,2\n', { header: true });
+            expect(result.headers).toEqual(['id', 'id_2', 'note']);
+            expect(result.rows).toEqual([{ id: '1', id_2: '2', note: '' }]);
+        });
+
+        test('keeps a column named __proto__', () => {
+            const result = CsvParser.parse('name,__proto__\nAda,x\n', { header: true });
+            expect(result.headers).toEqual(['name', '__proto__']);
+            expect(Object.keys(result.rows[0])).toEqual(['name', '__proto__']);
+            expect(result.rows[0].__proto__).toBe('x');
+            expect(Object.getPrototypeOf(result.rows[0])).toBe(Object.prototype);
+        });
+
+        test('sniffs semicolons, tabs and pipes', () => {
+            expect(CsvParser.parse('a;b\n1;"x;y"\n').delimiter).toBe(';');
+            expect(CsvParser.parse('a\tb\n1\t2\n').delimiter).toBe('\t');
+            expect(CsvParser.parse('a|b|c\n1|2|3\n').delimiter).toBe('|');
+        });
+
+        test('reads TSV with a fixed delimiter', () => {
+            const result = CsvParser.parse('a\tb,c\n1\t2,3\n', { delimiter: '\t' });
+            expect(result.headers).toEqual(['a', 'b,c']);
+            expect(result.rows).toEqual([{ a: '1', 'b,c': '2,3' }]);
+        });
+
+        test('skips a byte order mark', () => {
+            expect(CsvParser.parse('\uFEFFname,age\nAda,36\n').headers).toEqual(['name', 'age']);
+        });
+
+        test('gives an empty table for empty text', () => {
+            expect(CsvParser.parse('')).toEqual({ headers: [], rows: [], totalRows: 0, delimiter: ',', hasHeader: false });
+        });
+    });
+
+    describe('Writing', () => {
+        test('quotes fields that need it', () => {
+            expect(CsvParser.stringify([['a', 'b,c', 'say "hi"', 'two\nlines']])).toBe('a,"b,c","say ""hi""","two\nlines"\n');
+        });
+
+        test('writes what it reads', () => {
+            const records = [['name', 'note'], ['Ada', 'x;y'], ['Alan', '']];
+            const text = CsvParser.stringify(records, { delimiter: ';' });
+            expect(CsvParser.parseRecords(text, ';')).toEqual(records);
+        });
+    });
+});
@@ -0,0 +1,124 @@
+/**
+ * Tests for the JSON parser and exact numbers
+ */
+
+require('../../js/formats/json.js');
+
+describe('JSON Format Handler', () => {
+    describe('JsonParser', () => {
+        test('parses what JSON.parse does', () => {
+            const text = '{"a": [1, -2.5e3, true, false, null], "b": {"c": "x\\u00e9\\n"}, "": 0}';
+            expect(JsonParser.parse(text)).toEqual(JSON.parse(text));
+        });
+
+        test('keeps "__proto__" as a plain key', () => {
+            const data = JsonParser.parse('{"__proto__": {"polluted": true}}');
+            expect(Object.keys(data)).toEqual(['__proto__']);
+            expect({}.polluted).toBeUndefined();
+        });
+
+        test('gives the line and column of an error', () => {
+            let error;
+            try {
+                JsonParser.parse('{\n  "a": 1,\n  "b" 2\n}');
+            } catch (caught) {
+                error = caught;
+            }
+            expect(error.message).toBe('Expected ":" after the property name at line 3, column 7');
+            expect([error.line, error.column]).toEqual([3, 7]);
+        });
+
+        test('keeps what was read before an error', () => {
+            const { data, error } = JsonParser.parsePartial('{"a": 1, "b": [1, 2, {"c": 3');
+            expect(error.message).toMatch(/^Unexpected end of input|^Expected/);
+            expect(data).toEqual({ a: 1, b: [1, 2, { c: 3 }] });
+        });
+
+        test('records duplicate keys with their lines', () => {
+            const duplicates = [];
+            const data = JsonParser.parse('{\n"a": 1,\n"a": 2,\n"a": 3\n}', { duplicates });
+            expect(data.a).toBe(3);
+            expect(duplicates).toEqual([{ object: data, key: 'a', lines: [2, 3, 4] }]);
+        });
+
+        test('rejects what JSON.parse rejects', () => {
+            ['{"a": 1,}', '[01]', '"tab\there"', '{a: 1}', '[1] [2]', "'x'", '[1e]'].forEach(text => {
+                expect(() => JSON.parse(text)).toThrow();
+                expect(JsonParser.parsePartial(text).error).toBeInstanceOf(Error);
+            });
+        });
+    });
+
+    describe('Lossless numbers', () => {
+        test('keeps numbers a double would round', () => {
+            const data = JsonParser.parse('[12345678901234567891, 0.12345678901234567, 9007199254740991, 1.5]', { lossless: true });
+            expect(data[0]).toBeInstanceOf(JsonNumber);
+            expect(data[0].text).toBe('12345678901234567891');
+            expect(data[1].text).toBe('0.12345678901234567');
+            expect(data[2]).toBe(9007199254740991);
+            expect(data[3]).toBe(1.5);
+        });
+
+        test('rounds them without the option', () => {
+            expect(JsonParser.parse('[12345678901234567891]')[0]).toBe(12345678901234567891);
+        });
+
+        test('finds text that may lose precision', () => {
+            expect(JsonParser.mayLosePrecision('{"id": 12345678901234567}')).toBe(true);
+            expect(JsonParser.mayLosePrecision('{"id": 1234}')).toBe(false);
+        });
+    });
+
+    describe('JsonNumber', () => {
+        test('tells exact doubles apart', () => {
+            expect(JsonNumber.isExact('9007199254740991', 9007199254740991)).toBe(true);
+            expect(JsonNumber.isExact('9007199254740993', 9007199254740993)).toBe(false);
+            expect(JsonNumber.isExact('0.100000000000000', 0.1)).toBe(true);
+            expect(JsonNumber.isExact('1.0000000000000001', 1)).toBe(false);
+        });
+
+        test('counts numbers out of range as inexact', () => {
+            expect(JsonNumber.isExact('1e400', 1e400)).toBe(false);
+            expect(JsonNumber.isExact('-1e400', -1e400)).toBe(false);
+            expect(JsonNumber.isExact('1e-400', 1e-400)).toBe(false);
+            expect(JsonNumber.isExact('5e-324', 5e-324)).toBe(false);
+            expect(JsonNumber.isExact('1e308', 1e308)).toBe(true);
+            expect(JsonNumber.isExact('0.0e-400', 0)).toBe(true);
+
+            const data = JsonParser.parse('[1e400, 1e-400]', { lossless: true });
+            expect(data.map(number => number.text)).toEqual(['1e400', '1e-400']);
+            expect(JsonParser.mayLosePrecision('{"tiny": 1e-400}')).toBe(true);
+        });
+
+        test('compares integers exactly', () => {
+            const a = new JsonNumber('12345678901234567891');
+            const b = new JsonNumber('12345678901234567892');
+            expect(JsonNumber.compare(a, b)).toBe(-1);
+            expect(JsonNumber.compare(b, a)).toBe(1);
+            expect(JsonNumber.compare(a, new JsonNumber('12345678901234567891'))).toBe(0);
+            expect(JsonNumber.compare(a, 5)).toBe(1);
+            expect(JsonNumber.compare(new JsonNumber('0.12345678901234567'), 1)).toBe(-1);
+        });
+
+        test('does integer arithmetic exactly', () => {
+            const big = new JsonNumber('9007199254740993');
+            expect(JsonNumber.integerArithmetic('+', big, 1).text).toBe('9007199254740994');
+            expect(JsonNumber.integerArithmetic('-', big, 2)).toBe(9007199254740991);
+            expect(JsonNumber.integerArithmetic('*', big, -1).text).toBe('-9007199254740993');
+            expect(JsonNumber.integerArithmetic('%', big, 10)).toBe(3);
+            expect(JsonNumber.integerArithmetic('%', big, 0)).toBeUndefined();
+            expect(JsonNumber.integerArithmetic('/', big, 2)).toBeUndefined();
+            expect(JsonNumber.integerArithmetic('+', big, 1.5)).toBeUndefined();
+            expect(JsonNumber.integerArithmetic('+', 1, 2)).toBeUndefined();
+        });
+
+        test('converts like a number', () => {
+            const number = new JsonNumber('-12345678901234567891');
+            expect(number.negate().text).toBe('12345678901234567891');
+            expect(number.negate().negate().text).toBe('-12345678901234567891');
+            expect(String(number)).toBe('-12345678901234567891');
+            expect(Number(number)).toBe(-12345678901234567891);
+            expect(JSON.stringify([number])).toBe('[-12345678901234567000]');
+        });
+    });
+});
@@ -0,0 +1,150 @@
+/**
+ * Tests for the TOML parser
+ */
+
+require('../../js/formats/json.js');
+require('../../js/formats/toml.js');
+
+describe('TOML Format Handler', () => {
+    describe('Parsing', () => {
+        test('reads tables, dotted keys, inline tables and arrays of tables', () => {
+            const data = TomlParser.parse([
+                'title = "Example"',
+                'site.name = "x"',
+                'point = { x = 1, y = 2 }',
+                '[owner]',
+                'name = "Tom"',
+                '[[products]]',
+                'name = "Hammer"',
+                '[[products]]',
+                'name = "Nail"',
+                ''
+            ].join('\n'));
+            expect(data).toEqual({
+                title: 'Example',
+                site: { name: 'x' },
+                point: { x: 1, y: 2 },
+                owner: { name: 'Tom' },
+                products: [{ name: 'Hammer' }, { name: 'Nail' }]
+            });
+        });
+
+        test('reads strings of every kind', () => {
+            const data = TomlParser.parse([
+                'basic = "tab\\tquote\\" \\u00e9"',
+                "literal = 'C:\\path'",
+                'multi = """',
+                'one \\',
+                '  two"""',
+                "raw = '''",
+                "keep \\n'''",
+                ''
+            ].join('\n'));
+            expect(data).toEqual({ basic: 'tab\tquote" é', literal: 'C:\\path', multi: 'one two', raw: 'keep \\n' });
+        });
+
+        test('reads integers, floats and booleans', () => {
+            const data = TomlParser.parse('a = 1_000\nb = 0xff\nc = 0o17\nd = 0b101\ne = -3.5e2\nf = inf\ng = nan\nh = true\n');
+            expect(data).toMatchObject({ a: 1000, b: 255, c: 15, d: 5, e: -350, f: Infinity, h: true });
+            expect(data.g).toBeNaN();
+        });
+
+        test('keeps local dates and times as written', () => {
+            const data = TomlParser.parse('d = 1979-05-27\nt = 07:32:00.5\ndt = 1979-05-27 07:32:00\n');
+            expect([data.d.kind, data.d.text]).toEqual(['local-date', '1979-05-27']);
+            expect([data.t.kind, data.t.text]).toEqual(['local-time', '07:32:00.5']);
+            expect([data.dt.kind, data.dt.text]).toEqual(['local-datetime', '1979-05-27T07:32:00']);
+        });
+    });
+
+    describe('Dates and times', () => {
+        test('keeps offset date-times as written', () => {
+            const data = TomlParser.parse('a = 1979-05-27T00:32:00.999999-07:00\nb = 1979-05-27 07:32:00Z\n');
+            expect(data.a).toBeInstanceOf(TomlDateTime);
+            expect(data.a.kind).toBe('offset-datetime');
+            expect(data.a.text).toBe('1979-05-27T00:32:00.999999-07:00');
+            expect(data.b.text).toBe('1979-05-27T07:32:00Z');
+        });
+
+        test('rejects offsets out of range', () => {
+            expect(() => TomlParser.parse('a = 1979-05-27T00:32:00+24:00')).toThrow('Invalid offset "+24:00"');
+        });
+
+        test('writes offset date-times back unchanged', () => {
+            const source = 'a = 1979-05-27T00:32:00.999999-07:00\n';
+            expect(TomlParser.stringify(TomlParser.parse(source))).toBe(source);
+        });
+    });
+
+    describe('Integers', () => {
+        test('keeps 64-bit integers a double would round', () => {
+            const data = TomlParser.parse('max = 9223372036854775807\nmin = -9223372036854775808\nhex = 0x7FFF_FFFF_FFFF_FFFF\nsafe = 9007199254740991\n');
+            expect(data.max).toBeInstanceOf(JsonNumber);
+            expect(data.max.text).toBe('9223372036854775807');
+            expect(data.min.text).toBe('-9223372036854775808');
+            expect(data.hex.text).toBe('9223372036854775807');
+            expect(data.safe).toBe(9007199254740991);
+        });
+
+        test('rejects integers outside the 64-bit range', () => {
+            expect(() => TomlParser.parse('a = 9223372036854775808')).toThrow('outside the 64-bit range');
+            expect(() => TomlParser.parse('a = -9223372036854775809')).toThrow('outside the 64-bit range');
+        });
+
+        test('writes big integers back exactly', () => {
+            const source = 'id = 9223372036854775807\n';
+            expect(TomlParser.stringify(TomlParser.parse(source))).toBe(source);
+        });
+    });
+
+    describe('Errors', () => {
+        test('give the line and column', () => {
+            let error;
+            try {
+                TomlParser.parse('a = 1\nb = \n');
+            } catch (caught) {
+                error = caught;
+            }
+            expect(error).toBeDefined();
+            expect(error.line).toBe(2);
+            expect(typeof error.column).toBe('number');
+        });
+
+        test('reject keys and tables defined twice', () => {
+            expect(() => TomlParser.parse('a = 1\na = 2\n')).toThrow('Duplicate key "a" at line 2, column 1');
+            expect(() => TomlParser.parse('[a]\n[a]\n')).toThrow('Table "a" is already defined at line 2, column 1');
+        });
+
+        test('reject invalid dates', () => {
+            expect(() => TomlParser.parse('d = 2023-02-29')).toThrow('Invalid date');
+        });
+
+        test('keep what was read before the error', () => {
+            const { data, error } = TomlParser.parsePartial('a = 1\n[b]\nc = 2\nd = \n');
+            expect(error).not.toBeNull();
+            expect(data).toEqual({ a: 1, b: { c: 2 } });
+        });
+
+        test('name both lines of a duplicate key', () => {
+            let error;
+            try {
+                TomlParser.parse('[server]\nport = 1\nport = 2\n');
+            } catch (caught) {
+                error = caught;
+            }
+            expect(error.duplicate).toEqual({ path: ['server'], key: 'port', lines: [2, 3] });
+        });
+    });
+
+    describe('Writing', () => {
+        test('writes keys before tables and arrays of tables', () => {
+            const text = TomlParser.stringify({ owner: { name: 'Tom' }, title: 'x', items: [{ id: 1 }, { id: 2 }], list: [1, 'a'] });
+            expect(text).toBe('title = "x"\nlist = [1, "a"]\n\n[owner]\nname = "Tom"\n\n[[items]]\nid = 1\n\n[[items]]\nid = 2\n');
+            expect(TomlParser.parse(text)).toEqual({ owner: { name: 'Tom' }, title: 'x', items: [{ id: 1 }, { id: 2 }], list: [1, 'a'] });
+        });
+
+        test('refuses null', () => {
+            expect(() => TomlParser.stringify({ a: null })).toThrow('TOML has no null value');
+        });
+    });
+});
@@ -0,0 +1,153 @@
+/**
+ * Tests for the XML parser
+ */
+
+require('../../js/formats/xml.js');
+
+describe('XML Format Handler', () => {
+    const parseError = source => {
+        try {
+            XmlParser.parse(source);
+        } catch (error) {
+            return error;
+        }
+        return null;
+    };
+
+    describe('Parsing', () => {
+        test('builds a node tree with line numbers on elements', () => {
+            const document = XmlParser.parse('<?xml version="1.0"?>\n<!-- note -->\n<root id="1">\n  <item>a</item><?pi data?>\n</root>');
+            expect(document.declaration).toBe('version="1.0"');
+            expect(document.children[0]).toEqual({ type: 'comment', value: ' note ' });
+
+            const root = document.children[1];
+            expect([root.name, root.line, root.attributes]).toEqual(['root', 3, [{ name: 'id', value: '1', namespace: null }]]);
+            const item = root.children.find(child => child.type === 'element');
+            expect([item.name, item.line, item.children]).toEqual(['item', 4, [{ type: 'text', value: 'a' }]]);
+            expect(root.children.find(child => child.type === 'pi')).toEqual({ type: 'pi', target: 'pi', data: 'data' });
+        });
+
+        test('keeps CDATA sections as written', () => {
+            const root = XmlParser.parse('<a>x <![CDATA[<b> & </b>]]></a>').children[0];
+            expect(root.children).toEqual([{ type: 'text', value: 'x ' }, { type: 'cdata', value: '<b> & </b>' }]);
+        });
+
+        test('expands the predefined and character entities', () => {
+            const root = XmlParser.parse('<a title="&quot;q&quot; &amp; &#x41;">&lt;&gt;&apos;&#233;&#x1F98A;</a>').children[0];
+            expect(root.attributes[0].value).toBe('"q" & A');
+            expect(root.children[0].value).toBe('<>\'é🦊');
+        });
+
+        test('keeps prefixed names and namespace declarations', () => {
+            const root = XmlParser.parse('<x:feed xmlns:x="urn:x" xmlns="urn:d"><x:entry/></x:feed>').children[0];
+            expect(root.name).toBe('x:feed');
+            expect(root.attributes.map(attribute => attribute.name)).toEqual(['xmlns:x', 'xmlns']);
+            expect(root.children[0].name).toBe('x:entry');
+        });
+
+        test('converts to the object model', () => {
+            const document = XmlParser.parse('<r a="1"><n>x</n><n>y</n><e/><__proto__>p</__proto__></r>');
+            const object = XmlParser.toObject(document.children[0]);
+            expect(object).toEqual({ '@attributes': { a: '1' }, n: ['x', 'y'], e: {}, ['__proto__']: 'p' });
+            expect(Object.getPrototypeOf(object)).toBe(Object.prototype);
+        });
+    });
+
+    describe('Namespaces', () => {
+        test('resolve prefixes and the default namespace', () => {
+            const root = XmlParser.parse('<x:feed xmlns:x="urn:x" xmlns="urn:d"><entry x:id="1" id="2"/><x:entry/></x:feed>').children[0];
+            const [entry, prefixed] = root.children;
+
+            expect(root.namespace).toBe('urn:x');
+            expect(entry.namespace).toBe('urn:d');
+            expect(prefixed.namespace).toBe('urn:x');
+            expect(root.attributes.map(attribute => attribute.namespace))
+                .toEqual([XmlParser.XMLNS_NAMESPACE, XmlParser.XMLNS_NAMESPACE]);
+        });
+
+        test('leave unprefixed attributes in no namespace', () => {
+            const root = XmlParser.parse('<a xmlns="urn:d" xmlns:p="urn:p" b="1" p:c="2" xml:lang="en"/>').children[0];
+            expect(root.attributes.slice(2).map(attribute => attribute.namespace))
+                .toEqual([null, 'urn:p', XmlParser.XML_NAMESPACE]);
+        });
+
+        test('scope declarations to the element and its children', () => {
+            const root = XmlParser.parse('<a><b xmlns="urn:b"><c/></b><d/></a>').children[0];
+            const [b, d] = root.children;
+            expect([root.namespace, b.namespace, b.children[0].namespace, d.namespace]).toEqual([null, 'urn:b', 'urn:b', null]);
+        });
+
+        test('give undeclared prefixes no namespace', () => {
+            const root = XmlParser.parse('<a><u:b/><constructor:c/></a>').children[0];
+            expect(root.children.map(child => child.namespace)).toEqual([null, null]);
+        });
+    });
+
+    describe('Malformed input', () => {
+        test('reports where the document breaks', () => {
+            const error = parseError('<root>\n  <a></b>\n</root>');
+            expect(error.message).toBe('Mismatched closing tag </b>, expected </a> at line 2, column 6');
+            expect([error.line, error.column]).toEqual([2, 6]);
+        });
+
+        test('rejects documents that are not well-formed', () => {
+            expect(parseError('<a><b></a>').message).toMatch(/^Mismatched closing tag/);
+            expect(parseError('<a>').message).toMatch(/^Unclosed element <a> opened on line 1/);
+            expect(parseError('<a/><b/>').message).toMatch(/^Only one root element is allowed/);
+            expect(parseError('<a x="1" x="2"/>').message).toMatch(/^Duplicate attribute "x"/);
+            expect(parseError('<a x=1/>').message).toMatch(/^Attribute "x" value must be quoted/);
+            expect(parseError('<a>AT&T</a>').message).toMatch(/^"&" must start an entity reference/);
+            expect(parseError('<a>&#0;</a>').message).toMatch(/^Invalid character reference &#0;/);
+            expect(parseError('<a><!-- x -- y --></a>').message).toMatch(/^"--" is not allowed inside a comment/);
+            expect(parseError('text').message).toMatch(/^Text is not allowed outside the root element/);
+            expect(parseError('').message).toMatch(/^No root element found/);
+        });
+    });
+
+    describe('Partial documents', () => {
+        test('keep the elements read before the error, closed', () => {
+            const { document, error } = XmlParser.parsePartial('<r><a>1</a><b><c>2</c>');
+            expect(error.message).toMatch(/^Unclosed/);
+            expect(XmlParser.toObject(document)).toEqual({ r: { a: '1', b: { c: '2' } } });
+        });
+
+        test('have no error for a well-formed document', () => {
+            expect(XmlParser.parsePartial('<r/>').error).toBeNull();
+        });
+    });
+
+    describe('Entity expansion', () => {
+        test('does not expand entities a DOCTYPE declares', () => {
+            const laughs = [
+                '<?xml version="1.0"?>',
+                '<!DOCTYPE lolz [',
+                '  <!ENTITY lol "lol">',
+                '  <!ENTITY lol2 "&lol;&lol;&lol;&lol;&lol;&lol;&lol;&lol;&lol;&lol;">',
+                '  <!ENTITY lol3 "&lol2;&lol2;&lol2;&lol2;&lol2;&lol2;&lol2;&lol2;&lol2;&lol2;">',
+                ']>',
+                '<lolz>&lol3;</lolz>'
+            ].join('\n');
+            expect(parseError(laughs).message).toBe('Undefined entity &lol3; at line 7, column 7');
+        });
+
+        test('reads past the internal subset', () => {
+            const document = XmlParser.parse('<!DOCTYPE a [ <!ENTITY x "]>"> ]>\n<a/>');
+            expect(document.children.map(child => child.type)).toEqual(['doctype', 'element']);
+        });
+    });
+
+    describe('Writing', () => {
+        test('writes the object model back as XML', () => {
+            const data = { r: { '@attributes': { a: '1 & "2"' }, n: ['x', 'y'], e: {}, t: 'a<b' } };
+            const text = XmlParser.stringify(data, { indent: 1 });
+            expect(text).toBe('<?xml version="1.0" encoding="UTF-8"?>\n<r a="1 &amp; &quot;2&quot;">\n <n>x</n>\n <n>y</n>\n <e/>\n <t>a&lt;b</t>\n</r>\n');
+            expect({ r: XmlParser.toObject(XmlParser.parse(text).children[0]) }).toEqual(data);
+        });
+
+        test('needs a single root and valid names', () => {
+            expect(() => XmlParser.stringify({ a: 1, b: 2 })).toThrow('An XML document needs exactly one root element');
+            expect(() => XmlParser.stringify({ r: { 'first name': 'x' } })).toThrow('"first name" is not a valid XML element name');
+            expect(() => XmlParser.stringify({ r: { '@attributes': { '1a': 'x' } } })).toThrow('"1a" is not a valid XML attribute name');
+        });
+    });
+});
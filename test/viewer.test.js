@@ -0,0 +1,134 @@
+/**
+ * Tests for the viewer page, with the background script's messages mocked
+ *
+ * @jest-environment-options {"url": "https://extension.test/viewer.html#%7B%22originalUrl%22%3A%22https%3A%2F%2Fexample.com%2Fdata%2Fconfig.json%22%2C%22format%22%3A%22json%22%7D"}
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+describe('Viewer', () => {
+    let server;
+    let viewer;
+
+    // The page's markup and scripts, with js-yaml from node_modules
+    const loadPage = () => {
+        const html = fs.readFileSync(path.join(__dirname, '../viewer.html'), 'utf8');
+        document.body.innerHTML = html.slice(html.indexOf('<body>') + 6, html.indexOf('</body>'))
+            .replace(/<script[\s\S]*?<\/script>/g, '');
+
+        global.jsyaml = require('js-yaml');
+        Array.from(html.matchAll(/<script src="(js\/[^"]+)"/g)).forEach(([, file]) => require(`../${file}`));
+    };
+
+    const messages = action => browser.runtime.sendMessage.mock.calls
+        .map(([message]) => message)
+        .filter(message => message.action === action);
+
+    const waitFor = async condition => {
+        for (let i = 0; i < 50 && !condition(); i++) {
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+        expect(condition()).toBeTruthy();
+    };
+
+    beforeEach(() => {
+        jest.resetModules();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+
+        server = { content: '{"name": "fox", "tags": ["a"]}', etag: '"1"' };
+        const respond = message => {
+            switch (message.action) {
+                case 'getSettings':
+                    return {};
+                case 'fetchFile':
+                    if (message.etag === server.etag) {
+                        return { success: true, notModified: true, status: 304, headers: { etag: server.etag } };
+                    }
+                    return { success: true, content: server.content, status: 200, headers: { etag: server.etag } };
+                default:
+                    return { success: false, error: 'Unknown action' };
+            }
+        };
+        global.browser = {
+            runtime: {
+                // The viewer passes a callback; settings.js uses the promise
+                sendMessage: jest.fn(async (message, callback) => {
+                    const response = respond(message);
+                    if (callback) callback(response);
+                    return response;
+                }),
+                lastError: null
+            },
+            storage: { onChanged: { addListener: jest.fn() } }
+        };
+
+        loadPage();
+        viewer = new InlineViewer();
+    });
+
+    afterEach(() => {
+        viewer.stopWatch();
+        console.log.mockRestore();
+        delete global.browser;
+    });
+
+    describe('Watch mode', () => {
+        test('polls the file with fetchFile and its ETag', async () => {
+            await waitFor(() => viewer.tree);
+            viewer.elements.watchBtn.click();
+            await waitFor(() => messages('fetchFile').length === 2);
+
+            expect(messages('fetchFile')[1]).toEqual({ action: 'fetchFile', url: 'https://example.com/data/config.json', etag: '"1"', fresh: true });
+            await waitFor(() => viewer.elements.watchStatus.textContent.includes('(304 Not Modified)'));
+        });
+
+        test('stops when editing starts', async () => {
+            await waitFor(() => viewer.tree);
+            viewer.elements.watchBtn.click();
+            expect(viewer.watch).not.toBeNull();
+
+            viewer.elements.editBtn.click();
+            await waitFor(() => viewer.edit);
+            expect(viewer.watch).toBeNull();
+            expect(viewer.elements.watchBtn.disabled).toBe(true);
+            expect(viewer.elements.watchBar.style.display).toBe('none');
+
+            const polls = messages('fetchFile').length;
+            await viewer.checkWatchNow();
+            expect(messages('fetchFile')).toHaveLength(polls);
+        });
+
+        test('stops when the raw text is edited', async () => {
+            await waitFor(() => viewer.tree);
+            viewer.elements.watchBtn.click();
+
+            viewer.startRawEdit();
+            expect(viewer.watch).toBeNull();
+            expect(viewer.elements.watchBtn.disabled).toBe(true);
+            expect(viewer.codeView).toBeInstanceOf(EditableCodeView);
+        });
+    });
+
+    describe('Transformed view', () => {
+        const withStylesheet = href => XPathQuery.parse(`<?xml-stylesheet href="${href}" type="text/xsl"?><r/>`);
+
+        test('fetches the stylesheet the document names from its own site', async () => {
+            await waitFor(() => viewer.tree);
+            const stylesheet = await viewer.loadStylesheet(withStylesheet('view.xsl'));
+
+            expect(messages('fetchFile')).toContainEqual({ action: 'fetchFile', url: 'https://example.com/data/view.xsl' });
+            expect(stylesheet).toEqual({ label: 'https://example.com/data/view.xsl', content: server.content, chosen: false });
+        });
+
+        test('leaves stylesheets on other sites to be chosen', async () => {
+            await waitFor(() => viewer.tree);
+            const fetches = messages('fetchFile').length;
+
+            for (const href of ['https://other.example/view.xsl', 'http://example.com/data/view.xsl']) {
+                await expect(viewer.loadStylesheet(withStylesheet(href))).rejects.toThrow(`The stylesheet ${href} is on another site`);
+            }
+            expect(messages('fetchFile')).toHaveLength(fetches);
+        });
+    });
+});